@@ -0,0 +1,155 @@
+/**
+ * Express App
+ *
+ * createApp(deps) 建立 webhook、cron、metrics 與 health check 路由，依賴由參數注入 (見 handlers/index.js)。
+ * 設定 Telegram / Slack 的環境變數 (或注入 client) 時另外開啟 /api/telegram 與 /api/slack (見 platforms/)。
+ * api/index.js 以環境變數建立正式的依賴並匯出給 Vercel；
+ * 測試與 webhook 模擬器則注入 stub LINE client 與 fake provider。
+ */
+
+const { randomUUID } = require('crypto');
+const express = require('express');
+const line = require('@line/bot-sdk');
+const { createEventHandler } = require('./handlers');
+const { createTelemetryFromEnv } = require('./utils/telemetry');
+const { createTelegramAdapterFromEnv, createSlackAdapterFromEnv } = require('./platforms');
+
+/**
+ * @param {object} deps - 同 createEventHandler 的參數，另可注入：
+ * @param {object} [deps.telegramClient] - Telegram Bot API client (platforms/telegram.js)
+ * @param {object} [deps.slackClient] - Slack Web API client (platforms/slack.js)
+ * @returns {import('express').Express}
+ */
+function createApp(deps) {
+  const app = express();
+  const env = deps.env || process.env;
+  // handlers 與 /metrics 共用同一份 telemetry
+  const telemetry = deps.telemetry || createTelemetryFromEnv(env);
+  const { logger } = telemetry;
+  const { handleEvent, handleMessage, runScheduledTasks } = createEventHandler({ ...deps, telemetry });
+  const telegram = createTelegramAdapterFromEnv(env, { client: deps.telegramClient, logger });
+  const slack = createSlackAdapterFromEnv(env, { client: deps.slackClient, logger });
+
+  // 其他平台的訊息：只等到交給背景工作，錯誤只記錄 (回傳錯誤會讓平台重送)
+  async function receiveMessage(platform, message) {
+    if (!message) return;
+    try {
+      await telemetry.span('webhook', { platform }, () => handleMessage(message));
+    } catch (err) {
+      logger.error('Webhook processing error', { platform, err });
+    }
+  }
+
+  // Middleware to parse JSON (Removed because line.middleware handles body parsing)
+  // app.use(express.json());
+
+  // Webhook endpoint
+  // 每個請求一個 requestId，之後的 log (含背景工作) 都會帶上
+  app.post('/api/webhook', line.middleware(deps.lineConfig), (req, res) => telemetry.run({ requestId: randomUUID() }, async () => {
+    try {
+      const events = req.body.events;
+      logger.info('Webhook received', { eventCount: events.length });
+      // Process all events
+      const results = await telemetry.span('webhook', {}, () => Promise.all(events.map(handleEvent)));
+      res.json(results);
+    } catch (err) {
+      logger.error('Webhook processing error', { err });
+      // 回傳 200 OK 避免 LINE 判定為伺服器錯誤 (500)
+      res.status(200).end();
+    }
+  }));
+
+  // Telegram webhook (TELEGRAM_BOT_TOKEN)：以 setWebhook 的 secret_token 驗證
+  // body 解析只套用在這個路由，不影響 LINE 的簽章驗證
+  if (telegram) {
+    app.post('/api/telegram', express.json(), (req, res) => telemetry.run({ requestId: randomUUID() }, async () => {
+      if (!telegram.verify(req.headers)) {
+        logger.warn('Telegram secret token mismatch');
+        res.status(401).end();
+        return;
+      }
+      await receiveMessage('telegram', telegram.toMessage(req.body));
+      res.status(200).end();
+    }));
+  }
+
+  // Slack Events API (SLACK_BOT_TOKEN)：簽章以原始 body 計算，因此不先解析 JSON
+  if (slack) {
+    app.post('/api/slack', express.raw({ type: '*/*' }), (req, res) => telemetry.run({ requestId: randomUUID() }, async () => {
+      const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+      if (!slack.verify(req.headers, rawBody)) {
+        logger.warn('Slack signature validation failed');
+        res.status(401).end();
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(rawBody);
+      } catch (err) {
+        res.status(400).end();
+        return;
+      }
+      // 設定 Request URL 時的驗證
+      if (payload.type === 'url_verification') {
+        res.json({ challenge: payload.challenge });
+        return;
+      }
+      await receiveMessage('slack', slack.toMessage(payload));
+      res.status(200).end();
+    }));
+  }
+
+  // 加入統一的錯誤處理機制，避免 line.middleware 拋出異常導致 500
+  app.use((err, req, res, next) => {
+    if (err instanceof line.SignatureValidationFailed) {
+      logger.warn('LINE signature validation failed');
+      res.status(401).send(err.signature);
+      return;
+    } else if (err instanceof line.JSONParseError) {
+      logger.warn('LINE JSON parse error');
+      res.status(400).send(err.raw);
+      return;
+    }
+
+    // 記錄其他錯誤，但為了通過 LINE 的假驗證，我們回傳 200 (或依情況回傳)
+    logger.error('Unhandled server error', { err });
+    res.status(200).end();
+  });
+
+  // 排程工作 (提醒)：由 Vercel Cron 或 scripts/cron.js 定期呼叫
+  // 需帶 Authorization: Bearer <CRON_SECRET> (Vercel Cron 會自動帶上)；只有本機開發可以不設定 CRON_SECRET
+  const cronRequiresSecret = Boolean(env.CRON_SECRET || env.VERCEL || env.NODE_ENV === 'production');
+  app.get('/api/cron', (req, res) => telemetry.run({ requestId: randomUUID() }, async () => {
+    if (cronRequiresSecret && (!env.CRON_SECRET || req.get('authorization') !== `Bearer ${env.CRON_SECRET}`)) {
+      if (!env.CRON_SECRET) logger.error('CRON_SECRET is not set, rejecting /api/cron');
+      res.status(401).end();
+      return;
+    }
+    try {
+      res.json(await telemetry.span('cron', {}, runScheduledTasks));
+    } catch (err) {
+      logger.error('Scheduled tasks failed', { err });
+      res.status(500).json({ error: 'Scheduled tasks failed' });
+    }
+  }));
+
+  // Prometheus metrics (設定 METRICS_TOKEN 時需帶 Authorization: Bearer <token>)
+  app.get('/metrics', (req, res) => {
+    if (env.METRICS_TOKEN && req.get('authorization') !== `Bearer ${env.METRICS_TOKEN}`) {
+      res.status(401).end();
+      return;
+    }
+    res.type(telemetry.registry.contentType).send(telemetry.registry.render());
+  });
+
+  // Health check endpoint
+  app.get('/', (req, res) => {
+    res.send('LINE Bot is running!');
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+};
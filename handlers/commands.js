@@ -0,0 +1,195 @@
+/**
+ * Slash Commands
+ *
+ * 在 AI pipeline 之前攔截 "/指令 參數" 形式的訊息。指令的定義 (名稱、參數、說明) 在
+ * prompts/commands.js 的 COMMANDS，這裡只實作動作；缺少實作時啟動即報錯，避免說明與行為不一致。
+ * 指令只讀寫儲存層、不呼叫模型，因此直接回覆、不進背景佇列。
+ */
+
+const {
+  buildHelpMessage, buildReminderListMessage, buildReminderCancelledText,
+  buildDocumentListMessage, buildDocumentDeletedText,
+} = require('../prompts');
+const {
+  COMMANDS, formatCommandUsage, buildChoicePromptText, buildChoiceUpdatedText, buildUnknownCommandText,
+  buildStatusText, buildGroupSettingsText, buildGroupUpdatedText,
+} = require('../prompts/commands');
+const { getSourceId } = require('../utils/history');
+const {
+  REPLY_MODES, GROUP_FEATURES, isGroupSource, getGroupId,
+} = require('../utils/groups');
+
+// "/name" 後面接空白或結尾；"/etc/hosts 是什麼" 之類的路徑不算指令
+const COMMAND_PATTERN = /^\/([A-Za-z]+)(?:\s+([\s\S]*))?$/;
+
+/**
+ * @param {string} text
+ * @returns {{name: string, args: string[]}|null}
+ */
+function parseCommand(text) {
+  const match = text.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: match[2] ? match[2].trim().split(/\s+/) : [] };
+}
+
+const SWITCH_VALUES = { on: true, off: false };
+
+/**
+ * "/group <設定> <值>" 的參數轉成 groups.update 的 patch
+ * @param {string[]} args
+ * @returns {object|null} 無法辨識時回傳 null
+ */
+function parseGroupPatch([key = '', value = '']) {
+  const name = key.toLowerCase();
+  if (name === 'mode') {
+    const replyMode = value.toLowerCase();
+    return Object.values(REPLY_MODES).includes(replyMode) ? { replyMode } : null;
+  }
+  if (name === 'prefix') {
+    return value ? { prefix: value } : null;
+  }
+  const feature = GROUP_FEATURES.find((candidate) => candidate.toLowerCase() === name);
+  const enabled = SWITCH_VALUES[value.toLowerCase()];
+  return feature && enabled !== undefined ? { features: { [feature]: enabled } } : null;
+}
+
+/**
+ * @param {object} context - 見 handlers/index.js 的 createEventHandler
+ */
+function createCommandHandler({
+  delivery, userSettings, conversationHistory, pendingMedia, groups, reminders, knowledge, telemetry, selectPrompts,
+}) {
+  const { logger } = telemetry;
+
+  // --- Command Actions：回傳要回覆的文字 (或 LINE 訊息物件)，prompts 依使用者語言選擇 ---
+
+  async function help(event, command, args, prompts) {
+    return buildHelpMessage(prompts);
+  }
+
+  async function reset(event, command, args, prompts) {
+    const sourceId = getSourceId(event.source);
+    if (conversationHistory) await conversationHistory.clear(sourceId);
+    if (pendingMedia) await pendingMedia.take(sourceId);
+    return prompts.text('command.resetDone');
+  }
+
+  async function updateSetting(event, command, args, prompts) {
+    const { userId } = event.source;
+    const { key } = command.setting;
+    const current = await userSettings.get(userId);
+    if (args.length === 0) return buildChoicePromptText(command, current[key], prompts);
+
+    const value = Object.keys(command.choices).find((choice) => choice.toLowerCase() === args[0].toLowerCase());
+    if (!value) {
+      return prompts.text('command.unsupported', { value: args[0], usage: buildChoicePromptText(command, current[key], prompts) });
+    }
+    if (!userSettings.writable || !userId) return prompts.text('command.settingsUnavailable');
+
+    await userSettings.update(userId, { [key]: value });
+    // /lang 變更後以新的語言回覆
+    return buildChoiceUpdatedText(command, value, await selectPrompts(userId));
+  }
+
+  async function status(event, command, args, prompts) {
+    const sourceId = getSourceId(event.source);
+    return buildStatusText({
+      preferences: await userSettings.get(event.source.userId),
+      historyTurns: conversationHistory ? (await conversationHistory.load(sourceId)).length : null,
+      pendingImages: pendingMedia ? await pendingMedia.count(sourceId) : 0,
+      group: isGroupSource(event.source) ? await groups.get(getGroupId(event.source)) : undefined,
+    }, prompts);
+  }
+
+  // 群組成員都可以變更設定 (LINE 不提供群組管理員的資訊)
+  async function groupSettings(event, command, args, prompts) {
+    if (!isGroupSource(event.source)) return prompts.text('group.only');
+    const groupId = getGroupId(event.source);
+    if (args.length === 0) return buildGroupSettingsText(await groups.get(groupId), prompts);
+
+    const patch = parseGroupPatch(args);
+    if (!patch) {
+      return prompts.text('command.unsupported', { value: args.join(' '), usage: buildGroupSettingsText(await groups.get(groupId), prompts) });
+    }
+    if (!groups.writable) return prompts.text('command.settingsUnavailable');
+    return buildGroupUpdatedText(await groups.update(groupId, patch), prompts);
+  }
+
+  async function listReminders(event, command, args, prompts) {
+    const { userId } = event.source;
+    if (!reminders || !userId) return prompts.text('reminder.unavailable');
+    return buildReminderListMessage(await reminders.list(userId), prompts);
+  }
+
+  async function cancelReminder(event, command, args, prompts) {
+    const { userId } = event.source;
+    if (!reminders || !userId) return prompts.text('reminder.unavailable');
+    if (args.length === 0) return prompts.text('reminder.cancelUsage', { usage: formatCommandUsage(command, prompts) });
+    return buildReminderCancelledText(await reminders.cancel(userId, args[0]), prompts);
+  }
+
+  async function listDocuments(event, command, args, prompts) {
+    const sourceId = getSourceId(event.source);
+    if (!knowledge || !sourceId) return prompts.text('document.unavailable');
+    return buildDocumentListMessage(await knowledge.list(sourceId), prompts);
+  }
+
+  async function deleteDocument(event, command, args, prompts) {
+    const sourceId = getSourceId(event.source);
+    if (!knowledge || !sourceId) return prompts.text('document.unavailable');
+    if (args.length === 0) return prompts.text('document.forgetUsage', { usage: formatCommandUsage(command, prompts) });
+    return buildDocumentDeletedText(await knowledge.remove(sourceId, args[0]), prompts);
+  }
+
+  const actions = {
+    help,
+    reset,
+    mode: updateSetting,
+    lang: updateSetting,
+    persona: updateSetting,
+    status,
+    group: groupSettings,
+    reminders: listReminders,
+    cancel: cancelReminder,
+    docs: listDocuments,
+    forget: deleteDocument,
+  };
+
+  const missing = COMMANDS.filter((command) => !actions[command.name]).map((command) => command.name);
+  if (missing.length > 0) throw new Error(`Commands without an action: ${missing.join(', ')}`);
+  const commandsByName = new Map(COMMANDS.map((command) => [command.name, command]));
+
+  /**
+   * 是否為已定義的指令 (群組中只攔截已知指令，不干擾其他 Bot 的指令)
+   * @param {string} text
+   * @param {string} [name] - 只接受這個指令
+   */
+  function isCommand(text, name) {
+    const parsed = parseCommand(text);
+    return Boolean(parsed && commandsByName.has(parsed.name) && (!name || parsed.name === name));
+  }
+
+  /**
+   * @param {object} event - LINE message event
+   * @param {{name: string, args: string[]}} invocation - parseCommand 的結果
+   */
+  async function handleCommand(event, { name, args }) {
+    const command = commandsByName.get(name);
+    const prompts = await selectPrompts(event.source.userId);
+    let reply;
+    try {
+      reply = command ? await actions[name](event, command, args, prompts) : buildUnknownCommandText(name, prompts);
+    } catch (err) {
+      logger.error(`Command /${name} failed`, { err });
+      reply = prompts.text('command.failed');
+    }
+    return delivery.send(event, typeof reply === 'string' ? { type: 'text', text: reply } : reply);
+  }
+
+  return { isCommand, handleCommand };
+}
+
+module.exports = {
+  parseCommand,
+  createCommandHandler,
+};
@@ -0,0 +1,85 @@
+/**
+ * File Handlers — 檔案訊息加入知識庫
+ *
+ * 文字檔直接以 UTF-8 解碼；PDF 交給 transcription 階段的模型擷取文字 (與語音轉文字相同，以 inline data 傳入)。
+ * 擷取出的文字由 utils/knowledge.js 切段、建立索引，提問時的檢索在 handlers/pipeline.js。
+ */
+
+const {
+  buildDocumentExtractionPrompt, DOCUMENT_EMPTY_MARKER, buildDocumentAddedText, buildDocumentErrorText,
+} = require('../prompts');
+const { generateText } = require('../providers');
+const { getSourceId } = require('../utils/history');
+const {
+  downloadMessageContent, toAttachment, withAttachments, MediaTooLargeError,
+} = require('../utils/media');
+const { KnowledgeError, getDocumentType, decodeText } = require('../utils/knowledge');
+
+/**
+ * @param {object} context - 見 handlers/index.js 的 createEventHandler (需有 knowledge)
+ */
+function createFileHandlers({
+  lineClient, providers, delivery, knowledge, telemetry, selectPrompts,
+}) {
+  const { logger, metrics } = telemetry;
+
+  /**
+   * @param {'text'|'pdf'} type
+   * @param {Buffer} buffer
+   * @param {object} prompts - 各語系的擷取 prompt 都要求保留文件原本的語言
+   * @returns {Promise<string>}
+   */
+  async function extractText(type, buffer, prompts) {
+    if (type === 'text') {
+      const text = decodeText(buffer);
+      if (text === null) throw new KnowledgeError('unsupported', 'File is not UTF-8 text');
+      return text;
+    }
+    const input = withAttachments(buildDocumentExtractionPrompt(prompts), [toAttachment(buffer, 'application/pdf')]);
+    const text = (await generateText(providers.transcription, input)).trim();
+    return text === DOCUMENT_EMPTY_MARKER ? '' : text;
+  }
+
+  // --- File Message Handler ---
+  /**
+   * @param {object} event - LINE file message event (message.fileName、message.fileSize)
+   */
+  async function handleFileMessage(event) {
+    const { fileName } = event.message;
+    const sourceId = getSourceId(event.source);
+    const prompts = await selectPrompts(event.source.userId);
+
+    let reply;
+    try {
+      const type = getDocumentType(fileName);
+      if (!type) throw new KnowledgeError('unsupported', `Unsupported file type: ${fileName}`);
+      const document = await telemetry.span('ingest', { fileType: type }, async () => {
+        const buffer = await downloadMessageContent(lineClient, event.message.id).catch((err) => {
+          throw err instanceof MediaTooLargeError ? new KnowledgeError('too_large', err.message) : err;
+        });
+        const text = await extractText(type, buffer, prompts);
+        return knowledge.add(sourceId, { name: fileName, text, addedBy: event.source.userId });
+      });
+      metrics.documents.inc({ outcome: 'added' });
+      logger.info('Document added', { documentId: document.id, chunks: document.chunks, truncated: document.truncated });
+      reply = buildDocumentAddedText(document, prompts);
+    } catch (err) {
+      const code = err instanceof KnowledgeError && err.code;
+      if (code) {
+        metrics.documents.inc({ outcome: 'rejected' });
+        logger.info('Document rejected', { code, reason: err.message });
+      } else {
+        metrics.documents.inc({ outcome: 'failed' });
+        logger.error('Error handling file message', { err });
+      }
+      reply = buildDocumentErrorText(code, knowledge, prompts);
+    }
+    return delivery.send(event, { type: 'text', text: reply });
+  }
+
+  return { handleFileMessage };
+}
+
+module.exports = {
+  createFileHandlers,
+};
@@ -0,0 +1,137 @@
+/**
+ * Group & Room Handlers
+ *
+ * 加入 / 離開群組、成員加入 / 離開的事件，以及判斷群組中的訊息是否需要回應 (見 utils/groups.js)。
+ */
+
+const { buildGroupIntroText, buildMemberWelcomeText } = require('../prompts');
+const { sanitizeName } = require('../utils/users');
+const { REPLY_MODES, getGroupId, matchTrigger } = require('../utils/groups');
+const { getDocumentType } = require('../utils/knowledge');
+
+/**
+ * @param {object} context - 見 handlers/index.js 的 createEventHandler
+ * @param {{isCommand: (text: string, name?: string) => boolean}} commands
+ */
+function createGroupHandlers({
+  lineClient, delivery, groups, conversationHistory, pendingMedia, knowledge, telemetry, promptLibrary,
+}, commands) {
+  const { logger } = telemetry;
+  // 群組沒有語言設定，自我介紹與歡迎訊息使用預設語系
+  const prompts = promptLibrary.select();
+
+  async function loadSettings(groupId) {
+    try {
+      return await groups.get(groupId);
+    } catch (err) {
+      logger.error('Failed to load group settings', { err });
+      return groups.defaults();
+    }
+  }
+
+  // --- Join: 自我介紹並說明如何呼叫 Bot ---
+  async function handleJoin(event) {
+    const settings = await loadSettings(getGroupId(event.source));
+    return delivery.send(event, { type: 'text', text: buildGroupIntroText(settings, prompts) });
+  }
+
+  // --- Leave: Bot 被移出群組，清除該群組的資料 ---
+  async function handleLeave(event) {
+    const groupId = getGroupId(event.source);
+    try {
+      await groups.remove(groupId);
+      if (conversationHistory) await conversationHistory.clear(groupId);
+      if (pendingMedia) await pendingMedia.take(groupId);
+      if (knowledge) await knowledge.clear(groupId);
+    } catch (err) {
+      logger.error('Failed to clean up group data', { err });
+    }
+    return null;
+  }
+
+  // 取得失敗的成員不列出名稱
+  async function loadMemberName(source, userId) {
+    try {
+      const profile = source.type === 'room'
+        ? await lineClient.getRoomMemberProfile(source.roomId, userId)
+        : await lineClient.getGroupMemberProfile(source.groupId, userId);
+      return sanitizeName(profile.displayName);
+    } catch (err) {
+      logger.warn('Failed to load member profile', { err });
+      return undefined;
+    }
+  }
+
+  // --- Member Joined: 歡迎新成員並說明如何呼叫 Bot (群組暫停回覆時不打擾) ---
+  async function handleMemberJoined(event) {
+    const settings = await loadSettings(getGroupId(event.source));
+    if (settings.replyMode === REPLY_MODES.OFF) return null;
+    const members = event.joined.members.filter((member) => member.type === 'user');
+    const names = (await Promise.all(members.map(({ userId }) => loadMemberName(event.source, userId)))).filter(Boolean);
+    return delivery.send(event, { type: 'text', text: buildMemberWelcomeText(names, settings, prompts) });
+  }
+
+  // --- Member Left: 沒有 reply token，只記錄人數 ---
+  async function handleMemberLeft(event) {
+    logger.info('Group members left', { count: event.left.members.length });
+    return null;
+  }
+
+  /**
+   * 判斷群組訊息是否要處理
+   * @param {object} event - 群組 / 聊天室的 message event
+   * @returns {Promise<{text?: string, quiet: boolean, multiAgent: boolean}|null>}
+   *   null 代表忽略；quiet 代表只暫存不回覆 (例如沒有呼叫 Bot 的圖片)
+   */
+  async function routeMessage(event) {
+    const { message } = event;
+    const groupId = getGroupId(event.source);
+    const settings = await loadSettings(groupId);
+    const { multiAgent } = settings.features;
+    if (settings.replyMode === REPLY_MODES.OFF) {
+      // 暫停回答時仍接受 /group，才能恢復回覆
+      const resumes = message.type === 'text' && commands.isCommand(message.text, 'group');
+      return resumes ? { text: message.text, quiet: false, multiAgent } : null;
+    }
+
+    const answerAll = settings.replyMode === REPLY_MODES.ALL;
+
+    switch (message.type) {
+      case 'text': {
+        let quotesBot = false;
+        try {
+          quotesBot = await groups.isBotMessage(groupId, message.quotedMessageId);
+        } catch (err) {
+          logger.error('Failed to load sent message ids', { err });
+        }
+        const match = matchTrigger(message, { prefix: settings.prefix, quotesBot });
+        // 已知的斜線指令 (例如 /reset) 不需要 @提及
+        if (!match && !answerAll && !commands.isCommand(message.text)) return null;
+        return { text: match ? match.text : message.text, quiet: false, multiAgent };
+      }
+
+      // 圖片沒有辦法 @提及，先暫存，等有人呼叫 Bot 時一併提供
+      case 'image':
+        return settings.features.image ? { quiet: !answerAll, multiAgent } : null;
+
+      // 語音也無法 @提及，只在回覆所有訊息的群組中處理
+      case 'audio':
+        return settings.features.audio && answerAll ? { quiet: false, multiAgent } : null;
+
+      // 檔案加入群組共用的知識庫；不支援的檔案 (壓縮檔、圖片檔等) 不回應，避免洗版
+      case 'file':
+        return settings.features.files && getDocumentType(message.fileName) ? { quiet: false, multiAgent } : null;
+
+      default:
+        return null;
+    }
+  }
+
+  return {
+    handleJoin, handleLeave, handleMemberJoined, handleMemberLeft, routeMessage,
+  };
+}
+
+module.exports = {
+  createGroupHandlers,
+};
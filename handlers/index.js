@@ -0,0 +1,481 @@
+/**
+ * LINE Event Handlers
+ *
+ * createEventHandler(deps) 組合所有 handler，回傳 handleEvent(event)、handleMessage(message) 與 runScheduledTasks() (/api/cron)。
+ * handleEvent 處理 LINE 的所有事件；handleMessage 處理其他平台 (platforms/) 轉成平台中立格式的文字訊息，
+ * 兩者共用去重、排序、流量限制與背景的 agent pipeline。
+ * 外部依賴 (LINE client、LLM providers、儲存層、背景佇列) 全部由參數注入，
+ * 正式環境由 api/index.js 依環境變數建立，測試時換成 stub / fake。
+ */
+
+const { createPlannerFromEnv } = require('../utils/planner');
+const { createBuiltinToolRegistry } = require('../tools');
+const { createDelivery, startLoadingAnimation } = require('../utils/delivery');
+const { createHistoryFromEnv, getSourceId } = require('../utils/history');
+const { createPendingMedia, downloadImage } = require('../utils/media');
+const {
+  createGroupsFromEnv, isGroupSource, getGroupId, matchTrigger,
+} = require('../utils/groups');
+const { createUserSettings } = require('../utils/user-settings');
+const { createUserRegistry } = require('../utils/users');
+const { createRemindersFromEnv } = require('../utils/reminders');
+const { createKnowledgeBaseFromEnv } = require('../utils/knowledge');
+const { createRateLimiterFromEnv } = require('../utils/rate-limit');
+const { createResilienceFromEnv } = require('../utils/resilience');
+const { createSafetyFromEnv } = require('../utils/safety');
+const { createEventLedgerFromEnv } = require('../utils/idempotency');
+const { createKeyedSequencer } = require('../utils/jobs');
+const { createTelemetryFromEnv } = require('../utils/telemetry');
+const { createPromptLibraryFromEnv } = require('../prompts/templates');
+const { createLineMessage } = require('../platforms/line');
+const { buildThrottledText } = require('../prompts');
+const { createAgentPipeline } = require('./pipeline');
+const { createMediaHandlers } = require('./media');
+const { createFileHandlers } = require('./files');
+const { createPostbackHandler } = require('./postback');
+const { createGroupHandlers } = require('./group');
+const { createLifecycleHandlers } = require('./lifecycle');
+const { parseCommand, createCommandHandler } = require('./commands');
+const { createReminderHandlers } = require('./reminders');
+
+// LINE 後台「Verify」按鈕送出的假 reply token
+const DUMMY_REPLY_TOKENS = ['00000000000000000000000000000000', 'ffffffffffffffffffffffffffffffff'];
+
+// 語音訊息長度上限 (秒)
+const DEFAULT_AUDIO_MAX_DURATION_SECONDS = 120;
+
+/**
+ * @param {object} deps
+ * @param {{channelAccessToken: string, channelSecret: string}} deps.lineConfig
+ * @param {object} deps.lineClient - @line/bot-sdk Client (或相容的 stub)
+ * @param {object} deps.providers - createProvidersFromEnv() 的結果
+ * @param {{enqueue: Function}} deps.jobs - 背景工作佇列
+ * @param {object|null} [deps.store] - key-value 儲存層；null 時以無狀態模式運作
+ * @param {object|null} [deps.rateLimitStore] - 流量限制的儲存層 (預設同 store；兩者皆為 null 時使用記憶體)
+ * @param {object|null} [deps.eventStore] - webhookEventId 去重的儲存層 (預設同 store；兩者皆為 null 時使用記憶體)
+ * @param {object|null} [deps.embedder] - 知識庫語意檢索的 embedding provider (createEmbedderFromEnv)；null 時只用關鍵字檢索
+ * @param {object} [deps.toolRegistry] - 預設為內建工具
+ * @param {(chatId: string) => Promise} [deps.startLoading] - 顯示 loading 動畫
+ * @param {object} [deps.telemetry] - utils/telemetry.js 的 createTelemetry() (app.js 與 /metrics 共用)
+ * @param {object} [deps.promptLibrary] - prompts/templates.js 的 createPromptLibrary() (預設依環境變數建立)
+ * @param {object} [deps.env] - 讀取選用設定的環境變數
+ * @returns {{handleEvent: (event: object) => Promise, handleMessage: (message: object) => Promise, runScheduledTasks: () => Promise<object>}}
+ */
+function createEventHandler({
+  lineConfig,
+  lineClient,
+  providers: baseProviders,
+  jobs,
+  store = null,
+  rateLimitStore = store,
+  eventStore = store,
+  embedder = null,
+  toolRegistry = createBuiltinToolRegistry(),
+  env = process.env,
+  telemetry = createTelemetryFromEnv(env),
+  startLoading = (chatId) => startLoadingAnimation(lineConfig.channelAccessToken, chatId, { logger: telemetry.logger }),
+  promptLibrary = createPromptLibraryFromEnv(env),
+}) {
+  const { logger, metrics } = telemetry;
+  const groups = createGroupsFromEnv(store, env);
+  // 所有模型呼叫都經過 rateLimiter 計算用量，再由 telemetry 記錄耗時與 token 用量；
+  // safety 在送出前遮蔽個資、檢查拒答清單，並判斷回覆是否被安全機制擋下；
+  // resilience 負責逾時、重試與期限 (每次重試都是一次模型呼叫)；
+  // 最外層的 rateLimiter.protect 在重試用盡後仍是 429 時才打開 circuit breaker
+  const rateLimiter = createRateLimiterFromEnv(rateLimitStore, env, { logger });
+  const safety = createSafetyFromEnv(env, {
+    onDecision: ({ stage, action, ...details }) => {
+      metrics.safetyDecisions.inc({ stage, action });
+      logger[action === 'redacted' || action === 'truncated' ? 'info' : 'warn']('Safety decision', { stage, action, ...details });
+    },
+  });
+  const resilience = createResilienceFromEnv(env, {
+    onRetry: ({ stage, attempt, delayMs, err }) => {
+      metrics.modelRetries.inc({ stage });
+      logger.warn('Retrying model call', { stage, attempt, delayMs, err });
+    },
+  });
+  const providers = rateLimiter.protect(
+    resilience.instrument(safety.instrument(telemetry.instrument(rateLimiter.instrument(baseProviders)))),
+  );
+  const delivery = createDelivery(lineClient, {
+    logger,
+    // 記住 Bot 在群組中送出的訊息，使用者引用時視為呼叫 Bot
+    onSent: (event, messageIds) => (isGroupSource(event.source) ? groups.rememberSent(getGroupId(event.source), messageIds) : null),
+    onError: (method, err) => {
+      metrics.replyErrors.inc({ method });
+      logger.warn(`${method}Message failed`, { err });
+    },
+  });
+  const users = createUserRegistry({ store });
+  const context = {
+    lineClient,
+    providers,
+    toolRegistry,
+    groups,
+    telemetry,
+    resilience,
+    safety,
+    promptLibrary,
+    selectPrompts,
+    // LINE message event → 平台中立的訊息 (pipeline 的輸入)
+    toMessage: (event) => createLineMessage(event, { delivery: context.delivery, startLoading }),
+    planner: createPlannerFromEnv(providers.supervisor, { toolNames: toolRegistry.names(), logger }, env),
+    delivery: {
+      send: (event, messages) => telemetry.span('reply', {}, () => delivery.send(event, messages)),
+    },
+    // Stateful features — 沒有儲存層時為 null，退回無狀態模式
+    conversationHistory: store ? createHistoryFromEnv(store, env) : null,
+    pendingMedia: store ? createPendingMedia({ store }) : null,
+    reminders: store ? createRemindersFromEnv(store, env) : null,
+    knowledge: store ? createKnowledgeBaseFromEnv(store, { embedder }, env) : null,
+    users,
+    userSettings: createUserSettings({ store, users }),
+    audioMaxDurationSeconds: Number(env.AUDIO_MAX_DURATION_SECONDS) || DEFAULT_AUDIO_MAX_DURATION_SECONDS,
+  };
+
+  // 重送去重與同一位使用者的處理順序
+  const eventLedger = createEventLedgerFromEnv(eventStore, env);
+  const sequencer = createKeyedSequencer();
+  const backgroundEvents = new WeakSet();
+
+  const pipeline = createAgentPipeline(context);
+  const { handleImageMessage, handleAudioMessage } = createMediaHandlers(context, pipeline);
+  const { handleFileMessage } = createFileHandlers(context);
+  const handlePostback = createPostbackHandler(context);
+  const commands = createCommandHandler(context);
+  const {
+    handleJoin, handleLeave, handleMemberJoined, handleMemberLeft, routeMessage,
+  } = createGroupHandlers(context, commands);
+  const { handleFollow, handleUnfollow } = createLifecycleHandlers(context);
+  const reminderHandlers = context.reminders ? createReminderHandlers(context) : null;
+
+  function handleEvent(event) {
+    const fields = { eventId: event.webhookEventId, eventType: event.type, sourceType: event.source && event.source.type };
+    return telemetry.run(fields, () => track(event.type, () => processEvent(event)));
+  }
+
+  /**
+   * 其他平台的文字訊息 (platforms/telegram.js、platforms/slack.js)
+   * @param {object} message - 平台中立的訊息 (platforms/index.js)
+   */
+  function handleMessage(message) {
+    const fields = {
+      eventId: message.eventId, eventType: 'message', platform: message.platform, sourceType: message.groupId ? 'group' : 'user',
+    };
+    // 與 LINE 相同，每次回覆都記錄為 reply stage
+    const traced = { ...message, send: (messages) => telemetry.span('reply', {}, () => message.send(messages)) };
+    return telemetry.run(fields, () => track('message', () => runOnce(message.raw, {
+      eventId: message.eventId,
+      orderingKey: getOrderingKey(message),
+    }, () => dispatchMessage(traced))));
+  }
+
+  async function track(type, handle) {
+    const outcome = await handle().catch((err) => {
+      recordEvent(type, 'error');
+      throw err;
+    });
+    recordEvent(type, outcome.name);
+    return outcome.result;
+  }
+
+  function recordEvent(type, outcome) {
+    metrics.events.inc({ type, outcome });
+    logger.info('event processed', { outcome });
+  }
+
+  /**
+   * @returns {Promise<{name: string, result: *}>} name 為記錄用的處理結果
+   */
+  async function processEvent(event) {
+    // Ignore LINE verification dummy tokens
+    if (DUMMY_REPLY_TOKENS.includes(event.replyToken)) {
+      return { name: 'ignored', result: null };
+    }
+    return runOnce(event, {
+      eventId: event.webhookEventId,
+      orderingKey: event.source && (event.source.userId || getSourceId(event.source)),
+      isRedelivery: Boolean(event.deliveryContext && event.deliveryContext.isRedelivery),
+    }, () => dispatchEvent(event));
+  }
+
+  /**
+   * 去重後依序處理
+   * @param {object} raw - 原始事件 (交給 runInBackground 的事件在背景工作完成時才算處理完)
+   * @param {object} options
+   * @param {string} [options.eventId] - 平台重送時不變的 ID
+   * @param {string} [options.orderingKey]
+   * @param {boolean} [options.isRedelivery] - 記錄用
+   * @param {() => Promise} dispatch
+   * @returns {Promise<{name: string, result: *}>}
+   */
+  async function runOnce(raw, { eventId, orderingKey, isRedelivery = false }, dispatch) {
+    // 重送的 event 若正在處理或已經完成就略過
+    if (eventId && !(await claimEvent(eventId))) {
+      logger.info('Skipping duplicate webhook event', { isRedelivery });
+      return { name: 'duplicate', result: null };
+    }
+
+    try {
+      // 同一位使用者的 event 依序處理，背景工作也以相同 key 排隊
+      const result = await sequencer.run(orderingKey, dispatch);
+      const queued = backgroundEvents.has(raw);
+      if (eventId && !queued) await settleEvent(eventId, 'complete');
+      return { name: queued ? 'queued' : 'handled', result };
+    } catch (err) {
+      if (eventId) await settleEvent(eventId, 'release');
+      throw err;
+    }
+  }
+
+  async function dispatchEvent(event) {
+    // --- Handle Postback Events (Rich Menu) ---
+    if (event.type === 'postback') {
+      return handlePostback(event);
+    }
+
+    // --- Handle Friends (加入好友 / 封鎖) ---
+    if (event.type === 'follow') {
+      return handleFollow(event);
+    }
+    if (event.type === 'unfollow') {
+      return handleUnfollow(event);
+    }
+
+    // --- Handle Group / Room Membership ---
+    if (event.type === 'join') {
+      return handleJoin(event);
+    }
+    if (event.type === 'leave') {
+      return handleLeave(event);
+    }
+    if (event.type === 'memberJoined') {
+      return handleMemberJoined(event);
+    }
+    if (event.type === 'memberLeft') {
+      return handleMemberLeft(event);
+    }
+
+    if (event.type !== 'message') {
+      return null;
+    }
+
+    // 群組 / 聊天室只處理呼叫 Bot 的訊息；一對一聊天全部處理
+    const route = isGroupSource(event.source)
+      ? await routeMessage(event)
+      : { text: directText(event.message), quiet: false, multiAgent: true };
+    if (!route) {
+      return null;
+    }
+    const { quiet, multiAgent } = route;
+
+    const message = context.toMessage(event);
+
+    // --- Handle Image Messages ---
+    if (event.message.type === 'image') {
+      // 只暫存不回覆的圖片不會呼叫模型，不計入流量限制
+      return runInBackground(message, 'image', () => handleImageMessage(event, { quiet, multiAgent }), { metered: !quiet });
+    }
+
+    // --- Handle Audio Messages ---
+    if (event.message.type === 'audio') {
+      return runInBackground(message, 'audio', () => handleAudioMessage(event, { multiAgent }));
+    }
+
+    // --- Handle File Messages (加入知識庫) ---
+    if (event.message.type === 'file') {
+      if (!context.knowledge) {
+        const prompts = await context.selectPrompts(event.source.userId);
+        return context.delivery.send(event, { type: 'text', text: prompts.text('document.unavailable') });
+      }
+      return runInBackground(message, 'file', () => handleFileMessage(event));
+    }
+
+    if (event.message.type !== 'text') {
+      // Ignore other message types
+      return null;
+    }
+
+    // 只有 @提及、沒有問題內容
+    if (!route.text) {
+      const prompts = await context.selectPrompts(event.source.userId);
+      return context.delivery.send(event, { type: 'text', text: prompts.text('group.emptyMention') });
+    }
+
+    // --- Handle Slash Commands (/reset、/mode …) ---
+    const command = parseCommand(route.text);
+    if (command) {
+      return commands.handleCommand(event, command);
+    }
+
+    return runInBackground(message, 'text', async () => {
+      // 「明天早上8點提醒我開會」之類的訊息設定為提醒，其餘交給 pipeline
+      if (reminderHandlers && reminderHandlers.mayBeReminder(route.text)
+        && await reminderHandlers.handleReminderRequest(event, route.text)) {
+        return null;
+      }
+      // 先前傳來的圖片以這則文字作為提問
+      const attachments = await takePendingMedia(getSourceId(event.source));
+      return pipeline.run(message, route.text, { attachments, multiAgent });
+    });
+  }
+
+  /**
+   * 一對一聊天不需要前綴，但習慣在群組輸入 "/ai 問題" 的使用者照樣得到回答，而不是被當成 /ai 指令
+   * @param {object} message - LINE message
+   * @returns {string|undefined}
+   */
+  function directText(message) {
+    if (message.type !== 'text') return message.text;
+    const match = matchTrigger({ text: message.text }, { prefix: groups.defaults().prefix });
+    return match ? match.text : message.text;
+  }
+
+  /**
+   * 其他平台只處理文字：指令的回覆是 LINE 的卡片與設定，提醒需要 LINE 的 push，因此不支援
+   * @param {object} message - 平台中立的訊息
+   */
+  async function dispatchMessage(message) {
+    // 只有 @提及、沒有問題內容
+    if (!message.text) {
+      const prompts = await context.selectPrompts(message.userId);
+      return message.send({ type: 'text', text: prompts.text('group.emptyMention') });
+    }
+
+    const command = parseCommand(message.text);
+    if (command) {
+      // Telegram 開始對話時會送出 /start
+      const prompts = await context.selectPrompts(message.userId);
+      return message.send({ type: 'text', text: prompts.text(command.name === 'start' ? 'greeting.aiChat' : 'platform.commandsUnavailable') });
+    }
+
+    return runInBackground(message, 'text', () => pipeline.run(message, message.text));
+  }
+
+  /**
+   * 檢查流量限制後，顯示 loading 動畫並把工作交給背景佇列，webhook 可以立即回應
+   * @param {object} message - 平台中立的訊息 (platforms/index.js)
+   * @param {string} name - 工作名稱 (記錄用)
+   * @param {() => Promise} task
+   * @param {object} [options]
+   * @param {boolean} [options.metered] - 是否計入流量限制與每日額度
+   */
+  async function runInBackground(message, name, task, { metered = true } = {}) {
+    const subject = { userId: message.userId, groupId: message.groupId };
+    if (metered) {
+      const throttled = await checkRateLimit(subject);
+      if (throttled) {
+        metrics.throttled.inc({ reason: throttled.reason });
+        logger.info('Throttled', { ...subject, ...throttled });
+        const prompts = await context.selectPrompts(subject.userId);
+        return message.send({ type: 'text', text: buildThrottledText(throttled, prompts) });
+      }
+    }
+
+    if (message.showTyping) {
+      await showTyping(message);
+    }
+    backgroundEvents.add(message.raw);
+    // 期限從收到訊息時起算 (在佇列中等待的時間也算在 function 的執行時間內)
+    const deadlineAt = resilience.startDeadline();
+    // 背景工作沿用這個 event 的 requestId
+    jobs.enqueue(`${name}:${message.messageId}`, telemetry.bind(() => telemetry.span('job', { job: name }, async () => {
+      try {
+        return await resilience.withDeadline(deadlineAt, () => (metered ? rateLimiter.track(subject, task) : task()));
+      } finally {
+        if (message.eventId) await settleEvent(message.eventId, 'complete');
+      }
+    })), { key: getOrderingKey(message) });
+    return null;
+  }
+
+  /**
+   * 定期執行的工作 (由 /api/cron 呼叫)：送出到期的提醒
+   * @returns {Promise<{reminders: {sent: number, failed: number}}>}
+   */
+  async function runScheduledTasks() {
+    return {
+      reminders: reminderHandlers ? await reminderHandlers.sendDueReminders() : { sent: 0, failed: 0 },
+    };
+  }
+
+  function getOrderingKey(message) {
+    return message.userId || message.sourceId;
+  }
+
+  // 「輸入中」只是提示，失敗時照常處理
+  async function showTyping(message) {
+    try {
+      await message.showTyping();
+    } catch (err) {
+      logger.warn('Failed to show typing indicator', { err });
+    }
+  }
+
+  // 儲存層失敗時照常處理 (寧可重複回覆，也不要漏掉訊息)
+  async function claimEvent(eventId) {
+    try {
+      return await eventLedger.claim(eventId);
+    } catch (err) {
+      logger.error('Failed to claim webhook event', { err });
+      return true;
+    }
+  }
+
+  async function settleEvent(eventId, action) {
+    try {
+      await eventLedger[action](eventId);
+    } catch (err) {
+      logger.error(`Failed to ${action} webhook event`, { err });
+    }
+  }
+
+  /**
+   * 依使用者的語言設定選擇 prompt 與回覆文字 (不需呼叫 pipeline 的回覆使用)；讀取設定失敗時使用預設語系
+   * @param {string} [userId]
+   */
+  async function selectPrompts(userId) {
+    try {
+      const { lang } = await context.userSettings.get(userId);
+      return promptLibrary.select({ userId, lang });
+    } catch (err) {
+      logger.error('Failed to load user settings', { err });
+      return promptLibrary.select({ userId });
+    }
+  }
+
+  // 儲存層失敗時放行，不因流量限制而無法回答
+  async function checkRateLimit(subject) {
+    try {
+      return await rateLimiter.check(subject);
+    } catch (err) {
+      logger.error('Failed to check rate limit', { err });
+      return null;
+    }
+  }
+
+  // 暫存的是訊息 ID，提問時才下載；下載失敗的圖片略過，照常回答文字
+  async function takePendingMedia(sourceId) {
+    if (!context.pendingMedia || !sourceId) return [];
+    let pending;
+    try {
+      pending = await context.pendingMedia.take(sourceId);
+    } catch (err) {
+      logger.error('Failed to load pending images', { err });
+      return [];
+    }
+    const attachments = await Promise.all(pending.map(({ messageId }) => downloadImage(lineClient, messageId).catch((err) => {
+      logger.warn('Failed to download pending image', { err });
+      return null;
+    })));
+    return attachments.filter(Boolean);
+  }
+
+  return { handleEvent, handleMessage, runScheduledTasks };
+}
+
+module.exports = {
+  DUMMY_REPLY_TOKENS,
+  createEventHandler,
+};
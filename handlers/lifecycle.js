@@ -0,0 +1,69 @@
+/**
+ * Lifecycle Handlers — 加入好友與封鎖
+ *
+ * follow：以 getProfile 取得名稱與語言登錄到 user registry (utils/users.js)，再以使用者的語言回覆歡迎卡片；
+ * unfollow：沒有 reply token，只把使用者標記為 inactive。
+ * 取得個人檔案或寫入失敗只記錄錯誤，照常回覆。
+ */
+
+const { buildWelcomeMessage } = require('../prompts');
+const { resolveLanguage, sanitizeName } = require('../utils/users');
+
+/**
+ * @param {object} context - 見 handlers/index.js 的 createEventHandler
+ */
+function createLifecycleHandlers({
+  lineClient, delivery, users, userSettings, promptLibrary, selectPrompts, telemetry,
+}) {
+  const { logger } = telemetry;
+
+  async function loadProfile(userId) {
+    try {
+      return await lineClient.getProfile(userId);
+    } catch (err) {
+      logger.warn('Failed to load user profile', { err });
+      return null;
+    }
+  }
+
+  // 有儲存層時依設定選擇 (重新加入的使用者可能已用 /lang 設定過)，否則直接用 LINE 的語言
+  function selectWelcomePrompts(userId, profile) {
+    if (userSettings.writable) return selectPrompts(userId);
+    return promptLibrary.select({ userId, lang: resolveLanguage(profile && profile.language) || undefined });
+  }
+
+  // --- Follow: 登錄個人檔案並回覆歡迎卡片 ---
+  async function handleFollow(event) {
+    const { userId } = event.source;
+    const isUnblocked = Boolean(event.follow && event.follow.isUnblocked);
+    const profile = await loadProfile(userId);
+    try {
+      await users.register(userId, profile || {});
+    } catch (err) {
+      logger.error('Failed to register user', { err });
+    }
+    // 不記錄名稱
+    logger.info('User followed', { isUnblocked, language: profile && profile.language });
+
+    const prompts = await selectWelcomePrompts(userId, profile);
+    const name = sanitizeName(profile && profile.displayName);
+    return delivery.send(event, buildWelcomeMessage({ name, isUnblocked }, prompts));
+  }
+
+  // --- Unfollow: 標記為 inactive (保留紀錄，重新加入時沿用) ---
+  async function handleUnfollow(event) {
+    try {
+      await users.deactivate(event.source.userId);
+    } catch (err) {
+      logger.error('Failed to deactivate user', { err });
+    }
+    logger.info('User unfollowed');
+    return null;
+  }
+
+  return { handleFollow, handleUnfollow };
+}
+
+module.exports = {
+  createLifecycleHandlers,
+};
@@ -0,0 +1,116 @@
+/**
+ * Media Handlers — 圖片與語音訊息
+ *
+ * 圖片先暫存訊息 ID，等使用者的下一則文字作為提問時才下載；
+ * 語音先轉成文字，再以文字跑一般的 pipeline。
+ */
+
+const {
+  buildImageReceivedText, buildTranscriptionPrompt, TRANSCRIPTION_EMPTY_MARKER, buildTranscriptText,
+} = require('../prompts');
+const { generateText } = require('../providers');
+const { getSourceId } = require('../utils/history');
+const {
+  downloadMessageContent, downloadImage, isMp4Container, toAttachment, withAttachments, MediaTooLargeError,
+} = require('../utils/media');
+const { SafetyBlockedError } = require('../utils/safety');
+
+/**
+ * @param {object} context - 見 handlers/index.js 的 createEventHandler
+ * @param {{run: Function}} pipeline
+ */
+function createMediaHandlers({
+  lineClient, providers, delivery, pendingMedia, audioMaxDurationSeconds, telemetry, selectPrompts, toMessage,
+}, pipeline) {
+  const { logger } = telemetry;
+
+  // --- Image Message Handler ---
+  /**
+   * @param {object} event
+   * @param {object} [options]
+   * @param {boolean} [options.quiet] - 只暫存、不回覆 (群組中沒有呼叫 Bot 的圖片)
+   * @param {boolean} [options.multiAgent] - 無法暫存而直接描述圖片時是否使用 multi-agent
+   */
+  async function handleImageMessage(event, { quiet = false, multiAgent = true } = {}) {
+    const sourceId = getSourceId(event.source);
+
+    try {
+      // 無法暫存時 (無狀態模式) 直接描述圖片
+      if (!pendingMedia || !sourceId) {
+        if (quiet) return null;
+        const attachment = await downloadImage(lineClient, event.message.id);
+        const question = (await selectPrompts(event.source.userId)).text('image.defaultQuestion');
+        return pipeline.run(toMessage(event), question, { attachments: [attachment], multiAgent });
+      }
+
+      const count = await pendingMedia.add(sourceId, event.message.id);
+      if (quiet) return null;
+      return delivery.send(event, {
+        type: 'text',
+        text: buildImageReceivedText(count, await selectPrompts(event.source.userId)),
+      });
+    } catch (err) {
+      logger.error('Error handling image message', { err });
+      if (quiet) return null;
+      const prompts = await selectPrompts(event.source.userId);
+      return delivery.send(event, {
+        type: 'text',
+        text: prompts.text(err instanceof MediaTooLargeError ? 'image.tooLarge' : 'image.failed'),
+      });
+    }
+  }
+
+  // --- Audio Message Handler ---
+  /**
+   * @param {object} event
+   * @param {object} [options]
+   * @param {boolean} [options.multiAgent]
+   */
+  async function handleAudioMessage(event, { multiAgent = true } = {}) {
+    const prompts = await selectPrompts(event.source.userId);
+    const tooLongText = prompts.text('audio.tooLong', { seconds: audioMaxDurationSeconds });
+    // event.message.duration 單位為毫秒
+    if (event.message.duration > audioMaxDurationSeconds * 1000) {
+      return delivery.send(event, { type: 'text', text: tooLongText });
+    }
+
+    let transcript;
+    try {
+      const buffer = await downloadMessageContent(lineClient, event.message.id);
+      if (!isMp4Container(buffer)) {
+        return delivery.send(event, { type: 'text', text: prompts.text('audio.unsupported') });
+      }
+
+      // 各語系的 prompt 都要求保留說話者的語言
+      const audioInput = withAttachments(buildTranscriptionPrompt(prompts), [toAttachment(buffer, 'audio/mp4')]);
+      transcript = (await telemetry.span('transcription', {}, () => generateText(providers.transcription, audioInput))).trim();
+    } catch (err) {
+      // 語音內容被安全機制擋下 (已由 utils/safety.js 記錄)
+      if (err instanceof SafetyBlockedError) {
+        return delivery.send(event, { type: 'text', text: prompts.text(`safety.${err.code}`) });
+      }
+      logger.error('Error transcribing audio message', { err });
+      return delivery.send(event, {
+        type: 'text',
+        text: err instanceof MediaTooLargeError ? tooLongText : prompts.text('audio.failed'),
+      });
+    }
+
+    if (!transcript || transcript.includes(TRANSCRIPTION_EMPTY_MARKER)) {
+      return delivery.send(event, { type: 'text', text: prompts.text('audio.unclear') });
+    }
+
+    // 逐字稿可能含個資，只記錄長度
+    logger.info('Audio transcript', { length: transcript.length });
+    return pipeline.run(toMessage(event), transcript, {
+      multiAgent,
+      leadingMessages: [{ type: 'text', text: buildTranscriptText(transcript, prompts) }],
+    });
+  }
+
+  return { handleImageMessage, handleAudioMessage };
+}
+
+module.exports = {
+  createMediaHandlers,
+};
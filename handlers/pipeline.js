@@ -0,0 +1,232 @@
+/**
+ * Agent Pipeline — Supervisor → Sub-agents → Synthesizer
+ *
+ * 文字、圖片與語音訊息最後都交給 run()，輸入是平台中立的訊息 (platforms/index.js)，完成後以 message.send 回覆。
+ * 回答以 { type: 'answer' } 交給各平台排版：LINE 由 utils/flex.js 排成 carousel / Flex bubble / 純文字
+ * (reply token 過期時改用 push)，Telegram 與 Slack 見 platforms/。
+ * 有知識庫 (utils/knowledge.js) 時先檢索相關段落，交給各 Agent 與 Synthesizer 引用，回答後附上引用的來源。
+ * 每個階段以 telemetry.span 記錄耗時，log 帶有同一個 requestId (見 utils/telemetry.js)。
+ * 模型呼叫的逾時與重試由 utils/resilience.js 處理；Sub-agent 須在期限前 synthesizerReserveMs 結束，
+ * 逾時的 Agent 直接取消。Synthesizer 失敗時改以已完成的 Agent 結果作為降級回答。
+ * prompt 依使用者的語言 (/lang) 與實驗分組選擇 (prompts/templates.js)，分組記錄在 log 與 metrics。
+ * 被安全機制擋下的模型呼叫 (utils/safety.js) 以對應的說明回覆，不當作系統錯誤；
+ * 拒答清單與個資遮蔽只套用在使用者的這則訊息 (safety.guard)，對話紀錄保存遮蔽後的文字。
+ */
+
+const {
+  buildSupervisorPrompt, buildSimplePrompt, buildAgentPrompt, buildSynthesizerPrompt, buildAttachmentNote, appendCitations,
+  buildDegradedAnswer, formatAgentReports,
+} = require('../prompts');
+const { generateText } = require('../providers');
+const { runTaskGraph } = require('../utils/task-graph');
+const { generateWithTools } = require('../tools');
+const { answerMessage } = require('../platforms');
+const { withAttachments } = require('../utils/media');
+const { DeadlineExceededError } = require('../utils/resilience');
+const { SafetyBlockedError } = require('../utils/safety');
+
+/**
+ * 失敗的 Agent 交給 Synthesizer 與顯示在卡片上的標記
+ * @param {Error} err
+ * @returns {string} strings.json 的 key
+ */
+function getAgentFailureKey(err) {
+  if (err instanceof DeadlineExceededError) return 'agent.timedOut';
+  if (err instanceof SafetyBlockedError) return 'agent.blocked';
+  return 'agent.failed';
+}
+
+/**
+ * @param {object} context - 見 handlers/index.js 的 createEventHandler
+ */
+function createAgentPipeline({
+  providers, planner, toolRegistry, conversationHistory, userSettings, knowledge, telemetry, resilience, promptLibrary, safety,
+}) {
+  const { logger, metrics } = telemetry;
+
+  // --- Conversation History Helpers ---
+  // 讀寫失敗只記錄錯誤，不影響回覆 (退回無狀態模式)
+
+  async function loadHistory(sourceId) {
+    if (!conversationHistory || !sourceId) return [];
+    try {
+      return await conversationHistory.load(sourceId);
+    } catch (err) {
+      logger.error('Failed to load conversation history', { err });
+      return [];
+    }
+  }
+
+  async function saveHistory(sourceId, userText, modelText) {
+    if (!conversationHistory || !sourceId) return;
+    try {
+      await conversationHistory.append(sourceId, userText, modelText);
+    } catch (err) {
+      logger.error('Failed to save conversation history', { err });
+    }
+  }
+
+  // 讀取失敗時使用預設設定
+  async function loadPreferences(userId) {
+    try {
+      return await userSettings.get(userId);
+    } catch (err) {
+      logger.error('Failed to load user settings', { err });
+      return {};
+    }
+  }
+
+  // 檢索失敗只記錄錯誤，照常回答 (不附參考資料)
+  async function searchKnowledge(sourceId, query) {
+    if (!knowledge || !sourceId) return [];
+    try {
+      const passages = await telemetry.span('retrieval', {}, () => knowledge.search(sourceId, query));
+      if (passages.length > 0) {
+        logger.info('Knowledge passages', { passages: passages.map(({ documentId, chunk }) => ({ documentId, chunk })) });
+      }
+      return passages;
+    } catch (err) {
+      logger.error('Failed to search knowledge base', { err });
+      return [];
+    }
+  }
+
+  /**
+   * @param {object} message - 平台中立的訊息 (userId、sourceId、send)
+   * @param {string} userMessage - 使用者的提問
+   * @param {object} [options]
+   * @param {Array<{mimeType: string, data: string}>} [options.attachments] - 一併提供給模型的圖片
+   * @param {Array<object>} [options.leadingMessages] - 放在回答之前的訊息 (例如語音辨識結果)
+   * @param {boolean} [options.multiAgent] - false 時略過 Supervisor，直接以單一對話回答 (群組可關閉)
+   *   使用者以 /mode simple 設定時同樣略過；/mode agents 則要求 Supervisor 拆解
+   */
+  async function run(message, userMessage, options = {}) {
+    const preferences = await loadPreferences(message.userId);
+    const prompts = promptLibrary.select({ userId: message.userId, lang: preferences.lang });
+    // 這則訊息的 log 都帶有 prompt 分組，方便比較實驗結果
+    return telemetry.run({ promptVariant: prompts.variant, locale: prompts.locale }, () => safety.guard(
+      userMessage,
+      () => answer(message, userMessage, preferences, prompts, options),
+    ));
+  }
+
+  async function answer(message, userMessage, preferences, prompts, { attachments = [], leadingMessages = [], multiAgent = true }) {
+    const send = (messages, outcome = 'answered') => {
+      metrics.answers.inc({ variant: prompts.variant, outcome });
+      return message.send(messages);
+    };
+    try {
+      const { sourceId } = message;
+      const history = await loadHistory(sourceId);
+      const passages = await searchKnowledge(sourceId, userMessage);
+      const promptMessage = `${buildAttachmentNote(attachments, prompts)}${userMessage}`;
+      const historyText = safety.redactText(attachments.length > 0 ? `${prompts.text('image.historyMarker')} ${userMessage}` : userMessage);
+
+      // --- Step 1: Supervisor Analysis ---
+      const supervisorPrompt = buildSupervisorPrompt(promptMessage, history, toolRegistry.catalog(), preferences, prompts);
+      const skipReason = getSkipReason(multiAgent, preferences);
+      const { tasks, fallbackReason } = skipReason
+        ? { tasks: [], fallbackReason: null }
+        : await telemetry.span('supervisor', {}, () => planner.plan(withAttachments(supervisorPrompt, attachments), { prompts }));
+
+      // 如果沒有子任務 (或是計畫驗證失敗)，則使用傳統單一模式
+      if (tasks.length === 0) {
+        const reason = skipReason || (fallbackReason ? 'invalid_plan' : 'simple_request');
+        metrics.fallbacks.inc({ reason });
+        logger.info('Using simple response mode', { reason, fallbackReason });
+        const text = await telemetry.span('simple', {}, () => generateText(
+          providers.default,
+          withAttachments(buildSimplePrompt(promptMessage, history, preferences, passages, prompts), attachments),
+        ));
+        await saveHistory(sourceId, historyText, text);
+        return send([...leadingMessages, answerMessage(appendCitations(text, passages, prompts))]);
+      }
+
+      // --- Step 2: Sub-agent Execution (DAG：獨立任務並行，依賴任務等待前置結果) ---
+      logger.info('Supervisor assigned tasks', { tasks: tasks.map(({ id, role, dependsOn, tools }) => ({ id, role, dependsOn, tools })) });
+      const toolCalls = [];
+      // 保留時間給 Synthesizer：超過 agentDeadline 仍未完成的 Agent 直接取消
+      const agentDeadline = resilience.deadlineAt() - resilience.synthesizerReserveMs;
+      const agentResults = await runTaskGraph(tasks, async (task, upstream) => {
+        const upstreamResults = upstream.filter((u) => u.output.ok).map((u) => ({ role: u.task.role, output: u.output.text }));
+        const agentInput = withAttachments(buildAgentPrompt(task.role, task.instruction, promptMessage, history, upstreamResults, passages, prompts), attachments);
+        try {
+          const text = await telemetry.span('agent', { taskId: task.id, role: task.role }, () => resilience.race(agentDeadline, () => (
+            task.tools.length > 0
+              ? generateWithTools(providers.agent, agentInput, {
+                registry: toolRegistry,
+                toolNames: task.tools,
+                onToolCall: (record) => toolCalls.push({ task: task.id, role: task.role, ...record }),
+              })
+              : generateText(providers.agent, agentInput))));
+          return { ok: true, text };
+        } catch (err) {
+          // 錯誤已由 span 記錄 (含 taskId、role)
+          metrics.agentFailures.inc();
+          return { ok: false, text: prompts.text(getAgentFailureKey(err)) };
+        }
+      });
+      if (toolCalls.length > 0) {
+        logger.info('Tool calls', { source: sourceId, calls: toolCalls });
+      }
+
+      const agentResultsCombined = formatAgentReports(tasks.map((task, index) => ({ role: task.role, ...agentResults[index] })), prompts);
+
+      // --- Step 3: Synthesis ---
+      const synthesizerPrompt = buildSynthesizerPrompt(promptMessage, agentResultsCombined, history, preferences, passages, prompts);
+      let finalText;
+      try {
+        finalText = await telemetry.span('synthesizer', {}, () => generateText(
+          providers.synthesizer,
+          withAttachments(synthesizerPrompt, attachments),
+        ));
+      } catch (err) {
+        const completed = tasks
+          .map((task, index) => ({ role: task.role, ...agentResults[index] }))
+          .filter((result) => result.ok);
+        // 統整回覆被安全機制擋下時不改送各 Agent 的原始結果
+        if (completed.length === 0 || err instanceof SafetyBlockedError) throw err;
+        // 降級回答：直接列出已完成的 Agent 結果，不再另附每個角色的卡片
+        metrics.degradedAnswers.inc();
+        logger.warn('Synthesizer failed, sending agent results', { completed: completed.length, err });
+        const degradedText = buildDegradedAnswer(completed, prompts);
+        await saveHistory(sourceId, historyText, degradedText);
+        return send([...leadingMessages, answerMessage(appendCitations(degradedText, passages, prompts))], 'degraded');
+      }
+      await saveHistory(sourceId, historyText, finalText);
+
+      // 回覆給使用者：統整回覆 + 每個角色的結果
+      const sections = tasks.map((task, index) => ({
+        title: task.role,
+        text: agentResults[index].text,
+        failed: !agentResults[index].ok,
+      }));
+      return send([...leadingMessages, answerMessage(appendCitations(finalText, passages, prompts), sections)]);
+
+    } catch (err) {
+      // 安全決定已由 utils/safety.js 記錄
+      if (err instanceof SafetyBlockedError) {
+        return send({ type: 'text', text: prompts.text(`safety.${err.code}`) }, 'blocked');
+      }
+      logger.error('Error handling event', { err });
+      return send({ type: 'text', text: prompts.text('error.pipeline') }, 'error');
+    }
+  }
+
+  return { run };
+}
+
+/**
+ * 略過 Supervisor 的原因 (metrics 的 fallback reason)；null 代表交給 Supervisor 判斷
+ * @param {boolean} multiAgent - 群組可關閉
+ * @param {{mode?: string}} preferences - /mode simple 時略過
+ */
+function getSkipReason(multiAgent, preferences) {
+  if (!multiAgent) return 'multi_agent_disabled';
+  if (preferences.mode === 'simple') return 'simple_mode';
+  return null;
+}
+
+module.exports = {
+  createAgentPipeline,
+};
@@ -0,0 +1,95 @@
+/**
+ * Postback Handler (Rich Menu actions)
+ *
+ * 回覆內容固定、不需呼叫模型，因此不進背景佇列，直接以 delivery.send 回覆 (功能列表與使用說明為 Flex 卡片)。
+ * 帶參數的 postback (例如提醒卡片的取消按鈕、文件清單的刪除按鈕) 依 action 交給 POSTBACK_ACTIONS 處理。
+ * scripts/setup-rich-menu.js 以 HANDLED_POSTBACK_ACTIONS 檢查選單設定中的 postback 都有對應處理。
+ */
+
+const {
+  ACTIONS, buildFeatureListMessage, buildHelpMessage,
+  buildReminderCancelledText, buildDocumentDeletedText,
+} = require('../prompts');
+const { getSourceId } = require('../utils/history');
+
+// postback data → (context, event, prompts) => 回覆的 LINE 訊息；prompts 依使用者的語言設定 (/lang)
+const POSTBACK_REPLIES = {
+  [ACTIONS.FEATURES]: (context, event, prompts) => buildFeatureListMessage(prompts),
+  [ACTIONS.HELP]: (context, event, prompts) => buildHelpMessage(prompts),
+  [ACTIONS.AI_CHAT]: (context, event, prompts) => ({ type: 'text', text: prompts.text('greeting.aiChat') }),
+};
+
+// 帶參數的 postback：action → (context, event, params, prompts) => 回覆的 LINE 訊息
+const POSTBACK_ACTIONS = {
+  [ACTIONS.CANCEL_REMINDER]: async ({ reminders }, event, params, prompts) => {
+    const { userId } = event.source;
+    if (!reminders || !userId) return { type: 'text', text: prompts.text('reminder.unavailable') };
+    return { type: 'text', text: buildReminderCancelledText(await reminders.cancel(userId, params.get('id')), prompts) };
+  },
+  // 群組的知識庫由群組成員共用，任何成員都可以刪除
+  [ACTIONS.DELETE_DOCUMENT]: async ({ knowledge }, event, params, prompts) => {
+    const sourceId = getSourceId(event.source);
+    if (!knowledge || !sourceId) return { type: 'text', text: prompts.text('document.unavailable') };
+    return { type: 'text', text: buildDocumentDeletedText(await knowledge.remove(sourceId, params.get('id')), prompts) };
+  },
+};
+
+// Rich Menu 切換分頁 (richmenuswitch) 也會送出 postback，由 LINE 切換選單，不需回覆
+const SILENT_ACTIONS = [ACTIONS.SWITCH_MENU];
+
+const HANDLED_POSTBACK_ACTIONS = [...Object.keys(POSTBACK_REPLIES), ...SILENT_ACTIONS];
+
+/**
+ * 取出 postback data 中的 action (例如 "action=switch_menu&menu=settings" → "action=switch_menu")
+ */
+function getAction(data) {
+  return (data || '').split('&')[0];
+}
+
+/**
+ * @param {object} context - 見 handlers/index.js 的 createEventHandler
+ */
+function createPostbackHandler(context) {
+  const { delivery, selectPrompts, telemetry: { logger } } = context;
+
+  /**
+   * @returns {Promise<object>} 回覆的 LINE 訊息
+   */
+  async function buildPostbackReply(event, data, prompts) {
+    const action = POSTBACK_ACTIONS[getAction(data)];
+    if (action) {
+      return action(context, event, new URLSearchParams(data), prompts);
+    }
+
+    const buildReply = POSTBACK_REPLIES[data];
+    if (!buildReply) {
+      logger.warn('Unknown postback action', { data });
+      return { type: 'text', text: prompts.text('postback.unknown') };
+    }
+    return buildReply(context, event, prompts);
+  }
+
+  return async function handlePostback(event) {
+    const data = event.postback.data;
+    if (SILENT_ACTIONS.includes(getAction(data))) {
+      return null;
+    }
+
+    const prompts = await selectPrompts(event.source.userId);
+    let reply;
+    try {
+      reply = await buildPostbackReply(event, data, prompts);
+    } catch (err) {
+      logger.error('Error handling postback', { err });
+      reply = { type: 'text', text: prompts.text('postback.failed') };
+    }
+    // 送出失敗時 reply token 可能已經用掉，不再以同一個 token 回覆錯誤訊息
+    return delivery.send(event, reply);
+  };
+}
+
+module.exports = {
+  HANDLED_POSTBACK_ACTIONS,
+  getAction,
+  createPostbackHandler,
+};
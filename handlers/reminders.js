@@ -0,0 +1,122 @@
+/**
+ * Reminder Handlers
+ *
+ * 文字訊息提到「提醒」時，先請模型解析 (utils/reminders.js 的 createReminderParser)；
+ * 不是提醒就交回一般的 pipeline 回答。
+ * sendDueReminders() 由 /api/cron 呼叫，以 pushMessage 送出到期的提醒。
+ */
+
+const {
+  buildReminderCreatedMessage, buildReminderErrorText, buildReminderDueText,
+} = require('../prompts');
+const { ReminderError, createReminderParser } = require('../utils/reminders');
+const { getSourceId } = require('../utils/history');
+
+// 只有提到提醒的訊息才多花一次模型呼叫解析
+const REMINDER_PATTERN = /提醒|remind|リマインド|通知|知らせて/i;
+
+/**
+ * @param {object} context - 見 handlers/index.js 的 createEventHandler (需有 reminders)
+ */
+function createReminderHandlers({
+  providers, lineClient, delivery, reminders, telemetry, promptLibrary, selectPrompts, safety,
+}) {
+  const { logger, metrics } = telemetry;
+  const parser = createReminderParser({ provider: providers.default, timeZone: reminders.timeZone, prompts: promptLibrary.select() });
+
+  function mayBeReminder(text) {
+    return REMINDER_PATTERN.test(text);
+  }
+
+  // 解析失敗時當作一般訊息，由 pipeline 回答 (符合拒答清單的訊息也交給 pipeline 回覆)；
+  // 模型看到的是遮蔽個資後的訊息，提醒內容要換回原本的電話、Email 等
+  async function parse(text, prompts) {
+    try {
+      return await telemetry.span('reminder', {}, () => safety.guard(text, async (restore) => {
+        const parsed = await parser.parse(text, { prompts });
+        return parsed && { ...parsed, message: restore(parsed.message) };
+      }));
+    } catch (err) {
+      logger.warn('Failed to parse reminder request', { err });
+      return null;
+    }
+  }
+
+  /**
+   * 嘗試把訊息設定為提醒
+   * @param {object} event - LINE message event
+   * @param {string} text
+   * @returns {Promise<boolean>} false 代表不是提醒，應交給 pipeline
+   */
+  async function handleReminderRequest(event, text) {
+    const { userId } = event.source;
+    const targetId = getSourceId(event.source);
+    if (!userId || !targetId) return false;
+
+    const prompts = await selectPrompts(userId);
+    const parsed = await parse(text, prompts);
+    if (!parsed) return false;
+
+    let reply;
+    try {
+      const reminder = await reminders.create({ ownerId: userId, targetId, ...parsed });
+      metrics.reminders.inc({ outcome: 'created' });
+      logger.info('Reminder created', { reminderId: reminder.id, recurrence: reminder.recurrence, nextAt: new Date(reminder.nextAt).toISOString() });
+      reply = buildReminderCreatedMessage(reminder, prompts);
+    } catch (err) {
+      if (err instanceof ReminderError) {
+        metrics.reminders.inc({ outcome: 'rejected' });
+        logger.info('Reminder rejected', { code: err.code, reason: err.message });
+        reply = { type: 'text', text: buildReminderErrorText(err.code, reminders, prompts) };
+      } else {
+        logger.error('Failed to save reminder', { err });
+        reply = { type: 'text', text: prompts.text('reminder.unavailable') };
+      }
+    }
+    await delivery.send(event, reply);
+    return true;
+  }
+
+  /**
+   * 送出到期的提醒 (依序 push，失敗的提醒稍後重試)
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async function sendDueReminders() {
+    const due = await reminders.takeDue();
+    let sent = 0;
+    let failed = 0;
+    for (const reminder of due) {
+      // 先排到下一次再 push：push 後才更新的話，更新失敗會在 lease 到期後重複送出
+      try {
+        await reminders.complete(reminder);
+      } catch (err) {
+        failed++;
+        metrics.reminders.inc({ outcome: 'failed' });
+        logger.error('Failed to complete reminder', { reminderId: reminder.id, err });
+        continue;
+      }
+      try {
+        // 依設定提醒的使用者的語言 (群組中的提醒也是)
+        const prompts = await selectPrompts(reminder.ownerId);
+        await lineClient.pushMessage(reminder.targetId, { type: 'text', text: buildReminderDueText(reminder, prompts) });
+      } catch (err) {
+        failed++;
+        metrics.reminders.inc({ outcome: 'failed' });
+        metrics.replyErrors.inc({ method: 'push' });
+        logger.warn('Failed to send reminder', { reminderId: reminder.id, attempts: reminder.attempts + 1, err });
+        await reminders.fail(reminder);
+        continue;
+      }
+      sent++;
+      metrics.reminders.inc({ outcome: 'sent' });
+    }
+    if (due.length > 0) logger.info('Reminders sent', { sent, failed });
+    return { sent, failed };
+  }
+
+  return { mayBeReminder, handleReminderRequest, sendDueReminders };
+}
+
+module.exports = {
+  createReminderHandlers,
+};
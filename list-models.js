@@ -1,18 +1,13 @@
 require('dotenv').config();
+const { createProvidersFromEnv } = require('./providers');
 
+// 列出預設 provider (LLM_PROVIDER，預設 gemini) 可用的模型
 async function listModels() {
-    const apiKey = process.env.GEMINI_API_KEY;
-    const url = `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`;
-
     try {
-        const response = await fetch(url);
-        const data = await response.json();
-        if (data.models) {
-            console.log('Available Models:');
-            data.models.forEach(m => console.log(m.name));
-        } else {
-            console.log('Error fetching models:', data);
-        }
+        const provider = createProvidersFromEnv().default;
+        const models = await provider.listModels();
+        console.log(`Available Models (${provider.name}):`);
+        models.forEach(name => console.log(name));
     } catch (err) {
         console.error('Fetch error:', err);
     }
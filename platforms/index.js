@@ -0,0 +1,46 @@
+/**
+ * Platforms — 平台中立的訊息模型
+ *
+ * 各平台的 adapter 把 webhook 事件轉成同一種訊息，交給 handlers/index.js 的 pipeline：
+ *   {
+ *     platform,    // 'line' | 'telegram' | 'slack'
+ *     eventId,     // 去重用 (LINE 為 webhookEventId，其他平台加上平台前綴)
+ *     messageId,   // 背景工作名稱
+ *     userId,      // 偏好設定、流量限制與處理順序的 key (非 LINE 平台加上前綴，避免與 LINE 的 ID 衝突)
+ *     groupId,     // 群組 / 頻道 (一對一聊天為 undefined)，群組的流量限制
+ *     sourceId,    // 對話歷史與知識庫的 key
+ *     text,        // 文字內容 (已去掉 @提及)
+ *     raw,         // 原始事件
+ *     send(messages),  // 回覆，見下方的訊息格式
+ *     showTyping(),    // 選用：顯示「輸入中」
+ *   }
+ * send() 接受一則或多則訊息：
+ *   { type: 'text', text }               — 純文字
+ *   { type: 'answer', text, sections? }  — 模型的 Markdown 回答 (sections 為各角色的結果)，由 adapter 排版
+ * LINE adapter 另外接受 LINE message 物件 (Flex 卡片等) 並原樣送出。
+ */
+
+const { createLineMessage, toLineMessages } = require('./line');
+const { createTelegramClient, createTelegramAdapter, createTelegramAdapterFromEnv } = require('./telegram');
+const { createSlackClient, createSlackAdapter, createSlackAdapterFromEnv } = require('./slack');
+
+/**
+ * 模型回答
+ * @param {string} text - Markdown
+ * @param {Array<{title: string, text: string, failed?: boolean}>} [sections]
+ */
+function answerMessage(text, sections) {
+  return { type: 'answer', text, ...(sections && sections.length > 0 && { sections }) };
+}
+
+module.exports = {
+  answerMessage,
+  createLineMessage,
+  toLineMessages,
+  createTelegramClient,
+  createTelegramAdapter,
+  createTelegramAdapterFromEnv,
+  createSlackClient,
+  createSlackAdapter,
+  createSlackAdapterFromEnv,
+};
@@ -0,0 +1,49 @@
+/**
+ * LINE Adapter
+ *
+ * 簽章驗證與 body 解析由 line.middleware 處理 (app.js)，事件的分派在 handlers/index.js；
+ * 這裡只把 LINE message event 包成平台中立的訊息 (platforms/index.js)。
+ * 回覆經過 utils/delivery.js (reply token 過期時改用 push)，模型回答以 utils/flex.js 排版。
+ */
+
+const { buildAnswerMessages } = require('../utils/flex');
+const { getSourceId } = require('../utils/history');
+const { isGroupSource, getGroupId } = require('../utils/groups');
+
+/**
+ * 平台中立的訊息轉為 LINE message；answer 以 Flex / 文字排版，其他 (text、Flex 卡片) 原樣送出
+ * @param {object|Array<object>} messages
+ * @returns {Array<object>}
+ */
+function toLineMessages(messages) {
+  return [].concat(messages).flatMap((message) => (
+    message.type === 'answer' ? buildAnswerMessages(message.text, { sections: message.sections }) : [message]
+  ));
+}
+
+/**
+ * @param {object} event - LINE message event
+ * @param {object} options
+ * @param {{send: Function}} options.delivery - utils/delivery.js
+ * @param {(chatId: string) => Promise} options.startLoading - loading 動畫 (只支援一對一聊天)
+ */
+function createLineMessage(event, { delivery, startLoading }) {
+  const { source } = event;
+  return {
+    platform: 'line',
+    eventId: event.webhookEventId,
+    messageId: event.message.id,
+    userId: source.userId,
+    groupId: isGroupSource(source) ? getGroupId(source) : undefined,
+    sourceId: getSourceId(source),
+    text: event.message.text,
+    raw: event,
+    send: (messages) => delivery.send(event, toLineMessages(messages)),
+    ...(source.type === 'user' && { showTyping: () => startLoading(source.userId) }),
+  };
+}
+
+module.exports = {
+  toLineMessages,
+  createLineMessage,
+};
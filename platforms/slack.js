@@ -0,0 +1,219 @@
+/**
+ * Slack Adapter
+ *
+ * POST /api/slack 收到的 Events API 請求轉為平台中立的訊息 (platforms/index.js)，回覆以 chat.postMessage 送出。
+ *   - 驗證：X-Slack-Signature = v0= + HMAC-SHA256(signing secret, "v0:<timestamp>:<raw body>")，
+ *           timestamp 超過 5 分鐘的請求視為重放而拒絕
+ *   - 事件：頻道中的 app_mention (回覆在討論串) 與私訊 (message.im)；Bot 自己的訊息與編輯等 subtype 略過
+ *   - 排版：Markdown 轉為 Slack mrkdwn 的 section blocks，text 欄位為通知用的純文字
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('../utils/telemetry');
+const {
+  EMPTY_REPLY_TEXT, markdownToPlainText, renderMarkdown, splitRendered,
+} = require('../utils/formatter');
+
+const DEFAULT_API_BASE_URL = 'https://slack.com/api';
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+// section block 的 text 上限 3000 字 (跳脫之後)；先以 Markdown 切割，保留轉換後變長的空間
+const SLACK_SECTION_LIMIT = 3000;
+const SLACK_CHUNK_LIMIT = 2800;
+// 每則訊息最多 50 個 blocks，超過的部分接著下一則送出
+const SLACK_BLOCK_LIMIT = 50;
+// 後續訊息的通知文字長度
+const CONTINUATION_TEXT_LENGTH = 150;
+
+// Slack 只要求跳脫這三個字元
+function escapeMrkdwn(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeMrkdwn(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+const MRKDWN_RENDERER = {
+  // 先轉單一 * 的斜體，再把 ** 粗體換成 Slack 的 *
+  text: (text) => escapeMrkdwn(text)
+    .replace(/(^|[^\w*])\*([^*\n]+?)\*(?=[^\w*]|$)/g, '$1_$2_')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/__(.+?)__/g, '*$1*')
+    .replace(/~~(.+?)~~/g, '~$1~'),
+  code: (code) => `\`${escapeMrkdwn(code)}\``,
+  link: (label, url) => `<${url}|${escapeMrkdwn(label)}>`,
+  heading: (mrkdwn) => `*${mrkdwn}*`,
+  codeBlock: (code) => `\`\`\`\n${escapeMrkdwn(code)}\n\`\`\``,
+};
+
+/**
+ * Markdown 轉為 mrkdwn，依段落切成多段 (每段一個 section block)
+ * @param {string} markdown
+ * @param {number} [limit] - 每段 mrkdwn 的上限 (前面還要加標題時扣掉標題長度)
+ * @returns {string[]}
+ */
+function markdownToMrkdwn(markdown, limit = SLACK_SECTION_LIMIT) {
+  return splitRendered((markdown || '').trim(), (chunk) => renderMarkdown(chunk, MRKDWN_RENDERER), { limit, chunkLimit: SLACK_CHUNK_LIMIT })
+    .filter(Boolean);
+}
+
+const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text } });
+
+function continuationText(blocks) {
+  const first = blocks.find((block) => block.type === 'section');
+  return first ? first.text.text.slice(0, CONTINUATION_TEXT_LENGTH) : escapeMrkdwn(EMPTY_REPLY_TEXT);
+}
+
+/**
+ * 平台中立的訊息轉為 chat.postMessage 的參數 (不含 channel)
+ * @param {object|Array<object>} messages - text / answer
+ * @returns {Array<{text: string, blocks?: Array<object>}>} 超過 50 個 blocks 的回答拆成多則
+ */
+function formatSlackMessages(messages) {
+  return [].concat(messages).flatMap((message) => {
+    if (message.type === 'text') return { text: escapeMrkdwn(message.text) };
+    if (message.type !== 'answer') throw new Error(`Unsupported message type for Slack: ${message.type}`);
+
+    const answer = markdownToMrkdwn(message.text);
+    const blocks = (answer.length > 0 ? answer : [escapeMrkdwn(EMPTY_REPLY_TEXT)]).map(section);
+    (message.sections || []).forEach(({ title, text }) => {
+      const heading = `*${escapeMrkdwn(title)}*\n`;
+      blocks.push({ type: 'divider' });
+      markdownToMrkdwn(text, SLACK_SECTION_LIMIT - heading.length)
+        .forEach((mrkdwn, i) => blocks.push(section(i === 0 ? `${heading}${mrkdwn}` : mrkdwn)));
+    });
+
+    // 第一則的通知文字為整個回答，後續訊息以各自的第一段為通知文字
+    const batches = [];
+    for (let i = 0; i < blocks.length; i += SLACK_BLOCK_LIMIT) batches.push(blocks.slice(i, i + SLACK_BLOCK_LIMIT));
+    return batches.map((batch, i) => ({
+      text: i === 0
+        ? escapeMrkdwn(markdownToPlainText(message.text || '') || EMPTY_REPLY_TEXT)
+        : continuationText(batch),
+      blocks: batch,
+    }));
+  });
+}
+
+/**
+ * Web API client
+ * @param {object} options
+ * @param {string} options.token - SLACK_BOT_TOKEN (xoxb-)
+ * @param {string} [options.baseUrl]
+ * @param {Function} [options.fetch] - 可替換的 HTTP 層
+ */
+function createSlackClient({ token, baseUrl = DEFAULT_API_BASE_URL, fetch: fetchImpl = fetch }) {
+  // Web API 的錯誤也是 HTTP 200，以 ok 判斷
+  async function call(method, params) {
+    const res = await fetchImpl(`${baseUrl}/${method}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify(params),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.ok) {
+      const err = new Error(`Slack ${method} failed: ${data.error || res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return data;
+  }
+
+  return {
+    postMessage: (params) => call('chat.postMessage', params),
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {{postMessage: Function}} options.client
+ * @param {string} options.signingSecret
+ * @param {() => number} [options.now] - 毫秒
+ */
+function createSlackAdapter({ client, signingSecret, now = Date.now }) {
+  /**
+   * 檢查簽章與 timestamp
+   * @param {object} headers - req.headers
+   * @param {Buffer|string} rawBody - 未解析的 request body
+   */
+  function verify(headers, rawBody) {
+    const timestamp = Number(headers['x-slack-request-timestamp']);
+    const signature = String(headers['x-slack-signature'] || '');
+    if (!timestamp || Math.abs(now() / 1000 - timestamp) > MAX_REQUEST_AGE_SECONDS) return false;
+    const expected = `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  /**
+   * @param {object} payload - Events API 的 event_callback
+   * @returns {object|null} 平台中立的訊息；其他事件為 null
+   */
+  function toMessage(payload) {
+    if (payload.type !== 'event_callback' || !payload.event) return null;
+    const { event, team_id: teamId } = payload;
+    if (event.bot_id || event.subtype || typeof event.text !== 'string') return null;
+    const isMention = event.type === 'app_mention';
+    if (!isMention && !(event.type === 'message' && event.channel_type === 'im')) return null;
+
+    // 提及 Bot 的 <@U123> 不屬於問題內容
+    const text = unescapeMrkdwn(isMention ? event.text.replace(/<@[A-Z0-9]+(?:\|[^>]*)?>/g, '') : event.text).trim();
+    // 頻道中在討論串回覆，私訊則直接回覆 (除非提問本身在討論串中)
+    const threadTs = isMention ? event.thread_ts || event.ts : event.thread_ts;
+
+    return {
+      platform: 'slack',
+      eventId: `slack:${payload.event_id}`,
+      messageId: `slack:${event.channel}:${event.ts}`,
+      userId: `slack:${teamId}:${event.user}`,
+      groupId: isMention ? `slack:${teamId}:${event.channel}` : undefined,
+      sourceId: `slack:${teamId}:${event.channel}`,
+      text,
+      raw: payload,
+      async send(messages) {
+        let result;
+        for (const params of formatSlackMessages(messages)) {
+          result = await client.postMessage({
+            channel: event.channel,
+            ...params,
+            unfurl_links: false,
+            ...(threadTs && { thread_ts: threadTs }),
+          });
+        }
+        return result;
+      },
+    };
+  }
+
+  return { verify, toMessage };
+}
+
+/**
+ * 依環境變數建立；未設定 SLACK_BOT_TOKEN 或 SLACK_SIGNING_SECRET 時回傳 null (不開啟 /api/slack)
+ *   SLACK_BOT_TOKEN      — Bot User OAuth Token (需要 chat:write、app_mentions:read、im:history)
+ *   SLACK_SIGNING_SECRET — App 的 Signing Secret (必填)
+ * @param {object} [env]
+ * @param {object} [options]
+ * @param {object} [options.client] - 替換 Web API client (測試)
+ * @param {object} [options.logger]
+ */
+function createSlackAdapterFromEnv(env = process.env, { client, logger = createLogger() } = {}) {
+  if (!env.SLACK_BOT_TOKEN) return null;
+  // 少了 secret 無法驗證請求：只停用這個平台，不影響 LINE webhook
+  if (!env.SLACK_SIGNING_SECRET) {
+    logger.warn('SLACK_SIGNING_SECRET is not set; Slack is disabled');
+    return null;
+  }
+  return createSlackAdapter({
+    client: client || createSlackClient({ token: env.SLACK_BOT_TOKEN }),
+    signingSecret: env.SLACK_SIGNING_SECRET,
+  });
+}
+
+module.exports = {
+  markdownToMrkdwn,
+  formatSlackMessages,
+  createSlackClient,
+  createSlackAdapter,
+  createSlackAdapterFromEnv,
+};
@@ -0,0 +1,204 @@
+/**
+ * Telegram Adapter
+ *
+ * POST /api/telegram 收到的 Update 轉為平台中立的訊息 (platforms/index.js)，回覆以 Bot API 的 sendMessage 送出。
+ *   - 驗證：setWebhook 時設定 secret_token，Telegram 每次以 X-Telegram-Bot-Api-Secret-Token 帶回
+ *   - 群組：只回應 @提及 Bot 或回覆 Bot 訊息的文字 (需設定 TELEGRAM_BOT_USERNAME)
+ *   - 排版：Markdown 轉為 Telegram 的 HTML (parse_mode: HTML)，各角色的結果以可展開的引用區塊附在後面
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('../utils/telemetry');
+const { EMPTY_REPLY_TEXT, renderMarkdown, splitRendered } = require('../utils/formatter');
+
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// sendMessage 上限 4096 字，以跳脫與標籤之後的長度計算
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+// 先以 Markdown 切割的長度，保留轉換後變長的空間；仍超過上限的段落再切小
+const TELEGRAM_CHUNK_LIMIT = 3500;
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const HTML_RENDERER = {
+  text: (text) => escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+    .replace(/__(.+?)__/g, '<b>$1</b>')
+    .replace(/~~(.+?)~~/g, '<s>$1</s>')
+    .replace(/(^|[^\w*])\*([^*\n]+?)\*(?=[^\w*]|$)/g, '$1<i>$2</i>'),
+  code: (code) => `<code>${escapeHtml(code)}</code>`,
+  link: (label, url) => `<a href="${escapeHtml(url).replace(/"/g, '&quot;')}">${escapeHtml(label)}</a>`,
+  heading: (html) => `<b>${html}</b>`,
+  codeBlock: (code, lang) => (lang && /^[\w+-]+$/.test(lang)
+    ? `<pre><code class="language-${lang}">${escapeHtml(code)}</code></pre>`
+    : `<pre>${escapeHtml(code)}</pre>`),
+};
+
+/**
+ * Markdown 轉為 Telegram HTML，依段落切成多則
+ * @param {string} markdown
+ * @param {number} [limit] - 每則 HTML 的上限 (外層還要包標籤時扣掉標籤長度)
+ * @returns {string[]}
+ */
+function markdownToTelegramHtml(markdown, limit = TELEGRAM_MESSAGE_LIMIT) {
+  return splitRendered((markdown || '').trim(), (chunk) => renderMarkdown(chunk, HTML_RENDERER), { limit, chunkLimit: TELEGRAM_CHUNK_LIMIT })
+    .filter(Boolean);
+}
+
+const QUOTE_OVERHEAD = '<blockquote expandable></blockquote>'.length;
+
+/**
+ * 平台中立的訊息轉為 sendMessage 的 HTML 文字
+ * @param {object|Array<object>} messages - text / answer
+ * @returns {string[]}
+ */
+function formatTelegramMessages(messages) {
+  return [].concat(messages).flatMap((message) => {
+    if (message.type === 'text') return splitRendered(message.text, escapeHtml, { limit: TELEGRAM_MESSAGE_LIMIT, chunkLimit: TELEGRAM_CHUNK_LIMIT });
+    if (message.type !== 'answer') throw new Error(`Unsupported message type for Telegram: ${message.type}`);
+
+    const answer = markdownToTelegramHtml(message.text);
+    const sections = (message.sections || []).flatMap(({ title, text }) => {
+      const heading = `<b>${escapeHtml(title)}</b>\n`;
+      return markdownToTelegramHtml(text, TELEGRAM_MESSAGE_LIMIT - QUOTE_OVERHEAD - heading.length)
+        .map((html, i) => `${i === 0 ? heading : ''}<blockquote expandable>${html}</blockquote>`);
+    });
+    return [...(answer.length > 0 ? answer : [escapeHtml(EMPTY_REPLY_TEXT)]), ...sections];
+  });
+}
+
+/**
+ * Bot API client
+ * @param {object} options
+ * @param {string} options.token - TELEGRAM_BOT_TOKEN
+ * @param {string} [options.baseUrl]
+ * @param {Function} [options.fetch] - 可替換的 HTTP 層
+ */
+function createTelegramClient({ token, baseUrl = DEFAULT_API_BASE_URL, fetch: fetchImpl = fetch }) {
+  async function call(method, params) {
+    const res = await fetchImpl(`${baseUrl}/bot${token}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.ok) {
+      const err = new Error(`Telegram ${method} failed: ${data.description || res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return data.result;
+  }
+
+  return {
+    sendMessage: (params) => call('sendMessage', params),
+    sendChatAction: (params) => call('sendChatAction', params),
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {{sendMessage: Function, sendChatAction: Function}} options.client
+ * @param {string} options.secretToken - setWebhook 的 secret_token
+ * @param {string} [options.botUsername] - 不含 @；未設定時忽略群組訊息
+ */
+function createTelegramAdapter({ client, secretToken, botUsername }) {
+  const mention = botUsername ? new RegExp(`@${botUsername}\\b`, 'gi') : null;
+
+  /**
+   * 檢查 secret token (固定時間比較)
+   * @param {object} headers - req.headers
+   */
+  function verify(headers) {
+    const received = Buffer.from(String(headers[SECRET_HEADER] || ''));
+    const expected = Buffer.from(secretToken);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  // 群組中呼叫 Bot：@提及 (含 /command@bot) 或回覆 Bot 的訊息
+  function isCalled(message) {
+    if (!mention) return false;
+    const repliedTo = message.reply_to_message && message.reply_to_message.from;
+    mention.lastIndex = 0;
+    return mention.test(message.text)
+      || Boolean(repliedTo && repliedTo.is_bot && repliedTo.username && repliedTo.username.toLowerCase() === botUsername.toLowerCase());
+  }
+
+  /**
+   * @param {object} update - Telegram Update
+   * @returns {object|null} 平台中立的訊息；不需要回應的 update (編輯、頻道貼文、非文字、群組中沒有呼叫 Bot) 為 null
+   */
+  function toMessage(update) {
+    const message = update.message;
+    if (!message || typeof message.text !== 'string' || !message.from || message.from.is_bot) return null;
+
+    const chatId = message.chat.id;
+    const isGroup = message.chat.type !== 'private';
+    if (isGroup && !isCalled(message)) return null;
+    const text = mention ? message.text.replace(mention, '').trim() : message.text.trim();
+
+    return {
+      platform: 'telegram',
+      eventId: `telegram:${update.update_id}`,
+      messageId: `telegram:${chatId}:${message.message_id}`,
+      userId: `telegram:${message.from.id}`,
+      groupId: isGroup ? `telegram:${chatId}` : undefined,
+      sourceId: `telegram:${chatId}`,
+      text,
+      raw: update,
+      async send(messages) {
+        let result;
+        for (const [i, html] of formatTelegramMessages(messages).entries()) {
+          result = await client.sendMessage({
+            chat_id: chatId,
+            text: html,
+            parse_mode: 'HTML',
+            link_preview_options: { is_disabled: true },
+            // 群組中第一則回覆引用提問
+            ...(isGroup && i === 0 && { reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true } }),
+          });
+        }
+        return result;
+      },
+      showTyping: () => client.sendChatAction({ chat_id: chatId, action: 'typing' }),
+    };
+  }
+
+  return { verify, toMessage };
+}
+
+/**
+ * 依環境變數建立；未設定 TELEGRAM_BOT_TOKEN 或 TELEGRAM_WEBHOOK_SECRET 時回傳 null (不開啟 /api/telegram)
+ *   TELEGRAM_BOT_TOKEN      — BotFather 給的 token
+ *   TELEGRAM_WEBHOOK_SECRET — setWebhook 的 secret_token (必填)
+ *   TELEGRAM_BOT_USERNAME   — Bot 的 username，群組中辨識 @提及
+ * @param {object} [env]
+ * @param {object} [options]
+ * @param {object} [options.client] - 替換 Bot API client (測試)
+ * @param {object} [options.logger]
+ */
+function createTelegramAdapterFromEnv(env = process.env, { client, logger = createLogger() } = {}) {
+  if (!env.TELEGRAM_BOT_TOKEN) return null;
+  // 少了 secret 無法驗證請求：只停用這個平台，不影響 LINE webhook
+  if (!env.TELEGRAM_WEBHOOK_SECRET) {
+    logger.warn('TELEGRAM_WEBHOOK_SECRET is not set; Telegram is disabled');
+    return null;
+  }
+  return createTelegramAdapter({
+    client: client || createTelegramClient({ token: env.TELEGRAM_BOT_TOKEN }),
+    secretToken: env.TELEGRAM_WEBHOOK_SECRET,
+    botUsername: (env.TELEGRAM_BOT_USERNAME || '').replace(/^@/, '') || undefined,
+  });
+}
+
+module.exports = {
+  SECRET_HEADER,
+  markdownToTelegramHtml,
+  formatTelegramMessages,
+  createTelegramClient,
+  createTelegramAdapter,
+  createTelegramAdapterFromEnv,
+};
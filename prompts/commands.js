@@ -0,0 +1,207 @@
+/**
+ * User Commands & Preferences
+ *
+ * 斜線指令的定義 (名稱、參數、設定欄位) 與可選的回答模式 / 語言 / 語氣。
+ * 使用說明與功能列表都由 COMMANDS 產生 (見 prompts/index.js)，
+ * 指令的實際動作在 handlers/commands.js，兩邊以 name 對應。
+ * 顯示給使用者的說明與選項名稱依語系放在 strings.json (command.<name>.*、mode.*、persona.*)。
+ */
+
+const { DEFAULT_PROMPTS } = require('./templates');
+const { REPLY_MODES, GROUP_FEATURES } = require('../utils/groups');
+
+// ===== 回答模式 (名稱與說明為 strings.json 的 mode.<key>、mode.<key>.description) =====
+const MODES = {
+  auto: {},
+  simple: {},
+  agents: {},
+};
+
+// ===== 回覆語言 (名稱一律以該語言顯示) =====
+const LANGUAGES = {
+  'zh-TW': { label: '繁體中文', instruction: '請使用繁體中文 (台灣用語) 回覆。' },
+  en: { label: 'English', instruction: 'Reply in English.' },
+  ja: { label: '日本語', instruction: '日本語で回答してください。' },
+};
+
+// ===== 語氣預設 (名稱為 strings.json 的 persona.<key>) =====
+const PERSONAS = {
+  default: { instruction: '' },
+  friendly: { instruction: '語氣親切溫暖，像朋友一樣聊天，可以適度使用表情符號。' },
+  professional: { instruction: '語氣專業嚴謹，條理分明，避免口語與表情符號。' },
+  concise: { instruction: '盡量精簡，只給重點，能用一句話說完就不要用兩句。' },
+  teacher: { instruction: '像耐心的老師一樣，循序漸進地解釋，必要時舉例說明。' },
+};
+
+const DEFAULT_PREFERENCES = { mode: 'auto', lang: 'zh-TW', persona: 'default' };
+
+/**
+ * 指令定義 — 新增指令時在此加入，在 strings.json 加上 command.<name>.description，
+ * 並在 handlers/commands.js 實作同名的動作
+ *   name    — 指令名稱 (不含 /)
+ *   args    — 有參數時為 true，參數說明為 strings.json 的 command.<name>.args
+ *   choices — 參數可用的值 (用於說明與驗證)
+ *   setting — 對應的使用者設定欄位 (有 choices 的指令；名稱為 strings.json 的 setting.<key>)；
+ *             described 代表每個選項另有說明 (<key>.<value>.description)
+ */
+const COMMANDS = [
+  { name: 'help' },
+  { name: 'reset' },
+  { name: 'mode', args: true, choices: MODES, setting: { key: 'mode', described: true } },
+  { name: 'lang', args: true, choices: LANGUAGES, setting: { key: 'lang' } },
+  { name: 'persona', args: true, choices: PERSONAS, setting: { key: 'persona' } },
+  { name: 'status' },
+  { name: 'reminders' },
+  { name: 'cancel', args: true },
+  { name: 'docs' },
+  { name: 'forget', args: true },
+  { name: 'group', args: true },
+];
+
+/**
+ * @param {{name: string, args?: boolean}} command
+ * @param {object} [prompts]
+ * @returns {string} 例如 "/mode <模式>"
+ */
+function formatCommandUsage(command, prompts = DEFAULT_PROMPTS) {
+  return command.args ? `/${command.name} ${prompts.text(`command.${command.name}.args`)}` : `/${command.name}`;
+}
+
+/**
+ * 指令的說明 (使用說明與功能列表)
+ * @param {{name: string}} command
+ * @param {object} [prompts]
+ */
+function formatCommandDescription(command, prompts = DEFAULT_PROMPTS) {
+  return prompts.text(`command.${command.name}.description`);
+}
+
+/**
+ * 選項的顯示名稱 — 語言名稱一律以該語言顯示，其他依使用者語系 (strings.json 的 mode.* / persona.*)
+ * @param {string} settingKey - COMMANDS 的 setting.key
+ * @param {string} value
+ * @param {object} prompts
+ */
+function formatChoiceLabel(settingKey, value, prompts) {
+  return settingKey === 'lang' ? LANGUAGES[value].label : prompts.text(`${settingKey}.${value}`);
+}
+
+/**
+ * 指令說明文字 (使用說明中的一段)
+ * @param {object} [prompts]
+ */
+function buildCommandListText(prompts = DEFAULT_PROMPTS) {
+  return COMMANDS.map((command) => {
+    const line = `• ${formatCommandUsage(command, prompts)} — ${formatCommandDescription(command, prompts)}`;
+    if (!command.choices) return line;
+    const { key } = command.setting;
+    const choices = Object.keys(command.choices)
+      .map((value) => `${value} (${formatChoiceLabel(key, value, prompts)})`)
+      .join(prompts.text('command.choiceSeparator'));
+    return `${line}\n  ${prompts.text('command.choices', { choices })}`;
+  }).join('\n');
+}
+
+/**
+ * 參數錯誤或未提供參數時的回覆
+ * @param {object} command - COMMANDS 中的項目
+ * @param {string} current - 目前的值
+ * @param {object} [prompts] - 依使用者語言選擇
+ */
+function buildChoicePromptText(command, current, prompts = DEFAULT_PROMPTS) {
+  const { key, described } = command.setting;
+  const choices = Object.keys(command.choices).map((value) => {
+    const description = described
+      ? prompts.text('command.choiceDescription', { description: prompts.text(`${key}.${value}.description`) })
+      : '';
+    return `${value === current ? '▶' : '•'} ${value} — ${formatChoiceLabel(key, value, prompts)}${description}`;
+  }).join('\n');
+  return prompts.text('command.choicePrompt', {
+    setting: prompts.text(`setting.${key}`),
+    current: formatChoiceLabel(key, current, prompts),
+    choices,
+    usage: formatCommandUsage(command, prompts),
+    example: `/${command.name} ${Object.keys(command.choices)[1]}`,
+  });
+}
+
+/**
+ * @param {object} command
+ * @param {string} value - 新設定的值
+ * @param {object} [prompts]
+ */
+function buildChoiceUpdatedText(command, value, prompts = DEFAULT_PROMPTS) {
+  const { key } = command.setting;
+  return prompts.text('command.choiceUpdated', { setting: prompts.text(`setting.${key}`), value: formatChoiceLabel(key, value, prompts) });
+}
+
+function buildUnknownCommandText(name, prompts = DEFAULT_PROMPTS) {
+  return prompts.text('command.unknown', { name });
+}
+
+function formatGroupReplyMode({ replyMode, prefix }, prompts) {
+  return prompts.text(`group.mode.${replyMode}`, { prefix });
+}
+
+/**
+ * /status 回覆
+ * @param {object} status
+ * @param {{mode: string, lang: string, persona: string}} status.preferences
+ * @param {number|null} status.historyTurns - 對話紀錄的訊息數，null 代表無法保存紀錄
+ * @param {number} status.pendingImages
+ * @param {{replyMode: string, prefix: string}} [status.group] - 群組中才有
+ * @param {object} [prompts]
+ */
+function buildStatusText({
+  preferences, historyTurns, pendingImages, group,
+}, prompts = DEFAULT_PROMPTS) {
+  const lines = [
+    prompts.text('status.title'),
+    prompts.text('status.mode', { value: formatChoiceLabel('mode', preferences.mode, prompts) }),
+    prompts.text('status.lang', { value: formatChoiceLabel('lang', preferences.lang, prompts) }),
+    prompts.text('status.persona', { value: formatChoiceLabel('persona', preferences.persona, prompts) }),
+    historyTurns === null ? prompts.text('status.historyOff') : prompts.text('status.history', { count: historyTurns }),
+  ];
+  if (pendingImages > 0) lines.push(prompts.text('status.pendingImages', { count: pendingImages }));
+  if (group) lines.push(prompts.text('status.group', { value: formatGroupReplyMode(group, prompts) }));
+  return lines.join('\n');
+}
+
+/**
+ * /group 回覆：目前的群組設定與用法
+ * @param {{replyMode: string, prefix: string, features: Object<string, boolean>}} settings
+ * @param {object} [prompts]
+ */
+function buildGroupSettingsText(settings, prompts = DEFAULT_PROMPTS) {
+  const features = GROUP_FEATURES
+    .map((name) => `${settings.features[name] ? '✅' : '⛔'} ${name} — ${prompts.text(`group.feature.${name}`)}`);
+  return [
+    prompts.text('group.settings.title'),
+    prompts.text('group.settings.mode', { mode: settings.replyMode, description: formatGroupReplyMode(settings, prompts) }),
+    prompts.text('group.settings.prefix', { prefix: settings.prefix }),
+    ...features,
+    '',
+    prompts.text('group.settings.usage', { modes: Object.values(REPLY_MODES).join('|'), features: GROUP_FEATURES.join('|') }),
+  ].join('\n');
+}
+
+function buildGroupUpdatedText(settings, prompts = DEFAULT_PROMPTS) {
+  return prompts.text('group.updated', { settings: buildGroupSettingsText(settings, prompts) });
+}
+
+module.exports = {
+  MODES,
+  LANGUAGES,
+  PERSONAS,
+  DEFAULT_PREFERENCES,
+  COMMANDS,
+  formatCommandUsage,
+  formatCommandDescription,
+  buildCommandListText,
+  buildChoicePromptText,
+  buildChoiceUpdatedText,
+  buildUnknownCommandText,
+  buildStatusText,
+  buildGroupSettingsText,
+  buildGroupUpdatedText,
+};
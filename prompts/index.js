@@ -1,95 +1,729 @@
 /**
  * Gemini Prompt Templates
  *
- * 所有 AI prompt 模板集中管理，方便調整與維護。
+ * 所有 AI prompt 的組裝集中在此。prompt 文字與回覆給使用者的錯誤訊息放在 prompts/templates/
+ * (版本化、多語系，見 prompts/templates.js)；這裡的 builder 負責把對話紀錄、參考資料等區塊組起來。
+ * 需要依使用者語言 / 實驗分組的 builder 最後一個參數為 prompts (promptLibrary.select() 的結果)，
+ * 省略時使用預設語系 (zh-TW) 與預設版本。
  */
 
+const { DEFAULT_PROMPTS } = require('./templates');
+const {
+  LANGUAGES, PERSONAS, DEFAULT_PREFERENCES, COMMANDS, formatCommandUsage, formatCommandDescription, buildCommandListText,
+} = require('./commands');
+const { buildCardMessage } = require('../utils/flex');
+const { toLocal } = require('../utils/schedule');
+
 // ===== Rich Menu Postback Actions =====
 const ACTIONS = {
   AI_CHAT: 'action=ai_chat',
   FEATURES: 'action=features',
   HELP: 'action=help',
+  // Rich Menu 分頁切換 (richmenuswitch)，實際 data 為 "action=switch_menu&menu=<alias>"
+  SWITCH_MENU: 'action=switch_menu',
+  // 提醒卡片上的取消按鈕，實際 data 為 "action=cancel_reminder&id=<id>"
+  CANCEL_REMINDER: 'action=cancel_reminder',
+  // 文件清單卡片上的刪除按鈕，實際 data 為 "action=delete_document&id=<id>"
+  DELETE_DOCUMENT: 'action=delete_document',
 };
 
-// ===== 功能列表定義（新增功能時在此維護） =====
+// ===== 功能列表定義（新增功能時在此維護；指令由 prompts/commands.js 的 COMMANDS 自動加入） =====
+// 名稱與說明為 strings.json 的 feature.<id>.name / .description；
+// postback / text 為功能列表卡片上「試試看」按鈕的動作
 const FEATURE_LIST = [
-  { name: '🤖 AI 智能問答', description: '輸入任何問題，AI 會自動拆解並由多位專業 Agent 協作回答' },
-  { name: '📋 功能列表', description: '查看目前所有可用功能' },
-  { name: '❓ 使用說明', description: '查看 Bot 的使用方式與說明' },
+  { id: 'aiChat', postback: ACTIONS.AI_CHAT },
+  { id: 'features', postback: ACTIONS.FEATURES },
+  { id: 'help', postback: ACTIONS.HELP },
+  ...COMMANDS.map((command) => ({ command, text: `/${command.name}` })),
 ];
 
+/**
+ * 功能的名稱與說明
+ * @param {object} feature - FEATURE_LIST 中的項目
+ * @param {object} prompts
+ * @returns {{name: string, description: string}}
+ */
+function describeFeature(feature, prompts) {
+  if (feature.command) {
+    return {
+      name: `⌨️ ${formatCommandUsage(feature.command, prompts)}`,
+      description: formatCommandDescription(feature.command, prompts),
+    };
+  }
+  return { name: prompts.text(`feature.${feature.id}.name`), description: prompts.text(`feature.${feature.id}.description`) };
+}
+
+/**
+ * 功能的按鈕動作 (LINE action 物件)
+ * @param {{postback?: string, text?: string}} feature
+ * @param {string} label
+ */
+function toFeatureAction(feature, label) {
+  return feature.postback
+    ? { type: 'postback', label, data: feature.postback, displayText: label }
+    : { type: 'message', label, text: feature.text };
+}
+
 /**
  * 產生功能列表回應文字
+ * @param {object} [prompts]
+ */
+function buildFeatureListText(prompts = DEFAULT_PROMPTS) {
+  const items = FEATURE_LIST.map((feature, i) => {
+    const { name, description } = describeFeature(feature, prompts);
+    return `${i + 1}. ${name}\n   ${description}`;
+  }).join('\n\n');
+  return `${prompts.text('features.title')}\n\n${items}\n\n${prompts.text('features.footer')}`;
+}
+
+/**
+ * 功能列表卡片 (Flex)，每個功能附「試試看」按鈕
+ * @param {object} [prompts]
+ */
+function buildFeatureListMessage(prompts = DEFAULT_PROMPTS) {
+  return buildCardMessage({
+    title: prompts.text('features.cardTitle'),
+    sections: FEATURE_LIST.map((feature) => {
+      const { name, description } = describeFeature(feature, prompts);
+      return { title: name, text: description, action: toFeatureAction(feature, prompts.text('features.try')) };
+    }),
+  }, buildFeatureListText(prompts));
+}
+
+/**
+ * 使用說明的段落 (文字版與卡片版共用)
+ * @param {object} [prompts]
  */
-function buildFeatureListText() {
-  const items = FEATURE_LIST.map((f, i) => `${i + 1}. ${f.name}\n   ${f.description}`).join('\n\n');
-  return `【目前可用功能】\n\n${items}\n\n💡 持續開發中，更多功能敬請期待！`;
+function buildHelpSections(prompts = DEFAULT_PROMPTS) {
+  const section = (name) => ({ title: prompts.text(`help.${name}.title`), text: prompts.text(`help.${name}.text`) });
+  return [
+    section('ask'),
+    section('features'),
+    section('reminders'),
+    section('documents'),
+    { title: prompts.text('help.commands.title'), text: buildCommandListText(prompts) },
+    section('tips'),
+  ];
 }
 
 /**
  * 產生使用說明回應文字
+ * @param {object} [prompts]
  */
-function buildHelpText() {
-  return `【使用說明】
+function buildHelpText(prompts = DEFAULT_PROMPTS) {
+  const sections = buildHelpSections(prompts).map(({ title, text }) => `${title}\n${text}`).join('\n\n');
+  return `${prompts.text('help.title')}\n\n${sections}`;
+}
 
-🤖 AI 智能問答
-直接輸入您的問題即可！Bot 會自動判斷問題複雜度：
-• 簡單問題 → 直接回覆
-• 複雜問題 → 拆解為多個子任務，由專業 AI Agent 協作完成後統整回覆
+/**
+ * 使用說明卡片 (Flex)，footer 按鈕對應 Rich Menu 的功能與 /status
+ * @param {object} [prompts]
+ */
+function buildHelpMessage(prompts = DEFAULT_PROMPTS) {
+  return buildCardMessage({
+    title: prompts.text('help.cardTitle'),
+    sections: buildHelpSections(prompts),
+    buttons: [
+      toFeatureAction({ postback: ACTIONS.AI_CHAT }, prompts.text('help.button.ask')),
+      toFeatureAction({ postback: ACTIONS.FEATURES }, prompts.text('help.button.features')),
+      toFeatureAction({ text: '/status' }, prompts.text('help.button.status')),
+    ],
+  }, buildHelpText(prompts));
+}
 
-📋 功能列表
-點選底部選單的「功能列表」按鈕，查看所有可用功能。
+// ===== 加入好友 =====
 
-💬 小提示
-• 可以同時提出多個要求，例如：「幫我翻譯這段話成英文，並寫一首詩」
-• Bot 會自動分配給不同專業 Agent 並行處理`;
+/**
+ * 加入好友時的歡迎卡片 (Flex)，附上開始使用的 quick reply 與切換到其他語言的 /lang
+ * @param {object} options
+ * @param {string} [options.name] - 使用者的名稱 (getProfile)
+ * @param {boolean} [options.isUnblocked] - 解除封鎖後重新加入
+ * @param {object} [prompts] - 依個人檔案的語言選擇
+ * @returns {object} LINE message
+ */
+function buildWelcomeMessage({ name, isUnblocked = false } = {}, prompts = DEFAULT_PROMPTS) {
+  let greeting = prompts.text('welcome.greetingAnonymous');
+  if (name) greeting = prompts.text(isUnblocked ? 'welcome.greetingBack' : 'welcome.greeting', { name });
+  const sections = [
+    { title: prompts.text('welcome.askTitle'), text: prompts.text('welcome.askText') },
+    { title: prompts.text('welcome.toolsTitle'), text: prompts.text('welcome.toolsText') },
+    { title: prompts.text('welcome.settingsTitle'), text: prompts.text('welcome.settingsText') },
+  ];
+  const title = prompts.text('welcome.title');
+  const intro = prompts.text('welcome.intro');
+  const fallbackText = [`${title}\n\n${greeting}\n${intro}`, ...sections.map((section) => `${section.title}\n${section.text}`)].join('\n\n');
+  const message = buildCardMessage({
+    title,
+    sections: [{ title: greeting, text: intro }, ...sections],
+  }, fallbackText);
+
+  const languages = Object.entries(LANGUAGES).filter(([key]) => key !== prompts.locale);
+  const actions = [
+    toFeatureAction({ postback: ACTIONS.AI_CHAT }, prompts.text('quick.ask')),
+    toFeatureAction({ postback: ACTIONS.FEATURES }, prompts.text('quick.features')),
+    toFeatureAction({ postback: ACTIONS.HELP }, prompts.text('quick.help')),
+    ...languages.map(([key, { label }]) => toFeatureAction({ text: `/lang ${key}` }, label)),
+  ];
+  return { ...message, quickReply: { items: actions.map((action) => ({ type: 'action', action })) } };
 }
 
-const AI_CHAT_GREETING = '請直接輸入您的問題，我會為您處理！💬\n\n您可以提出任何問題，複雜的需求我會自動拆解並交由多位專業 AI 協作完成。';
+// ===== 圖片訊息 =====
 
 /**
- * Supervisor prompt — 分析使用者需求，拆解為子任務。
- * 輸出格式：JSON 陣列 [{"role": "...", "instruction": "..."}]
- * 簡單任務回傳 []
+ * 收到圖片後的回覆 — LINE 圖片沒有說明文字，請使用者用下一則訊息提問
+ * @param {number} count - 目前暫存的圖片數
+ * @param {object} [prompts]
+ * @returns {string}
  */
-const SUPERVISOR_PROMPT = `你是一個統管 AI Agent 的 Supervisor。請分析使用者的要求，並將其拆解為多個獨立的子任務。判斷每個子任務需要哪種專業角色的 AI (例如: 翻譯員、程式設計師、搜尋專家)。
-請嚴格輸出 JSON 陣列，格式為: [{"role": "角色名稱", "instruction": "具體指令"}]。如果判定使用者的要求非常簡單，只需要單一對話即可完成，請輸出空陣列 []。
-不要輸出其他任何 Markdown 或文字解釋，只能輸出純 JSON。`;
+function buildImageReceivedText(count, prompts = DEFAULT_PROMPTS) {
+  return count > 1 ? prompts.text('image.receivedMany', { count }) : prompts.text('image.received');
+}
+
+/**
+ * 附件說明 — 加在使用者訊息前，讓 Supervisor 與各 Agent 知道有圖片可參考
+ * @param {Array} attachments - 附件列表
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function buildAttachmentNote(attachments, prompts = DEFAULT_PROMPTS) {
+  if (!attachments || attachments.length === 0) return '';
+  return `${prompts.text('attachments.note', { count: attachments.length })}\n`;
+}
+
+// ===== 語音訊息 =====
+
+// 語音辨識無結果時 Gemini 應輸出的標記
+const TRANSCRIPTION_EMPTY_MARKER = '[無法辨識]';
+
+/**
+ * 語音轉文字 prompt — 只輸出逐字稿，不回答內容
+ * @param {object} [prompts]
+ */
+function buildTranscriptionPrompt(prompts = DEFAULT_PROMPTS) {
+  return prompts.render('transcription', { emptyMarker: TRANSCRIPTION_EMPTY_MARKER });
+}
+
+/**
+ * 語音辨識結果回覆 — 先讓使用者確認 Bot 聽到的內容
+ * @param {string} transcript - 逐字稿
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function buildTranscriptText(transcript, prompts = DEFAULT_PROMPTS) {
+  return prompts.text('audio.transcript', { transcript });
+}
+
+// ===== 群組 / 聊天室 =====
+
+/**
+ * 加入群組時的自我介紹 — 說明在群組中如何呼叫 Bot
+ * @param {object} settings - 群組設定 (replyMode、prefix)
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function buildGroupIntroText({ replyMode, prefix }, prompts = DEFAULT_PROMPTS) {
+  const howTo = replyMode === 'all' ? prompts.text('group.introAll') : prompts.text('group.introMention', { prefix });
+  return prompts.text('group.intro', { howTo });
+}
+
+/**
+ * 新成員加入群組時的歡迎訊息
+ * @param {string[]} names - 新成員的名稱 (取得失敗的成員不列出)
+ * @param {object} settings - 群組設定 (replyMode、prefix)
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function buildMemberWelcomeText(names, { replyMode, prefix }, prompts = DEFAULT_PROMPTS) {
+  const who = names.length > 0 ? names.join(prompts.text('group.nameSeparator')) : prompts.text('group.welcomeAnonymous');
+  const howTo = replyMode === 'all' ? prompts.text('group.welcomeAll') : prompts.text('group.welcomeMention', { prefix });
+  return prompts.text('group.welcome', { who, howTo });
+}
+
+// ===== 流量限制 =====
+
+function formatWait(seconds, prompts) {
+  if (!Number.isFinite(seconds)) return prompts.text('wait.unknown');
+  return seconds >= 60
+    ? prompts.text('wait.minutes', { count: Math.ceil(seconds / 60) })
+    : prompts.text('wait.seconds', { count: Math.max(1, seconds) });
+}
+
+/**
+ * 訊息被流量限制擋下時的回覆 (見 utils/rate-limit.js)
+ * @param {{reason: 'rate'|'quota'|'busy', retryAfterSeconds: number}} throttled
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function buildThrottledText({ reason, retryAfterSeconds }, prompts = DEFAULT_PROMPTS) {
+  switch (reason) {
+    case 'quota':
+      return prompts.text('throttled.quota');
+    case 'busy':
+      return prompts.text('throttled.busy', { wait: formatWait(retryAfterSeconds, prompts) });
+    default:
+      return prompts.text('throttled.rate', { wait: formatWait(retryAfterSeconds, prompts) });
+  }
+}
+
+// ===== 提醒 =====
+
+/**
+ * 提醒時間的顯示文字，例如 "10/19 (一) 08:00"
+ * @param {{nextAt: number, timeZone: string}} reminder
+ * @param {object} [prompts]
+ */
+function formatReminderTime({ nextAt, timeZone }, prompts = DEFAULT_PROMPTS) {
+  const t = toLocal(nextAt, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${t.month}/${t.day} (${prompts.text(`weekday.${t.weekday}`)}) ${pad(t.hour)}:${pad(t.minute)}`;
+}
+
+function describeReminder(reminder, prompts) {
+  const repeat = reminder.recurrence === 'none' ? '' : ` · ${prompts.text(`recurrence.${reminder.recurrence}`)}`;
+  return `${formatReminderTime(reminder, prompts)}${repeat}`;
+}
+
+/**
+ * 提醒解析 prompt — 判斷是否為提醒，並取出當地時間、重複規則與內容 (輸出格式由 responseSchema 限制)
+ * @param {string} userMessage
+ * @param {object} options
+ * @param {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}} options.now - 當地時間
+ * @param {string} options.timeZone
+ * @returns {string}
+ */
+function buildReminderParsePrompt(userMessage, { now, timeZone }, prompts = DEFAULT_PROMPTS) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const weekday = prompts.text('reminder.parseWeekday', { weekday: prompts.text(`weekday.${now.weekday}`) });
+  const nowText = `${now.year}-${pad(now.month)}-${pad(now.day)} ${pad(now.hour)}:${pad(now.minute)} (${weekday})`;
+  return prompts.render('reminder_parse', { now: nowText, timeZone, userMessage });
+}
+
+/**
+ * 取消提醒的 postback action
+ * @param {{id: string}} reminder
+ * @param {string} label
+ * @param {object} prompts
+ */
+function toCancelReminderAction(reminder, label, prompts) {
+  return {
+    type: 'postback',
+    label,
+    data: `${ACTIONS.CANCEL_REMINDER}&id=${reminder.id}`,
+    displayText: prompts.text('reminder.cancelDisplay', { id: reminder.id }),
+  };
+}
+
+/**
+ * 設定提醒後的確認卡片
+ * @param {object} reminder - utils/reminders.js 的提醒
+ * @param {object} [prompts]
+ */
+function buildReminderCreatedMessage(reminder, prompts = DEFAULT_PROMPTS) {
+  const when = describeReminder(reminder, prompts);
+  return buildCardMessage({
+    title: prompts.text('reminder.created'),
+    sections: [{ title: reminder.message, text: `${when}\n${prompts.text('item.id', { id: reminder.id })}` }],
+    buttons: [
+      toCancelReminderAction(reminder, prompts.text('reminder.cancelThis'), prompts),
+      toFeatureAction({ text: '/reminders' }, prompts.text('reminder.viewAll')),
+    ],
+  }, prompts.text('reminder.createdText', { message: reminder.message, when, id: reminder.id }));
+}
+
+/**
+ * /reminders 回覆：每個提醒附取消按鈕
+ * @param {Array<object>} reminders
+ * @param {object} [prompts]
+ */
+function buildReminderListMessage(reminders, prompts = DEFAULT_PROMPTS) {
+  if (reminders.length === 0) {
+    return { type: 'text', text: prompts.text('reminder.listEmpty') };
+  }
+  const lines = reminders.map((reminder) => `• ${reminder.id}｜${describeReminder(reminder, prompts)}｜${reminder.message}`);
+  return buildCardMessage({
+    title: prompts.text('reminder.listTitle', { count: reminders.length }),
+    sections: reminders.map((reminder) => ({
+      title: reminder.message,
+      text: `${describeReminder(reminder, prompts)}\n${prompts.text('item.id', { id: reminder.id })}`,
+      action: toCancelReminderAction(reminder, prompts.text('reminder.cancel'), prompts),
+    })),
+  }, prompts.text('reminder.listText', { lines: lines.join('\n') }));
+}
+
+/**
+ * 提醒時間到時 push 的訊息
+ * @param {object} reminder
+ * @param {object} [prompts] - 依提醒擁有者的語言選擇
+ */
+function buildReminderDueText(reminder, prompts = DEFAULT_PROMPTS) {
+  if (reminder.recurrence === 'none') return prompts.text('reminder.due', { message: reminder.message });
+  return prompts.text('reminder.dueRecurring', {
+    message: reminder.message,
+    recurrence: prompts.text(`recurrence.${reminder.recurrence}`),
+  });
+}
+
+/**
+ * 取消提醒的回覆
+ * @param {object|null} reminder - 被取消的提醒；找不到時為 null
+ * @param {object} [prompts]
+ */
+function buildReminderCancelledText(reminder, prompts = DEFAULT_PROMPTS) {
+  return reminder
+    ? prompts.text('reminder.cancelled', { message: reminder.message })
+    : prompts.text('reminder.notFound');
+}
+
+/**
+ * 無法設定提醒時的回覆
+ * @param {'invalid'|'past'|'limit'} code - utils/reminders.js 的 ReminderError code
+ * @param {{maxPerUser: number}} limits
+ * @param {object} [prompts]
+ */
+function buildReminderErrorText(code, { maxPerUser }, prompts = DEFAULT_PROMPTS) {
+  switch (code) {
+    case 'past':
+      return prompts.text('reminder.past');
+    case 'limit':
+      return prompts.text('reminder.limit', { max: maxPerUser });
+    default:
+      return prompts.text('reminder.invalid');
+  }
+}
+
+// ===== 知識庫 =====
+
+// 文件中沒有文字 (例如只有掃描圖片且無法辨識) 時模型應輸出的標記
+const DOCUMENT_EMPTY_MARKER = '[無文字]';
+
+/**
+ * PDF 文字擷取 prompt — 只輸出文件內容，不摘要
+ * @param {object} [prompts]
+ */
+function buildDocumentExtractionPrompt(prompts = DEFAULT_PROMPTS) {
+  return prompts.render('document_extraction', { emptyMarker: DOCUMENT_EMPTY_MARKER });
+}
+
+/**
+ * 檢索到的段落 — 加在 Agent / Synthesizer / 單一對話 prompt 中，沒有段落時回傳空字串
+ * @param {Array<{name: string, chunk: number, text: string}>} [passages] - utils/knowledge.js 的 search() 結果
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function formatKnowledge(passages, prompts = DEFAULT_PROMPTS) {
+  if (!passages || passages.length === 0) return '';
+  const blocks = passages
+    .map((p, i) => `${prompts.text('knowledge.source', { number: i + 1, name: p.name, chunk: p.chunk })}\n${p.text}`)
+    .join('\n\n');
+  return `${prompts.text('knowledge.header')}\n${blocks}\n\n${prompts.text('knowledge.instruction')}\n\n`;
+}
+
+/**
+ * 在回答後附上實際引用 ([n]) 的來源；沒有引用時原樣回傳
+ * @param {string} answer
+ * @param {Array<{name: string, chunk: number}>} passages - 與 formatKnowledge 相同的順序
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function appendCitations(answer, passages, prompts = DEFAULT_PROMPTS) {
+  if (!passages || passages.length === 0) return answer;
+  const cited = passages
+    .map((p, i) => ({ ...p, number: i + 1 }))
+    .filter((p) => answer.includes(`[${p.number}]`));
+  if (cited.length === 0) return answer;
+  const lines = cited.map((p) => prompts.text('knowledge.source', { number: p.number, name: p.name, chunk: p.chunk }));
+  return `${answer}\n\n${prompts.text('citations.header')}\n${lines.join('\n')}`;
+}
+
+function describeDocument(document, prompts) {
+  const date = new Date(document.createdAt).toLocaleDateString(prompts.locale, { timeZone: 'Asia/Taipei', month: 'numeric', day: 'numeric' });
+  return `${prompts.text('document.summary', { chunks: document.chunks, date })}\n${prompts.text('item.id', { id: document.id })}`;
+}
+
+/**
+ * 檔案加入知識庫後的回覆
+ * @param {object} document - utils/knowledge.js 的文件
+ * @param {object} [prompts]
+ */
+function buildDocumentAddedText(document, prompts = DEFAULT_PROMPTS) {
+  return prompts.text('document.added', {
+    name: document.name,
+    chunks: document.chunks,
+    truncated: document.truncated ? prompts.text('document.truncated') : '',
+  });
+}
+
+/**
+ * 刪除文件的 postback action
+ * @param {{id: string}} document
+ * @param {string} label
+ * @param {object} prompts
+ */
+function toDeleteDocumentAction(document, label, prompts) {
+  return {
+    type: 'postback',
+    label,
+    data: `${ACTIONS.DELETE_DOCUMENT}&id=${document.id}`,
+    displayText: prompts.text('document.deleteDisplay', { id: document.id }),
+  };
+}
+
+/**
+ * /docs 回覆：每份文件附刪除按鈕
+ * @param {Array<object>} documents
+ * @param {object} [prompts]
+ */
+function buildDocumentListMessage(documents, prompts = DEFAULT_PROMPTS) {
+  if (documents.length === 0) {
+    return { type: 'text', text: prompts.text('document.listEmpty') };
+  }
+  const lines = documents.map((doc) => `• ${doc.id}｜${doc.name}｜${prompts.text('document.chunks', { count: doc.chunks })}`);
+  return buildCardMessage({
+    title: prompts.text('document.listTitle', { count: documents.length }),
+    sections: documents.map((doc) => ({
+      title: doc.name,
+      text: describeDocument(doc, prompts),
+      action: toDeleteDocumentAction(doc, prompts.text('document.delete'), prompts),
+    })),
+  }, prompts.text('document.listText', { lines: lines.join('\n') }));
+}
+
+/**
+ * 刪除文件的回覆
+ * @param {object|null} document - 被刪除的文件；找不到時為 null
+ * @param {object} [prompts]
+ */
+function buildDocumentDeletedText(document, prompts = DEFAULT_PROMPTS) {
+  return document
+    ? prompts.text('document.deleted', { name: document.name })
+    : prompts.text('document.notFound');
+}
+
+// KnowledgeError code 對應的 strings.json key
+const DOCUMENT_ERROR_KEYS = {
+  unsupported: 'document.unsupported',
+  empty: 'document.noText',
+  limit: 'document.limit',
+  too_large: 'document.tooLarge',
+};
+
+/**
+ * 無法加入檔案時的回覆
+ * @param {'unsupported'|'empty'|'limit'|'too_large'} code - utils/knowledge.js 的 KnowledgeError code
+ * @param {{maxDocuments: number}} limits
+ * @param {object} [prompts]
+ */
+function buildDocumentErrorText(code, { maxDocuments }, prompts = DEFAULT_PROMPTS) {
+  return prompts.text(DOCUMENT_ERROR_KEYS[code] || 'document.failed', { max: maxDocuments });
+}
+
+// ===== Agent 執行結果 =====
+
+/**
+ * Sub-agent 的結果合併為 Synthesizer 的輸入；失敗的 Agent 以失敗標記 (agent.failed / agent.timedOut) 呈現
+ * @param {Array<{role: string, ok: boolean, text: string}>} reports - 依任務順序
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function formatAgentReports(reports, prompts = DEFAULT_PROMPTS) {
+  return reports
+    .map(({ role, ok, text }) => `${prompts.text('agent.report', { role })}${ok ? '\n' : ' '}${text}`)
+    .join('\n\n');
+}
+
+/**
+ * Synthesizer 失敗時的降級回答：直接列出已完成的 Agent 結果
+ * @param {Array<{role: string, text: string}>} results - 成功的 Agent 結果 (至少一個)
+ * @param {object} [prompts]
+ * @returns {string} Markdown
+ */
+function buildDegradedAnswer(results, prompts = DEFAULT_PROMPTS) {
+  const blocks = results.map(({ role, text }) => `### ${role}\n${text}`).join('\n\n');
+  return `${prompts.text('answer.degraded')}\n\n${blocks}`;
+}
+
+/**
+ * Supervisor 重試 prompt — 把驗證錯誤回饋給 Supervisor，請它修正計畫
+ * @param {string[]} errors - 驗證錯誤
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function buildSupervisorRetryPrompt(errors, prompts = DEFAULT_PROMPTS) {
+  return prompts.render('supervisor_retry', { errors: errors.map((e) => `- ${e}`).join('\n') });
+}
+
+/**
+ * 將對話紀錄格式化為 prompt 區塊，沒有紀錄時回傳空字串
+ * @param {Array<{role: string, text: string}>} history - 由舊到新排列的對話紀錄
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function formatHistory(history, prompts = DEFAULT_PROMPTS) {
+  if (!history || history.length === 0) return '';
+  const lines = history.map((turn) => prompts.text('history.line', {
+    speaker: prompts.text(turn.role === 'user' ? 'history.user' : 'history.bot'),
+    text: turn.text,
+  })).join('\n');
+  return `${prompts.text('history.header')}\n${lines}\n\n`;
+}
+
+/**
+ * 將使用者的語言 / 語氣設定與名字 (個人檔案) 格式化為 prompt 區塊，皆為預設時回傳空字串
+ * @param {{lang?: string, persona?: string, name?: string}} [preferences]
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function formatPreferences(preferences, prompts = DEFAULT_PROMPTS) {
+  const { lang, persona, name } = { ...DEFAULT_PREFERENCES, ...preferences };
+  const lines = [];
+  if (lang !== DEFAULT_PREFERENCES.lang && LANGUAGES[lang]) lines.push(LANGUAGES[lang].instruction);
+  if (PERSONAS[persona] && PERSONAS[persona].instruction) lines.push(PERSONAS[persona].instruction);
+  if (name) lines.push(prompts.text('preferences.name', { name }));
+  return lines.length > 0 ? `${prompts.text('preferences.header')}\n${lines.join('\n')}\n\n` : '';
+}
+
+/**
+ * 將可用工具格式化為 Supervisor prompt 區塊，沒有工具時回傳空字串
+ * @param {Array<{name: string, description: string}>} toolCatalog
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function formatToolCatalog(toolCatalog, prompts = DEFAULT_PROMPTS) {
+  if (!toolCatalog || toolCatalog.length === 0) return '';
+  const lines = toolCatalog.map(({ name, description }) => prompts.text('tools.line', { name, description })).join('\n');
+  return `${prompts.text('tools.header')}\n${lines}\n${prompts.text('tools.instruction')}\n\n`;
+}
+
+/**
+ * Supervisor prompt 產生器 — 分析使用者需求，拆解為子任務 (模板：supervisor)。
+ * 輸出格式：JSON 陣列 [{"id": "...", "role": "...", "instruction": "...", "dependsOn": [...]}]，簡單任務回傳 []。
+ * 附上對話紀錄，讓追問也能正確拆解
+ * @param {string} userMessage - 使用者訊息
+ * @param {Array} [history] - 對話紀錄
+ * @param {Array<{name: string, description: string}>} [toolCatalog] - 可指派給任務的工具
+ * @param {{mode?: string}} [preferences] - 使用者設定 (mode 為 agents 時要求拆解)
+ * @param {object} [prompts]
+ * @returns {string} 完整 prompt
+ */
+function buildSupervisorPrompt(userMessage, history, toolCatalog, preferences = {}, prompts = DEFAULT_PROMPTS) {
+  return prompts.render('supervisor', {
+    forceHint: preferences.mode === 'agents' ? `${prompts.text('supervisor.forceAgents')}\n\n` : '',
+    toolCatalog: formatToolCatalog(toolCatalog, prompts),
+    history: formatHistory(history, prompts),
+    userMessage,
+  });
+}
+
+/**
+ * 單一對話模式 prompt 產生器 — 沒有對話紀錄時直接使用原始訊息
+ * @param {string} userMessage - 使用者訊息
+ * @param {Array} [history] - 對話紀錄
+ * @param {{lang?: string, persona?: string}} [preferences] - 使用者的語言 / 語氣設定
+ * @param {Array<object>} [passages] - 知識庫檢索到的段落
+ * @param {object} [prompts]
+ * @returns {string} 完整 prompt
+ */
+function buildSimplePrompt(userMessage, history, preferences, passages, prompts = DEFAULT_PROMPTS) {
+  const context = `${formatPreferences(preferences, prompts)}${formatKnowledge(passages, prompts)}`;
+  if (!history || history.length === 0) return context ? `${context}${userMessage}` : userMessage;
+  return prompts.render('simple_followup', { context, history: formatHistory(history, prompts), userMessage });
+}
+
+/**
+ * 將前置任務的結果格式化為 prompt 區塊，沒有前置任務時回傳空字串
+ * @param {Array<{role: string, output: string}>} upstreamResults
+ * @param {object} [prompts]
+ * @returns {string}
+ */
+function formatUpstreamResults(upstreamResults, prompts = DEFAULT_PROMPTS) {
+  if (!upstreamResults || upstreamResults.length === 0) return '';
+  const blocks = formatAgentReports(upstreamResults.map((r) => ({ role: r.role, ok: true, text: r.output })), prompts);
+  return `${prompts.text('upstream.header')}\n${blocks}\n\n`;
+}
 
 /**
  * Sub-agent prompt 產生器
  * @param {string} role - Agent 角色名稱
  * @param {string} instruction - 具體指令
  * @param {string} userMessage - 使用者原始訊息
+ * @param {Array} [history] - 對話紀錄
+ * @param {Array<{role: string, output: string}>} [upstreamResults] - 前置任務 (dependsOn) 的結果
+ * @param {Array<object>} [passages] - 知識庫檢索到的段落
+ * @param {object} [prompts]
  * @returns {string} 完整 prompt
  */
-function buildAgentPrompt(role, instruction, userMessage) {
-  return `你現在是 ${role}。請根據以下指令執行任務，並直接給出結果：\n${instruction}\n\n這是一開始使用者的原始訊息作為參考：${userMessage}`;
+function buildAgentPrompt(role, instruction, userMessage, history, upstreamResults, passages, prompts = DEFAULT_PROMPTS) {
+  return prompts.render('agent', {
+    role,
+    instruction,
+    upstream: formatUpstreamResults(upstreamResults, prompts),
+    knowledge: formatKnowledge(passages, prompts),
+    history: formatHistory(history, prompts),
+    userMessage,
+  });
 }
 
 /**
  * Synthesizer prompt 產生器 — 統整所有 sub-agent 回報
  * @param {string} userMessage - 使用者原始訊息
- * @param {string} agentResultsCombined - 所有 sub-agent 結果合併文字
+ * @param {string} agentResultsCombined - 所有 sub-agent 結果合併文字 (formatAgentReports)
+ * @param {Array} [history] - 對話紀錄
+ * @param {{lang?: string, persona?: string}} [preferences] - 使用者的語言 / 語氣設定
+ * @param {Array<object>} [passages] - 知識庫檢索到的段落 (保留各 Agent 標註的來源編號)
+ * @param {object} [prompts]
  * @returns {string} 完整 prompt
  */
-function buildSynthesizerPrompt(userMessage, agentResultsCombined) {
-  return `你是一個負責統整最終報告的 Synthesizer AI。
-這是一開始使用者的要求：\n"${userMessage}"
-
-以下是各個專業 AI Agent 完成的結果：
-${agentResultsCombined}
-
-請將這些結果綜整成一個連貫、自然且易讀的最終回覆給使用者。請直接給出回覆內容，不需提及你是由哪些 Agent 統整出來的。`;
+function buildSynthesizerPrompt(userMessage, agentResultsCombined, history, preferences, passages, prompts = DEFAULT_PROMPTS) {
+  return prompts.render('synthesizer', {
+    history: formatHistory(history, prompts),
+    userMessage,
+    agentResults: agentResultsCombined,
+    knowledge: formatKnowledge(passages, prompts),
+    preferences: formatPreferences(preferences, prompts),
+  });
 }
 
 module.exports = {
-  SUPERVISOR_PROMPT,
+  DEFAULT_PROMPTS,
+  formatHistory,
+  formatPreferences,
+  formatToolCatalog,
+  buildSupervisorPrompt,
+  buildSupervisorRetryPrompt,
+  buildSimplePrompt,
+  formatUpstreamResults,
   buildAgentPrompt,
   buildSynthesizerPrompt,
+  formatAgentReports,
   ACTIONS,
   FEATURE_LIST,
   buildFeatureListText,
+  buildFeatureListMessage,
   buildHelpText,
-  AI_CHAT_GREETING,
+  buildHelpMessage,
+  buildWelcomeMessage,
+  buildImageReceivedText,
+  buildAttachmentNote,
+  TRANSCRIPTION_EMPTY_MARKER,
+  buildTranscriptionPrompt,
+  buildTranscriptText,
+  buildGroupIntroText,
+  buildMemberWelcomeText,
+  buildThrottledText,
+  formatReminderTime,
+  buildReminderParsePrompt,
+  buildReminderCreatedMessage,
+  buildReminderListMessage,
+  buildReminderDueText,
+  buildReminderCancelledText,
+  buildReminderErrorText,
+  DOCUMENT_EMPTY_MARKER,
+  buildDocumentExtractionPrompt,
+  formatKnowledge,
+  appendCitations,
+  buildDocumentAddedText,
+  buildDocumentListMessage,
+  buildDocumentDeletedText,
+  buildDocumentErrorText,
+  buildDegradedAnswer,
 };
@@ -0,0 +1,203 @@
+/**
+ * Prompt Templates — 版本化、多語系的 prompt 與使用者訊息
+ *
+ * 檔案結構 (預設為 prompts/templates/，可用 PROMPT_TEMPLATES_DIR 指定其他目錄)：
+ *   manifest.json               — 各 prompt 目前使用的版本與 A/B 實驗
+ *   <locale>/<name>.<version>.md — prompt 模板，例如 zh-TW/supervisor.v1.md
+ *   <locale>/strings.json       — prompt 片段與回覆給使用者的文字 (不分版本)
+ * 模板以 {{變數}} 插入內容。其他語系缺少的模板或字串沿用預設語系 (zh-TW)。
+ *
+ * 使用者依 userId 的雜湊固定分到實驗的一個 variant，variant 可以覆寫部分 prompt 的版本。
+ * 所有檔案在啟動時讀取並檢查，設定錯誤會直接拋出錯誤。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, 'templates');
+const DEFAULT_VARIANT = 'default';
+const TEMPLATE_FILE = /^([a-z_]+)\.(v\d+)\.md$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+/**
+ * 以 vars 取代模板中的 {{name}}；缺少變數時拋出錯誤 (避免把 "{{history}}" 送給模型)
+ * @param {string} template
+ * @param {object} [vars]
+ * @returns {string}
+ */
+function interpolate(template, vars = {}) {
+  return template.replace(PLACEHOLDER, (match, name) => {
+    if (vars[name] === undefined || vars[name] === null) throw new Error(`Missing template variable: ${name}`);
+    return String(vars[name]);
+  });
+}
+
+/**
+ * 讀取模板目錄
+ * @param {string} dir
+ * @returns {{manifest: object, templates: Map<string, string>, strings: Map<string, object>, locales: string[]}}
+ *   templates 的 key 為 "<locale>/<name>.<version>"
+ */
+function loadTemplateFiles(dir) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  const templates = new Map();
+  const strings = new Map();
+  const locales = fs.readdirSync(dir, { withFileTypes: true }).filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+
+  locales.forEach((locale) => {
+    fs.readdirSync(path.join(dir, locale)).forEach((file) => {
+      const filePath = path.join(dir, locale, file);
+      if (file === 'strings.json') {
+        strings.set(locale, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        return;
+      }
+      const match = file.match(TEMPLATE_FILE);
+      // 檔案結尾的換行不屬於模板內容
+      if (match) templates.set(`${locale}/${match[1]}.${match[2]}`, fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, ''));
+    });
+  });
+  return { manifest, templates, strings, locales };
+}
+
+/**
+ * 檢查 manifest 指定的版本在預設語系都存在
+ * @returns {string[]} 錯誤訊息
+ */
+function findManifestErrors({ manifest, templates, strings }) {
+  const errors = [];
+  const { defaultLocale, versions = {}, experiments = {} } = manifest;
+  if (!strings.has(defaultLocale)) errors.push(`${defaultLocale}/strings.json is missing`);
+
+  const check = (name, version, where) => {
+    if (!templates.has(`${defaultLocale}/${name}.${version}`)) errors.push(`${where}: ${defaultLocale}/${name}.${version}.md is missing`);
+  };
+  Object.entries(versions).forEach(([name, version]) => check(name, version, 'versions'));
+  Object.entries(experiments).forEach(([experiment, { variants = {} }]) => {
+    if (Object.keys(variants).length === 0) errors.push(`experiment ${experiment} has no variants`);
+    Object.entries(variants).forEach(([variant, { templates: overrides = {} }]) => {
+      Object.entries(overrides).forEach(([name, version]) => {
+        if (!versions[name]) errors.push(`experiment ${experiment}/${variant}: unknown prompt ${name}`);
+        check(name, version, `experiment ${experiment}/${variant}`);
+      });
+    });
+  });
+  return errors;
+}
+
+/**
+ * 依 userId 的雜湊選擇 variant (相同使用者在同一個實驗中固定分到同一組)
+ * @param {string} experiment - 實驗名稱 (換實驗時重新分組)
+ * @param {object} variants - { name: { weight? } }
+ * @param {string} [userId] - 沒有 userId 時使用第一個 variant
+ * @returns {string}
+ */
+function assignVariant(experiment, variants, userId) {
+  const entries = Object.entries(variants).map(([name, { weight = 1 }]) => [name, weight]);
+  if (!userId) return entries[0][0];
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment}:${userId}`).digest().readUInt32BE(0);
+  let point = (hash / 0x100000000) * total;
+  for (const [name, weight] of entries) {
+    if (point < weight) return name;
+    point -= weight;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir] - 模板目錄
+ * @param {string} [options.experiment] - 啟用的實驗 (manifest.experiments 的 key)；未指定時不分組
+ * @param {string} [options.variant] - 強制所有使用者使用的 variant (測試或回滾用)
+ */
+function createPromptLibrary({ dir = DEFAULT_DIR, experiment, variant: forcedVariant } = {}) {
+  const files = loadTemplateFiles(dir);
+  const errors = findManifestErrors(files);
+  const { manifest, templates, strings, locales } = files;
+  const { defaultLocale } = manifest;
+  const activeExperiment = experiment ? manifest.experiments && manifest.experiments[experiment] : null;
+  if (experiment && !activeExperiment) errors.push(`Unknown prompt experiment: ${experiment}`);
+  if (forcedVariant && !(activeExperiment && activeExperiment.variants[forcedVariant])) {
+    errors.push(`Unknown prompt variant: ${forcedVariant}`);
+  }
+  if (errors.length > 0) throw new Error(`Invalid prompt templates (${dir}): ${errors.join('; ')}`);
+
+  /**
+   * 取得某位使用者的 prompt 組合
+   * @param {object} [options]
+   * @param {string} [options.userId] - 決定實驗分組
+   * @param {string} [options.lang] - 使用者的語言設定 (/lang)；不支援的語系使用預設語系
+   * @returns {{locale: string, variant: string, render: Function, text: Function}}
+   */
+  function select({ userId, lang } = {}) {
+    const locale = locales.includes(lang) ? lang : defaultLocale;
+    const variant = !activeExperiment
+      ? DEFAULT_VARIANT
+      : forcedVariant || assignVariant(experiment, activeExperiment.variants, userId);
+    const overrides = activeExperiment ? activeExperiment.variants[variant].templates || {} : {};
+
+    return {
+      locale,
+      variant,
+
+      /**
+       * 套用 prompt 模板
+       * @param {string} name - 例如 "supervisor"
+       * @param {object} [vars]
+       */
+      render(name, vars) {
+        const version = overrides[name] || manifest.versions[name];
+        if (!version) throw new Error(`Unknown prompt template: ${name}`);
+        const template = templates.get(`${locale}/${name}.${version}`) || templates.get(`${defaultLocale}/${name}.${version}`);
+        return interpolate(template, vars);
+      },
+
+      /**
+       * 取得文字 (strings.json)
+       * @param {string} key - 例如 "error.pipeline"
+       * @param {object} [vars]
+       */
+      text(key, vars) {
+        const localized = strings.get(locale) || {};
+        const value = localized[key] !== undefined ? localized[key] : strings.get(defaultLocale)[key];
+        if (value === undefined) throw new Error(`Unknown prompt string: ${key}`);
+        return interpolate(value, vars);
+      },
+    };
+  }
+
+  return {
+    defaultLocale,
+    locales,
+    experiment: activeExperiment ? experiment : null,
+    select,
+  };
+}
+
+/**
+ * 依環境變數建立：
+ *   PROMPT_TEMPLATES_DIR — 模板目錄 (預設 prompts/templates)
+ *   PROMPT_EXPERIMENT    — 啟用 manifest.json 中的實驗；未設定時所有人使用 versions 指定的版本
+ *   PROMPT_VARIANT       — 強制使用實驗中的某個 variant
+ * @param {object} [env]
+ */
+function createPromptLibraryFromEnv(env = process.env) {
+  return createPromptLibrary({
+    dir: env.PROMPT_TEMPLATES_DIR || DEFAULT_DIR,
+    experiment: env.PROMPT_EXPERIMENT || undefined,
+    variant: env.PROMPT_VARIANT || undefined,
+  });
+}
+
+// 預設目錄、預設語系與預設版本的 prompt 組合 (builder 省略 prompts 參數時使用)
+const DEFAULT_PROMPTS = createPromptLibrary().select();
+
+module.exports = {
+  DEFAULT_VARIANT,
+  DEFAULT_PROMPTS,
+  interpolate,
+  assignVariant,
+  createPromptLibrary,
+  createPromptLibraryFromEnv,
+};
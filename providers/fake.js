@@ -0,0 +1,130 @@
+/**
+ * Fake Provider
+ *
+ * 不呼叫任何 API、回傳預先寫好的回應，用於離線測試整個 pipeline。
+ * 回應的決定順序：
+ *   1. responses — 依呼叫順序逐一取出
+ *   2. rules     — 以正規表示式比對最後一則使用者訊息的文字，取第一個符合的規則
+ *   3. fallback  — 以上皆無時的預設文字
+ * 每個回應可以是：
+ *   字串                       → 文字回覆
+ *   { text }                  → 文字回覆
+ *   { functionCalls: [...] }  → 要求呼叫工具
+ *   { error, status }         → 拋出錯誤 (模擬 429 / 5xx)
+ *   { finishReason, blockReason } → 模擬安全機制擋下的回覆 (例如 { finishReason: 'SAFETY' })
+ *   { delayMs, ... }          → 等待 delayMs 後才回應 (模擬慢速模型；signal 取消時提前結束)
+ *   (request) => 以上任一種    → 動態產生
+ * 所有呼叫都記錄在 calls，方便測試檢查 prompt 內容。
+ * embed() 以字元 bigram 的雜湊產生固定維度的向量：用字相近的文字相似度較高，足以離線測試語意檢索。
+ */
+
+const EMBEDDING_DIMENSIONS = 64;
+
+function hashEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  const chars = [...text.toLowerCase().replace(/\s+/g, ' ')];
+  for (let i = 0; i < chars.length - 1; i++) {
+    const gram = chars[i] + chars[i + 1];
+    let hash = 0;
+    for (const char of gram) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    vector[hash % EMBEDDING_DIMENSIONS] += 1;
+  }
+  return vector;
+}
+
+// 等待 ms，signal 取消時以取消原因拒絕
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+function lastUserText(contents) {
+  const userContents = contents.filter((c) => c.role === 'user');
+  const last = userContents[userContents.length - 1];
+  return last ? last.parts.filter((p) => p.text !== undefined).map((p) => p.text).join('\n') : '';
+}
+
+function toResult(response) {
+  const normalized = typeof response === 'string' ? { text: response } : response;
+  if (normalized.error) {
+    const err = new Error(normalized.error);
+    if (normalized.status) err.status = normalized.status;
+    throw err;
+  }
+
+  const functionCalls = (normalized.functionCalls || []).map(({ name, args }) => ({ name, args: args || {} }));
+  const text = normalized.text || '';
+  return {
+    text,
+    functionCalls,
+    content: {
+      role: 'model',
+      parts: [...(text ? [{ text }] : []), ...functionCalls.map((functionCall) => ({ functionCall }))],
+    },
+    usage: normalized.usage || null,
+    finishReason: normalized.finishReason || 'STOP',
+    blockReason: normalized.blockReason || null,
+    safetyRatings: normalized.safetyRatings || null,
+  };
+}
+
+/**
+ * @param {object} [script]
+ * @param {Array} [script.responses] - 依序使用的回應
+ * @param {Array<{match: string|RegExp, response: *}>} [script.rules] - 依內容比對的回應
+ * @param {*} [script.fallback] - 預設回應
+ * @param {string} [script.name]
+ */
+function createFakeProvider({ responses = [], rules = [], fallback = '(fake response)', name = 'fake' } = {}) {
+  const queue = [...responses];
+  const compiledRules = rules.map((rule) => ({
+    pattern: rule.match instanceof RegExp ? rule.match : new RegExp(rule.match),
+    response: rule.response,
+  }));
+  const calls = [];
+  const embedCalls = [];
+
+  return {
+    name,
+    calls,
+    embedCalls,
+
+    async generate(request, { signal } = {}) {
+      calls.push(request);
+      const text = lastUserText(request.contents);
+      const rule = compiledRules.find((r) => r.pattern.test(text));
+      let response = queue.length > 0 ? queue.shift() : rule ? rule.response : fallback;
+      if (typeof response === 'function') response = await response(request);
+      if (response && response.delayMs) await wait(response.delayMs, signal);
+      return toResult(response);
+    },
+
+    /**
+     * 追加回應 (測試中途調整腳本)
+     */
+    enqueue(...more) {
+      queue.push(...more);
+    },
+
+    async embed(texts) {
+      embedCalls.push(texts);
+      return texts.map(hashEmbedding);
+    },
+
+    async listModels() {
+      return [name];
+    },
+  };
+}
+
+module.exports = {
+  createFakeProvider,
+};
@@ -0,0 +1,69 @@
+/**
+ * Gemini Provider
+ *
+ * 以 @google/generative-ai 實作 provider 介面 (見 providers/index.js)。
+ * 內部的 contents / parts 格式本來就是 Gemini 的格式，因此大多直接傳遞。
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey - GEMINI_API_KEY
+ * @param {string} options.model - 例如 gemini-2.5-flash
+ */
+function createGeminiProvider({ apiKey, model }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: `gemini:${model}`,
+
+    async generate({ contents, tools, responseSchema }, { signal } = {}) {
+      const request = { contents };
+      if (tools && tools.length > 0) {
+        request.tools = [{ functionDeclarations: tools }];
+      }
+      if (responseSchema) {
+        request.generationConfig = { responseMimeType: 'application/json', responseSchema };
+      }
+
+      const { response } = await generativeModel.generateContent(request, signal ? { signal } : undefined);
+      // 不使用 response.text()：prompt 或回覆被安全機制擋下時它會拋出錯誤，
+      // 改為回傳 blockReason / finishReason，由 utils/safety.js 判斷
+      const candidate = response.candidates && response.candidates[0];
+      const content = candidate && candidate.content ? candidate.content : { role: 'model', parts: [] };
+      const parts = content.parts || [];
+      const functionCalls = parts.filter((part) => part.functionCall).map((part) => part.functionCall);
+      return {
+        // 只有 function call 時為空字串
+        text: functionCalls.length > 0 ? '' : parts.filter((part) => part.text).map((part) => part.text).join(''),
+        functionCalls: functionCalls.map(({ name, args }) => ({ name, args: args || {} })),
+        content,
+        usage: response.usageMetadata || null,
+        finishReason: candidate ? candidate.finishReason || null : null,
+        blockReason: response.promptFeedback ? response.promptFeedback.blockReason || null : null,
+        safetyRatings: candidate ? candidate.safetyRatings || null : null,
+      };
+    },
+
+    // embedding 模型 (例如 text-embedding-004)，供知識庫的語意檢索使用
+    async embed(texts) {
+      const { embeddings } = await generativeModel.batchEmbedContents({
+        requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] } })),
+      });
+      return embeddings.map((embedding) => embedding.values);
+    },
+
+    async listModels() {
+      const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
+      const data = await res.json();
+      if (!data.models) throw new Error(`Error fetching models: ${JSON.stringify(data)}`);
+      return data.models.map((m) => m.name);
+    },
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+};
@@ -0,0 +1,141 @@
+/**
+ * LLM Providers
+ *
+ * Supervisor、Sub-agent、Synthesizer 等各階段都透過 provider 呼叫模型，不直接依賴 Gemini SDK。
+ * Provider 介面：
+ *   name
+ *   generate({ contents, tools?, responseSchema? }, { signal? })
+ *     → Promise<{ text, functionCalls: [{name, args}], content, usage, finishReason, blockReason, safetyRatings }>
+ *     signal (AbortSignal) 由 utils/resilience.js 在逾時或超過期限時取消請求
+ *     finishReason / blockReason 沿用 Gemini 的值 (例如 STOP、MAX_TOKENS、SAFETY)，未知時為 null；
+ *     被安全機制擋下時不拋出錯誤，由 utils/safety.js 判斷
+ *   listModels() → Promise<string[]>
+ *   embed(texts) → Promise<number[][]> (選用，embedding 模型才有意義；見 createEmbedderFromEnv)
+ *
+ * contents 沿用 Gemini 的格式 ({ role: 'user' | 'model' | 'function', parts })，
+ * parts 可為 { text } / { inlineData } / { functionCall } / { functionResponse }；
+ * tools 為 [{ name, description, parameters }]，responseSchema 為 JSON 輸出的 schema。
+ *
+ * 實作：gemini (預設)、openai (OpenAI-compatible HTTP)、fake (離線測試用)。
+ */
+
+const fs = require('fs');
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createFakeProvider } = require('./fake');
+
+const DEFAULT_PROVIDER = 'gemini';
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+// 可以個別指定模型的階段，對應環境變數 <STAGE>_MODEL
+const STAGES = ['supervisor', 'agent', 'synthesizer', 'transcription'];
+
+/**
+ * 將純文字、parts 陣列或完整 request 統一為 request 物件
+ * @param {string|Array<object>|object} input
+ * @returns {{contents: Array<object>}}
+ */
+function toRequest(input) {
+  if (typeof input === 'string') return { contents: [{ role: 'user', parts: [{ text: input }] }] };
+  if (Array.isArray(input)) return { contents: [{ role: 'user', parts: input }] };
+  return input;
+}
+
+/**
+ * 呼叫模型並只取文字回覆
+ * @param {object} provider
+ * @param {string|Array<object>|object} input
+ * @returns {Promise<string>}
+ */
+async function generateText(provider, input) {
+  const result = await provider.generate(toRequest(input));
+  return result.text;
+}
+
+/**
+ * 解析模型設定："openai:gpt-4o-mini"、"gemini:gemini-2.5-flash" 或只寫模型名稱
+ * @param {string} spec
+ * @param {string} defaultProvider
+ * @returns {{provider: string, model: string}}
+ */
+function parseModelSpec(spec, defaultProvider = DEFAULT_PROVIDER) {
+  const match = spec.match(/^(gemini|openai|fake):(.*)$/);
+  return match ? { provider: match[1], model: match[2] } : { provider: defaultProvider, model: spec };
+}
+
+/**
+ * @param {{provider: string, model: string}} spec
+ * @param {object} env
+ */
+function createProvider({ provider, model }, env = process.env) {
+  switch (provider) {
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is required for the gemini provider');
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model });
+
+    case 'openai':
+      if (!env.OPENAI_BASE_URL) throw new Error('OPENAI_BASE_URL is required for the openai provider');
+      return createOpenAIProvider({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, model });
+
+    case 'fake': {
+      const script = env.FAKE_LLM_SCRIPT ? JSON.parse(fs.readFileSync(env.FAKE_LLM_SCRIPT, 'utf8')) : {};
+      return createFakeProvider({ ...script, name: `fake:${model}` });
+    }
+
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+/**
+ * 依環境變數為每個階段建立 provider：
+ *   LLM_PROVIDER — 預設 provider：gemini (預設) | openai | fake
+ *   LLM_MODEL    — 預設模型 (預設 gemini-2.5-flash)
+ *   SUPERVISOR_MODEL / AGENT_MODEL / SYNTHESIZER_MODEL / TRANSCRIPTION_MODEL
+ *                — 個別階段的模型，可加 provider 前綴，例如 "openai:gpt-4o-mini"
+ * 相同設定的階段共用同一個 provider。
+ * @returns {{default: object, supervisor: object, agent: object, synthesizer: object, transcription: object}}
+ */
+function createProvidersFromEnv(env = process.env) {
+  const defaultProvider = env.LLM_PROVIDER || DEFAULT_PROVIDER;
+  const defaultSpec = env.LLM_MODEL || (defaultProvider === DEFAULT_PROVIDER ? DEFAULT_MODEL : '');
+  if (!defaultSpec) throw new Error(`LLM_MODEL is required when LLM_PROVIDER=${defaultProvider}`);
+
+  const cache = new Map();
+  const resolve = (specText) => {
+    const spec = parseModelSpec(specText, defaultProvider);
+    const key = `${spec.provider}:${spec.model}`;
+    if (!cache.has(key)) cache.set(key, createProvider(spec, env));
+    return cache.get(key);
+  };
+
+  const providers = { default: resolve(defaultSpec) };
+  STAGES.forEach((stage) => {
+    providers[stage] = resolve(env[`${stage.toUpperCase()}_MODEL`] || defaultSpec);
+  });
+  return providers;
+}
+
+/**
+ * 知識庫語意檢索用的 embedding provider (選用)：
+ *   EMBEDDING_MODEL — 例如 "gemini:text-embedding-004"、"openai:nomic-embed-text"，
+ *                     沒有前綴時使用 LLM_PROVIDER；未設定時回傳 null (只用關鍵字檢索)
+ * @returns {object|null}
+ */
+function createEmbedderFromEnv(env = process.env) {
+  if (!env.EMBEDDING_MODEL) return null;
+  return createProvider(parseModelSpec(env.EMBEDDING_MODEL, env.LLM_PROVIDER || DEFAULT_PROVIDER), env);
+}
+
+module.exports = {
+  STAGES,
+  toRequest,
+  generateText,
+  parseModelSpec,
+  createProvider,
+  createProvidersFromEnv,
+  createEmbedderFromEnv,
+  createGeminiProvider,
+  createOpenAIProvider,
+  createFakeProvider,
+};
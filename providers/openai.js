@@ -0,0 +1,176 @@
+/**
+ * OpenAI-compatible Provider
+ *
+ * 以 Chat Completions API (POST {baseUrl}/chat/completions) 實作 provider 介面，
+ * 可指向 OpenAI，或 Ollama / LM Studio / vLLM 等本地相容伺服器。
+ * 負責把內部的 Gemini 風格 contents 轉為 chat messages，再把回應轉回來。
+ */
+
+const AUDIO_FORMATS = { 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/mpeg': 'mp3', 'audio/mp3': 'mp3' };
+
+// finish_reason → Gemini 的 finishReason (見 providers/index.js)
+const FINISH_REASONS = {
+  stop: 'STOP', tool_calls: 'STOP', function_call: 'STOP', length: 'MAX_TOKENS', content_filter: 'SAFETY',
+};
+
+function toContentPart(part) {
+  if (part.text !== undefined) return { type: 'text', text: part.text };
+  const { mimeType, data } = part.inlineData;
+  if (mimeType.startsWith('image/')) {
+    return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+  }
+  if (AUDIO_FORMATS[mimeType]) {
+    return { type: 'input_audio', input_audio: { data, format: AUDIO_FORMATS[mimeType] } };
+  }
+  throw new Error(`OpenAI-compatible provider does not support ${mimeType} input`);
+}
+
+/**
+ * contents → chat messages。
+ * function call 沒有 id，因此以「第幾則訊息的第幾個呼叫」產生 tool_call_id，
+ * 緊接著的 function 回應依相同順序對應。
+ */
+function toMessages(contents) {
+  const messages = [];
+  let pendingCallIds = [];
+
+  contents.forEach((content, index) => {
+    if (content.role === 'model') {
+      const text = content.parts.filter((p) => p.text !== undefined).map((p) => p.text).join('');
+      const calls = content.parts.filter((p) => p.functionCall);
+      pendingCallIds = calls.map((_, i) => `call_${index}_${i}`);
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        ...(calls.length > 0 && {
+          tool_calls: calls.map(({ functionCall }, i) => ({
+            id: pendingCallIds[i],
+            type: 'function',
+            function: { name: functionCall.name, arguments: JSON.stringify(functionCall.args || {}) },
+          })),
+        }),
+      });
+      return;
+    }
+
+    if (content.role === 'function') {
+      content.parts.forEach(({ functionResponse }, i) => {
+        messages.push({
+          role: 'tool',
+          tool_call_id: pendingCallIds[i],
+          content: JSON.stringify(functionResponse.response),
+        });
+      });
+      return;
+    }
+
+    const parts = content.parts.map(toContentPart);
+    const textOnly = parts.every((p) => p.type === 'text');
+    messages.push({ role: 'user', content: textOnly ? parts.map((p) => p.text).join('\n') : parts });
+  });
+
+  return messages;
+}
+
+// Gemini schema 的 type 已是小寫 JSON Schema 型別，只需移除 Gemini 專用的 format: 'enum'
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'format' && value === 'enum') return;
+    result[key] = toJsonSchema(value);
+  });
+  return result;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl - 例如 https://api.openai.com/v1 或 http://localhost:11434/v1
+ * @param {string} [options.apiKey] - 本地伺服器通常不需要
+ * @param {string} options.model
+ * @param {Function} [options.fetchImpl] - 可替換的 fetch
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model, fetchImpl = fetch }) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+  };
+
+  async function request(path, options = {}) {
+    const res = await fetchImpl(`${root}${path}`, { headers, ...options });
+    if (!res.ok) {
+      const body = await res.text();
+      const err = new Error(`OpenAI-compatible API ${res.status}: ${body}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.json();
+  }
+
+  return {
+    name: `openai:${model}`,
+
+    async generate({ contents, tools, responseSchema }, { signal } = {}) {
+      const body = { model, messages: toMessages(contents) };
+      if (tools && tools.length > 0) {
+        body.tools = tools.map(({ name, description, parameters }) => ({
+          type: 'function',
+          function: { name, description, parameters: toJsonSchema(parameters) },
+        }));
+      }
+      if (responseSchema) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: toJsonSchema(responseSchema) },
+        };
+      }
+
+      const data = await request('/chat/completions', { method: 'POST', body: JSON.stringify(body), signal });
+      const [choice] = data.choices;
+      const { message } = choice;
+      const functionCalls = (message.tool_calls || []).map((call) => ({
+        name: call.function.name,
+        args: call.function.arguments ? JSON.parse(call.function.arguments) : {},
+      }));
+
+      return {
+        text: message.content || '',
+        functionCalls,
+        content: {
+          role: 'model',
+          parts: [
+            ...(message.content ? [{ text: message.content }] : []),
+            ...functionCalls.map((functionCall) => ({ functionCall })),
+          ],
+        },
+        usage: data.usage
+          ? {
+            promptTokenCount: data.usage.prompt_tokens,
+            candidatesTokenCount: data.usage.completion_tokens,
+            totalTokenCount: data.usage.total_tokens,
+          }
+          : null,
+        finishReason: FINISH_REASONS[choice.finish_reason] || null,
+        blockReason: null,
+        safetyRatings: null,
+      };
+    },
+
+    // POST {baseUrl}/embeddings (例如 text-embedding-3-small、nomic-embed-text)
+    async embed(texts) {
+      const data = await request('/embeddings', { method: 'POST', body: JSON.stringify({ model, input: texts }) });
+      return [...data.data].sort((a, b) => a.index - b.index).map((item) => item.embedding);
+    },
+
+    async listModels() {
+      const data = await request('/models');
+      return (data.data || []).map((m) => m.id);
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
@@ -0,0 +1,69 @@
+/**
+ * Local Cron
+ *
+ * 本機開發 (npm run dev) 時以這個計時器代替 Vercel Cron 呼叫 /api/cron。
+ * vercel.json 的 Vercel Cron 每天只執行一次 (Hobby 方案的限制)，需要準時的提醒時也可以用它 (或其他排程服務) 每分鐘呼叫正式環境。
+ * 有設定 CRON_SECRET 時會帶上 Authorization: Bearer <secret>。
+ *
+ *   node scripts/cron.js                                   # 每 60 秒呼叫 http://localhost:3000/api/cron
+ *   node scripts/cron.js --url http://localhost:3000 --interval 30
+ *   node scripts/cron.js --once                            # 只呼叫一次
+ */
+
+const DEFAULT_URL = 'http://localhost:3000';
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+/**
+ * 呼叫一次 /api/cron
+ * @param {string} baseUrl
+ * @param {{secret?: string}} [options]
+ * @returns {Promise<{status: number, body: string}>}
+ */
+async function triggerCron(baseUrl, { secret } = {}) {
+  const res = await fetch(`${baseUrl.replace(/\/+$/, '')}/api/cron`, {
+    headers: secret ? { Authorization: `Bearer ${secret}` } : {},
+  });
+  return { status: res.status, body: await res.text() };
+}
+
+function parseArgs(argv) {
+  const args = { url: DEFAULT_URL, interval: DEFAULT_INTERVAL_SECONDS, once: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') args.url = argv[++i];
+    else if (arg === '--interval') args.interval = Number(argv[++i]);
+    else if (arg === '--once') args.once = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!Number.isFinite(args.interval) || args.interval <= 0) throw new Error('--interval must be a positive number of seconds');
+  return args;
+}
+
+async function main() {
+  require('dotenv').config();
+  const args = parseArgs(process.argv.slice(2));
+  const tick = async () => {
+    try {
+      const { status, body } = await triggerCron(args.url, { secret: process.env.CRON_SECRET });
+      console.log(`${new Date().toISOString()} HTTP ${status} ${body}`);
+    } catch (err) {
+      console.error(`${new Date().toISOString()} ${err.message}`);
+    }
+  };
+
+  await tick();
+  if (args.once) return;
+  console.log(`Calling ${args.url}/api/cron every ${args.interval}s (Ctrl+C to stop)`);
+  setInterval(tick, args.interval * 1000);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  triggerCron,
+};
@@ -0,0 +1,99 @@
+/**
+ * 簡易 PNG 產生器 (無外部依賴)
+ *
+ * 只支援以色塊填滿矩形，用來產生 Rich Menu 的佔位圖。
+ * 建議之後替換為設計過的圖片 (在 config/rich-menus.json 指定 image)。
+ */
+
+const zlib = require('zlib');
+
+/**
+ * 以色塊繪製圖片
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{x: number, y: number, width: number, height: number, color: number[]}>} blocks - color 為 [r, g, b]
+ * @param {number[]} [background] - [r, g, b]
+ * @returns {Buffer} PNG
+ */
+function renderBlocks(width, height, blocks, background = [255, 255, 255]) {
+  // 建立原始像素資料 (RGBA)
+  const rawData = Buffer.alloc(width * height * 4);
+  fillRect(rawData, width, { x: 0, y: 0, width, height, color: background });
+  blocks.forEach((block) => fillRect(rawData, width, block));
+  return createPNG(width, height, rawData);
+}
+
+function fillRect(rawData, imageWidth, { x, y, width, height, color }) {
+  const [r, g, b] = color;
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      const offset = (row * imageWidth + col) * 4;
+      rawData[offset] = r;
+      rawData[offset + 1] = g;
+      rawData[offset + 2] = b;
+      rawData[offset + 3] = 255; // alpha
+    }
+  }
+}
+
+/**
+ * 建立 PNG (使用 zlib deflate)
+ */
+function createPNG(width, height, rawRGBA) {
+  // PNG signature
+  const signature = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+  // IHDR chunk
+  const ihdrData = Buffer.alloc(13);
+  ihdrData.writeUInt32BE(width, 0);
+  ihdrData.writeUInt32BE(height, 4);
+  ihdrData[8] = 8;  // bit depth
+  ihdrData[9] = 6;  // color type: RGBA
+  ihdrData[10] = 0; // compression
+  ihdrData[11] = 0; // filter
+  ihdrData[12] = 0; // interlace
+  const ihdr = createPNGChunk('IHDR', ihdrData);
+
+  // IDAT chunk — filter each row with filter type 0 (None)
+  const filteredRows = [];
+  for (let y = 0; y < height; y++) {
+    filteredRows.push(Buffer.from([0])); // filter type: None
+    const rowStart = y * width * 4;
+    filteredRows.push(rawRGBA.subarray(rowStart, rowStart + width * 4));
+  }
+  const rawImageData = Buffer.concat(filteredRows);
+  const compressed = zlib.deflateSync(rawImageData, { level: 9 });
+  const idat = createPNGChunk('IDAT', compressed);
+
+  // IEND chunk
+  const iend = createPNGChunk('IEND', Buffer.alloc(0));
+
+  return Buffer.concat([signature, ihdr, idat, iend]);
+}
+
+function createPNGChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const typeBuffer = Buffer.from(type, 'ascii');
+  const crc32 = crc32Calc(Buffer.concat([typeBuffer, data]));
+  const crcBuffer = Buffer.alloc(4);
+  crcBuffer.writeUInt32BE(crc32 >>> 0, 0);
+  return Buffer.concat([length, typeBuffer, data, crcBuffer]);
+}
+
+// Simple CRC32 implementation for PNG chunks
+function crc32Calc(buf) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) {
+    crc ^= buf[i];
+    for (let j = 0; j < 8; j++) {
+      crc = (crc >>> 1) ^ (crc & 1 ? 0xEDB88320 : 0);
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = {
+  renderBlocks,
+  createPNG,
+};
@@ -0,0 +1,328 @@
+/**
+ * Rich Menu 設定檔的驗證、編譯與同步計畫
+ *
+ * config/rich-menus.json 以「分頁」描述選單：每個選單有一個 alias，分頁之間以 richmenuswitch 切換。
+ * 這裡只做純計算 (不呼叫 API)，scripts/setup-rich-menu.js 負責取得現況並執行計畫。
+ *
+ * 由 Bot 管理的選單名稱為 "<namespace>/<alias>#<hash>"，hash 涵蓋選單內容與圖片，
+ * 因此內容不變時名稱不變、同步不會有任何動作；其他名稱的選單一律不動。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ACTIONS } = require('../../prompts');
+const { COMMANDS } = require('../../prompts/commands');
+const { HANDLED_POSTBACK_ACTIONS } = require('../../handlers/postback');
+const { renderBlocks } = require('./png');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'rich-menus.json');
+
+// LINE Messaging API 的限制
+const ALIAS_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const MAX_AREAS = 20;
+const MAX_CHAT_BAR_TEXT = 14;
+const MAX_LABEL = 20;
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const MIN_WIDTH = 800;
+const MAX_WIDTH = 2500;
+const MIN_HEIGHT = 250;
+const MIN_ASPECT_RATIO = 1.45;
+
+// 佔位圖的顏色
+const TAB_ACTIVE_COLOR = [52, 73, 94];
+const TAB_INACTIVE_COLOR = [189, 195, 199];
+const AREA_PALETTE = [[41, 128, 185], [39, 174, 96], [142, 68, 173], [211, 84, 0], [192, 57, 43]];
+const AREA_GAP = 4;
+
+class RichMenuConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid rich menu config:\n- ${errors.join('\n- ')}`);
+    this.name = 'RichMenuConfigError';
+    this.errors = errors;
+  }
+}
+
+function loadRichMenuConfig(configPath = DEFAULT_CONFIG_PATH) {
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * 區域的動作種類：postback (ACTIONS 的 key)、switchTo (切換到其他分頁)、text (送出文字 / 指令)、uri
+ */
+function getAreaKind(area) {
+  const kinds = ['postback', 'switchTo', 'text', 'uri'].filter((kind) => area[kind] !== undefined);
+  return kinds.length === 1 ? kinds[0] : null;
+}
+
+/**
+ * 檢查設定檔，回傳所有錯誤 (空陣列代表沒問題)
+ * @param {object} config - config/rich-menus.json 的內容
+ * @returns {string[]}
+ */
+function validateRichMenuConfig(config) {
+  const errors = [];
+  const menus = Array.isArray(config.menus) ? config.menus : [];
+  if (!config.namespace || !ALIAS_PATTERN.test(config.namespace)) {
+    errors.push('namespace must match [A-Za-z0-9_-]{1,32}');
+  }
+  if (menus.length === 0) errors.push('menus must not be empty');
+
+  const aliases = new Set();
+  menus.forEach((menu, index) => {
+    const where = `menus[${index}] (${menu.alias || '?'})`;
+    if (!ALIAS_PATTERN.test(menu.alias || '')) errors.push(`${where}: alias must match [A-Za-z0-9_-]{1,32}`);
+    if (aliases.has(menu.alias)) errors.push(`${where}: duplicate alias`);
+    aliases.add(menu.alias);
+  });
+  if (!aliases.has(config.defaultMenu)) errors.push(`defaultMenu "${config.defaultMenu}" is not a menu alias`);
+
+  const commandNames = new Set(COMMANDS.map((command) => command.name));
+  menus.forEach((menu, index) => {
+    const where = `menus[${index}] (${menu.alias || '?'})`;
+    const { width, height } = menu.size || {};
+    if (!(width >= MIN_WIDTH && width <= MAX_WIDTH && height >= MIN_HEIGHT && width / height >= MIN_ASPECT_RATIO)) {
+      errors.push(`${where}: size must be ${MIN_WIDTH}-${MAX_WIDTH} wide, at least ${MIN_HEIGHT} high and width/height >= ${MIN_ASPECT_RATIO}`);
+    }
+    if (!menu.chatBarText || [...menu.chatBarText].length > MAX_CHAT_BAR_TEXT) {
+      errors.push(`${where}: chatBarText must be 1-${MAX_CHAT_BAR_TEXT} characters`);
+    }
+
+    const rows = menu.rows || [];
+    const rowsHeight = rows.reduce((sum, row) => sum + (row.height || 0), 0);
+    if (rowsHeight !== height) errors.push(`${where}: row heights add up to ${rowsHeight}, expected ${height}`);
+    const areas = rows.flatMap((row) => row.areas || []);
+    if (areas.length === 0 || areas.length > MAX_AREAS) errors.push(`${where}: must have 1-${MAX_AREAS} areas`);
+    if (rows.some((row) => !row.areas || row.areas.length === 0)) errors.push(`${where}: every row needs areas`);
+
+    areas.forEach((area) => {
+      const label = `${where} area "${area.label}"`;
+      if (!area.label || [...area.label].length > MAX_LABEL) errors.push(`${label}: label must be 1-${MAX_LABEL} characters`);
+      switch (getAreaKind(area)) {
+        case 'postback': {
+          const data = ACTIONS[area.postback];
+          if (!data || !HANDLED_POSTBACK_ACTIONS.includes(data)) {
+            errors.push(`${label}: postback "${area.postback}" is not handled by handlePostback`);
+          }
+          break;
+        }
+        case 'switchTo':
+          if (!aliases.has(area.switchTo)) errors.push(`${label}: switchTo "${area.switchTo}" is not a menu alias`);
+          break;
+        case 'text': {
+          const command = String(area.text).match(/^\/([A-Za-z]+)/);
+          if (command && !commandNames.has(command[1].toLowerCase())) {
+            errors.push(`${label}: "/${command[1]}" is not a known command`);
+          }
+          break;
+        }
+        case 'uri':
+          if (!/^(https?|line|tel):/.test(area.uri)) errors.push(`${label}: unsupported uri "${area.uri}"`);
+          break;
+        default:
+          errors.push(`${label}: needs exactly one of postback, switchTo, text or uri`);
+      }
+      if (area.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(area.color)) {
+        errors.push(`${label}: color must look like #2980b9`);
+      }
+    });
+  });
+  return errors;
+}
+
+function toAction(area) {
+  switch (getAreaKind(area)) {
+    case 'postback':
+      return { type: 'postback', label: area.label, data: ACTIONS[area.postback], displayText: area.label };
+    case 'switchTo':
+      return {
+        type: 'richmenuswitch',
+        label: area.label,
+        richMenuAliasId: area.switchTo,
+        data: `${ACTIONS.SWITCH_MENU}&menu=${area.switchTo}`,
+      };
+    case 'text':
+      return { type: 'message', label: area.label, text: area.text };
+    default:
+      return { type: 'uri', label: area.label, uri: area.uri };
+  }
+}
+
+/**
+ * 依列排版：每一列的區域平分寬度 (邊界四捨五入到整數 px，合計剛好為整個寬度)
+ */
+function layoutAreas(menu) {
+  const { width } = menu.size;
+  const laidOut = [];
+  let y = 0;
+  menu.rows.forEach((row) => {
+    const count = row.areas.length;
+    row.areas.forEach((area, index) => {
+      const x = Math.round((index * width) / count);
+      const next = Math.round(((index + 1) * width) / count);
+      laidOut.push({ area, bounds: { x, y, width: next - x, height: row.height } });
+    });
+    y += row.height;
+  });
+  return laidOut;
+}
+
+function parseColor(hex) {
+  return [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+}
+
+/**
+ * 沒有指定圖片時的佔位圖：分頁按鈕以深色標示目前的分頁，其他區域依序上色
+ */
+function renderPlaceholderImage(menu) {
+  let paletteIndex = 0;
+  const blocks = layoutAreas(menu).map(({ area, bounds }) => {
+    let color;
+    if (area.switchTo !== undefined) {
+      color = area.switchTo === menu.alias ? TAB_ACTIVE_COLOR : TAB_INACTIVE_COLOR;
+    } else {
+      color = area.color ? parseColor(area.color) : AREA_PALETTE[paletteIndex++ % AREA_PALETTE.length];
+    }
+    return {
+      x: bounds.x + AREA_GAP,
+      y: bounds.y + AREA_GAP,
+      width: bounds.width - AREA_GAP * 2,
+      height: bounds.height - AREA_GAP * 2,
+      color,
+    };
+  });
+  return renderBlocks(menu.size.width, menu.size.height, blocks);
+}
+
+function readImage(imagePath) {
+  const buffer = fs.readFileSync(imagePath);
+  const isPng = buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+  if (!isPng && !isJpeg) throw new RichMenuConfigError([`${imagePath}: image must be PNG or JPEG`]);
+  if (buffer.length > MAX_IMAGE_BYTES) throw new RichMenuConfigError([`${imagePath}: image must be at most 1 MB`]);
+  return { buffer, contentType: isPng ? 'image/png' : 'image/jpeg' };
+}
+
+/**
+ * 驗證並編譯為 LINE API 的 rich menu body
+ * @param {object} config - config/rich-menus.json 的內容
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - image 路徑的相對基準 (預設為設定檔所在的 config/)
+ * @returns {Array<{alias: string, name: string, body: object, loadImage: () => {buffer: Buffer, contentType: string}}>}
+ */
+function compileRichMenus(config, { baseDir = path.dirname(DEFAULT_CONFIG_PATH) } = {}) {
+  const errors = validateRichMenuConfig(config);
+  if (errors.length > 0) throw new RichMenuConfigError(errors);
+
+  return config.menus.map((menu) => {
+    const content = {
+      size: menu.size,
+      selected: Boolean(menu.selected),
+      chatBarText: menu.chatBarText,
+      areas: layoutAreas(menu).map(({ area, bounds }) => ({ bounds, action: toAction(area) })),
+    };
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(content));
+    let loadImage;
+    if (menu.image) {
+      const image = readImage(path.resolve(baseDir, menu.image));
+      hash.update(image.buffer);
+      loadImage = () => image;
+    } else {
+      // 佔位圖由 content 決定，不需要納入 hash；執行時才產生 (dry-run 不必繪圖)
+      loadImage = () => ({ buffer: renderPlaceholderImage(menu), contentType: 'image/png' });
+    }
+
+    const name = `${config.namespace}/${menu.alias}#${hash.digest('hex').slice(0, 12)}`;
+    return { alias: menu.alias, name, body: { ...content, name }, loadImage };
+  });
+}
+
+/**
+ * 比對設定與 LINE 上的現況，產生同步步驟
+ *
+ * 順序：建立新選單 → 建立 / 更新 alias → 設定預設選單 → 移除多餘的 alias → 刪除舊選單，
+ * 確保切換過程中 alias 與預設選單都不會指向不存在的選單。
+ *
+ * @param {Array<{alias: string, name: string}>} desired - compileRichMenus 的結果
+ * @param {object} existing
+ * @param {Array<{richMenuId: string, name: string}>} existing.menus
+ * @param {Array<{richMenuAliasId: string, richMenuId: string}>} existing.aliases
+ * @param {string|null} existing.defaultRichMenuId
+ * @param {{namespace: string, defaultAlias: string}} options
+ * @returns {{operations: Array<object>, richMenuIds: Object<string, string>}}
+ *   richMenuIds 為可沿用的 alias → richMenuId (新建的選單在執行 create 後補上)
+ */
+function planRichMenuSync(desired, existing, { namespace, defaultAlias }) {
+  const managed = existing.menus.filter((menu) => menu.name.startsWith(`${namespace}/`));
+  const managedIds = new Set(managed.map((menu) => menu.richMenuId));
+  const operations = [];
+  const richMenuIds = {};
+  const kept = new Set();
+
+  desired.forEach((menu) => {
+    const current = managed.find((candidate) => candidate.name === menu.name && !kept.has(candidate.richMenuId));
+    if (current) {
+      richMenuIds[menu.alias] = current.richMenuId;
+      kept.add(current.richMenuId);
+    } else {
+      operations.push({ type: 'create', alias: menu.alias, menu });
+    }
+  });
+
+  desired.forEach((menu) => {
+    const alias = existing.aliases.find((candidate) => candidate.richMenuAliasId === menu.alias);
+    if (!alias) {
+      operations.push({ type: 'createAlias', alias: menu.alias });
+    } else if (alias.richMenuId !== richMenuIds[menu.alias]) {
+      operations.push({ type: 'updateAlias', alias: menu.alias });
+    }
+  });
+
+  if (!richMenuIds[defaultAlias] || existing.defaultRichMenuId !== richMenuIds[defaultAlias]) {
+    operations.push({ type: 'setDefault', alias: defaultAlias });
+  }
+
+  const desiredAliases = new Set(desired.map((menu) => menu.alias));
+  existing.aliases
+    .filter((alias) => managedIds.has(alias.richMenuId) && !desiredAliases.has(alias.richMenuAliasId))
+    .forEach((alias) => operations.push({ type: 'deleteAlias', alias: alias.richMenuAliasId }));
+
+  managed
+    .filter((menu) => !kept.has(menu.richMenuId))
+    .forEach((menu) => operations.push({ type: 'delete', richMenuId: menu.richMenuId, name: menu.name }));
+
+  return { operations, richMenuIds };
+}
+
+/**
+ * 步驟的說明文字 (--dry-run 與執行記錄共用)
+ */
+function describeOperation(operation) {
+  switch (operation.type) {
+    case 'create':
+      return `建立選單 ${operation.menu.name} (${operation.menu.body.areas.length} 個區域) 並上傳圖片`;
+    case 'createAlias':
+      return `建立 alias ${operation.alias}`;
+    case 'updateAlias':
+      return `將 alias ${operation.alias} 指向新的選單`;
+    case 'setDefault':
+      return `將 ${operation.alias} 設為預設選單`;
+    case 'deleteAlias':
+      return `移除 alias ${operation.alias}`;
+    case 'delete':
+      return `刪除選單 ${operation.name} (${operation.richMenuId})`;
+    default:
+      return operation.type;
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  RichMenuConfigError,
+  loadRichMenuConfig,
+  validateRichMenuConfig,
+  compileRichMenus,
+  planRichMenuSync,
+  describeOperation,
+};
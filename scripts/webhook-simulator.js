@@ -0,0 +1,619 @@
+/**
+ * LINE Webhook Simulator
+ *
+ * 產生帶有正確簽章 (x-line-signature) 的 webhook 請求，不需要 LINE 帳號或公開網址。
+ * 兩種用法：
+ *   1. 程式庫 — createSimulator() 以注入的依賴建立 app (預設為錄製用 LINE client、記憶體儲存層)，
+ *      send() 送出事件並等待背景工作完成，送往 LINE 的呼叫都記錄在 lineClient.calls。
+ *      自動化測試 (test/) 即使用這個介面。
+ *   2. 命令列 — 在本機跑完整流程並印出 bot 要送出的訊息；加上 --url 則送到執行中的伺服器 (例如 npm run dev)。
+ *
+ *   node scripts/webhook-simulator.js "台北現在幾點？"
+ *   node scripts/webhook-simulator.js --postback action=help
+ *   node scripts/webhook-simulator.js --follow
+ *   node scripts/webhook-simulator.js --url http://localhost:3000 "你好"
+ *   node scripts/webhook-simulator.js --telegram "你好"
+ *   node scripts/webhook-simulator.js --slack "你好"
+ *
+ * Telegram 與 Slack 的 webhook 也可以模擬：telegramUpdate / slackEvent 產生 payload，
+ * simulator.sendTelegram / sendSlack 帶上 secret token 或簽章送出，回覆記錄在 telegramClient / slackClient。
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { Readable } = require('stream');
+const { createApp } = require('../app');
+const { createMemoryStore } = require('../utils/store');
+const { createJobQueue } = require('../utils/jobs');
+const { createTelemetryFromEnv } = require('../utils/telemetry');
+const { triggerCron } = require('./cron');
+
+const DEFAULT_CHANNEL_SECRET = 'simulator-channel-secret';
+const DEFAULT_USER_ID = 'U0000000000000000000000000000test';
+const DEFAULT_TELEGRAM_SECRET = 'simulator-telegram-secret';
+const DEFAULT_SLACK_SIGNING_SECRET = 'simulator-slack-signing-secret';
+
+let sequence = 0;
+
+/**
+ * 計算 x-line-signature：以 channel secret 對 request body 做 HMAC-SHA256，再轉 base64
+ * @param {string} body
+ * @param {string} channelSecret
+ */
+function signBody(body, channelSecret) {
+  return crypto.createHmac('SHA256', channelSecret).update(body).digest('base64');
+}
+
+// --- Event Builders ---
+
+function userSource(userId = DEFAULT_USER_ID) {
+  return { type: 'user', userId };
+}
+
+function groupSource(groupId, userId = DEFAULT_USER_ID) {
+  return { type: 'group', groupId, userId };
+}
+
+function roomSource(roomId, userId = DEFAULT_USER_ID) {
+  return { type: 'room', roomId, userId };
+}
+
+/**
+ * 所有事件共用的欄位
+ * @param {string} type
+ * @param {object} [options]
+ * @param {object} [options.source] - 預設為一對一聊天
+ * @param {string|null} [options.replyToken] - 預設隨機產生；null 代表沒有 reply token
+ * @param {number} [options.timestamp] - 毫秒，預設為現在
+ */
+function baseEvent(type, { source = userSource(), replyToken, timestamp = Date.now() } = {}) {
+  return {
+    type,
+    mode: 'active',
+    timestamp,
+    source,
+    webhookEventId: crypto.randomBytes(13).toString('hex').toUpperCase(),
+    deliveryContext: { isRedelivery: false },
+    ...(replyToken !== null && { replyToken: replyToken || crypto.randomBytes(16).toString('hex') }),
+  };
+}
+
+/**
+ * 模擬 LINE 重送同一個 event：webhookEventId 不變，deliveryContext.isRedelivery 為 true
+ * @param {object} event
+ */
+function redeliver(event) {
+  return { ...event, deliveryContext: { isRedelivery: true } };
+}
+
+function nextMessageId() {
+  sequence += 1;
+  return String(100000000000000 + sequence);
+}
+
+/**
+ * @param {string} text
+ * @param {object} [options] - 同 baseEvent，另可指定：
+ * @param {object} [options.mention] - message.mention (可用 mentionSelf 產生)
+ * @param {string} [options.quotedMessageId] - 引用的訊息 ID
+ */
+function textEvent(text, options = {}) {
+  return {
+    ...baseEvent('message', options),
+    message: {
+      type: 'text',
+      id: options.messageId || nextMessageId(),
+      text,
+      ...(options.mention && { mention: options.mention }),
+      ...(options.quotedMessageId && { quotedMessageId: options.quotedMessageId }),
+    },
+  };
+}
+
+/**
+ * 產生 @提及 Bot 的 mention 欄位；text 中第一個 "@名稱" 為提及的位置
+ * @param {string} text - 例如 "@Mars 今天天氣如何"
+ */
+function mentionSelf(text) {
+  const match = text.match(/@\S+/);
+  if (!match) throw new Error('text must contain an @mention');
+  return { mentionees: [{ index: match.index, length: match[0].length, type: 'user', userId: 'Ubot0000000000000000000000000000', isSelf: true }] };
+}
+
+function imageEvent(options = {}) {
+  return {
+    ...baseEvent('message', options),
+    message: { type: 'image', id: options.messageId || nextMessageId(), contentProvider: { type: 'line' } },
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.duration] - 毫秒
+ */
+function audioEvent(options = {}) {
+  return {
+    ...baseEvent('message', options),
+    message: { type: 'audio', id: options.messageId || nextMessageId(), duration: options.duration || 3000, contentProvider: { type: 'line' } },
+  };
+}
+
+/**
+ * @param {string} fileName
+ * @param {object} [options] - 同 baseEvent，另可指定 messageId、fileSize
+ */
+function fileEvent(fileName, options = {}) {
+  return {
+    ...baseEvent('message', options),
+    message: { type: 'file', id: options.messageId || nextMessageId(), fileName, fileSize: options.fileSize || 1024 },
+  };
+}
+
+function postbackEvent(data, options = {}) {
+  return { ...baseEvent('postback', options), postback: { data } };
+}
+
+/**
+ * @param {object} [options] - 同 baseEvent，另可指定：
+ * @param {boolean} [options.isUnblocked] - 解除封鎖後重新加入
+ */
+function followEvent(options = {}) {
+  return { ...baseEvent('follow', options), follow: { isUnblocked: Boolean(options.isUnblocked) } };
+}
+
+function unfollowEvent(options = {}) {
+  return baseEvent('unfollow', { ...options, replyToken: null });
+}
+
+function joinEvent(options = {}) {
+  return baseEvent('join', options);
+}
+
+function leaveEvent(options = {}) {
+  return baseEvent('leave', { ...options, replyToken: null });
+}
+
+/**
+ * @param {string[]} userIds - 加入的成員
+ * @param {object} options - 同 baseEvent (source 須為群組 / 聊天室)
+ */
+function memberJoinedEvent(userIds, options) {
+  return { ...baseEvent('memberJoined', options), joined: { members: userIds.map((userId) => ({ type: 'user', userId })) } };
+}
+
+/**
+ * @param {string[]} userIds - 離開的成員
+ * @param {object} options - 同 baseEvent (source 須為群組 / 聊天室)
+ */
+function memberLeftEvent(userIds, options) {
+  return { ...baseEvent('memberLeft', { ...options, replyToken: null }), left: { members: userIds.map((userId) => ({ type: 'user', userId })) } };
+}
+
+/**
+ * @param {Array<object>} events
+ * @param {string} [destination] - bot 的 user ID
+ * @returns {string} JSON body
+ */
+function buildWebhookBody(events, destination = 'Ubot0000000000000000000000000000') {
+  return JSON.stringify({ destination, events });
+}
+
+/**
+ * 送出已簽章的 webhook 請求
+ * @param {string} baseUrl - 例如 http://localhost:3000
+ * @param {Array<object>} events
+ * @param {object} options
+ * @param {string} options.channelSecret
+ * @param {string} [options.signature] - 覆寫簽章 (測試簽章驗證失敗)
+ * @returns {Promise<{status: number, body: string}>}
+ */
+async function postWebhook(baseUrl, events, { channelSecret, signature }) {
+  const body = buildWebhookBody(events);
+  const res = await fetch(`${baseUrl.replace(/\/+$/, '')}/api/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-line-signature': signature || signBody(body, channelSecret),
+    },
+    body,
+  });
+  return { status: res.status, body: await res.text() };
+}
+
+// --- Telegram / Slack ---
+
+/**
+ * Telegram Update (message)
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.userId]
+ * @param {object} [options.chat] - 預設為與使用者的私訊；群組為 { id: -100…, type: 'supergroup' }
+ * @param {object} [options.replyTo] - 被回覆的訊息 (reply_to_message)
+ */
+function telegramUpdate(text, { userId = 1001, chat, replyTo } = {}) {
+  sequence += 1;
+  return {
+    update_id: 500000000 + sequence,
+    message: {
+      message_id: sequence,
+      from: { id: userId, is_bot: false, first_name: 'Simulator', language_code: 'zh-hant' },
+      chat: chat || { id: userId, type: 'private' },
+      date: Math.floor(Date.now() / 1000),
+      text,
+      ...(replyTo && { reply_to_message: replyTo }),
+    },
+  };
+}
+
+/**
+ * Slack Events API 的 event_callback
+ * @param {string} text - app_mention 時含 <@Ubot> 提及
+ * @param {object} [options]
+ * @param {'app_mention'|'message'} [options.type] - message 為私訊 (channel_type: im)
+ * @param {string} [options.user]
+ * @param {string} [options.channel]
+ * @param {string} [options.teamId]
+ * @param {object} [options.extra] - 合併到 event (例如 bot_id、subtype、thread_ts)
+ */
+function slackEvent(text, {
+  type = 'message', user = 'U0SIMULATOR', channel, teamId = 'T0SIMULATOR', extra = {},
+} = {}) {
+  sequence += 1;
+  const ts = `${Math.floor(Date.now() / 1000)}.${String(sequence).padStart(6, '0')}`;
+  return {
+    type: 'event_callback',
+    team_id: teamId,
+    api_app_id: 'A0SIMULATOR',
+    event_id: `Ev${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+    event_time: Math.floor(Date.now() / 1000),
+    event: {
+      type,
+      user,
+      text,
+      ts,
+      channel: channel || (type === 'app_mention' ? 'C0SIMULATOR' : 'D0SIMULATOR'),
+      ...(type === 'message' && { channel_type: 'im' }),
+      event_ts: ts,
+      ...extra,
+    },
+  };
+}
+
+/**
+ * 計算 X-Slack-Signature
+ * @param {string} body
+ * @param {string} signingSecret
+ * @param {number} timestamp - 秒
+ */
+function signSlackBody(body, signingSecret, timestamp) {
+  return `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+}
+
+async function postJson(url, body, headers) {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body });
+  return { status: res.status, body: await res.text() };
+}
+
+/**
+ * 錄製用的 Telegram / Slack client：不連網，呼叫依序記錄在 calls
+ * @param {Array<string>} methods - 例如 ['sendMessage', 'sendChatAction']
+ */
+function createRecordingPlatformClient(methods) {
+  const calls = [];
+  const client = { calls };
+  methods.forEach((method) => {
+    client[method] = async (params) => {
+      calls.push({ method, params });
+      return { ok: true };
+    };
+  });
+  return client;
+}
+
+/**
+ * 錄製用的 LINE client：不連網，所有呼叫依序記錄在 calls
+ * @param {object} [options]
+ * @param {Object<string, Buffer|{data: Buffer, contentType: string}>} [options.contents] - messageId → getMessageContent 回傳的內容
+ *   (只給 Buffer 時回應沒有 Content-Type)
+ * @param {Object<string, object>} [options.profiles] - userId → getProfile (及群組成員 profile) 回傳的資料
+ * @param {Object<string, Error>} [options.failures] - method → 呼叫時拋出的錯誤 (例如 replyMessage 過期)
+ */
+function createRecordingLineClient({ contents = {}, profiles = {}, failures = {} } = {}) {
+  const calls = [];
+
+  // 與 Messaging API 相同，回傳每則訊息的 ID (群組中引用 Bot 訊息時會用到)
+  function sentResponse(messages) {
+    return { sentMessages: [].concat(messages).map(() => ({ id: nextMessageId(), quoteToken: crypto.randomBytes(8).toString('hex') })) };
+  }
+
+  function record(method, args) {
+    calls.push({ method, args });
+    if (failures[method]) throw failures[method];
+  }
+
+  return {
+    calls,
+
+    /**
+     * 取出某個方法送出的所有訊息 (reply / push 的 messages 攤平)
+     */
+    sentMessages(method) {
+      return calls
+        .filter((c) => !method || c.method === method)
+        .filter((c) => c.method === 'replyMessage' || c.method === 'pushMessage')
+        .flatMap((c) => [].concat(c.args[1]));
+    },
+
+    async replyMessage(replyToken, messages) {
+      record('replyMessage', [replyToken, messages]);
+      return sentResponse(messages);
+    },
+
+    async pushMessage(to, messages) {
+      record('pushMessage', [to, messages]);
+      return sentResponse(messages);
+    },
+
+    async getMessageContent(messageId) {
+      record('getMessageContent', [messageId]);
+      const content = contents[messageId];
+      if (!content) throw new Error(`No simulated content for message ${messageId}`);
+      if (Buffer.isBuffer(content)) return Readable.from([content]);
+      // 與 SDK 回傳的 response stream 相同，header 放在 stream.headers
+      return Object.assign(Readable.from([content.data]), { headers: { 'content-type': content.contentType } });
+    },
+
+    async getProfile(userId) {
+      record('getProfile', [userId]);
+      return profiles[userId] || { userId, displayName: 'Simulator User' };
+    },
+
+    async getGroupMemberProfile(groupId, userId) {
+      record('getGroupMemberProfile', [groupId, userId]);
+      return profiles[userId] || { userId, displayName: 'Simulator User' };
+    },
+
+    async getRoomMemberProfile(roomId, userId) {
+      record('getRoomMemberProfile', [roomId, userId]);
+      return profiles[userId] || { userId, displayName: 'Simulator User' };
+    },
+
+    async showLoadingAnimation(chatId, loadingSeconds) {
+      record('showLoadingAnimation', [chatId, loadingSeconds]);
+      return {};
+    },
+  };
+}
+
+/**
+ * 建立 in-process 的模擬環境
+ * @param {object} options
+ * @param {object} options.providers - 各階段的 provider (測試時通常為 createFakeProvider)
+ * @param {object} [options.lineClient] - 預設為 createRecordingLineClient()
+ * @param {object|null} [options.store] - 預設為記憶體儲存層
+ * @param {object|null} [options.embedder] - 知識庫的 embedding provider (例如 createFakeProvider())
+ * @param {string} [options.channelSecret]
+ * @param {object} [options.env] - 選用設定 (例如 SUPERVISOR_MAX_ATTEMPTS)
+ * @param {object} [options.telemetry] - utils/telemetry.js 的 createTelemetry() (測試可收集 log 與 metrics)
+ * /api/telegram 與 /api/slack 預設開啟 (以錄製用 client 回覆)；env 可覆寫 TELEGRAM_* / SLACK_* 設定
+ */
+function createSimulator({
+  providers,
+  lineClient = createRecordingLineClient(),
+  telegramClient = createRecordingPlatformClient(['sendMessage', 'sendChatAction']),
+  slackClient = createRecordingPlatformClient(['postMessage']),
+  store = createMemoryStore(),
+  embedder = null,
+  channelSecret = DEFAULT_CHANNEL_SECRET,
+  env = {},
+  telemetry: injectedTelemetry,
+}) {
+  const platformEnv = {
+    TELEGRAM_BOT_TOKEN: 'simulator-telegram-token',
+    TELEGRAM_WEBHOOK_SECRET: DEFAULT_TELEGRAM_SECRET,
+    TELEGRAM_BOT_USERNAME: 'mars_simulator_bot',
+    SLACK_BOT_TOKEN: 'xoxb-simulator',
+    SLACK_SIGNING_SECRET: DEFAULT_SLACK_SIGNING_SECRET,
+    ...env,
+  };
+  const telemetry = injectedTelemetry || createTelemetryFromEnv(platformEnv);
+  const jobs = createJobQueue({ logger: telemetry.logger });
+  const app = createApp({
+    lineConfig: { channelAccessToken: 'simulator-access-token', channelSecret },
+    lineClient,
+    providers,
+    embedder,
+    store,
+    jobs,
+    startLoading: (chatId) => lineClient.showLoadingAnimation(chatId, 60),
+    telegramClient,
+    slackClient,
+    env: platformEnv,
+    telemetry,
+  });
+
+  let server = null;
+  let listening = null;
+
+  // 同時送出多個請求時共用同一個 server
+  function listen() {
+    if (!listening) {
+      server = http.createServer(app);
+      listening = new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+        .then(() => `http://127.0.0.1:${server.address().port}`);
+    }
+    return listening;
+  }
+
+  return {
+    app,
+    lineClient,
+    telegramClient,
+    slackClient,
+    store,
+    jobs,
+
+    /**
+     * 送出事件並等待背景工作完成
+     * @param {object|Array<object>} events
+     * @param {{signature?: string}} [options]
+     */
+    async send(events, { signature } = {}) {
+      const response = await postWebhook(await listen(), [].concat(events), { channelSecret, signature });
+      await jobs.drain();
+      return response;
+    },
+
+    /**
+     * 送出 Telegram Update 並等待背景工作完成
+     * @param {object} update - telegramUpdate()
+     * @param {{secret?: string}} [options] - 覆寫 secret token (測試驗證失敗)
+     */
+    async sendTelegram(update, { secret = platformEnv.TELEGRAM_WEBHOOK_SECRET } = {}) {
+      const response = await postJson(`${await listen()}/api/telegram`, JSON.stringify(update), {
+        'X-Telegram-Bot-Api-Secret-Token': secret,
+      });
+      await jobs.drain();
+      return response;
+    },
+
+    /**
+     * 送出已簽章的 Slack 事件並等待背景工作完成
+     * @param {object} payload - slackEvent() 或 url_verification
+     * @param {{signature?: string, timestamp?: number}} [options] - 覆寫簽章或 timestamp (秒)
+     */
+    async sendSlack(payload, { signature, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+      const body = JSON.stringify(payload);
+      const response = await postJson(`${await listen()}/api/slack`, body, {
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': signature || signSlackBody(body, platformEnv.SLACK_SIGNING_SECRET, timestamp),
+      });
+      await jobs.drain();
+      return response;
+    },
+
+    /**
+     * 呼叫 /api/cron (送出到期的提醒)
+     * @param {{secret?: string}} [options]
+     */
+    async cron(options) {
+      return triggerCron(await listen(), options);
+    },
+
+    async close() {
+      if (!server) return;
+      await listening;
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+      listening = null;
+    },
+  };
+}
+
+// --- CLI ---
+
+function parseArgs(argv) {
+  const args = { url: null, kind: 'text', value: '', platform: 'line' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') args.url = argv[++i];
+    else if (arg === '--postback') { args.kind = 'postback'; args.value = argv[++i]; }
+    else if (arg === '--follow') args.kind = 'follow';
+    else if (arg === '--unfollow') args.kind = 'unfollow';
+    else if (arg === '--telegram' || arg === '--slack') args.platform = arg.slice(2);
+    else args.value = args.value ? `${args.value} ${arg}` : arg;
+  }
+  return args;
+}
+
+function buildCliEvent({ kind, value }) {
+  switch (kind) {
+    case 'postback': return postbackEvent(value);
+    case 'follow': return followEvent();
+    case 'unfollow': return unfollowEvent();
+    default: return textEvent(value || '你好');
+  }
+}
+
+// 在本機跑 Telegram / Slack 的文字訊息並印出送出的內容
+async function simulatePlatform(simulator, { platform, value }) {
+  const text = value || '你好';
+  const { status } = platform === 'telegram'
+    ? await simulator.sendTelegram(telegramUpdate(text))
+    : await simulator.sendSlack(slackEvent(text));
+  console.log(`HTTP ${status}`);
+  const { calls } = platform === 'telegram' ? simulator.telegramClient : simulator.slackClient;
+  calls.forEach(({ method, params }) => console.log(`\n→ ${method}(${JSON.stringify(params, null, 2)})`));
+}
+
+async function main() {
+  require('dotenv').config();
+  const args = parseArgs(process.argv.slice(2));
+  const event = buildCliEvent(args);
+
+  if (args.url && args.platform !== 'line') throw new Error('--url only supports LINE webhooks');
+  if (args.url) {
+    const channelSecret = process.env.LINE_CHANNEL_SECRET;
+    if (!channelSecret) throw new Error('LINE_CHANNEL_SECRET is required to sign requests for --url');
+    const { status, body } = await postWebhook(args.url, [event], { channelSecret });
+    console.log(`HTTP ${status} ${body}`);
+    return;
+  }
+
+  const { createProvidersFromEnv, createEmbedderFromEnv } = require('../providers');
+  const simulator = createSimulator({ providers: createProvidersFromEnv(), embedder: createEmbedderFromEnv(), env: process.env });
+  try {
+    if (args.platform !== 'line') {
+      await simulatePlatform(simulator, args);
+      return;
+    }
+    const { status } = await simulator.send(event);
+    console.log(`HTTP ${status}`);
+    simulator.lineClient.calls.forEach(({ method, args: callArgs }) => {
+      if (method !== 'replyMessage' && method !== 'pushMessage') {
+        console.log(`\n→ ${method}(${callArgs.map((a) => JSON.stringify(a)).join(', ')})`);
+        return;
+      }
+      console.log(`\n→ ${method}(${callArgs[0]})`);
+      [].concat(callArgs[1]).forEach((m) => console.log(m.type === 'text' ? m.text : JSON.stringify(m)));
+    });
+  } finally {
+    await simulator.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_CHANNEL_SECRET,
+  signBody,
+  userSource,
+  groupSource,
+  roomSource,
+  textEvent,
+  mentionSelf,
+  imageEvent,
+  audioEvent,
+  fileEvent,
+  postbackEvent,
+  followEvent,
+  unfollowEvent,
+  joinEvent,
+  leaveEvent,
+  memberJoinedEvent,
+  memberLeftEvent,
+  redeliver,
+  telegramUpdate,
+  slackEvent,
+  signSlackBody,
+  createRecordingPlatformClient,
+  buildWebhookBody,
+  postWebhook,
+  createRecordingLineClient,
+  createSimulator,
+};
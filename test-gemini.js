@@ -1,60 +1,62 @@
 require('dotenv').config();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { SUPERVISOR_PROMPT, buildAgentPrompt, buildSynthesizerPrompt } = require('./prompts');
+const { createProvidersFromEnv, generateText } = require('./providers');
+const { createPlannerFromEnv } = require('./utils/planner');
+const { runTaskGraph } = require('./utils/task-graph');
+const { createBuiltinToolRegistry, generateWithTools } = require('./tools');
+const { buildSupervisorPrompt, buildAgentPrompt, buildSynthesizerPrompt } = require('./prompts');
 
-if (!process.env.GEMINI_API_KEY) {
-    console.error('Error: GEMINI_API_KEY is missing in .env');
+// 預設使用 Gemini；可用 LLM_PROVIDER / LLM_MODEL / <STAGE>_MODEL 切換 (例如 LLM_PROVIDER=fake 離線執行)
+let providers;
+try {
+    providers = createProvidersFromEnv();
+} catch (err) {
+    console.error(`Error: ${err.message}`);
     process.exit(1);
 }
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' }); // Use gemini-2.5-flash
+const toolRegistry = createBuiltinToolRegistry();
+const planner = createPlannerFromEnv(providers.supervisor, { toolNames: toolRegistry.names() });
 
-async function testGemini() {
+async function testPipeline() {
     const userMessage = '請幫我翻譯"Hello World"成日文，並且寫一首關於蘋果的短詩';
     console.log('Testing User Message:', userMessage);
+    console.log('Models:', Object.entries(providers).map(([stage, p]) => `${stage}=${p.name}`).join(', '));
     console.log('-----------------------------------');
 
     try {
         // --- Step 1: Supervisor Analysis ---
         console.log('1. Starting Supervisor Analysis...');
-        const supervisorResult = await model.generateContent(`${SUPERVISOR_PROMPT}\n\n用戶訊息：${userMessage}`);
-        const supervisorResponseText = supervisorResult.response.text();
-        console.log('Supervisor Raw Output:', supervisorResponseText);
+        const { tasks, fallbackReason } = await planner.plan(buildSupervisorPrompt(userMessage, [], toolRegistry.catalog()));
 
-        let tasks = [];
-        try {
-            const cleanJsonStr = supervisorResponseText.replace(/```json\n?|```/gi, '').trim();
-            tasks = JSON.parse(cleanJsonStr);
-        } catch (parseError) {
-            console.warn("Supervisor JSON parsing failed.", parseError.message);
-            tasks = [];
-        }
-
-        if (!Array.isArray(tasks) || tasks.length === 0) {
-            console.log('Fallback: Using simple response mode.');
+        if (tasks.length === 0) {
+            console.log('Fallback: Using simple response mode.', fallbackReason || '');
             return;
         }
 
         // --- Step 2: Sub-agent Execution ---
-        console.log(`\n2. Supervisor assigned ${tasks.length} tasks. Executing parallel sub-agents...`);
-        const agentPromises = tasks.map(async (task) => {
-            const agentPrompt = buildAgentPrompt(task.role, task.instruction, userMessage);
-            const agentResult = await model.generateContent(agentPrompt);
-            const output = agentResult.response.text();
+        console.log(`\n2. Supervisor assigned ${tasks.length} tasks. Executing sub-agents...`);
+        const agentResults = await runTaskGraph(tasks, async (task, upstream) => {
+            const upstreamResults = upstream.map((u) => ({ role: u.task.role, output: u.output }));
+            const agentPrompt = buildAgentPrompt(task.role, task.instruction, userMessage, [], upstreamResults);
+            const output = task.tools.length > 0
+                ? await generateWithTools(providers.agent, agentPrompt, {
+                    registry: toolRegistry,
+                    toolNames: task.tools,
+                    onToolCall: (record) => console.log(`[Tool ${record.tool}]`, JSON.stringify(record)),
+                })
+                : await generateText(providers.agent, agentPrompt);
             console.log(`[Sub-agent ${task.role} Finished]`);
-            return `【${task.role} 的回報】:\n${output}`;
+            return output;
         });
 
-        const agentResultsArray = await Promise.all(agentPromises);
-        const agentResultsCombined = agentResultsArray.join('\n\n');
+        const agentResultsCombined = tasks.map((task, i) => `【${task.role} 的回報】:\n${agentResults[i]}`).join('\n\n');
         console.log('\nSub-agents Combined Results:\n', agentResultsCombined);
 
         // --- Step 3: Synthesis ---
         console.log('\n3. Starting Synthesizer to combine results...');
-        const finalResult = await model.generateContent(buildSynthesizerPrompt(userMessage, agentResultsCombined));
+        const finalText = await generateText(providers.synthesizer, buildSynthesizerPrompt(userMessage, agentResultsCombined));
         console.log('\n================ FINAL RESULT ================');
-        console.log(finalResult.response.text());
+        console.log(finalText);
         console.log('==============================================');
 
     } catch (err) {
@@ -62,4 +64,4 @@ async function testGemini() {
     }
 }
 
-testGemini();
+testPipeline();
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textEvent, userSource, groupSource } = require('../scripts/webhook-simulator');
+const { DEFAULT_PROMPTS, buildHelpText, buildHelpMessage, buildFeatureListText } = require('../prompts');
+const { COMMANDS, formatCommandUsage, buildUnknownCommandText } = require('../prompts/commands');
+const { parseCommand } = require('../handlers/commands');
+const { setup, promptText } = require('./helpers');
+
+const ALICE = userSource('Ualice');
+
+function lastReply(lineClient) {
+  const messages = lineClient.sentMessages();
+  return messages[messages.length - 1].text;
+}
+
+test('parseCommand reads the name and arguments', () => {
+  assert.deepEqual(parseCommand('/Mode  simple '), { name: 'mode', args: ['simple'] });
+  assert.deepEqual(parseCommand('/reset'), { name: 'reset', args: [] });
+  assert.equal(parseCommand('/etc/hosts 是什麼？'), null);
+  assert.equal(parseCommand('請問 /reset 是什麼'), null);
+});
+
+test('help text and feature list are generated from the command registry', () => {
+  const help = buildHelpText();
+  COMMANDS.forEach((command) => {
+    assert.ok(help.includes(formatCommandUsage(command)), `help is missing /${command.name}`);
+    assert.ok(buildFeatureListText().includes(formatCommandUsage(command)), `features are missing /${command.name}`);
+  });
+});
+
+test('answers commands directly without calling the model', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    await simulator.send(textEvent('/help', { source: ALICE }));
+    assert.deepEqual(lineClient.sentMessages().at(-1), buildHelpMessage());
+    await simulator.send(textEvent('/nope', { source: ALICE }));
+    assert.equal(lastReply(lineClient), buildUnknownCommandText('nope'));
+    assert.equal(providers.supervisor.calls.length, 0);
+    assert.equal(lineClient.calls.some((c) => c.method === 'showLoadingAnimation'), false);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('/lang and /persona shape the final answer prompts', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    await simulator.send(textEvent('/lang EN', { source: ALICE }));
+    assert.match(lastReply(lineClient), /English/);
+    await simulator.send(textEvent('/persona concise', { source: ALICE }));
+    await simulator.send(textEvent('你好', { source: ALICE }));
+    assert.match(promptText(providers.default), /Reply in English\.\n盡量精簡/);
+
+    // 其他使用者不受影響
+    await simulator.send(textEvent('你好', { source: userSource('Ubob') }));
+    assert.doesNotMatch(promptText(providers.default, 1), /回覆風格/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('/mode switches between single-call and multi-agent answers', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    await simulator.send(textEvent('/mode', { source: ALICE }));
+    assert.match(lastReply(lineClient), /目前的回答模式為「自動」/);
+    await simulator.send(textEvent('/mode fast', { source: ALICE }));
+    assert.match(lastReply(lineClient), /不支援「fast」/);
+
+    await simulator.send(textEvent('/mode simple', { source: ALICE }));
+    await simulator.send(textEvent('你好', { source: ALICE }));
+    assert.equal(providers.supervisor.calls.length, 0);
+    assert.equal(providers.default.calls.length, 1);
+
+    await simulator.send(textEvent('/mode agents', { source: ALICE }));
+    await simulator.send(textEvent('你好', { source: ALICE }));
+    assert.match(promptText(providers.supervisor), /至少拆成兩個子任務/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('/reset clears the conversation and /status reports it', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    await simulator.send(textEvent('我叫小明', { source: ALICE }));
+    await simulator.send(textEvent('/status', { source: ALICE }));
+    assert.match(lastReply(lineClient), /對話紀錄：2 則訊息/);
+    assert.match(lastReply(lineClient), /回覆語言：繁體中文/);
+
+    await simulator.send(textEvent('/reset', { source: ALICE }));
+    assert.equal(lastReply(lineClient), DEFAULT_PROMPTS.text('command.resetDone'));
+    await simulator.send(textEvent('我叫什麼？', { source: ALICE }));
+    assert.doesNotMatch(promptText(providers.supervisor, 1), /小明/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('accepts known commands in groups without a mention', async () => {
+  const { simulator, lineClient } = setup();
+  try {
+    await simulator.send(textEvent('/nope', { source: groupSource('Cgroup', 'Ualice') }));
+    assert.deepEqual(lineClient.calls, []);
+    await simulator.send(textEvent('/status', { source: groupSource('Cgroup', 'Ualice') }));
+    assert.match(lastReply(lineClient), /群組回覆：被 @提及/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers "/ai <question>" in one-on-one chats instead of treating it as a command', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    await simulator.send(textEvent('/ai 什麼是黑洞', { source: ALICE }));
+    assert.equal(lastReply(lineClient), '簡單回覆');
+    assert.match(promptText(providers.supervisor), /什麼是黑洞/);
+    // 前綴後面接指令時照常執行指令
+    await simulator.send(textEvent('/ai /status', { source: ALICE }));
+    assert.match(lastReply(lineClient), /^【目前狀態】/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('explains that settings cannot be saved without a store', async () => {
+  const { simulator, lineClient } = setup({ store: null });
+  try {
+    await simulator.send(textEvent('/lang ja', { source: ALICE }));
+    assert.equal(lastReply(lineClient), DEFAULT_PROMPTS.text('command.settingsUnavailable'));
+    await simulator.send(textEvent('/status', { source: ALICE }));
+    assert.match(lastReply(lineClient), /對話紀錄：未啟用/);
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HTTPError, RequestError } = require('@line/bot-sdk');
+const { createDelivery } = require('../utils/delivery');
+
+const source = { type: 'user', userId: 'Ualice' };
+const text = (i) => ({ type: 'text', text: `訊息${i}` });
+
+/**
+ * 假的 LINE client：replyMessage 依序拋出 replyErrors 中的錯誤 (null 代表成功)
+ */
+function createFakeLineClient(replyErrors = []) {
+  const calls = [];
+  return {
+    calls,
+    async replyMessage(replyToken, messages) {
+      calls.push({ method: 'reply', messages });
+      const err = replyErrors.shift();
+      if (err) throw err;
+      return {};
+    },
+    async pushMessage(to, messages) {
+      calls.push({ method: 'push', to, messages });
+      return {};
+    },
+  };
+}
+
+function createTestDelivery(lineClient) {
+  const errors = [];
+  const delivery = createDelivery(lineClient, { onError: (method, err) => errors.push({ method, err }) });
+  return { delivery, errors };
+}
+
+// @line/bot-sdk 對 4xx / 5xx 回應拋出的錯誤
+const httpError = (statusCode, message) => new HTTPError(`Request failed with status code ${statusCode}`, statusCode, '', {
+  response: { data: { message } },
+});
+
+test('replies first and pushes the batches beyond five messages', async () => {
+  const lineClient = createFakeLineClient();
+  const { delivery } = createTestDelivery(lineClient);
+  await delivery.send({ replyToken: 'r1', timestamp: Date.now(), source }, [1, 2, 3, 4, 5, 6, 7].map(text));
+
+  assert.deepEqual(lineClient.calls.map((c) => [c.method, c.messages.length]), [['reply', 5], ['push', 2]]);
+  assert.equal(lineClient.calls[1].to, 'Ualice');
+});
+
+test('pushes when the reply token has expired or is invalid', async () => {
+  const expired = createFakeLineClient();
+  await createTestDelivery(expired).delivery.send({ replyToken: 'r1', timestamp: Date.now() - 5 * 60 * 1000, source }, text(1));
+  assert.deepEqual(expired.calls.map((c) => c.method), ['push']);
+
+  const invalid = createFakeLineClient([httpError(400, 'Invalid reply token')]);
+  const { delivery, errors } = createTestDelivery(invalid);
+  await delivery.send({ replyToken: 'r1', timestamp: Date.now(), source }, text(1));
+  assert.deepEqual(invalid.calls.map((c) => c.method), ['reply', 'push']);
+  assert.deepEqual(errors.map((e) => e.method), ['reply']);
+});
+
+test('does not push after other reply errors', async () => {
+  // 訊息格式錯誤：push 同樣會失敗，只會浪費 push 額度
+  const badRequest = createFakeLineClient([httpError(400, 'The request body has 1 error(s)')]);
+  await assert.rejects(
+    createTestDelivery(badRequest).delivery.send({ replyToken: 'r1', timestamp: Date.now(), source }, text(1)),
+    (err) => err.statusCode === 400,
+  );
+  assert.deepEqual(badRequest.calls.map((c) => c.method), ['reply']);
+
+  // 逾時的 reply 可能已經送達，push 會讓使用者收到兩次
+  const timedOut = createFakeLineClient([new RequestError('timeout of 10000ms exceeded', 'ECONNABORTED', new Error('timeout'))]);
+  await assert.rejects(createTestDelivery(timedOut).delivery.send({ replyToken: 'r1', timestamp: Date.now(), source }, text(1)), /timeout/);
+  assert.deepEqual(timedOut.calls.map((c) => c.method), ['reply']);
+});
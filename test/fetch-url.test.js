@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const dns = require('dns');
+const { isBlockedAddress, createHttpGet, createFetchUrlTool } = require('../tools/fetch-url');
+
+const PUBLIC_IP = '93.184.216.34';
+const HOSTS = {
+  'example.com': [{ address: PUBLIC_IP, family: 4 }],
+  'intranet.example.com': [{ address: '10.0.0.5', family: 4 }],
+  'dual.example.com': [{ address: PUBLIC_IP, family: 4 }, { address: 'fd00::1', family: 6 }],
+};
+
+// 假的 DNS 與 HTTP 層：pages 為 url → 回應
+function createTestTool(pages = {}) {
+  const requested = [];
+  const tool = createFetchUrlTool({
+    resolveHost: async (hostname) => {
+      if (!HOSTS[hostname]) throw new Error('ENOTFOUND');
+      return HOSTS[hostname];
+    },
+    httpGet: async (url) => {
+      requested.push(url);
+      return { contentType: 'text/plain', body: '', ...pages[url] };
+    },
+  });
+  return { tool, requested };
+}
+
+test('classifies loopback, private, link-local, unspecified and mapped addresses as internal', () => {
+  ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1',
+    '::', '::1', '::ffff:7f00:1', '::ffff:169.254.169.254', 'fe80::1', 'fd12:3456::1', 'not-an-ip']
+    .forEach((address) => assert.equal(isBlockedAddress(address), true, address));
+  [PUBLIC_IP, '8.8.8.8', '2001:4860:4860::8888'].forEach((address) => assert.equal(isBlockedAddress(address), false, address));
+});
+
+test('rejects internal URLs before any request is made', async () => {
+  const { tool, requested } = createTestTool();
+  const internal = [
+    'http://localhost/',
+    'http://localhost./admin',
+    'http://metadata.google.internal/computeMetadata/v1/',
+    'http://printer.local/',
+    'http://127.0.0.1:8080/',
+    'http://2130706433/',
+    'http://0x7f.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::]/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://intranet.example.com/',
+    'http://dual.example.com/',
+  ];
+  for (const url of internal) {
+    await assert.rejects(tool.execute({ url }), { message: '不允許讀取內部網路位址' }, url);
+  }
+  await assert.rejects(tool.execute({ url: 'file:///etc/passwd' }), { message: '只支援 http / https 網址' });
+  await assert.rejects(tool.execute({ url: 'http://unknown.example.com/' }), { message: '無法解析網址的主機：unknown.example.com' });
+  assert.deepEqual(requested, []);
+});
+
+test('re-validates every redirect hop', async () => {
+  const { tool, requested } = createTestTool({
+    'https://example.com/go': { status: 302, location: '/article' },
+    'https://example.com/article': { status: 200, contentType: 'text/html', body: '<title>標題</title><p>內容</p>' },
+    'https://example.com/metadata': { status: 302, location: 'http://169.254.169.254/latest/meta-data/' },
+    'https://example.com/loop': { status: 301, location: 'https://example.com/loop' },
+  });
+
+  assert.deepEqual(await tool.execute({ url: 'https://example.com/go' }), {
+    url: 'https://example.com/article', title: '標題', content: '標題 內容', truncated: false,
+  });
+  await assert.rejects(tool.execute({ url: 'https://example.com/metadata' }), { message: '不允許讀取內部網路位址' });
+  assert.equal(requested.filter((url) => url.includes('169.254')).length, 0);
+  await assert.rejects(tool.execute({ url: 'https://example.com/loop' }), { message: '轉址超過 3 次' });
+});
+
+test('the default HTTP layer does not follow redirects, caps the body and checks addresses on connect', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: 'http://169.254.169.254/' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('a'.repeat(64 * 1024));
+  });
+  await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    // 測試伺服器在本機，改用不檢查位址的 lookup
+    const httpGet = createHttpGet({ lookup: dns.lookup, maxBytes: 1000 });
+    const capped = await httpGet(`${base}/large`);
+    assert.equal(capped.body.length, 1000);
+    assert.equal(capped.truncated, true);
+    assert.deepEqual(await httpGet(`${base}/redirect`), {
+      status: 302, contentType: '', location: 'http://169.254.169.254/', body: '', truncated: false,
+    });
+
+    // 預設 lookup 在連線時拒絕解析到內部位址的主機 (DNS rebinding)
+    await assert.rejects(createHttpGet()(`http://localhost:${server.address().port}/`), { message: '不允許讀取內部網路位址' });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textEvent } = require('../scripts/webhook-simulator');
+const {
+  parseBlocks, markdownToFlexComponents, buildAnswerMessages, MAX_BUBBLE_BYTES,
+} = require('../utils/flex');
+const { FEATURE_LIST, buildFeatureListMessage, buildHelpMessage } = require('../prompts');
+const { COMMANDS } = require('../prompts/commands');
+const { HANDLED_POSTBACK_ACTIONS } = require('../handlers/postback');
+const { setup } = require('./helpers');
+
+const STRUCTURED_ANSWER = `## 比較
+| 語言 | 用途 |
+| --- | --- |
+| **JS** | 網頁 |
+
+- 第一點
+  - 細節
+
+\`\`\`js
+console.log(1);
+\`\`\``;
+
+// 找出 Flex 元件樹中所有的 action
+function collectActions(component) {
+  if (!component || typeof component !== 'object') return [];
+  const own = component.action ? [component.action] : [];
+  return [...own, ...Object.values(component).flatMap(collectActions)];
+}
+
+test('parses headings, tables, nested lists and code blocks', () => {
+  assert.deepEqual(parseBlocks(STRUCTURED_ANSWER).map((block) => block.kind), ['heading', 'table', 'list', 'code']);
+  const [heading, table, list, code] = markdownToFlexComponents(STRUCTURED_ANSWER);
+  assert.deepEqual(heading, { type: 'text', text: '比較', wrap: true, size: 'md', weight: 'bold' });
+  assert.equal(table.contents[0].contents[0].weight, 'bold');
+  assert.equal(table.contents[1].type, 'separator');
+  assert.equal(table.contents[2].contents[0].text, 'JS');
+  assert.equal(list.contents[1].paddingStart, 'lg');
+  assert.equal(code.contents[0].text, 'console.log(1);');
+});
+
+test('keeps plain answers as text and lays out structured answers as a bubble', () => {
+  assert.deepEqual(buildAnswerMessages('**你好**！\n\n有什麼需要幫忙的？'), [{ type: 'text', text: '你好！\n\n有什麼需要幫忙的？' }]);
+
+  const [message] = buildAnswerMessages(STRUCTURED_ANSWER);
+  assert.equal(message.type, 'flex');
+  assert.equal(message.contents.type, 'bubble');
+  assert.match(message.altText, /^【比較】 • 語言：JS／用途：網頁/);
+});
+
+test('falls back to text messages when the Flex payload is too large', () => {
+  const longCode = `\`\`\`\n${'const x = 1;\n'.repeat(MAX_BUBBLE_BYTES / 10)}\`\`\``;
+  const messages = buildAnswerMessages(longCode);
+  assert.ok(messages.length > 1);
+  assert.ok(messages.every((message) => message.type === 'text'));
+
+  // carousel 最多 12 張
+  const sections = Array.from({ length: 12 }, (_, i) => ({ title: `角色 ${i}`, text: '結果' }));
+  assert.equal(buildAnswerMessages('統整', { sections: sections.slice(0, 11) })[0].type, 'flex');
+  assert.deepEqual(buildAnswerMessages('統整', { sections }), [{ type: 'text', text: '統整' }]);
+});
+
+test('feature list and help cards trigger handled postbacks and known commands', () => {
+  const featureCard = buildFeatureListMessage();
+  assert.equal(featureCard.type, 'flex');
+  const actions = [...collectActions(featureCard.contents), ...collectActions(buildHelpMessage().contents)];
+  assert.equal(collectActions(featureCard.contents).length, FEATURE_LIST.length);
+
+  const commandNames = COMMANDS.map((command) => `/${command.name}`);
+  actions.forEach((action) => {
+    if (action.type === 'postback') assert.ok(HANDLED_POSTBACK_ACTIONS.includes(action.data), action.data);
+    else assert.ok(commandNames.includes(action.text), action.text);
+  });
+});
+
+test('sends structured single answers as Flex through the pipeline', async () => {
+  const { simulator, lineClient } = setup({ scripts: { default: { fallback: STRUCTURED_ANSWER } } });
+  try {
+    await simulator.send(textEvent('比較一下'));
+    const [message] = lineClient.sentMessages();
+    assert.equal(message.type, 'flex');
+    assert.equal(message.contents.size, 'giga');
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LINE_TEXT_LIMIT, EMPTY_REPLY_TEXT, markdownToPlainText, splitText, buildTextMessages,
+} = require('../utils/formatter');
+
+test('converts Markdown to plain text and leaves code blocks untouched', () => {
+  const markdown = [
+    '# 標題',
+    '**粗體** 與 *斜體*，[連結](https://a.b)',
+    '- 項目',
+    '---',
+    '| A | B |',
+    '|---|---|',
+    '| 1 | 2 |',
+    '```',
+    '**不變**',
+    '```',
+  ].join('\n');
+  assert.equal(markdownToPlainText(markdown), [
+    '【標題】',
+    '粗體 與 斜體，連結 (https://a.b)',
+    '• 項目',
+    '──────────',
+    '• A：1／B：2',
+    '```',
+    '**不變**',
+    '```',
+  ].join('\n'));
+});
+
+test('splits at paragraph boundaries and re-wraps oversized code blocks', () => {
+  assert.deepEqual(splitText('一二三四五\n\n六七八九十\n\n甲乙丙', 12), ['一二三四五\n\n六七八九十', '甲乙丙']);
+
+  const code = ['```js', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6', '```'].join('\n');
+  assert.deepEqual(splitText(`前言\n\n${code}\n\n結尾`, 20), [
+    '前言',
+    '```js\na1\na2\na3\n```',
+    '```js\na4\na5\na6\n```',
+    '結尾',
+  ]);
+
+  // 程式碼區塊內的空行不是段落邊界
+  assert.deepEqual(splitText('```\na\n\nb\n```', 100), ['```\na\n\nb\n```']);
+  // 單行過長時硬切，不切斷 emoji
+  assert.deepEqual(splitText('😀'.repeat(5), 4), ['😀😀', '😀😀', '😀']);
+});
+
+test('builds LINE text messages within the 5000-character limit', () => {
+  const paragraphs = Array.from({ length: 30 }, (_, i) => String(i).padEnd(400, '字'));
+  const messages = buildTextMessages(paragraphs.join('\n\n'));
+  assert.equal(messages.length, 3);
+  assert.ok(messages.every(({ type, text }) => type === 'text' && text.length <= LINE_TEXT_LIMIT));
+  assert.deepEqual(messages.flatMap(({ text }) => text.split('\n\n')), paragraphs);
+
+  const longCode = buildTextMessages(`\`\`\`python\n${'print(1)\n'.repeat(1000)}\`\`\``);
+  assert.equal(longCode.length, 2);
+  assert.ok(longCode.every(({ text }) => text.length <= LINE_TEXT_LIMIT && text.startsWith('```python\n') && text.endsWith('\n```')));
+
+  assert.deepEqual(buildTextMessages('  '), [{ type: 'text', text: EMPTY_REPLY_TEXT }]);
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  textEvent, mentionSelf, imageEvent, audioEvent, joinEvent, leaveEvent, groupSource, roomSource, createRecordingLineClient,
+} = require('../scripts/webhook-simulator');
+const { DEFAULT_PROMPTS, buildGroupIntroText } = require('../prompts');
+const { buildGroupSettingsText, buildGroupUpdatedText } = require('../prompts/commands');
+const { matchTrigger, createGroups } = require('../utils/groups');
+const { createMemoryStore } = require('../utils/store');
+const { setup, promptText } = require('./helpers');
+
+const GROUP = groupSource('Cgroup', 'Ualice');
+
+test('matchTrigger strips self mentions using UTF-16 offsets', () => {
+  const text = '😀 @Mars 幫我翻譯 @Bob 的訊息';
+  const message = {
+    text,
+    mention: {
+      mentionees: [
+        { index: 3, length: 5, type: 'user', isSelf: true },
+        { index: 14, length: 4, type: 'user', userId: 'Ubob' },
+      ],
+    },
+  };
+  assert.deepEqual(matchTrigger(message, { prefix: '/ai' }), { trigger: 'mention', text: '😀  幫我翻譯 @Bob 的訊息' });
+  assert.equal(matchTrigger({ text: '@Bob 早安', mention: { mentionees: [{ index: 0, length: 4, type: 'user' }] } }, { prefix: '/ai' }), null);
+  assert.deepEqual(matchTrigger({ text: '/AI 早安' }, { prefix: '/ai' }), { trigger: 'prefix', text: '早安' });
+  assert.deepEqual(matchTrigger({ text: '好喔' }, { prefix: '/ai', quotesBot: true }), { trigger: 'reply', text: '好喔' });
+});
+
+test('group settings validate updates and fall back to defaults', async () => {
+  const groups = createGroups({ store: createMemoryStore(), defaults: { prefix: '!bot' } });
+  assert.equal((await groups.get('Cgroup')).prefix, '!bot');
+  const updated = await groups.update('Cgroup', { replyMode: 'all', features: { image: false } });
+  assert.equal(updated.replyMode, 'all');
+  assert.deepEqual(updated.features, { multiAgent: true, image: false, audio: true, files: true });
+  await assert.rejects(groups.update('Cgroup', { replyMode: 'sometimes' }), /replyMode/);
+  await assert.rejects(groups.update('Cgroup', { features: { video: true } }), /video/);
+  await groups.remove('Cgroup');
+  assert.equal((await groups.get('Cgroup')).replyMode, 'mention');
+});
+
+test('ignores group messages that do not address the bot', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    await simulator.send([textEvent('大家午餐吃什麼？', { source: GROUP }), audioEvent({ source: GROUP })]);
+    assert.deepEqual(lineClient.calls, []);
+    assert.equal(providers.supervisor.calls.length, 0);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers when mentioned, with the mention removed from the question', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    const text = '@Mars 午餐推薦';
+    await simulator.send(textEvent(text, { source: GROUP, mention: mentionSelf(text) }));
+    assert.match(promptText(providers.supervisor), /午餐推薦/);
+    assert.doesNotMatch(promptText(providers.supervisor), /@Mars/);
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: '簡單回覆' }]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers messages that start with the prefix in rooms too', async () => {
+  const { simulator, lineClient } = setup({ env: { GROUP_TRIGGER_PREFIX: '!mars' } });
+  try {
+    await simulator.send(textEvent('/ai 午餐推薦', { source: roomSource('Rroom') }));
+    assert.deepEqual(lineClient.calls, []);
+    await simulator.send(textEvent('!mars 午餐推薦', { source: roomSource('Rroom') }));
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: '簡單回覆' }]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers replies that quote one of the bot messages', async () => {
+  const { simulator, lineClient, store } = setup();
+  try {
+    await simulator.send(textEvent('/ai 推薦一本書', { source: GROUP }));
+    const [botMessageId] = await store.get('group-sent:Cgroup');
+
+    await simulator.send(textEvent('再推薦一本', { source: GROUP, quotedMessageId: 'someone-else' }));
+    assert.equal(lineClient.sentMessages().length, 1);
+
+    await simulator.send(textEvent('再推薦一本', { source: GROUP, quotedMessageId: botMessageId }));
+    assert.equal(lineClient.sentMessages().length, 2);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('asks for a question when mentioned without one', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    await simulator.send(textEvent('@Mars', { source: GROUP, mention: mentionSelf('@Mars') }));
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: DEFAULT_PROMPTS.text('group.emptyMention') }]);
+    assert.equal(providers.supervisor.calls.length, 0);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('follows per-group reply mode and features', async () => {
+  const { simulator, lineClient, providers, store } = setup();
+  const groups = createGroups({ store });
+  try {
+    await groups.update('Cgroup', { replyMode: 'all', features: { multiAgent: false } });
+    await groups.update('Cquiet', { replyMode: 'off' });
+
+    await simulator.send(textEvent('大家午餐吃什麼？', { source: GROUP }));
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: '簡單回覆' }]);
+    assert.equal(providers.supervisor.calls.length, 0);
+
+    const text = '@Mars 在嗎';
+    await simulator.send(textEvent(text, { source: groupSource('Cquiet'), mention: mentionSelf(text) }));
+    assert.equal(lineClient.sentMessages().length, 1);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('changes group settings with /group, even while replies are off', async () => {
+  const { simulator, lineClient, store } = setup();
+  const groups = createGroups({ store });
+  try {
+    await simulator.send(textEvent('/group', { source: GROUP }));
+    await simulator.send(textEvent('/group mode off', { source: GROUP }));
+    await simulator.send(textEvent('@Mars 在嗎', { source: GROUP, mention: mentionSelf('@Mars 在嗎') }));
+    await simulator.send(textEvent('/group image OFF', { source: GROUP }));
+    await simulator.send(textEvent('/group mode sometimes', { source: GROUP }));
+    await simulator.send(textEvent('/group mode all', { source: GROUP }));
+    await simulator.send(textEvent('/group', { source: { type: 'user', userId: 'Ualice' } }));
+
+    const settings = await groups.get('Cgroup');
+    assert.equal(settings.replyMode, 'all');
+    assert.equal(settings.features.image, false);
+    const texts = lineClient.sentMessages().map((m) => m.text);
+    assert.equal(texts.length, 6);
+    assert.equal(texts[0], buildGroupSettingsText(createGroups({ store: null }).defaults()));
+    assert.match(texts[1], /^✅ 已更新群組設定/);
+    assert.match(texts[3], /^⚠️ 不支援「mode sometimes」/);
+    assert.equal(texts[4], buildGroupUpdatedText(settings));
+    assert.equal(texts[5], DEFAULT_PROMPTS.text('group.only'));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('keeps group images quietly until the bot is called', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'img-g': Buffer.from([0xff, 0xd8]) } });
+  const { simulator, providers } = setup({ lineClient });
+  try {
+    await simulator.send(imageEvent({ messageId: 'img-g', source: GROUP }));
+    assert.deepEqual(lineClient.sentMessages(), []);
+
+    await simulator.send(textEvent('/ai 這張圖是哪裡？', { source: GROUP }));
+    const parts = providers.supervisor.calls[0].contents[0].parts;
+    assert.equal(parts.filter((p) => p.inlineData).length, 1);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('introduces itself on join and forgets the group on leave', async () => {
+  const { simulator, lineClient, store } = setup();
+  const groups = createGroups({ store });
+  try {
+    const join = joinEvent({ source: groupSource('Cgroup') });
+    await simulator.send(join);
+    assert.deepEqual(lineClient.calls, [
+      { method: 'replyMessage', args: [join.replyToken, [{ type: 'text', text: buildGroupIntroText(await groups.get('Cgroup')) }]] },
+    ]);
+
+    await groups.update('Cgroup', { replyMode: 'all' });
+    await simulator.send(textEvent('你好', { source: GROUP }));
+    assert.notEqual(await store.get('history:Cgroup'), null);
+
+    await simulator.send(leaveEvent({ source: groupSource('Cgroup') }));
+    assert.equal(await store.get('history:Cgroup'), null);
+    assert.equal((await groups.get('Cgroup')).replyMode, 'mention');
+  } finally {
+    await simulator.close();
+  }
+});
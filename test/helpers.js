@@ -0,0 +1,55 @@
+/**
+ * 測試共用工具 — 以 fake provider 組出各階段的 providers，並建立模擬環境
+ */
+
+const { createFakeProvider } = require('../providers');
+const { createSimulator } = require('../scripts/webhook-simulator');
+const { createTelemetry } = require('../utils/telemetry');
+
+/**
+ * @param {object} [scripts] - 各階段的 fake provider 腳本 (見 providers/fake.js)
+ * @param {object} [scripts.supervisor] - 預設回傳空計畫 (簡單問題)
+ * @param {object} [scripts.agent]
+ * @param {object} [scripts.synthesizer]
+ * @param {object} [scripts.default] - 單一對話模式使用
+ * @param {object} [scripts.transcription]
+ */
+function createFakeProviders(scripts = {}) {
+  return {
+    default: createFakeProvider({ fallback: '簡單回覆', ...scripts.default, name: 'fake:default' }),
+    supervisor: createFakeProvider({ fallback: '[]', ...scripts.supervisor, name: 'fake:supervisor' }),
+    agent: createFakeProvider({ fallback: '子任務結果', ...scripts.agent, name: 'fake:agent' }),
+    synthesizer: createFakeProvider({ fallback: '統整回覆', ...scripts.synthesizer, name: 'fake:synthesizer' }),
+    transcription: createFakeProvider({ fallback: '語音內容', ...scripts.transcription, name: 'fake:transcription' }),
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.scripts] - 傳給 createFakeProviders
+ * @param {object} [options.lineClient]
+ * @param {object|null} [options.store]
+ * @param {object} [options.env]
+ * @param {object} [options.telemetry] - 預設不輸出 log (需要檢查 log 的測試自行傳入)
+ */
+function setup({ scripts, telemetry = createTelemetry({ write: () => {} }), ...options } = {}) {
+  const providers = createFakeProviders(scripts);
+  const simulator = createSimulator({ providers, telemetry, ...options });
+  return { providers, simulator, lineClient: simulator.lineClient, store: simulator.store };
+}
+
+/**
+ * 取得 fake provider 某次呼叫的文字 prompt
+ */
+function promptText(provider, index = 0) {
+  return provider.calls[index].contents[0].parts
+    .filter((p) => p.text !== undefined)
+    .map((p) => p.text)
+    .join('\n');
+}
+
+module.exports = {
+  createFakeProviders,
+  setup,
+  promptText,
+};
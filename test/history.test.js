@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { trimHistory, createHistory } = require('../utils/history');
+const { createMemoryStore, createFileStore } = require('../utils/store');
+
+const turn = (i) => [{ role: 'user', text: `問題${i}` }, { role: 'model', text: `回答${i}` }];
+
+test('trimHistory keeps whole turns within the turn and token limits', () => {
+  const turns = [1, 2, 3, 4].flatMap(turn);
+  assert.deepEqual(trimHistory(turns, { maxTurns: 2, maxTokens: 1000 }).map((t) => t.text), ['問題3', '回答3', '問題4', '回答4']);
+
+  // token 上限切在一輪中間時，不留下沒有提問的回覆
+  assert.deepEqual(trimHistory(turns, { maxTurns: 4, maxTokens: 9 }).map((t) => t.text), ['問題4', '回答4']);
+  assert.deepEqual(trimHistory(turns, { maxTurns: 4, maxTokens: 2 }), []);
+});
+
+test('history stores turns per source and trims on append', async () => {
+  const store = createMemoryStore();
+  const history = createHistory({ store, maxTurns: 2, maxTokens: 1000 });
+  for (const i of [1, 2, 3]) await history.append('Ualice', `問題${i}`, `回答${i}`);
+
+  assert.deepEqual((await history.load('Ualice')).map((t) => t.text), ['問題2', '回答2', '問題3', '回答3']);
+  assert.deepEqual(await history.load('Ubob'), []);
+  await history.clear('Ualice');
+  assert.deepEqual(await history.load('Ualice'), []);
+});
+
+test('file store keeps one file per key and per hash field', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  try {
+    const store = createFileStore(dir);
+    const history = createHistory({ store, maxTurns: 2, maxTokens: 1000 });
+    await history.append('Ualice', '問題1', '回答1');
+    assert.deepEqual((await history.load('Ualice')).map((t) => t.text), ['問題1', '回答1']);
+
+    await store.set('short', 1, { ttlSeconds: -1 });
+    assert.equal(await store.get('short'), null);
+
+    // 同時寫入不同欄位不會蓋掉彼此
+    await Promise.all(['a', 'b', 'c'].map((field, i) => store.setField('index', field, i)));
+    await store.deleteField('index', 'b');
+    assert.deepEqual(await store.getFields('index'), { a: 0, c: 2 });
+    assert.equal(await store.getFields('missing'), null);
+
+    // 另一個 store (例如另一個 process) 讀到相同的資料
+    assert.equal((await createHistory({ store: createFileStore(dir), maxTurns: 2, maxTokens: 1000 }).load('Ualice')).length, 2);
+    await store.delete('index');
+    assert.equal(await store.getFields('index'), null);
+    assert.equal(fs.readdirSync(dir).some((file) => file.endsWith('.tmp')), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
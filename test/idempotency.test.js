@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textEvent, postbackEvent, redeliver } = require('../scripts/webhook-simulator');
+const { createMemoryStore } = require('../utils/store');
+const { createEventLedger } = require('../utils/idempotency');
+const { createJobQueue } = require('../utils/jobs');
+const { ACTIONS } = require('../prompts');
+const { setup } = require('./helpers');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('event ledger skips claimed events until a processing claim goes stale', async () => {
+  let time = 0;
+  const ledger = createEventLedger({ store: createMemoryStore(), staleSeconds: 60, now: () => time });
+  assert.equal(await ledger.claim('E1'), true);
+  assert.equal(await ledger.claim('E1'), false);
+
+  time += 61 * 1000;
+  assert.equal(await ledger.claim('E1'), true);
+  await ledger.complete('E1');
+  time += 3600 * 1000;
+  assert.equal(await ledger.claim('E1'), false);
+
+  await ledger.release('E1');
+  assert.equal(await ledger.claim('E1'), true);
+});
+
+test('job queue runs jobs with the same key one at a time in order', async () => {
+  const jobs = createJobQueue();
+  const log = [];
+  jobs.enqueue('a1', async () => { await delay(20); log.push('a1'); }, { key: 'a' });
+  jobs.enqueue('a2', async () => { log.push('a2'); }, { key: 'a' });
+  jobs.enqueue('b1', async () => { log.push('b1'); }, { key: 'b' });
+  await jobs.drain();
+  assert.deepEqual(log, ['b1', 'a1', 'a2']);
+});
+
+test('skips a redelivered event that has already been answered', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    const event = textEvent('你好');
+    await simulator.send(event);
+    await simulator.send(redeliver(event));
+    assert.equal(providers.supervisor.calls.length, 1);
+    assert.equal(lineClient.sentMessages().length, 1);
+
+    const postback = postbackEvent(ACTIONS.AI_CHAT);
+    await simulator.send(postback);
+    await simulator.send(redeliver(postback));
+    assert.equal(lineClient.sentMessages().length, 2);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('skips a redelivered event while the first delivery is still running', async () => {
+  const { simulator, lineClient, providers } = setup({
+    scripts: { default: { fallback: async () => { await delay(30); return '慢慢回覆'; } } },
+  });
+  try {
+    const event = textEvent('你好');
+    await Promise.all([simulator.send(event), simulator.send(redeliver(event))]);
+    assert.equal(providers.default.calls.length, 1);
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: '慢慢回覆' }]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers quick messages from one user in the order they were sent', async () => {
+  const { simulator, lineClient } = setup({
+    scripts: {
+      default: {
+        rules: [
+          // 第二則的 prompt 會帶到第一則的對話紀錄，因此先比對第二則
+          { match: '第二則', response: '第二則的回答' },
+          { match: '第一則', response: async () => { await delay(30); return '第一則的回答'; } },
+        ],
+      },
+    },
+  });
+  try {
+    await simulator.send([textEvent('第一則'), textEvent('第二則')]);
+    assert.deepEqual(lineClient.sentMessages().map((m) => m.text), ['第一則的回答', '第二則的回答']);
+  } finally {
+    await simulator.close();
+  }
+});
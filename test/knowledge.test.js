@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  textEvent, fileEvent, postbackEvent, leaveEvent, userSource, groupSource, mentionSelf, createRecordingLineClient,
+} = require('../scripts/webhook-simulator');
+const { createFakeProvider } = require('../providers');
+const { buildDocumentErrorText, buildDocumentDeletedText } = require('../prompts');
+const { createMemoryStore } = require('../utils/store');
+const { tokenize, chunkText, createKnowledgeBase } = require('../utils/knowledge');
+const { setup, promptText } = require('./helpers');
+
+const ALICE = userSource('Ualice');
+const GROUP = groupSource('Cteam', 'Ualice');
+
+const HANDBOOK = [
+  '員工手冊',
+  '請假規定：特休需要提前三天在系統申請，病假當天告知主管即可。',
+  '報帳流程：出差的交通費與住宿費，請在返回後七天內附上收據報帳。',
+  '辦公室的咖啡機每週一早上清潔，清潔期間暫停使用。',
+].join('\n\n');
+
+test('tokenizes CJK text into bigrams and keeps words for other scripts', () => {
+  assert.deepEqual(tokenize('特休申請 API v2'), ['特休', '休申', '申請', 'api', 'v2']);
+  assert.deepEqual(tokenize('好'), ['好']);
+});
+
+test('chunks at paragraph boundaries and splits long paragraphs with overlap', () => {
+  assert.deepEqual(chunkText('一二三\n\n四五六\n\n七八九', { size: 8 }), ['一二三\n\n四五六', '七八九']);
+  const long = chunkText('a'.repeat(25), { size: 10, overlap: 2 });
+  assert.deepEqual(long.map((chunk) => chunk.length), [10, 10, 9]);
+  assert.deepEqual(chunkText(' \n\n \n'), []);
+});
+
+test('knowledge base ranks matching chunks first and enforces limits', async () => {
+  const knowledge = createKnowledgeBase({ store: createMemoryStore(), chunkSize: 40, maxDocuments: 2, maxChunks: 2 });
+  const handbook = await knowledge.add('Ualice', { name: 'handbook.txt', text: HANDBOOK });
+  assert.equal(handbook.chunks, 2);
+  assert.equal(handbook.truncated, true);
+  await knowledge.add('Ualice', { name: 'menu.md', text: '午餐菜單：週三供應咖哩飯。' });
+
+  const [top] = await knowledge.search('Ualice', '特休要多久前申請？');
+  assert.equal(top.name, 'handbook.txt');
+  assert.match(top.text, /特休需要提前三天/);
+  assert.deepEqual(await knowledge.search('Ualice', 'xyz'), []);
+  assert.deepEqual(await knowledge.search('Ubob', '特休'), []);
+
+  await assert.rejects(knowledge.add('Ualice', { name: 'third.txt', text: '第三份' }), { code: 'limit' });
+  await assert.rejects(knowledge.add('Ubob', { name: 'blank.txt', text: '\n\n' }), { code: 'empty' });
+
+  assert.equal((await knowledge.remove('Ualice', handbook.id.toUpperCase())).id, handbook.id);
+  assert.equal(await knowledge.remove('Ualice', handbook.id), null);
+  assert.deepEqual((await knowledge.list('Ualice')).map((doc) => doc.name), ['menu.md']);
+  assert.equal(await knowledge.clear('Ualice'), 1);
+  assert.deepEqual(await knowledge.list('Ualice'), []);
+});
+
+test('adds embeddings when an embedder is configured and fuses both rankings', async () => {
+  const embedder = createFakeProvider({ name: 'fake:embedding' });
+  const knowledge = createKnowledgeBase({ store: createMemoryStore(), embedder, chunkSize: 40 });
+  await knowledge.add('Ualice', { name: 'handbook.txt', text: HANDBOOK });
+  assert.equal(embedder.embedCalls[0].length, 3);
+
+  const passages = await knowledge.search('Ualice', '報帳要附收據嗎');
+  assert.deepEqual(embedder.embedCalls[1], ['報帳要附收據嗎']);
+  assert.match(passages[0].text, /報帳流程/);
+  // 向量排名會帶入沒有關鍵字命中的段落
+  assert.equal(passages.length, 3);
+});
+
+test('answers questions about an uploaded file with citations', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'file-1': Buffer.from(HANDBOOK) } });
+  const { simulator, providers } = setup({
+    lineClient,
+    scripts: { default: { rules: [{ match: /特休/, response: '特休需要提前三天申請 [1]。' }] } },
+  });
+  try {
+    await simulator.send(fileEvent('handbook.txt', { messageId: 'file-1', source: ALICE }));
+    assert.match(lineClient.sentMessages().at(-1).text, /已將「handbook\.txt」加入知識庫 \(1 段\)/);
+    assert.equal(providers.transcription.calls.length, 0);
+
+    await simulator.send(textEvent('特休要多久前申請？', { source: ALICE }));
+    const prompt = promptText(providers.default);
+    assert.match(prompt, /【參考資料】/);
+    assert.match(prompt, /\[1\] handbook\.txt \(第 1 段\)\n員工手冊/);
+    assert.equal(lineClient.sentMessages().at(-1).text, '特休需要提前三天申請 [1]。\n\n📎 資料來源\n[1] handbook.txt (第 1 段)');
+
+    // 其他使用者看不到
+    await simulator.send(textEvent('特休要多久前申請？', { source: userSource('Ubob') }));
+    assert.doesNotMatch(promptText(providers.default, 1), /參考資料/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('extracts PDF text with the transcription model and passes passages to agents', async () => {
+  const pdf = Buffer.from('%PDF-1.7 fake');
+  const lineClient = createRecordingLineClient({ contents: { 'pdf-1': pdf } });
+  const plan = JSON.stringify([{ id: 't1', role: '研究員', instruction: '整理報帳規定', dependsOn: [] }]);
+  const { simulator, providers } = setup({
+    lineClient,
+    scripts: {
+      transcription: { fallback: '報帳流程：出差費用請在七天內報帳。' },
+      supervisor: { responses: [plan] },
+      synthesizer: { fallback: '七天內報帳 [1]。' },
+    },
+  });
+  try {
+    await simulator.send(fileEvent('policy.pdf', { messageId: 'pdf-1', source: ALICE }));
+    const parts = providers.transcription.calls[0].contents[0].parts;
+    assert.deepEqual(parts[1], { inlineData: { mimeType: 'application/pdf', data: pdf.toString('base64') } });
+
+    await simulator.send(textEvent('出差費用多久內要報帳？', { source: ALICE }));
+    assert.match(promptText(providers.agent), /\[1\] policy\.pdf \(第 1 段\)/);
+    assert.match(promptText(providers.synthesizer), /【參考資料】/);
+    const answer = JSON.stringify(lineClient.sentMessages().at(-1));
+    assert.match(answer, /📎 資料來源/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('rejects unsupported files in chats and ignores them in groups', async () => {
+  const lineClient = createRecordingLineClient({
+    contents: { 'bin-1': Buffer.from([0, 1, 2, 3]), 'big-1': Buffer.alloc(11 * 1024 * 1024, 'a') },
+  });
+  const { simulator, providers } = setup({ lineClient });
+  try {
+    await simulator.send(fileEvent('photo.zip', { source: ALICE }));
+    assert.equal(lineClient.sentMessages().at(-1).text, buildDocumentErrorText('unsupported', { maxDocuments: 20 }));
+    await simulator.send(fileEvent('notes.txt', { messageId: 'bin-1', source: ALICE }));
+    assert.equal(lineClient.sentMessages().at(-1).text, buildDocumentErrorText('unsupported', { maxDocuments: 20 }));
+    await simulator.send(fileEvent('notes.txt', { messageId: 'big-1', source: ALICE }));
+    assert.equal(lineClient.sentMessages().at(-1).text, buildDocumentErrorText('too_large', { maxDocuments: 20 }));
+
+    const before = lineClient.calls.length;
+    await simulator.send(fileEvent('photo.zip', { source: GROUP }));
+    assert.equal(lineClient.calls.length, before);
+    assert.equal(providers.transcription.calls.length, 0);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('groups share one knowledge base that members can list and delete', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'file-2': Buffer.from(HANDBOOK) } });
+  const { simulator, store } = setup({ lineClient });
+  try {
+    await simulator.send(fileEvent('handbook.txt', { messageId: 'file-2', source: GROUP }));
+    const [document] = await store.get('kb:Cteam');
+
+    await simulator.send(textEvent('/docs', { source: groupSource('Cteam', 'Ubob') }));
+    const list = lineClient.sentMessages().at(-1);
+    assert.equal(list.altText, '📄 知識庫 (1)');
+    const deleteData = `action=delete_document&id=${document.id}`;
+    assert.ok(JSON.stringify(list.contents).includes(deleteData));
+
+    await simulator.send(postbackEvent(deleteData, { source: groupSource('Cteam', 'Ubob') }));
+    assert.equal(lineClient.sentMessages().at(-1).text, buildDocumentDeletedText(document));
+    const text = `@Mars /forget ${document.id}`;
+    await simulator.send(textEvent(text, { source: GROUP, mention: mentionSelf(text) }));
+    assert.equal(lineClient.sentMessages().at(-1).text, buildDocumentDeletedText(null));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('clears the group knowledge base when the bot leaves', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'file-3': Buffer.from(HANDBOOK) } });
+  const { simulator, store } = setup({ lineClient });
+  try {
+    await simulator.send(fileEvent('handbook.txt', { messageId: 'file-3', source: GROUP }));
+    const [document] = await store.get('kb:Cteam');
+    await simulator.send(leaveEvent({ source: GROUP }));
+    assert.equal(await store.get('kb:Cteam'), null);
+    assert.equal(await store.get(`kb:Cteam:${document.id}`), null);
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  textEvent, followEvent, unfollowEvent, memberJoinedEvent, memberLeftEvent, userSource, groupSource, createRecordingLineClient,
+} = require('../scripts/webhook-simulator');
+const { buildMemberWelcomeText } = require('../prompts');
+const { resolveLanguage, sanitizeName } = require('../utils/users');
+const { createGroups } = require('../utils/groups');
+const { setup, promptText } = require('./helpers');
+
+const ALICE = userSource('Ualice');
+const GROUP = groupSource('Cgroup', 'Ualice');
+const PROFILES = {
+  Ualice: { userId: 'Ualice', displayName: 'Alice\n  Chen', language: 'en' },
+  Ubob: { userId: 'Ubob', displayName: '小明', language: 'zh-Hant' },
+};
+
+// 歡迎卡片第一段的標題為問候語
+const greetingOf = (message) => message.contents.body.contents[0].contents[0].text;
+
+test('maps LINE profile languages and names', () => {
+  assert.equal(resolveLanguage('en'), 'en');
+  assert.equal(resolveLanguage('ja-JP'), 'ja');
+  assert.equal(resolveLanguage('zh-tw'), 'zh-TW');
+  assert.equal(resolveLanguage('zh-Hant'), 'zh-TW');
+  assert.equal(resolveLanguage('zh-Hans'), null);
+  assert.equal(resolveLanguage('fr'), null);
+  assert.equal(sanitizeName('Alice\n  Chen'), 'Alice Chen');
+  assert.equal(sanitizeName('   '), undefined);
+  assert.equal([...sanitizeName('名'.repeat(100))].length, 40);
+});
+
+test('welcomes new friends in their language and personalizes later prompts', async () => {
+  const lineClient = createRecordingLineClient({ profiles: PROFILES });
+  const { simulator, store, providers } = setup({ lineClient });
+  try {
+    const follow = followEvent({ source: ALICE });
+    await simulator.send(follow);
+    assert.deepEqual(lineClient.calls[0], { method: 'getProfile', args: ['Ualice'] });
+    const [welcome] = lineClient.sentMessages();
+    assert.equal(lineClient.calls[1].args[0], follow.replyToken);
+    assert.equal(welcome.type, 'flex');
+    assert.equal(welcome.altText, '👋 Welcome to your AI assistant');
+    assert.equal(greetingOf(welcome), 'Hi Alice Chen!');
+    assert.deepEqual(welcome.quickReply.items.map((item) => item.action.label), ['Ask a question', 'Features', 'Help', '繁體中文', '日本語']);
+    assert.deepEqual(await store.get('user:Ualice'), {
+      userId: 'Ualice', displayName: 'Alice Chen', language: 'en', active: true, followedAt: (await store.get('user:Ualice')).followedAt,
+    });
+
+    await simulator.send(textEvent('你好', { source: ALICE }));
+    assert.match(promptText(providers.default), /Reply in English\.\nThe user's name is "Alice Chen"/);
+
+    // /lang 的設定優先於 LINE 的語言
+    await simulator.send(textEvent('/lang ja', { source: ALICE }));
+    await simulator.send(textEvent('你好', { source: ALICE }));
+    assert.match(promptText(providers.default, 1), /日本語で回答してください。/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('marks blocked users inactive and welcomes them back', async () => {
+  const lineClient = createRecordingLineClient({ profiles: PROFILES });
+  const { simulator, store, providers } = setup({ lineClient });
+  try {
+    await simulator.send(followEvent({ source: userSource('Ubob') }));
+    await simulator.send(unfollowEvent({ source: userSource('Ubob') }));
+    const blocked = await store.get('user:Ubob');
+    assert.equal(blocked.active, false);
+    assert.ok(blocked.unfollowedAt);
+
+    // 封鎖期間不使用個人檔案
+    await simulator.send(textEvent('你好', { source: userSource('Ubob') }));
+    assert.doesNotMatch(promptText(providers.default), /小明/);
+
+    await simulator.send(followEvent({ source: userSource('Ubob'), isUnblocked: true }));
+    const messages = lineClient.sentMessages();
+    assert.equal(greetingOf(messages[messages.length - 1]), '小明，歡迎回來！');
+    assert.equal((await store.get('user:Ubob')).active, true);
+    assert.equal((await store.get('user:Ubob')).unfollowedAt, undefined);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('still welcomes new friends when the profile cannot be loaded', async () => {
+  const lineClient = createRecordingLineClient({ failures: { getProfile: new Error('boom') } });
+  const { simulator, store } = setup({ lineClient });
+  try {
+    await simulator.send(followEvent({ source: ALICE }));
+    const [welcome] = lineClient.sentMessages();
+    assert.equal(greetingOf(welcome), '你好！');
+    assert.equal((await store.get('user:Ualice')).active, true);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('keeps the saved profile when it cannot be loaded again', async () => {
+  const lineClient = createRecordingLineClient({ failures: { getProfile: new Error('boom') } });
+  const { simulator, store } = setup({ lineClient });
+  try {
+    await store.set('user:Ualice', {
+      userId: 'Ualice', displayName: 'Alice', language: 'en', active: false, followedAt: 1, unfollowedAt: 2,
+    });
+    await simulator.send(followEvent({ source: ALICE, isUnblocked: true }));
+    const user = await store.get('user:Ualice');
+    assert.equal(user.displayName, 'Alice');
+    assert.equal(user.language, 'en');
+    assert.equal(user.active, true);
+    assert.equal(user.unfollowedAt, undefined);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('greets members who join a group unless replies are off', async () => {
+  const lineClient = createRecordingLineClient({ profiles: PROFILES });
+  const { simulator, store } = setup({ lineClient });
+  const groups = createGroups({ store });
+  try {
+    const joined = memberJoinedEvent(['Ualice', 'Ubob'], { source: GROUP });
+    await simulator.send(joined);
+    const settings = await groups.get('Cgroup');
+    assert.deepEqual(lineClient.calls, [
+      { method: 'getGroupMemberProfile', args: ['Cgroup', 'Ualice'] },
+      { method: 'getGroupMemberProfile', args: ['Cgroup', 'Ubob'] },
+      { method: 'replyMessage', args: [joined.replyToken, [{ type: 'text', text: buildMemberWelcomeText(['Alice Chen', '小明'], settings) }]] },
+    ]);
+
+    await simulator.send(memberLeftEvent(['Ubob'], { source: GROUP }));
+    await groups.update('Cgroup', { replyMode: 'off' });
+    await simulator.send(memberJoinedEvent(['Ubob'], { source: GROUP }));
+    assert.equal(lineClient.calls.length, 3);
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { downloadImage, isMp4Container, createPendingMedia } = require('../utils/media');
+const { createMemoryStore } = require('../utils/store');
+const { textEvent, imageEvent, audioEvent, userSource, createRecordingLineClient } = require('../scripts/webhook-simulator');
+const { DEFAULT_PROMPTS, buildImageReceivedText } = require('../prompts');
+const { createTelemetry } = require('../utils/telemetry');
+const { setup, promptText } = require('./helpers');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// 最小的 MP4 header：bytes 4-8 為 'ftyp'
+const M4A = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypM4A ')]);
+
+// getMessageContent 回傳的 stream 帶有回應的 headers
+function contentStream(buffer, headers = {}) {
+  const stream = Readable.from([buffer]);
+  stream.headers = headers;
+  return stream;
+}
+
+function inlineParts(provider, index = 0) {
+  return provider.calls[index].contents[0].parts.filter((p) => p.inlineData);
+}
+
+test('keeps pending image ids instead of the image bytes', async () => {
+  const store = createMemoryStore();
+  const pendingMedia = createPendingMedia({ store, maxPending: 2 });
+  for (const id of ['m1', 'm2', 'm3']) await pendingMedia.add('Ualice', id);
+
+  assert.deepEqual(await store.get('pending-media:Ualice'), [{ messageId: 'm2' }, { messageId: 'm3' }]);
+  assert.deepEqual(await pendingMedia.take('Ualice'), [{ messageId: 'm2' }, { messageId: 'm3' }]);
+  assert.deepEqual(await pendingMedia.take('Ualice'), []);
+});
+
+test('takes the image MIME type from the response and defaults to JPEG', async () => {
+  const lineClient = {
+    async getMessageContent(messageId) {
+      return messageId === 'png'
+        ? contentStream(Buffer.from('png'), { 'content-type': 'image/PNG; charset=binary' })
+        : contentStream(Buffer.from('jpg'));
+    },
+  };
+  assert.deepEqual(await downloadImage(lineClient, 'png'), { mimeType: 'image/png', data: Buffer.from('png').toString('base64') });
+  assert.equal((await downloadImage(lineClient, 'jpg')).mimeType, 'image/jpeg');
+  await assert.rejects(downloadImage(lineClient, 'png', { maxBytes: 2 }), { name: 'MediaTooLargeError' });
+});
+
+test('accepts only m4a / MP4 voice messages', () => {
+  assert.equal(isMp4Container(Buffer.from('\0\0\0\x18ftypM4A \0\0\0\0')), true);
+  // OGG 等其他格式不送去辨識
+  assert.equal(isMp4Container(Buffer.from('OggS\0\x02\0\0\0\0\0\0')), false);
+  assert.equal(isMp4Container(Buffer.from('ftyp')), false);
+});
+
+test('keeps an image until the next text message asks about it', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'img-1': JPEG, 'img-png': { data: PNG, contentType: 'image/png' } } });
+  const { simulator, providers, store } = setup({ lineClient });
+  try {
+    await simulator.send(imageEvent({ messageId: 'img-1', source: userSource('Ualice') }));
+    await simulator.send(imageEvent({ messageId: 'img-png', source: userSource('Ualice') }));
+    assert.deepEqual(lineClient.sentMessages(), [
+      { type: 'text', text: buildImageReceivedText(1) },
+      { type: 'text', text: buildImageReceivedText(2) },
+    ]);
+    assert.equal(providers.supervisor.calls.length, 0);
+    // 只暫存訊息 ID，提問時才下載
+    assert.deepEqual(await store.get('pending-media:Ualice'), [{ messageId: 'img-1' }, { messageId: 'img-png' }]);
+    assert.equal(lineClient.calls.some((c) => c.method === 'getMessageContent'), false);
+
+    await simulator.send(textEvent('這是什麼？', { source: userSource('Ualice') }));
+    assert.deepEqual(inlineParts(providers.supervisor), [
+      { inlineData: { mimeType: 'image/jpeg', data: JPEG.toString('base64') } },
+      { inlineData: { mimeType: 'image/png', data: PNG.toString('base64') } },
+    ]);
+    assert.equal(inlineParts(providers.default).length, 2);
+    assert.equal(await store.get('pending-media:Ualice'), null);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers without images whose content can no longer be downloaded', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'img-3': JPEG } });
+  const { simulator, providers } = setup({ lineClient });
+  try {
+    await simulator.send(imageEvent({ messageId: 'img-3', source: userSource('Ualice') }));
+    await simulator.send(imageEvent({ messageId: 'img-expired', source: userSource('Ualice') }));
+    await simulator.send(textEvent('這是什麼？', { source: userSource('Ualice') }));
+    assert.equal(inlineParts(providers.supervisor).length, 1);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('describes an image immediately without a store', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'img-2': JPEG } });
+  const { simulator, providers } = setup({ lineClient, store: null });
+  try {
+    await simulator.send(imageEvent({ messageId: 'img-2' }));
+    assert.match(promptText(providers.supervisor), new RegExp(DEFAULT_PROMPTS.text('image.defaultQuestion')));
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: '簡單回覆' }]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('transcribes audio and answers the transcript', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'audio-1': M4A } });
+  const logs = [];
+  const telemetry = createTelemetry({ write: (line) => logs.push(line) });
+  const { simulator, providers } = setup({ lineClient, telemetry, scripts: { transcription: { fallback: '明天天氣如何' } } });
+  try {
+    await simulator.send(audioEvent({ messageId: 'audio-1' }));
+    assert.equal(inlineParts(providers.transcription)[0].inlineData.mimeType, 'audio/mp4');
+    assert.match(promptText(providers.supervisor), /明天天氣如何/);
+    const messages = lineClient.sentMessages();
+    assert.equal(messages.length, 2);
+    assert.match(messages[0].text, /明天天氣如何/);
+    assert.equal(messages[1].text, '簡單回覆');
+    // 逐字稿不寫進 log
+    assert.equal(JSON.parse(logs.find((line) => line.includes('Audio transcript'))).length, 6);
+    assert.ok(logs.every((line) => !line.includes('明天天氣如何')));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('rejects voice messages over the length limit without downloading them', async () => {
+  const { simulator, lineClient } = setup({ env: { AUDIO_MAX_DURATION_SECONDS: '10' } });
+  try {
+    await simulator.send(audioEvent({ duration: 11000 }));
+    assert.equal(lineClient.calls.some((c) => c.method === 'getMessageContent'), false);
+    assert.match(lineClient.sentMessages()[0].text, /上限 10 秒/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('explains unreadable, unclear and failed voice messages without answering them', async () => {
+  const lineClient = createRecordingLineClient({ contents: { 'audio-ogg': Buffer.from('OggS0000'), 'audio-1': M4A, 'audio-2': M4A } });
+  const { simulator, providers } = setup({
+    lineClient,
+    scripts: { transcription: { responses: ['[無法辨識]', { error: 'bad request', status: 400 }] } },
+  });
+  try {
+    // 不是 MP4 的內容不送去辨識
+    await simulator.send(audioEvent({ messageId: 'audio-ogg' }));
+    assert.equal(providers.transcription.calls.length, 0);
+    await simulator.send(audioEvent({ messageId: 'audio-1' }));
+    await simulator.send(audioEvent({ messageId: 'audio-2' }));
+    assert.deepEqual(lineClient.sentMessages().map((m) => m.text), [
+      '對不起，無法讀取這段語音的格式，請使用 LINE 重新錄製後再試。',
+      '對不起，我聽不清楚這段語音，請在安靜的環境重新錄製一次。',
+      '對不起，語音辨識時遇到錯誤，請稍後再試。',
+    ]);
+    assert.equal(providers.supervisor.calls.length, 0);
+  } finally {
+    await simulator.close();
+  }
+});
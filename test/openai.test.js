@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SchemaType } = require('@google/generative-ai');
+const { createOpenAIProvider } = require('../providers/openai');
+const { createTelemetry } = require('../utils/telemetry');
+
+/**
+ * 假的 fetch：依序回傳 responses，記錄每次請求
+ */
+function createFakeFetch(responses) {
+  const requests = [];
+  const fetchImpl = async (url, options) => {
+    requests.push({ url, method: options.method || 'GET', headers: options.headers, body: options.body && JSON.parse(options.body) });
+    const { status = 200, body } = responses.shift();
+    return {
+      ok: status < 400,
+      status,
+      json: async () => body,
+      text: async () => JSON.stringify(body),
+    };
+  };
+  return { fetchImpl, requests };
+}
+
+const completion = (message, extra = {}) => ({
+  choices: [{ message, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 },
+  ...extra,
+});
+
+test('maps contents, tools and response schema to a chat completions request', async () => {
+  const { fetchImpl, requests } = createFakeFetch([{ body: completion({ content: '好的' }) }]);
+  const provider = createOpenAIProvider({ baseUrl: 'http://localhost:11434/v1/', apiKey: 'sk-test', model: 'gpt-4o-mini', fetchImpl });
+
+  await provider.generate({
+    contents: [
+      { role: 'user', parts: [{ text: '這是什麼？' }, { inlineData: { mimeType: 'image/png', data: 'iVBO' } }] },
+      { role: 'model', parts: [{ functionCall: { name: 'calculate', args: { expression: '1+1' } } }] },
+      { role: 'function', parts: [{ functionResponse: { name: 'calculate', response: { result: 2 } } }] },
+      { role: 'user', parts: [{ text: '再算一次' }] },
+    ],
+    tools: [{
+      name: 'calculate',
+      description: '計算',
+      parameters: { type: SchemaType.OBJECT, properties: { op: { type: SchemaType.STRING, format: 'enum', enum: ['add'] } } },
+    }],
+    responseSchema: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+  });
+
+  const [request] = requests;
+  assert.equal(request.url, 'http://localhost:11434/v1/chat/completions');
+  assert.equal(request.headers.Authorization, 'Bearer sk-test');
+  assert.deepEqual(request.body, {
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: '這是什麼？' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBO' } },
+        ],
+      },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1_0', type: 'function', function: { name: 'calculate', arguments: '{"expression":"1+1"}' } }],
+      },
+      { role: 'tool', tool_call_id: 'call_1_0', content: '{"result":2}' },
+      { role: 'user', content: '再算一次' },
+    ],
+    tools: [{
+      type: 'function',
+      function: { name: 'calculate', description: '計算', parameters: { type: 'object', properties: { op: { type: 'string', enum: ['add'] } } } },
+    }],
+    response_format: { type: 'json_schema', json_schema: { name: 'response', schema: { type: 'array', items: { type: 'string' } } } },
+  });
+
+  await assert.rejects(
+    provider.generate({ contents: [{ role: 'user', parts: [{ inlineData: { mimeType: 'application/pdf', data: 'JVBE' } }] }] }),
+    /does not support application\/pdf/,
+  );
+});
+
+test('maps responses, tool calls and usage back to the provider result', async () => {
+  const { fetchImpl } = createFakeFetch([
+    { body: completion({ content: null, tool_calls: [{ id: 'x', type: 'function', function: { name: 'get_current_time', arguments: '' } }] }) },
+    { body: { choices: [{ message: { content: '被截斷' }, finish_reason: 'length' }] } },
+    { status: 429, body: { error: { message: 'rate limited' } } },
+  ]);
+  const provider = createOpenAIProvider({ baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', fetchImpl });
+  const request = { contents: [{ role: 'user', parts: [{ text: '現在幾點？' }] }] };
+
+  assert.deepEqual(await provider.generate(request), {
+    text: '',
+    functionCalls: [{ name: 'get_current_time', args: {} }],
+    content: { role: 'model', parts: [{ functionCall: { name: 'get_current_time', args: {} } }] },
+    usage: { promptTokenCount: 12, candidatesTokenCount: 5, totalTokenCount: 17 },
+    finishReason: 'STOP',
+    blockReason: null,
+    safetyRatings: null,
+  });
+
+  const truncated = await provider.generate(request);
+  assert.equal(truncated.finishReason, 'MAX_TOKENS');
+  assert.equal(truncated.usage, null);
+
+  await assert.rejects(provider.generate(request), (err) => err.status === 429);
+});
+
+test('reports OpenAI token usage through telemetry', async () => {
+  const { fetchImpl } = createFakeFetch([{ body: completion({ content: '你好' }) }]);
+  const logs = [];
+  const telemetry = createTelemetry({ write: (line) => logs.push(JSON.parse(line)) });
+  const { simple } = telemetry.instrument({ simple: createOpenAIProvider({ baseUrl: 'http://local/v1', model: 'llama3', fetchImpl }) });
+
+  await simple.generate({ contents: [{ role: 'user', parts: [{ text: '你好' }] }] });
+  const call = logs.find((line) => line.msg === 'model call');
+  assert.equal(call.model, 'openai:llama3');
+  assert.deepEqual(call.usage, { promptTokens: 12, outputTokens: 5, totalTokens: 17 });
+});
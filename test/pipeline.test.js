@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textEvent, userSource, groupSource, createRecordingLineClient } = require('../scripts/webhook-simulator');
+const { setup, promptText } = require('./helpers');
+
+const TWO_TASK_PLAN = JSON.stringify([
+  { id: 'research', role: '研究員', instruction: '整理東京三天的景點', dependsOn: [] },
+  { id: 'budget', role: '預算規劃師', instruction: '估算三天的花費', dependsOn: ['research'] },
+]);
+
+const bubbleTitles = (message) => message.contents.contents.map((bubble) => bubble.header.contents[0].text);
+
+test('falls back to a single answer when the Supervisor returns no tasks', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    const event = textEvent('你好');
+    await simulator.send(event);
+    assert.equal(providers.supervisor.calls.length, 1);
+    assert.equal(providers.agent.calls.length, 0);
+    assert.deepEqual(lineClient.sentMessages('replyMessage'), [{ type: 'text', text: '簡單回覆' }]);
+    assert.equal(lineClient.calls.find((c) => c.method === 'replyMessage').args[0], event.replyToken);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('falls back after the Supervisor keeps returning invalid plans', async () => {
+  const { simulator, lineClient, providers } = setup({
+    scripts: { supervisor: { fallback: 'not json' } },
+    env: { SUPERVISOR_MAX_ATTEMPTS: '3' },
+  });
+  try {
+    await simulator.send(textEvent('幫我規劃旅行'));
+    assert.equal(providers.supervisor.calls.length, 3);
+    assert.equal(providers.default.calls.length, 1);
+    assert.match(promptText(providers.default), /幫我規劃旅行/);
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: '簡單回覆' }]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('runs sub-agents in dependency order and synthesizes their results', async () => {
+  const { simulator, lineClient, providers } = setup({
+    scripts: {
+      supervisor: { responses: [TWO_TASK_PLAN] },
+      agent: {
+        rules: [
+          { match: '你現在是 研究員', response: '淺草寺、上野公園' },
+          { match: '你現在是 預算規劃師', response: '約三萬元' },
+        ],
+      },
+      synthesizer: { fallback: '## 東京行程\n**第一天**：淺草寺' },
+    },
+  });
+  try {
+    await simulator.send(textEvent('規劃東京三天行程和預算'));
+    assert.equal(providers.agent.calls.length, 2);
+    // 預算規劃師依賴研究員，prompt 中應包含前置結果
+    assert.match(promptText(providers.agent, 1), /淺草寺、上野公園/);
+
+    const synthesizerPrompt = promptText(providers.synthesizer);
+    assert.match(synthesizerPrompt, /【研究員 的回報】:\n淺草寺、上野公園/);
+    assert.match(synthesizerPrompt, /【預算規劃師 的回報】:\n約三萬元/);
+
+    // 統整回覆與每個角色的結果各一張
+    const [message, ...rest] = lineClient.sentMessages();
+    assert.deepEqual(rest, []);
+    assert.equal(message.type, 'flex');
+    assert.equal(message.altText, '【東京行程】 第一天：淺草寺');
+    assert.deepEqual(bubbleTitles(message), ['📝 統整回覆', '研究員', '預算規劃師']);
+    assert.equal(message.contents.contents[1].body.contents[0].text, '淺草寺、上野公園');
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('still answers when a sub-agent fails', async () => {
+  const { simulator, lineClient, providers } = setup({
+    scripts: {
+      supervisor: { responses: [TWO_TASK_PLAN] },
+      agent: {
+        rules: [
+          { match: '你現在是 研究員', response: { error: 'model overloaded', status: 503 } },
+          { match: '你現在是 預算規劃師', response: '約三萬元' },
+        ],
+      },
+    },
+  });
+  try {
+    await simulator.send(textEvent('規劃東京三天行程和預算'));
+    const synthesizerPrompt = promptText(providers.synthesizer);
+    assert.match(synthesizerPrompt, /【研究員 的回報】: \(執行失敗\)/);
+    assert.match(synthesizerPrompt, /【預算規劃師 的回報】:\n約三萬元/);
+    // 失敗的前置任務不會傳給下游
+    assert.doesNotMatch(promptText(providers.agent, 1), /執行失敗/);
+    const [message] = lineClient.sentMessages();
+    assert.equal(message.altText, '統整回覆');
+    assert.deepEqual(message.contents.contents[1].body.contents, [
+      { type: 'text', text: '(執行失敗)', wrap: true, size: 'sm', color: '#888888' },
+    ]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers with the agent results when the Synthesizer fails', async () => {
+  const { simulator, lineClient, providers } = setup({
+    env: { MODEL_RETRY_BASE_DELAY_MS: '0' },
+    scripts: {
+      supervisor: { responses: [TWO_TASK_PLAN] },
+      agent: {
+        rules: [
+          { match: '你現在是 研究員', response: '淺草寺、上野公園' },
+          { match: '你現在是 預算規劃師', response: { error: 'bad request', status: 400 } },
+        ],
+      },
+      synthesizer: { fallback: { error: 'internal error', status: 500 } },
+    },
+  });
+  try {
+    await simulator.send(textEvent('規劃東京三天行程和預算'));
+    // 5xx 重試兩次；400 不重試
+    assert.equal(providers.synthesizer.calls.length, 3);
+    assert.equal(providers.agent.calls.length, 2);
+    assert.deepEqual(lineClient.sentMessages(), [
+      { type: 'text', text: '⚠️ 統整回覆暫時無法完成，以下是各專家已完成的結果：\n\n【研究員】\n淺草寺、上野公園' },
+    ]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('sends an apology when the Synthesizer fails and no agent finished', async () => {
+  const { simulator, lineClient } = setup({
+    env: { MODEL_MAX_RETRIES: '0' },
+    scripts: {
+      supervisor: { responses: [TWO_TASK_PLAN] },
+      agent: { fallback: { error: 'internal error', status: 500 } },
+      synthesizer: { fallback: { error: 'internal error', status: 500 } },
+    },
+  });
+  try {
+    await simulator.send(textEvent('規劃東京三天行程和預算'));
+    assert.deepEqual(lineClient.sentMessages(), [
+      { type: 'text', text: '對不起，我在處理任務時遇到了一點系統錯誤，請稍後再試。' },
+    ]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('pushes to the source when the reply token has expired', async () => {
+  const { simulator, lineClient } = setup();
+  try {
+    await simulator.send(textEvent('/ai 你好', {
+      source: groupSource('Cgroup', 'Ualice'),
+      timestamp: Date.now() - 5 * 60 * 1000,
+    }));
+    assert.deepEqual(lineClient.calls, [
+      { method: 'pushMessage', args: ['Cgroup', [{ type: 'text', text: '簡單回覆' }]] },
+    ]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('pushes when replyMessage is rejected', async () => {
+  const lineClient = createRecordingLineClient({ failures: { replyMessage: new Error('Invalid reply token') } });
+  const { simulator } = setup({ lineClient });
+  try {
+    await simulator.send(textEvent('你好', { source: userSource('Ualice') }));
+    assert.deepEqual(lineClient.sentMessages('pushMessage'), [{ type: 'text', text: '簡單回覆' }]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('passes earlier turns of the same source to the next prompt', async () => {
+  const { simulator, providers } = setup({ scripts: { default: { responses: ['你好，我是 Mars'] } } });
+  try {
+    await simulator.send(textEvent('嗨', { source: userSource('Ualice') }));
+    await simulator.send(textEvent('你剛剛說什麼？', { source: userSource('Ualice') }));
+    await simulator.send(textEvent('你剛剛說什麼？', { source: userSource('Ubob') }));
+    assert.match(promptText(providers.supervisor, 1), /你好，我是 Mars/);
+    assert.doesNotMatch(promptText(providers.supervisor, 2), /你好，我是 Mars/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('keeps answering without a store', async () => {
+  const { simulator, lineClient } = setup({ store: null });
+  try {
+    await simulator.send(textEvent('你好'));
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: '簡單回覆' }]);
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeProvider } = require('../providers');
+const { validatePlan, createPlanner } = require('../utils/planner');
+const { createLogger } = require('../utils/telemetry');
+
+const LIMITS = { maxTasks: 2, maxInstructionLength: 20, toolNames: ['calculate'] };
+const task = (id, fields = {}) => ({ id, role: '研究員', instruction: '整理資料', dependsOn: [], ...fields });
+
+function createTestPlanner(responses, options = {}) {
+  const logs = [];
+  const provider = createFakeProvider({ responses, name: 'fake:supervisor' });
+  const logger = createLogger({ write: (line) => logs.push(JSON.parse(line)) });
+  return { provider, logs, planner: createPlanner({ provider, logger, ...LIMITS, ...options }) };
+}
+
+test('validatePlan enforces the task, instruction, role and tool limits', () => {
+  assert.deepEqual(validatePlan([task('a'), task('b', { tools: ['calculate'] })], LIMITS), []);
+  assert.deepEqual(validatePlan({ tasks: [] }, LIMITS), ['輸出必須是 JSON 陣列']);
+  assert.deepEqual(validatePlan([task('a'), task('b'), task('c')], LIMITS), ['子任務最多 2 個，目前有 3 個，請合併相近的任務']);
+  assert.deepEqual(validatePlan([
+    task('a', { instruction: '字'.repeat(21), role: '角'.repeat(51) }),
+    task('', { instruction: ' ', tools: ['fetch_url'] }),
+  ], LIMITS), [
+    '第 1 個任務的 role 超過 50 字',
+    '第 1 個任務的 instruction 超過 20 字，請精簡',
+    '第 2 個任務缺少 id',
+    '第 2 個任務使用了不存在的工具 "fetch_url"',
+    '第 2 個任務缺少 instruction',
+  ]);
+  // 欄位都正確時才檢查依賴關係
+  assert.deepEqual(validatePlan([task('a', { dependsOn: ['x'] })], LIMITS), ['任務 "a" 依賴不存在的任務 "x"']);
+});
+
+test('feeds validation errors back to the Supervisor and accepts the corrected plan', async () => {
+  const invalid = JSON.stringify([task('a'), task('b'), task('c')]);
+  const { provider, planner, logs } = createTestPlanner([invalid, `\`\`\`json\n${JSON.stringify([{ id: 'a', role: '研究員', instruction: '整理資料' }])}\n\`\`\``]);
+
+  const result = await planner.plan('規劃旅行');
+  assert.deepEqual(result, {
+    tasks: [{ ...task('a'), tools: [] }],
+    attempts: 2,
+    fallbackReason: null,
+  });
+  const retry = provider.calls[1].contents;
+  assert.deepEqual(retry.slice(0, 2).map((c) => c.role), ['user', 'model']);
+  assert.equal(retry[1].parts[0].text, invalid);
+  assert.match(retry[2].parts[0].text, /子任務最多 2 個/);
+  assert.deepEqual(logs.map((line) => line.msg), ['Supervisor plan rejected', 'Supervisor plan']);
+});
+
+test('falls back to a single answer when every attempt is invalid', async () => {
+  const { provider, planner } = createTestPlanner(['不是 JSON', JSON.stringify([task('a', { dependsOn: ['a'] })])]);
+
+  const result = await planner.plan('規劃旅行');
+  assert.equal(provider.calls.length, 2);
+  assert.deepEqual(result, { tasks: [], attempts: 2, fallbackReason: '任務 "a" 不能依賴自己' });
+
+  // 空陣列是合法的計畫 (簡單問題)，不重試
+  const simple = createTestPlanner(['[]']);
+  assert.deepEqual(await simple.planner.plan('你好'), { tasks: [], attempts: 1, fallbackReason: null });
+  assert.equal(simple.provider.calls.length, 1);
+});
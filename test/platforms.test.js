@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { telegramUpdate, slackEvent, textEvent } = require('../scripts/webhook-simulator');
+const { createPromptLibrary } = require('../prompts/templates');
+const { markdownToTelegramHtml, formatTelegramMessages } = require('../platforms/telegram');
+const { markdownToMrkdwn, formatSlackMessages } = require('../platforms/slack');
+const { createTelemetry } = require('../utils/telemetry');
+const { setup, promptText } = require('./helpers');
+
+const TEXT = createPromptLibrary().select();
+const GROUP_CHAT = { id: -1001234, type: 'supergroup', title: '讀書會' };
+const TWO_AGENT_PLAN = JSON.stringify([
+  { id: 'a', role: '研究員', instruction: '整理資料', dependsOn: [] },
+  { id: 'b', role: '作家', instruction: '撰寫草稿', dependsOn: [] },
+]);
+const MARKDOWN = [
+  '## 行程 <重點>',
+  '**第一天** 到 *淺草* 看 ~~人潮~~ 風景，參考 [官網](https://example.com/?a=1&b=2)，執行 `npm i`',
+  '',
+  '| 景點 | 花費 |',
+  '|---|---|',
+  '| 淺草寺 | 0 |',
+  '',
+  '```js',
+  'if (a < b) run();',
+  '```',
+].join('\n');
+
+const sentTexts = (telegramClient) => telegramClient.calls.filter((c) => c.method === 'sendMessage').map((c) => c.params.text);
+
+test('renders Markdown as Telegram HTML and Slack mrkdwn', () => {
+  assert.deepEqual(markdownToTelegramHtml(MARKDOWN), [[
+    '<b>行程 &lt;重點&gt;</b>',
+    '<b>第一天</b> 到 <i>淺草</i> 看 <s>人潮</s> 風景，參考 <a href="https://example.com/?a=1&amp;b=2">官網</a>，執行 <code>npm i</code>',
+    '',
+    '• 景點：淺草寺／花費：0',
+    '',
+    '<pre><code class="language-js">if (a &lt; b) run();</code></pre>',
+  ].join('\n')]);
+
+  assert.deepEqual(markdownToMrkdwn(MARKDOWN), [[
+    '*行程 &lt;重點&gt;*',
+    '*第一天* 到 _淺草_ 看 ~人潮~ 風景，參考 <https://example.com/?a=1&b=2|官網>，執行 `npm i`',
+    '',
+    '• 景點：淺草寺／花費：0',
+    '',
+    '```\nif (a &lt; b) run();\n```',
+  ].join('\n')]);
+
+  // 過長的回答依段落切成多則，程式碼區塊不會被切斷標籤
+  const long = formatTelegramMessages({ type: 'answer', text: `${'段落'.repeat(1000)}\n\n\`\`\`\n${'x\n'.repeat(2000)}\`\`\`` });
+  assert.ok(long.length > 2);
+  assert.ok(long.every((html) => html.length <= 4096));
+  assert.ok(long.slice(1).every((html) => html.startsWith('<pre>') && html.endsWith('</pre>')));
+});
+
+test('keeps Telegram messages and Slack sections within the limits after escaping', () => {
+  // 每個 & 跳脫後變成 5 個字元
+  const escaped = formatTelegramMessages([
+    { type: 'text', text: '&'.repeat(5000) },
+    { type: 'answer', text: `A&B ${'&'.repeat(3000)}`, sections: [{ title: '研究員', text: '<>'.repeat(3000) }] },
+  ]);
+  assert.ok(escaped.length > 6);
+  assert.ok(escaped.every((html) => html.length <= 4096), escaped.map((html) => html.length).join());
+  assert.equal(escaped.filter((html) => html.startsWith('<b>研究員</b>\n<blockquote expandable>')).length, 1);
+
+  const [{ blocks }] = formatSlackMessages({ type: 'answer', text: '&'.repeat(5000) });
+  assert.ok(blocks.length > 1);
+  assert.ok(blocks.every((block) => block.text.text.length <= 3000));
+});
+
+test('splits Slack answers with more than 50 blocks into several messages', () => {
+  const sections = Array.from({ length: 30 }, (_, i) => ({ title: `角色${i}`, text: `結果${i}` }));
+  const messages = formatSlackMessages({ type: 'answer', text: '總結', sections });
+  // 1 段回答 + 30 × (divider + section)
+  assert.deepEqual(messages.map((m) => m.blocks.length), [50, 11]);
+  assert.equal(messages[0].text, '總結');
+  assert.equal(messages[1].text, '*角色24*\n結果24');
+});
+
+test('disables Telegram and Slack without their secrets and keeps the LINE webhook running', async () => {
+  const logs = [];
+  const telemetry = createTelemetry({ write: (line) => logs.push(JSON.parse(line)) });
+  const { simulator, lineClient } = setup({ telemetry, env: { TELEGRAM_WEBHOOK_SECRET: '', SLACK_SIGNING_SECRET: '' } });
+  try {
+    assert.deepEqual(logs.filter((line) => line.level === 'warn').map((line) => line.msg), [
+      'TELEGRAM_WEBHOOK_SECRET is not set; Telegram is disabled',
+      'SLACK_SIGNING_SECRET is not set; Slack is disabled',
+    ]);
+    assert.equal((await simulator.sendTelegram(telegramUpdate('你好'))).status, 404);
+    assert.equal((await simulator.sendSlack(slackEvent('你好'))).status, 404);
+
+    await simulator.send(textEvent('你好'));
+    assert.equal(lineClient.sentMessages().at(-1).text, '簡單回覆');
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers Telegram private chats and rejects requests without the secret token', async () => {
+  const { simulator, store, providers } = setup();
+  const { telegramClient } = simulator;
+  try {
+    assert.equal((await simulator.sendTelegram(telegramUpdate('你好'), { secret: 'wrong' })).status, 401);
+    assert.equal(telegramClient.calls.length, 0);
+
+    const update = telegramUpdate('台北有什麼好玩的？');
+    assert.equal((await simulator.sendTelegram(update)).status, 200);
+    // Telegram 重送同一個 update 不會再回答一次
+    await simulator.sendTelegram(update);
+
+    assert.deepEqual(telegramClient.calls.map((c) => c.method), ['sendChatAction', 'sendMessage']);
+    assert.deepEqual(telegramClient.calls[1].params, {
+      chat_id: 1001, text: '簡單回覆', parse_mode: 'HTML', link_preview_options: { is_disabled: true },
+    });
+    assert.match(promptText(providers.supervisor), /台北有什麼好玩的？/);
+    assert.deepEqual((await store.get('history:telegram:1001')).map((turn) => turn.text), ['台北有什麼好玩的？', '簡單回覆']);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers Telegram groups only when the bot is mentioned or replied to', async () => {
+  const { simulator, providers } = setup({ scripts: { supervisor: { responses: ['[]', '[]', TWO_AGENT_PLAN] } } });
+  const { telegramClient } = simulator;
+  const botMessage = { message_id: 1, from: { id: 42, is_bot: true, username: 'mars_simulator_bot' }, chat: GROUP_CHAT, text: '簡單回覆' };
+  try {
+    await simulator.sendTelegram(telegramUpdate('大家晚安', { chat: GROUP_CHAT }));
+    assert.equal(telegramClient.calls.length, 0);
+
+    const question = telegramUpdate('@mars_simulator_bot 推薦一本書', { chat: GROUP_CHAT });
+    await simulator.sendTelegram(question);
+    assert.match(promptText(providers.supervisor), /用戶訊息：推薦一本書$/m);
+    assert.deepEqual(telegramClient.calls.find((c) => c.method === 'sendMessage').params.reply_parameters, {
+      message_id: question.message.message_id, allow_sending_without_reply: true,
+    });
+
+    await simulator.sendTelegram(telegramUpdate('再一本', { chat: GROUP_CHAT, replyTo: botMessage }));
+    await simulator.sendTelegram(telegramUpdate('@mars_simulator_bot 寫一篇書評', { chat: GROUP_CHAT }));
+    const texts = sentTexts(telegramClient);
+    assert.equal(texts.length, 5);
+    assert.deepEqual(texts.slice(-3), ['統整回覆', '<b>研究員</b>\n<blockquote expandable>子任務結果</blockquote>', '<b>作家</b>\n<blockquote expandable>子任務結果</blockquote>']);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers /start and explains that other commands are LINE only', async () => {
+  const { simulator, providers } = setup();
+  const { telegramClient } = simulator;
+  try {
+    await simulator.sendTelegram(telegramUpdate('/start'));
+    await simulator.sendTelegram(telegramUpdate('/mode simple'));
+    assert.deepEqual(sentTexts(telegramClient), [TEXT.text('greeting.aiChat'), TEXT.text('platform.commandsUnavailable')]);
+    assert.equal(providers.supervisor.calls.length, 0);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('verifies Slack signatures and answers mentions in a thread', async () => {
+  const { simulator, providers, store } = setup();
+  const { slackClient } = simulator;
+  try {
+    const challenge = await simulator.sendSlack({ type: 'url_verification', challenge: 'abc123' });
+    assert.deepEqual(JSON.parse(challenge.body), { challenge: 'abc123' });
+
+    const mention = slackEvent('<@U0BOT> 東京 &amp; 大阪哪裡好玩？', { type: 'app_mention' });
+    assert.equal((await simulator.sendSlack(mention, { signature: 'v0=0000' })).status, 401);
+    const stale = Math.floor(Date.now() / 1000) - 600;
+    assert.equal((await simulator.sendSlack(mention, { timestamp: stale })).status, 401);
+    assert.equal(slackClient.calls.length, 0);
+
+    assert.equal((await simulator.sendSlack(mention)).status, 200);
+    assert.match(promptText(providers.supervisor), /用戶訊息：東京 & 大阪哪裡好玩？$/m);
+    assert.deepEqual(slackClient.calls[0].params, {
+      channel: 'C0SIMULATOR',
+      text: '簡單回覆',
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text: '簡單回覆' } }],
+      unfurl_links: false,
+      thread_ts: mention.event.ts,
+    });
+    // 頻道的對話歷史由所有成員共用
+    assert.ok(await store.get('history:slack:T0SIMULATOR:C0SIMULATOR'));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers Slack direct messages and ignores bot messages and edits', async () => {
+  const { simulator } = setup({ scripts: { default: { fallback: '# 建議\n- 先訂機票' } } });
+  const { slackClient } = simulator;
+  try {
+    await simulator.sendSlack(slackEvent('自己的訊息', { extra: { bot_id: 'B0BOT' } }));
+    await simulator.sendSlack(slackEvent('改過的訊息', { extra: { subtype: 'message_changed' } }));
+    await simulator.sendSlack(slackEvent('頻道中的一般訊息', { extra: { channel_type: 'channel' } }));
+    assert.equal(slackClient.calls.length, 0);
+
+    await simulator.sendSlack(slackEvent('怎麼準備旅行？'));
+    const [{ params }] = slackClient.calls;
+    assert.equal(params.channel, 'D0SIMULATOR');
+    assert.equal(params.thread_ts, undefined);
+    assert.equal(params.text, '【建議】\n• 先訂機票');
+    assert.equal(params.blocks[0].text.text, '*建議*\n• 先訂機票');
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  textEvent, postbackEvent, userSource,
+} = require('../scripts/webhook-simulator');
+const { ACTIONS } = require('../prompts');
+const {
+  interpolate, assignVariant, createPromptLibrary, createPromptLibraryFromEnv,
+} = require('../prompts/templates');
+const { createTelemetry } = require('../utils/telemetry');
+const { setup, promptText } = require('./helpers');
+
+const ALICE = userSource('Ualice');
+const EXPERIMENT = 'synthesizer-conclusion-first';
+const PLAN = JSON.stringify([{ id: 't1', role: 'Researcher', instruction: 'List sights', dependsOn: [] }]);
+
+const lastText = (lineClient) => lineClient.sentMessages().at(-1).text;
+
+test('interpolates variables and refuses to send unfilled placeholders', () => {
+  assert.equal(interpolate('{{ role }}：{{text}}', { role: 'Bot', text: 0 }), 'Bot：0');
+  assert.throws(() => interpolate('{{history}}用戶訊息', {}), /Missing template variable: history/);
+});
+
+test('falls back to the default locale for missing templates and strings', () => {
+  const library = createPromptLibrary();
+  assert.deepEqual(library.locales.sort(), ['en', 'ja', 'zh-TW']);
+
+  const ja = library.select({ lang: 'ja' });
+  assert.equal(ja.locale, 'ja');
+  assert.match(ja.render('simple_followup', { context: '', history: '', userMessage: 'こんにちは' }), /こんにちは$/);
+  assert.match(ja.render('transcription', { emptyMarker: '[EMPTY]' }), /一字一句/);
+
+  const fallback = library.select({ lang: 'fr' });
+  assert.equal(fallback.locale, 'zh-TW');
+  assert.equal(fallback.variant, 'default');
+  assert.throws(() => fallback.text('no.such.key'), /Unknown prompt string/);
+});
+
+test('assigns each user a stable, weighted variant', () => {
+  const variants = { control: { weight: 1 }, treatment: { weight: 3 } };
+  assert.equal(assignVariant('exp', variants, 'Ualice'), assignVariant('exp', variants, 'Ualice'));
+  assert.equal(assignVariant('exp', variants), 'control');
+  assert.equal(assignVariant('exp', { only: {} }, 'Ualice'), 'only');
+
+  const counts = { control: 0, treatment: 0 };
+  for (let i = 0; i < 400; i++) counts[assignVariant('exp', variants, `U${i}`)]++;
+  assert.ok(counts.treatment > counts.control * 2, JSON.stringify(counts));
+
+  const library = createPromptLibraryFromEnv({ PROMPT_EXPERIMENT: EXPERIMENT });
+  assert.equal(library.experiment, EXPERIMENT);
+  assert.equal(library.select({ userId: 'Ualice' }).variant, library.select({ userId: 'Ualice' }).variant);
+});
+
+test('rejects template directories with missing versions or unknown experiments', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'zh-TW'));
+    fs.writeFileSync(path.join(dir, 'zh-TW', 'strings.json'), '{}');
+    fs.writeFileSync(path.join(dir, 'zh-TW', 'agent.v1.md'), '你現在是 {{role}}。\n');
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+      defaultLocale: 'zh-TW',
+      versions: { agent: 'v1' },
+      experiments: { terse: { variants: { control: {}, short: { templates: { agent: 'v2' } } } } },
+    }));
+    assert.throws(() => createPromptLibrary({ dir }), /experiment terse\/short: zh-TW\/agent\.v2\.md is missing/);
+
+    fs.writeFileSync(path.join(dir, 'zh-TW', 'agent.v2.md'), '{{role}}');
+    assert.equal(createPromptLibrary({ dir }).select().render('agent', { role: '研究員' }), '你現在是 研究員。');
+    // 只有字串檔的語言沿用預設語言的範本
+    fs.mkdirSync(path.join(dir, 'ja'));
+    fs.writeFileSync(path.join(dir, 'ja', 'strings.json'), '{}');
+    assert.equal(createPromptLibrary({ dir }).select({ lang: 'ja' }).render('agent', { role: '研究員' }), '你現在是 研究員。');
+    assert.throws(() => createPromptLibrary({ dir, experiment: 'missing' }), /Unknown prompt experiment: missing/);
+    assert.throws(() => createPromptLibrary({ dir, experiment: 'terse', variant: 'long' }), /Unknown prompt variant: long/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('uses the templates and replies of the language chosen with /lang', async () => {
+  const { simulator, lineClient, providers } = setup({
+    scripts: { supervisor: { responses: ['[]', PLAN] }, synthesizer: { fallback: { error: 'overloaded', status: 400 } } },
+  });
+  try {
+    await simulator.send(textEvent('/lang en', { source: ALICE }));
+    await simulator.send(textEvent('Hi', { source: ALICE }));
+    await simulator.send(textEvent('Plan a day in Tokyo', { source: ALICE }));
+
+    assert.match(promptText(providers.supervisor, 1), /\[Earlier conversation\]\nUser: Hi\nBot: 簡單回覆/);
+    assert.match(promptText(providers.agent), /^You are now the Researcher\./);
+    assert.match(promptText(providers.synthesizer), /\[Report from Researcher\]:\n子任務結果/);
+    // Synthesizer 失敗時的降級回答也使用英文
+    assert.match(lastText(lineClient), /^⚠️ I couldn't put together a combined answer just now/);
+
+    await simulator.send(postbackEvent(ACTIONS.AI_CHAT, { source: ALICE }));
+    assert.match(lastText(lineClient), /^Just type your question/);
+    await simulator.send(postbackEvent(ACTIONS.AI_CHAT, { source: userSource('Ubob') }));
+    assert.match(lastText(lineClient), /^請直接輸入您的問題/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers commands and postbacks in the language chosen with /lang', async () => {
+  const { simulator, lineClient } = setup();
+  try {
+    await simulator.send(textEvent('/lang ja', { source: ALICE }));
+    // 變更後的回覆已使用新的語言
+    assert.equal(lastText(lineClient), '✅ 返信の言語を「日本語」に設定しました');
+
+    await simulator.send(textEvent('/lang en', { source: ALICE }));
+    await simulator.send(textEvent('/status', { source: ALICE }));
+    assert.match(lastText(lineClient), /^\[Current status\]\n🧠 Answer mode: Auto\n🌐 Reply language: English/);
+    await simulator.send(textEvent('/mode fast', { source: ALICE }));
+    assert.match(lastText(lineClient), /^⚠️ "fast" is not supported\.\n\nYour answer mode is currently "Auto"/);
+    await simulator.send(textEvent('/nope', { source: ALICE }));
+    assert.equal(lastText(lineClient), '⚠️ There is no /nope command. Type /help to see every command.');
+    await simulator.send(textEvent('/cancel', { source: ALICE }));
+    assert.match(lastText(lineClient), /^Usage: \/cancel/);
+    await simulator.send(postbackEvent('action=unknown', { source: ALICE }));
+    assert.equal(lastText(lineClient), '⚠️ Unknown action. Please use the buttons in the menu below.');
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('shows the help and the feature list in the language chosen with /lang', async () => {
+  const { simulator, lineClient } = setup();
+  try {
+    await simulator.send(textEvent('/lang en', { source: ALICE }));
+    await simulator.send(textEvent('/help', { source: ALICE }));
+    const help = JSON.stringify(lineClient.sentMessages().at(-1));
+    assert.match(help, /❓ Help/);
+    assert.match(help, /Switch the answer mode/);
+    assert.doesNotMatch(help, /使用說明|切換回答模式/);
+
+    await simulator.send(postbackEvent(ACTIONS.FEATURES, { source: ALICE }));
+    const features = JSON.stringify(lineClient.sentMessages().at(-1));
+    assert.match(features, /📋 Available features/);
+    assert.doesNotMatch(features, /可用功能/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('renders the experiment variant and records it with each answer', async () => {
+  const logs = [];
+  const telemetry = createTelemetry({ write: (line) => logs.push(JSON.parse(line)) });
+  const { simulator, providers } = setup({
+    telemetry,
+    env: { PROMPT_EXPERIMENT: EXPERIMENT, PROMPT_VARIANT: 'conclusion-first' },
+    scripts: { supervisor: { responses: [PLAN] } },
+  });
+  try {
+    await simulator.send(textEvent('規劃東京一日遊', { source: ALICE }));
+    assert.match(promptText(providers.synthesizer), /結論先行/);
+    assert.equal(telemetry.metrics.answers.get({ variant: 'conclusion-first', outcome: 'answered' }), 1);
+    const supervisorLog = logs.find((line) => line.msg === 'Supervisor plan');
+    assert.equal(supervisorLog.promptVariant, 'conclusion-first');
+    assert.equal(supervisorLog.locale, 'zh-TW');
+  } finally {
+    await simulator.close();
+  }
+});
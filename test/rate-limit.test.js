@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textEvent, userSource, groupSource } = require('../scripts/webhook-simulator');
+const { createMemoryStore } = require('../utils/store');
+const { createTokenBucket, createDailyQuota, createRateLimiter } = require('../utils/rate-limit');
+const { buildThrottledText } = require('../prompts');
+const { setup } = require('./helpers');
+
+const ALICE = userSource('Ualice');
+
+function createClock(start = Date.parse('2025-01-01T15:00:00Z')) {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+}
+
+const lastText = (lineClient) => lineClient.sentMessages().at(-1).text;
+
+test('token bucket allows a burst and refills over time', async () => {
+  const clock = createClock();
+  const bucket = createTokenBucket({ store: createMemoryStore(), prefix: 'test', burst: 2, perMinute: 6, now: clock.now });
+  assert.equal((await bucket.take('u')).allowed, true);
+  assert.equal((await bucket.take('u')).allowed, true);
+  assert.deepEqual(await bucket.take('u'), { allowed: false, retryAfterSeconds: 10 });
+  assert.equal((await bucket.take('other')).allowed, true);
+
+  clock.advance(10 * 1000);
+  assert.equal((await bucket.take('u')).allowed, true);
+  assert.equal((await bucket.take('u')).allowed, false);
+});
+
+test('a token bucket that never refills does not limit', async () => {
+  const bucket = createTokenBucket({ store: createMemoryStore(), prefix: 'test', burst: 1, perMinute: 0 });
+  for (let i = 0; i < 3; i++) assert.equal((await bucket.take('u')).allowed, true);
+});
+
+test('daily quota resets at midnight in Taipei', async () => {
+  // 2025-01-01T15:00Z 為台灣時間 23:00
+  const clock = createClock();
+  const quota = createDailyQuota({ store: createMemoryStore(), limit: 3, now: clock.now });
+  await quota.charge('u', 3);
+  assert.equal(await quota.allows('u'), false);
+  clock.advance(60 * 60 * 1000);
+  assert.equal(await quota.allows('u'), true);
+});
+
+test('throttles users who send too many messages', async () => {
+  const { simulator, lineClient, providers } = setup({ env: { RATE_LIMIT_USER_BURST: '2', RATE_LIMIT_USER_PER_MINUTE: '1' } });
+  try {
+    await simulator.send(textEvent('第一則', { source: ALICE }));
+    await simulator.send(textEvent('第二則', { source: ALICE }));
+    await simulator.send(textEvent('第三則', { source: ALICE }));
+    assert.equal(providers.default.calls.length, 2);
+    assert.equal(lastText(lineClient), buildThrottledText({ reason: 'rate', retryAfterSeconds: 60 }));
+
+    // 指令不呼叫模型，不受限制；其他使用者也不受影響
+    await simulator.send(textEvent('/status', { source: ALICE }));
+    assert.match(lastText(lineClient), /回答模式/);
+    await simulator.send(textEvent('你好', { source: userSource('Ubob') }));
+    assert.equal(providers.default.calls.length, 3);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('shares one bucket per group across members', async () => {
+  const { simulator, lineClient, providers } = setup({ env: { RATE_LIMIT_GROUP_BURST: '1' } });
+  try {
+    await simulator.send(textEvent('/ai 第一則', { source: groupSource('Cgroup', 'Ualice') }));
+    await simulator.send(textEvent('/ai 第二則', { source: groupSource('Cgroup', 'Ubob') }));
+    assert.equal(providers.default.calls.length, 1);
+    assert.match(lastText(lineClient), /太頻繁/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('a group rejection does not spend the user token', async () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ user: { burst: 2, perMinute: 1 }, group: { burst: 1, perMinute: 1 }, now: clock.now });
+  const inGroup = { userId: 'Ualice', groupId: 'Cgroup' };
+  assert.equal(await limiter.check(inGroup), null);
+  assert.deepEqual(await limiter.check(inGroup), { reason: 'rate', retryAfterSeconds: 60 });
+  // 使用者的第二個 token 仍可在一對一聊天使用
+  assert.equal(await limiter.check({ userId: 'Ualice' }), null);
+  assert.equal((await limiter.check({ userId: 'Ualice' })).reason, 'rate');
+});
+
+test('stops answering once the daily model call quota is used up', async () => {
+  const { simulator, lineClient, providers } = setup({ env: { DAILY_MODEL_CALL_QUOTA: '3' } });
+  try {
+    // 每則簡單問題呼叫 Supervisor 與單一對話各一次
+    await simulator.send(textEvent('第一則', { source: ALICE }));
+    await simulator.send(textEvent('第二則', { source: ALICE }));
+    await simulator.send(textEvent('第三則', { source: ALICE }));
+    assert.equal(providers.supervisor.calls.length, 2);
+    assert.equal(lastText(lineClient), buildThrottledText({ reason: 'quota' }));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('pauses model calls after a 429 from the model', async () => {
+  const { simulator, lineClient, providers } = setup({
+    scripts: { default: { fallback: { error: 'Resource has been exhausted', status: 429 } } },
+  });
+  try {
+    await simulator.send(textEvent('你好', { source: ALICE }));
+    assert.match(lastText(lineClient), /系統錯誤/);
+
+    await simulator.send(textEvent('你好', { source: userSource('Ubob') }));
+    assert.equal(providers.supervisor.calls.length, 1);
+    assert.match(lastText(lineClient), /忙不過來/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('does not pause model calls when a retry after a 429 succeeds', async () => {
+  const { simulator, lineClient, providers } = setup({
+    env: { MODEL_RETRY_BASE_DELAY_MS: '10' },
+    scripts: { default: { responses: [{ error: 'Resource has been exhausted', status: 429 }] } },
+  });
+  try {
+    await simulator.send(textEvent('你好', { source: ALICE }));
+    assert.equal(lastText(lineClient), '簡單回覆');
+
+    await simulator.send(textEvent('你好', { source: userSource('Ubob') }));
+    assert.equal(providers.supervisor.calls.length, 2);
+    assert.equal(lastText(lineClient), '簡單回覆');
+  } finally {
+    await simulator.close();
+  }
+});
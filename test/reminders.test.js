@@ -0,0 +1,251 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  textEvent, postbackEvent, userSource, groupSource, mentionSelf, createRecordingLineClient,
+} = require('../scripts/webhook-simulator');
+const { buildReminderDueText, buildReminderCancelledText } = require('../prompts');
+const { createMemoryStore } = require('../utils/store');
+const { createReminders } = require('../utils/reminders');
+const { nextOccurrence, firstOccurrence, toLocal } = require('../utils/schedule');
+const { zonedTimeToDate } = require('../tools/datetime');
+const { setup } = require('./helpers');
+
+const ALICE = userSource('Ualice');
+const TZ = 'Asia/Taipei';
+
+const at = (localTime) => zonedTimeToDate(localTime, TZ).getTime();
+
+function localText(time) {
+  const t = toLocal(time, TZ);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${t.year}-${pad(t.month)}-${pad(t.day)} ${pad(t.hour)}:${pad(t.minute)}`;
+}
+
+function parsed(fields) {
+  return JSON.stringify({ isReminder: true, recurrence: 'none', ...fields });
+}
+
+test('recurrences advance in local time and clamp monthly reminders to the month end', () => {
+  // 2026-10-16 是星期五
+  assert.equal(nextOccurrence(at('2026-10-16 08:00'), 'daily', { timeZone: TZ }), at('2026-10-17 08:00'));
+  assert.equal(nextOccurrence(at('2026-10-16 08:00'), 'weekdays', { timeZone: TZ }), at('2026-10-19 08:00'));
+  assert.equal(nextOccurrence(at('2026-10-16 08:00'), 'weekly', { timeZone: TZ }), at('2026-10-23 08:00'));
+  assert.equal(nextOccurrence(at('2026-10-16 08:00'), 'none', { timeZone: TZ }), null);
+
+  const jan31 = at('2027-01-31 09:30');
+  const feb = nextOccurrence(jan31, 'monthly', { timeZone: TZ, dayOfMonth: 31 });
+  assert.equal(feb, at('2027-02-28 09:30'));
+  assert.equal(nextOccurrence(feb, 'monthly', { timeZone: TZ, dayOfMonth: 31 }), at('2027-03-31 09:30'));
+
+  // 已過的時間與週末順延
+  assert.equal(firstOccurrence(at('2026-10-17 08:00'), 'weekdays', { now: at('2026-10-16 12:00'), timeZone: TZ }), at('2026-10-19 08:00'));
+  assert.equal(firstOccurrence(at('2026-10-16 08:00'), 'daily', { now: at('2026-10-16 12:00'), timeZone: TZ }), at('2026-10-17 08:00'));
+});
+
+test('reminder store schedules, retries and advances reminders', async () => {
+  let now = at('2026-10-16 12:00');
+  const reminders = createReminders({ store: createMemoryStore(), maxPerUser: 2, now: () => now });
+
+  await assert.rejects(
+    reminders.create({ ownerId: 'Ualice', targetId: 'Ualice', message: '開會', localTime: '2026-10-16 08:00' }),
+    { code: 'past' },
+  );
+  await assert.rejects(
+    reminders.create({ ownerId: 'Ualice', targetId: 'Ualice', message: '開會', localTime: '明天' }),
+    { code: 'invalid' },
+  );
+  // 不存在的日期不會進位到下個月
+  await assert.rejects(
+    reminders.create({ ownerId: 'Ualice', targetId: 'Ualice', message: '開會', localTime: '2027-02-30 08:00' }),
+    { code: 'invalid' },
+  );
+
+  const daily = await reminders.create({ ownerId: 'Ualice', targetId: 'Ualice', message: '吃藥', localTime: '2026-10-16 08:00', recurrence: 'daily' });
+  assert.equal(daily.nextAt, at('2026-10-17 08:00'));
+  const once = await reminders.create({ ownerId: 'Ualice', targetId: 'Ualice', message: '開會', localTime: '2026-10-16 14:00' });
+  await assert.rejects(
+    reminders.create({ ownerId: 'Ualice', targetId: 'Ualice', message: '第三個', localTime: '2026-10-16 15:00' }),
+    { code: 'limit' },
+  );
+  assert.deepEqual((await reminders.list('Ualice')).map((r) => r.id), [once.id, daily.id]);
+
+  now = at('2026-10-17 08:01');
+  const due = await reminders.takeDue();
+  assert.deepEqual(due.map((r) => r.id), [once.id, daily.id]);
+  // 取出後暫時不會再被取出
+  assert.deepEqual(await reminders.takeDue(), []);
+
+  await reminders.complete(due[0]);
+  // 送出前先 complete()，送出失敗時放回去稍後重試，下一次的時間仍以原本的 08:00 推算
+  await reminders.complete(due[1]);
+  await reminders.fail(due[1]);
+  now += 61 * 1000;
+  const [retry] = await reminders.takeDue();
+  assert.equal(retry.attempts, 1);
+  const advanced = await reminders.complete(retry);
+  assert.equal(advanced.nextAt, at('2026-10-18 08:00'));
+  assert.deepEqual((await reminders.list('Ualice')).map((r) => r.id), [daily.id]);
+
+  // 只能取消自己的提醒
+  assert.equal(await reminders.cancel('Ubob', daily.id), null);
+  assert.equal((await reminders.cancel('Ualice', daily.id.toUpperCase())).id, daily.id);
+  assert.deepEqual(await reminders.list('Ualice'), []);
+});
+
+test('concurrent reminders all land in the schedule', async () => {
+  const now = at('2026-10-16 12:00');
+  const store = createMemoryStore();
+  const reminders = createReminders({ store, now: () => now });
+  const created = await Promise.all(['Ualice', 'Ubob', 'Ucarol'].map((ownerId) => reminders.create({
+    ownerId, targetId: ownerId, message: '開會', localTime: '2026-10-16 14:00',
+  })));
+  assert.deepEqual(Object.keys(await store.getFields('reminders:schedule')).sort(), created.map((r) => r.id).sort());
+});
+
+test('sets a reminder from natural language, lists it and cancels it', async () => {
+  const tomorrow = localText(Date.now() + 24 * 60 * 60 * 1000);
+  const { simulator, lineClient, providers } = setup({
+    scripts: { default: { rules: [{ match: /提醒我開會/, response: parsed({ datetime: tomorrow, message: '開會' }) }] } },
+  });
+  try {
+    await simulator.send(textEvent('明天提醒我開會', { source: ALICE }));
+    assert.ok(providers.default.calls[0].responseSchema, 'parses with structured output');
+    const created = lineClient.sentMessages().at(-1);
+    assert.equal(created.type, 'flex');
+    assert.equal(created.altText, '⏰ 已設定提醒');
+    assert.equal(providers.supervisor.calls.length, 0);
+
+    const [reminder] = await simulator.store.get('reminders:user:Ualice');
+    const cancelData = `action=cancel_reminder&id=${reminder}`;
+    assert.match(JSON.stringify(created.contents), /開會/);
+    assert.ok(JSON.stringify(created.contents).includes(cancelData));
+    await simulator.send(textEvent('/reminders', { source: ALICE }));
+    const list = lineClient.sentMessages().at(-1);
+    assert.equal(list.altText, '⏰ 我的提醒 (1)');
+    assert.ok(JSON.stringify(list.contents).includes(cancelData));
+
+    await simulator.send(postbackEvent(cancelData, { source: ALICE }));
+    assert.equal(lineClient.sentMessages().at(-1).text, buildReminderCancelledText({ message: '開會' }));
+    await simulator.send(textEvent(`/cancel ${reminder}`, { source: ALICE }));
+    assert.equal(lineClient.sentMessages().at(-1).text, buildReminderCancelledText(null));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('keeps personal data in the reminder while the parser only sees it masked', async () => {
+  const tomorrow = localText(Date.now() + 24 * 60 * 60 * 1000);
+  const { simulator, providers } = setup({
+    scripts: { default: { rules: [{ match: /打電話給 \[PHONE\]/, response: parsed({ datetime: tomorrow, message: '打電話給 [PHONE]' }) }] } },
+  });
+  try {
+    await simulator.send(textEvent('明天提醒我打電話給 0912345678', { source: ALICE }));
+    assert.ok(providers.default.calls[0].contents[0].parts[0].text.includes('打電話給 [PHONE]'));
+    const [id] = await simulator.store.get('reminders:user:Ualice');
+    assert.equal((await simulator.store.get(`reminder:${id}`)).message, '打電話給 0912345678');
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('messages that only mention reminders are answered by the pipeline', async () => {
+  const { simulator, lineClient } = setup({
+    scripts: { default: { rules: [{ match: /解析器/, response: JSON.stringify({ isReminder: false }) }] } },
+  });
+  try {
+    await simulator.send(textEvent('提醒事項 app 推薦哪個？', { source: ALICE }));
+    assert.equal(lineClient.sentMessages().at(-1).text, '簡單回覆');
+    assert.equal(await simulator.store.get('reminders:user:Ualice'), null);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('/api/cron requires CRON_SECRET outside local development', async () => {
+  for (const [env, status] of [[{}, 200], [{ VERCEL: '1' }, 401], [{ NODE_ENV: 'production' }, 401]]) {
+    const { simulator } = setup({ env });
+    try {
+      assert.equal((await simulator.cron()).status, status);
+    } finally {
+      await simulator.close();
+    }
+  }
+});
+
+test('/api/cron pushes due reminders to the chat where they were set', async () => {
+  const tomorrow = localText(Date.now() + 24 * 60 * 60 * 1000);
+  const { simulator, lineClient, store } = setup({
+    env: { CRON_SECRET: 's3cret' },
+    scripts: { default: { rules: [{ match: /提醒大家/, response: parsed({ datetime: tomorrow, message: '交報告', recurrence: 'daily' }) }] } },
+  });
+  try {
+    const text = '@Mars 每天提醒大家交報告';
+    await simulator.send(textEvent(text, { source: groupSource('Gteam', 'Ualice'), mention: mentionSelf(text) }));
+    const [id] = await store.get('reminders:user:Ualice');
+
+    assert.equal((await simulator.cron()).status, 401);
+    assert.deepEqual(JSON.parse((await simulator.cron({ secret: 's3cret' })).body), { reminders: { sent: 0, failed: 0 } });
+
+    // 讓提醒到期
+    const reminder = await store.get(`reminder:${id}`);
+    await store.set(`reminder:${id}`, { ...reminder, nextAt: Date.now() - 1000 });
+    await store.setField('reminders:schedule', id, Date.now() - 1000);
+
+    const { status, body } = await simulator.cron({ secret: 's3cret' });
+    assert.equal(status, 200);
+    assert.deepEqual(JSON.parse(body), { reminders: { sent: 1, failed: 0 } });
+    const push = lineClient.calls.filter((c) => c.method === 'pushMessage').at(-1);
+    assert.equal(push.args[0], 'Gteam');
+    assert.equal(push.args[1].text, buildReminderDueText(reminder));
+
+    // 每天的提醒排到下一次
+    assert.ok((await store.get(`reminder:${id}`)).nextAt > Date.now());
+
+    // 提醒使用設定者的語言
+    await simulator.send(textEvent('/lang en', { source: ALICE }));
+    await store.setField('reminders:schedule', id, Date.now() - 1000);
+    await simulator.cron({ secret: 's3cret' });
+    const localized = lineClient.calls.filter((c) => c.method === 'pushMessage').at(-1);
+    assert.equal(localized.args[1].text, '⏰ Reminder: 交報告\n(Daily reminder — type /reminders to manage it)');
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('/api/cron never sends a reminder twice when saving fails and retries failed pushes', async () => {
+  const tomorrow = localText(Date.now() + 24 * 60 * 60 * 1000);
+  const scripts = { default: { rules: [{ match: /提醒我/, response: parsed({ datetime: tomorrow, message: '開會' }) }] } };
+  const makeDue = async (store, id) => store.setField('reminders:schedule', id, Date.now() - 1000);
+
+  const { simulator, lineClient, store } = setup({ scripts });
+  try {
+    await simulator.send(textEvent('明天提醒我開會', { source: ALICE }));
+    const [id] = await store.get('reminders:user:Ualice');
+    await makeDue(store, id);
+    const { delete: remove } = store;
+    store.delete = async () => { throw new Error('store offline'); };
+    assert.deepEqual(JSON.parse((await simulator.cron()).body), { reminders: { sent: 0, failed: 1 } });
+    assert.equal(lineClient.calls.some((c) => c.method === 'pushMessage'), false);
+
+    store.delete = remove;
+    await makeDue(store, id);
+    assert.deepEqual(JSON.parse((await simulator.cron()).body), { reminders: { sent: 1, failed: 0 } });
+    assert.equal(await store.get(`reminder:${id}`), null);
+  } finally {
+    await simulator.close();
+  }
+
+  const failing = setup({ scripts, lineClient: createRecordingLineClient({ failures: { pushMessage: new Error('push failed') } }) });
+  try {
+    await failing.simulator.send(textEvent('明天提醒我開會', { source: ALICE }));
+    const [id] = await failing.store.get('reminders:user:Ualice');
+    await makeDue(failing.store, id);
+    assert.deepEqual(JSON.parse((await failing.simulator.cron()).body), { reminders: { sent: 0, failed: 1 } });
+    // 單次提醒放回去，一分鐘後重試
+    assert.equal((await failing.store.get(`reminder:${id}`)).attempts, 1);
+    assert.deepEqual(await failing.store.get('reminders:user:Ualice'), [id]);
+    assert.ok((await failing.store.getFields('reminders:schedule'))[id] > Date.now());
+  } finally {
+    await failing.simulator.close();
+  }
+});
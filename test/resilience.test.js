@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textEvent } = require('../scripts/webhook-simulator');
+const { createFakeProvider } = require('../providers');
+const {
+  TimeoutError, DeadlineExceededError, isRetriableError, backoffDelay, createResilience,
+} = require('../utils/resilience');
+const { setup, promptText } = require('./helpers');
+
+const TWO_AGENT_PLAN = JSON.stringify([
+  { id: 'fast', role: '研究員', instruction: '整理景點', dependsOn: [] },
+  { id: 'slow', role: '預算規劃師', instruction: '估算花費', dependsOn: [] },
+]);
+
+const request = { contents: [{ role: 'user', parts: [{ text: '你好' }] }] };
+
+test('retries only 429, 5xx, network errors and timeouts', () => {
+  const withStatus = (status) => Object.assign(new Error('failed'), { status });
+  assert.equal(isRetriableError(withStatus(429)), true);
+  assert.equal(isRetriableError(withStatus(503)), true);
+  assert.equal(isRetriableError(withStatus(400)), false);
+  assert.equal(isRetriableError(new Error('[GoogleGenerativeAI Error]: fetch failed')), true);
+  assert.equal(isRetriableError(new TimeoutError(1000)), true);
+  assert.equal(isRetriableError(new DeadlineExceededError()), false);
+  assert.equal(isRetriableError(new Error('Invalid JSON payload')), false);
+
+  // full jitter：上限每次加倍，最多 8 秒
+  assert.equal(backoffDelay(1, 500, () => 1), 500);
+  assert.equal(backoffDelay(3, 500, () => 0.5), 1000);
+  assert.equal(backoffDelay(10, 500, () => 1), 8000);
+  assert.equal(backoffDelay(2, 500, () => 0), 0);
+});
+
+test('times out slow calls and retries them with backoff', async () => {
+  const retries = [];
+  const resilience = createResilience({
+    timeoutMs: 50, maxRetries: 2, baseDelayMs: 10, random: () => 1, onRetry: (info) => retries.push(info),
+  });
+  const fake = createFakeProvider({ responses: [{ text: '太慢了', delayMs: 1000 }, { error: 'overloaded', status: 503 }, '好的'] });
+  const { agent } = resilience.instrument({ agent: fake });
+
+  const result = await agent.generate(request);
+  assert.equal(result.text, '好的');
+  assert.equal(fake.calls.length, 3);
+  assert.deepEqual(retries.map(({ stage, attempt, delayMs, err }) => [stage, attempt, delayMs, err.name]), [
+    ['agent', 1, 10, 'TimeoutError'],
+    ['agent', 2, 20, 'Error'],
+  ]);
+
+  const failing = createFakeProvider({ fallback: { error: 'bad request', status: 400 } });
+  await assert.rejects(resilience.instrument({ agent: failing }).agent.generate(request), { status: 400 });
+  assert.equal(failing.calls.length, 1);
+});
+
+test('shares one deadline between calls and cancels work that runs past it', async () => {
+  const resilience = createResilience({ timeoutMs: 1000, baseDelayMs: 10 });
+  const slow = createFakeProvider({ fallback: { text: '太慢了', delayMs: 1000 } });
+  const { agent } = resilience.instrument({ agent: slow });
+
+  const startedAt = Date.now();
+  await assert.rejects(
+    resilience.withDeadline(Date.now() + 80, () => agent.generate(request)),
+    DeadlineExceededError,
+  );
+  assert.ok(Date.now() - startedAt < 500);
+  // 期限到了不再重試
+  assert.equal(slow.calls.length, 1);
+  await assert.rejects(resilience.withDeadline(Date.now() - 1, () => agent.generate(request)), DeadlineExceededError);
+  assert.equal(slow.calls.length, 1);
+
+  // 內層不能延後外層的期限；race 期限一到就放棄
+  const outer = Date.now() + 60;
+  await resilience.withDeadline(outer, () => resilience.withDeadline(outer + 10000, async () => {
+    assert.equal(resilience.deadlineAt(), outer);
+  }));
+  await assert.rejects(resilience.race(Date.now() + 30, () => new Promise(() => {})), DeadlineExceededError);
+  assert.equal(await resilience.race(Infinity, async () => 'done'), 'done');
+});
+
+test('cancels agents that run past the deadline and synthesizes the rest', async () => {
+  const { simulator, lineClient, providers } = setup({
+    env: { REQUEST_DEADLINE_SECONDS: '2', SYNTHESIZER_RESERVE_SECONDS: '1.7' },
+    scripts: {
+      supervisor: { responses: [TWO_AGENT_PLAN] },
+      agent: {
+        rules: [
+          { match: '你現在是 研究員', response: '淺草寺' },
+          { match: '你現在是 預算規劃師', response: { text: '約三萬元', delayMs: 5000 } },
+        ],
+      },
+    },
+  });
+  try {
+    const startedAt = Date.now();
+    await simulator.send(textEvent('規劃東京行程和預算'));
+    assert.ok(Date.now() - startedAt < 2000, 'does not wait for the slow agent');
+
+    const synthesizerPrompt = promptText(providers.synthesizer);
+    assert.match(synthesizerPrompt, /【研究員 的回報】:\n淺草寺/);
+    assert.match(synthesizerPrompt, /【預算規劃師 的回報】: \(逾時未完成\)/);
+    const [message] = lineClient.sentMessages();
+    assert.equal(message.contents.contents[2].body.contents[0].text, '(逾時未完成)');
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RichMenuConfigError, loadRichMenuConfig, validateRichMenuConfig, compileRichMenus, planRichMenuSync,
+} = require('../scripts/lib/rich-menu');
+
+const OPTIONS = { namespace: 'mars-line-bot', defaultAlias: 'mars-ai' };
+
+function configWith(changeMenu) {
+  const config = loadRichMenuConfig();
+  changeMenu(config.menus[0]);
+  return config;
+}
+
+// 模擬 LINE 上已依 desired 同步完成的狀態
+function syncedState(desired) {
+  const menus = desired.map((menu, index) => ({ richMenuId: `richmenu-${index}`, name: menu.name }));
+  return {
+    menus,
+    aliases: desired.map((menu, index) => ({ richMenuAliasId: menu.alias, richMenuId: menus[index].richMenuId })),
+    defaultRichMenuId: 'richmenu-0',
+  };
+}
+
+const types = (operations) => operations.map((operation) => `${operation.type}:${operation.alias || operation.richMenuId}`);
+
+test('the bundled config compiles into tabbed menus', () => {
+  assert.deepEqual(validateRichMenuConfig(loadRichMenuConfig()), []);
+  const [ai, settings] = compileRichMenus(loadRichMenuConfig());
+  assert.match(ai.name, /^mars-line-bot\/mars-ai#[0-9a-f]{12}$/);
+  assert.deepEqual(ai.body.areas[1], {
+    bounds: { x: 1250, y: 0, width: 1250, height: 200 },
+    action: {
+      type: 'richmenuswitch', label: '設定', richMenuAliasId: 'mars-settings', data: 'action=switch_menu&menu=mars-settings',
+    },
+  });
+  // 每一列的區域剛好填滿整個寬度
+  const contentRow = settings.body.areas.slice(2);
+  assert.equal(contentRow.reduce((sum, area) => sum + area.bounds.width, 0), 2500);
+  assert.deepEqual(contentRow[0].action, { type: 'message', label: '回答模式', text: '/mode' });
+});
+
+test('rejects postbacks, tabs and commands the bot does not handle', () => {
+  const config = configWith((menu) => {
+    menu.rows[1].areas[0].postback = 'ORDER_PIZZA';
+    menu.rows[1].areas[1] = { label: '天氣', text: '/weather' };
+    menu.rows[0].areas[1].switchTo = 'mars-missing';
+    menu.chatBarText = '這是一段超過十四個字的選單列文字';
+  });
+  const errors = validateRichMenuConfig(config);
+  assert.equal(errors.length, 4);
+  assert.match(errors.join('\n'), /"ORDER_PIZZA" is not handled by handlePostback/);
+  assert.match(errors.join('\n'), /"\/weather" is not a known command/);
+  assert.match(errors.join('\n'), /switchTo "mars-missing" is not a menu alias/);
+  assert.throws(() => compileRichMenus(config), RichMenuConfigError);
+});
+
+test('plans a full setup on an empty channel', () => {
+  const desired = compileRichMenus(loadRichMenuConfig());
+  const { operations } = planRichMenuSync(desired, { menus: [], aliases: [], defaultRichMenuId: null }, OPTIONS);
+  assert.deepEqual(types(operations), [
+    'create:mars-ai', 'create:mars-settings', 'createAlias:mars-ai', 'createAlias:mars-settings', 'setDefault:mars-ai',
+  ]);
+});
+
+test('does nothing when the channel is already in sync', () => {
+  const desired = compileRichMenus(loadRichMenuConfig());
+  const { operations } = planRichMenuSync(desired, syncedState(desired), OPTIONS);
+  assert.deepEqual(operations, []);
+});
+
+test('replaces only the changed menu and leaves unmanaged menus alone', () => {
+  const existing = syncedState(compileRichMenus(loadRichMenuConfig()));
+  existing.menus.push({ richMenuId: 'richmenu-legacy', name: 'mars-line-bot-menu' });
+
+  const desired = compileRichMenus(configWith((menu) => { menu.chatBarText = '🤖 AI 選單'; }));
+  const { operations, richMenuIds } = planRichMenuSync(desired, existing, OPTIONS);
+  assert.deepEqual(types(operations), ['create:mars-ai', 'updateAlias:mars-ai', 'setDefault:mars-ai', 'delete:richmenu-0']);
+  assert.deepEqual(richMenuIds, { 'mars-settings': 'richmenu-1' });
+});
+
+test('removes menus and aliases that were dropped from the config', () => {
+  const existing = syncedState(compileRichMenus(loadRichMenuConfig()));
+  const config = loadRichMenuConfig();
+  config.menus = config.menus.slice(0, 1);
+  config.menus[0].rows[0].areas = [{ label: 'AI', switchTo: 'mars-ai' }];
+
+  const { operations } = planRichMenuSync(compileRichMenus(config), existing, OPTIONS);
+  assert.deepEqual(types(operations), [
+    'create:mars-ai', 'updateAlias:mars-ai', 'setDefault:mars-ai', 'deleteAlias:mars-settings', 'delete:richmenu-0', 'delete:richmenu-1',
+  ]);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textEvent, userSource } = require('../scripts/webhook-simulator');
+const { createPromptLibrary } = require('../prompts/templates');
+const { redactPii, parseRules } = require('../utils/safety');
+const { createTelemetry } = require('../utils/telemetry');
+const { setup, promptText } = require('./helpers');
+
+const ALICE = userSource('Ualice');
+const TEXT = createPromptLibrary().select();
+const TWO_AGENT_PLAN = JSON.stringify([
+  { id: 'a', role: '研究員', instruction: '整理資料', dependsOn: [] },
+  { id: 'b', role: '作家', instruction: '撰寫草稿', dependsOn: [] },
+]);
+
+const lastText = (lineClient) => lineClient.sentMessages().at(-1).text;
+
+function createRecordingTelemetry() {
+  const logs = [];
+  const telemetry = createTelemetry({ write: (line) => logs.push(JSON.parse(line)) });
+  return { telemetry, logs };
+}
+
+test('masks phone numbers, national ids, emails and valid card numbers', () => {
+  const { text, found } = redactPii('電話 0912-345-678、02-2345-6789，身分證 A123456789，信箱 amy@example.com，卡號 4111 1111 1111 1111');
+  assert.equal(text, '電話 [PHONE]、[PHONE]，身分證 [NATIONAL_ID]，信箱 [EMAIL]，卡號 [CREDIT_CARD]');
+  assert.deepEqual(found, {
+    phone: 2, national_id: 1, email: 1, credit_card: 1,
+  });
+  assert.equal(redactPii('+886 912 345 678').text, '[PHONE]');
+
+  // 日期、計算與不符合 Luhn 的數字不是個資
+  for (const plain of ['2026-10-18 09:00 開會', '12345679 * 9 = 111111111', '訂單 4111 1111 1111 1112']) {
+    assert.deepEqual(redactPii(plain), { text: plain, found: {} });
+  }
+});
+
+test('parses deny-list terms and regular expressions', () => {
+  const rules = parseRules('炸彈, /破解.*密碼/\nWiFi');
+  assert.deepEqual(rules.map((rule) => rule.source), ['炸彈', '/破解.*密碼/', 'WiFi']);
+  assert.ok(rules[1].pattern.test('教我破解鄰居的密碼'));
+  assert.ok(rules[2].pattern.test('wifi'));
+  assert.deepEqual(parseRules(''), []);
+  assert.throws(() => parseRules('/(/', 'SAFETY_DENY_LIST'), /SAFETY_DENY_LIST has an invalid pattern \/\(\//);
+});
+
+test('sends redacted text to the model and logs only what was found', async () => {
+  const { telemetry, logs } = createRecordingTelemetry();
+  const { simulator, providers, store } = setup({ telemetry });
+  try {
+    await simulator.send(textEvent('幫我寫封信給 amy@example.com，我的手機是 0912345678', { source: ALICE }));
+    const prompt = promptText(providers.default);
+    assert.match(prompt, /幫我寫封信給 \[EMAIL\]，我的手機是 \[PHONE\]/);
+    assert.match(promptText(providers.supervisor), /\[EMAIL\]/);
+
+    const decision = logs.find((line) => line.msg === 'Safety decision' && line.stage === 'default');
+    assert.deepEqual(decision.found, { email: 1, phone: 1 });
+    assert.ok(logs.every((line) => !JSON.stringify(line).includes('0912345678')));
+    assert.equal(telemetry.metrics.safetyDecisions.get({ stage: 'supervisor', action: 'redacted' }), 1);
+    // 對話紀錄保存遮蔽後的文字
+    assert.equal((await store.get('history:Ualice'))[0].text, '幫我寫封信給 [EMAIL]，我的手機是 [PHONE]');
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('checks only the user message, not agent results or templates', async () => {
+  const { simulator, lineClient, providers } = setup({
+    env: { SAFETY_DENY_LIST: '統整' },
+    scripts: {
+      supervisor: { responses: [TWO_AGENT_PLAN] },
+      agent: { fallback: '客服電話 02-2345-6789' },
+    },
+  });
+  try {
+    await simulator.send(textEvent('幫我查客服電話', { source: ALICE }));
+    assert.match(promptText(providers.synthesizer), /【研究員 的回報】:\n客服電話 02-2345-6789/);
+    assert.notEqual(lastText(lineClient), TEXT.text('safety.denied'));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('refuses deny-listed messages before calling the model', async () => {
+  const { telemetry, logs } = createRecordingTelemetry();
+  const { simulator, lineClient, providers, store } = setup({ telemetry, env: { SAFETY_DENY_LIST: '炸彈,/破解.*密碼/' } });
+  try {
+    await simulator.send(textEvent('怎麼破解 WiFi 密碼？', { source: ALICE }));
+    assert.equal(lastText(lineClient), TEXT.text('safety.denied'));
+    assert.equal(providers.supervisor.calls.length, 0);
+    assert.equal(await store.get('history:Ualice'), null);
+
+    const decision = logs.find((line) => line.msg === 'Safety decision');
+    assert.equal(decision.action, 'denied');
+    assert.equal(decision.rule, '/破解.*密碼/');
+    assert.equal(telemetry.metrics.answers.get({ variant: 'default', outcome: 'blocked' }), 1);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers blocked prompts and responses with a specific message', async () => {
+  const { simulator, lineClient } = setup({
+    scripts: {
+      supervisor: { responses: [{ blockReason: 'SAFETY' }] },
+      default: { responses: [{ text: '', finishReason: 'RECITATION' }] },
+    },
+  });
+  try {
+    await simulator.send(textEvent('第一個問題', { source: ALICE }));
+    assert.equal(lastText(lineClient), TEXT.text('safety.blocked'));
+    await simulator.send(textEvent('請給我整首歌詞', { source: ALICE }));
+    assert.equal(lastText(lineClient), TEXT.text('safety.recitation'));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('marks blocked agents and does not fall back to agent results when the Synthesizer is blocked', async () => {
+  const { simulator, lineClient, providers } = setup({
+    scripts: {
+      supervisor: { responses: [TWO_AGENT_PLAN, TWO_AGENT_PLAN] },
+      agent: { rules: [{ match: '你現在是 作家', response: { finishReason: 'PROHIBITED_CONTENT' } }] },
+      synthesizer: { responses: ['統整回覆', { finishReason: 'SAFETY' }] },
+    },
+  });
+  try {
+    await simulator.send(textEvent('寫一篇報導', { source: ALICE }));
+    assert.match(promptText(providers.synthesizer), /【作家 的回報】: \(因安全政策未產生結果\)/);
+    const [message] = lineClient.sentMessages().slice(-1);
+    assert.equal(message.contents.contents[2].body.contents[0].text, '(因安全政策未產生結果)');
+
+    await simulator.send(textEvent('再寫一篇', { source: ALICE }));
+    assert.equal(lastText(lineClient), TEXT.text('safety.blocked'));
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('masks output filter matches in replies', async () => {
+  const { simulator, lineClient } = setup({
+    env: { SAFETY_OUTPUT_FILTER: '專案代號北極星, /\\bsk-[A-Za-z0-9]+/' },
+    scripts: { default: { fallback: '專案代號北極星的金鑰是 sk-abc123。' } },
+  });
+  try {
+    await simulator.send(textEvent('專案進度如何？', { source: ALICE }));
+    assert.equal(lastText(lineClient), '■■■的金鑰是 ■■■。');
+  } finally {
+    await simulator.close();
+  }
+});
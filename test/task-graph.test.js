@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findGraphErrors, runTaskGraph } = require('../utils/task-graph');
+
+const task = (id, dependsOn = []) => ({ id, dependsOn });
+
+test('findGraphErrors rejects duplicate ids, unknown or self dependencies and cycles', () => {
+  assert.deepEqual(findGraphErrors([task('a'), task('b', ['a']), task('c', ['a', 'b'])]), []);
+  assert.deepEqual(findGraphErrors([{ id: 'a' }]), []);
+
+  assert.deepEqual(findGraphErrors([task('a'), task('a')]), ['任務 id "a" 重複']);
+  assert.deepEqual(findGraphErrors([task('a', ['a']), task('b', ['x'])]), [
+    '任務 "a" 不能依賴自己',
+    '任務 "b" 依賴不存在的任務 "x"',
+  ]);
+  // 只列出位於循環中的任務 (以及被卡住的下游)
+  assert.deepEqual(findGraphErrors([task('a'), task('b', ['c']), task('c', ['b']), task('d', ['c'])]), [
+    '任務之間有循環依賴：b, c, d',
+  ]);
+});
+
+test('runTaskGraph runs independent tasks in parallel and passes upstream results', async () => {
+  const events = [];
+  const results = await runTaskGraph([task('write', ['research', 'prices']), task('research'), task('prices')], async (current, upstream) => {
+    events.push(`start:${current.id}`);
+    await new Promise((resolve) => { setTimeout(resolve, current.id === 'research' ? 20 : 0); });
+    events.push(`end:${current.id}`);
+    return `${current.id}(${upstream.map((u) => `${u.task.id}=${u.output}`).join(',')})`;
+  });
+
+  assert.deepEqual(results, ['write(research=research(),prices=prices())', 'research()', 'prices()']);
+  // 兩個前置任務同時開始，全部完成後才執行下游任務
+  assert.deepEqual(events.slice(0, 2).sort(), ['start:prices', 'start:research']);
+  assert.deepEqual(events.slice(-2), ['start:write', 'end:write']);
+});
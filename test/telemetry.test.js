@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { textEvent, userSource, createRecordingLineClient } = require('../scripts/webhook-simulator');
+const { createMetricsRegistry } = require('../utils/metrics');
+const { createTelemetry } = require('../utils/telemetry');
+const { setup } = require('./helpers');
+
+const TWO_TASK_PLAN = JSON.stringify([
+  { id: 'research', role: '研究員', instruction: '整理景點', dependsOn: [] },
+  { id: 'budget', role: '預算規劃師', instruction: '估算花費', dependsOn: ['research'] },
+]);
+
+const usage = (prompt, output) => ({ promptTokenCount: prompt, candidatesTokenCount: output, totalTokenCount: prompt + output });
+
+/**
+ * 建立收集 log 的 telemetry
+ */
+function createRecordingTelemetry(options) {
+  const logs = [];
+  const telemetry = createTelemetry({ write: (line) => logs.push(JSON.parse(line)), ...options });
+  return { telemetry, logs };
+}
+
+async function get(app, path, headers = {}) {
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { headers });
+    return { status: res.status, contentType: res.headers.get('content-type'), body: await res.text() };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('renders counters and cumulative histogram buckets in Prometheus text format', () => {
+  const registry = createMetricsRegistry();
+  const replies = registry.counter({ name: 'replies_total', help: 'Replies.', labelNames: ['method'] });
+  const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency.', labelNames: ['stage'], buckets: [0.5, 1] });
+  replies.inc({ method: 'push' });
+  replies.inc({ method: 'push' }, 2);
+  replies.inc({ method: 'say "hi"\n' });
+  latency.observe({ stage: 'agent' }, 0.2);
+  latency.observe({ stage: 'agent' }, 0.7);
+
+  assert.equal(registry.render(), [
+    '# HELP replies_total Replies.',
+    '# TYPE replies_total counter',
+    'replies_total{method="push"} 3',
+    'replies_total{method="say \\"hi\\"\\n"} 1',
+    '# HELP latency_seconds Latency.',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{stage="agent",le="0.5"} 1',
+    'latency_seconds_bucket{stage="agent",le="1"} 2',
+    'latency_seconds_bucket{stage="agent",le="+Inf"} 2',
+    'latency_seconds_sum{stage="agent"} 0.8999999999999999',
+    'latency_seconds_count{stage="agent"} 2',
+    '',
+  ].join('\n'));
+  assert.throws(() => replies.inc({ unknown: 'x' }), /Unknown label/);
+  assert.throws(() => registry.counter({ name: 'replies_total', help: 'again' }), /already registered/);
+});
+
+test('carries one request id from the webhook through every stage to the reply', async () => {
+  const { telemetry, logs } = createRecordingTelemetry();
+  const { simulator } = setup({
+    telemetry,
+    scripts: {
+      supervisor: { responses: [{ text: TWO_TASK_PLAN, usage: usage(100, 20) }] },
+      agent: { fallback: { text: '子任務結果', usage: usage(50, 10) } },
+      synthesizer: { fallback: { text: '統整回覆', usage: usage(80, 30) } },
+    },
+  });
+  try {
+    await simulator.send(textEvent('規劃行程', { source: userSource('Ualice') }));
+
+    const requestIds = new Set(logs.map((entry) => entry.requestId));
+    assert.equal(requestIds.size, 1);
+
+    // webhook 在背景工作進行中就已回應，只檢查背景工作內的順序
+    const finished = logs.filter((entry) => entry.msg === 'stage finished').map((entry) => entry.stage);
+    assert.ok(finished.includes('webhook'));
+    assert.deepEqual(finished.filter((stage) => stage !== 'webhook'), ['retrieval', 'supervisor', 'agent', 'agent', 'synthesizer', 'reply', 'job']);
+    const agentSpans = logs.filter((entry) => entry.msg === 'stage finished' && entry.stage === 'agent');
+    assert.deepEqual(agentSpans.map((entry) => entry.role), ['研究員', '預算規劃師']);
+    assert.ok(agentSpans.every((entry) => typeof entry.durationMs === 'number' && entry.eventId));
+
+    const modelCalls = logs.filter((entry) => entry.msg === 'model call');
+    assert.deepEqual(modelCalls.map((entry) => [entry.stage, entry.model]), [
+      ['supervisor', 'fake:supervisor'], ['agent', 'fake:agent'], ['agent', 'fake:agent'], ['synthesizer', 'fake:synthesizer'],
+    ]);
+    assert.deepEqual(modelCalls[0].usage, { promptTokens: 100, outputTokens: 20, totalTokens: 120 });
+    assert.equal(modelCalls[1].role, '研究員');
+
+    assert.equal(telemetry.metrics.modelTokens.get({ stage: 'agent', type: 'prompt' }), 100);
+    assert.equal(telemetry.metrics.modelTokens.get({ stage: 'synthesizer', type: 'output' }), 30);
+    assert.equal(telemetry.metrics.stageDuration.get({ stage: 'agent', status: 'ok' }).count, 2);
+    assert.equal(telemetry.metrics.events.get({ type: 'message', outcome: 'queued' }), 1);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('counts fallback reasons, agent failures and reply errors', async () => {
+  const { telemetry, logs } = createRecordingTelemetry();
+  const lineClient = createRecordingLineClient({ failures: { replyMessage: new Error('Invalid reply token') } });
+  const { simulator } = setup({
+    telemetry,
+    lineClient,
+    scripts: {
+      supervisor: { responses: [TWO_TASK_PLAN, 'not json', 'still not json'] },
+      agent: { rules: [{ match: '你現在是 研究員', response: { error: 'upstream down', status: 503 } }] },
+    },
+  });
+  try {
+    await simulator.send(textEvent('規劃行程', { source: userSource('Ualice') }));
+    await simulator.send(textEvent('再規劃一次', { source: userSource('Ualice') }));
+    await simulator.send(textEvent('/mode simple', { source: userSource('Ualice') }));
+    await simulator.send(textEvent('你好', { source: userSource('Ualice') }));
+
+    const { metrics } = telemetry;
+    assert.equal(metrics.agentFailures.get(), 1);
+    assert.equal(metrics.fallbacks.get({ reason: 'invalid_plan' }), 1);
+    assert.equal(metrics.fallbacks.get({ reason: 'simple_mode' }), 1);
+    assert.equal(metrics.replyErrors.get({ method: 'reply' }), 4);
+    // 503 重試兩次後才回報失敗
+    assert.equal(metrics.modelCalls.get({ stage: 'agent', status: 'error' }), 3);
+    assert.equal(metrics.modelRetries.get({ stage: 'agent' }), 2);
+
+    const failedAgent = logs.find((entry) => entry.msg === 'stage failed');
+    assert.equal(failedAgent.role, '研究員');
+    assert.deepEqual([failedAgent.err.message, failedAgent.err.status], ['upstream down', 503]);
+    const fallback = logs.find((entry) => entry.reason === 'invalid_plan');
+    assert.match(fallback.fallbackReason, /JSON 解析失敗/);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('serves metrics behind METRICS_TOKEN', async () => {
+  const { simulator } = setup({ env: { METRICS_TOKEN: 'secret' } });
+  try {
+    await simulator.send(textEvent('你好'));
+
+    assert.equal((await get(simulator.app, '/metrics')).status, 401);
+    const res = await get(simulator.app, '/metrics', { Authorization: 'Bearer secret' });
+    assert.equal(res.status, 200);
+    assert.match(res.contentType, /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.body, /^line_bot_events_total\{type="message",outcome="queued"\} 1$/m);
+    assert.match(res.body, /^line_bot_fallbacks_total\{reason="simple_request"\} 1$/m);
+    assert.match(res.body, /^line_bot_stage_duration_seconds_count\{stage="reply",status="ok"\} 1$/m);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('drops log lines below LOG_LEVEL', async () => {
+  const { telemetry, logs } = createRecordingTelemetry({ level: 'warn' });
+  const { simulator } = setup({ telemetry, scripts: { default: { fallback: { error: 'boom' } } } });
+  try {
+    await simulator.send(textEvent('你好'));
+    assert.ok(logs.length > 0);
+    assert.ok(logs.every((entry) => entry.level === 'warn' || entry.level === 'error'));
+    assert.ok(logs.some((entry) => entry.msg === 'Error handling event' && entry.err.message === 'boom'));
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PROMPTS, ACTIONS, buildFeatureListMessage, buildHelpMessage,
+} = require('../prompts');
+const {
+  textEvent, postbackEvent, userSource, groupSource, createRecordingLineClient,
+} = require('../scripts/webhook-simulator');
+const { setup } = require('./helpers');
+
+test('rejects requests with an invalid signature', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    const res = await simulator.send(textEvent('你好'), { signature: 'not-a-valid-signature' });
+    assert.equal(res.status, 401);
+    assert.deepEqual(lineClient.calls, []);
+    assert.equal(providers.supervisor.calls.length, 0);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('ignores LINE verification dummy reply tokens', async () => {
+  const { simulator, lineClient, providers } = setup();
+  try {
+    const res = await simulator.send([
+      textEvent('verify', { replyToken: '00000000000000000000000000000000' }),
+      textEvent('verify', { replyToken: 'ffffffffffffffffffffffffffffffff' }),
+    ]);
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse(res.body), [null, null]);
+    assert.deepEqual(lineClient.calls, []);
+    assert.equal(providers.supervisor.calls.length, 0);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('ignores events and message types it does not handle', async () => {
+  const { simulator, lineClient } = setup();
+  const sticker = textEvent('');
+  sticker.message = { type: 'sticker', id: sticker.message.id, packageId: '1', stickerId: '1' };
+  const { message, replyToken, ...unsend } = textEvent('');
+  unsend.type = 'unsend';
+  unsend.unsend = { messageId: message.id };
+  try {
+    const res = await simulator.send([unsend, sticker]);
+    assert.equal(res.status, 200);
+    assert.deepEqual(lineClient.calls, []);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('answers Rich Menu postbacks directly', async (t) => {
+  const routes = [
+    [ACTIONS.FEATURES, buildFeatureListMessage()],
+    [ACTIONS.HELP, buildHelpMessage()],
+    [ACTIONS.AI_CHAT, { type: 'text', text: DEFAULT_PROMPTS.text('greeting.aiChat') }],
+    ['action=unknown', { type: 'text', text: '⚠️ 未知的操作，請使用底部選單的功能按鈕。' }],
+  ];
+
+  for (const [data, expected] of routes) {
+    await t.test(data, async () => {
+      const { simulator, lineClient, providers } = setup();
+      try {
+        const event = postbackEvent(data);
+        await simulator.send(event);
+        assert.deepEqual(lineClient.calls, [
+          { method: 'replyMessage', args: [event.replyToken, [expected]] },
+        ]);
+        assert.equal(providers.supervisor.calls.length, 0);
+      } finally {
+        await simulator.close();
+      }
+    });
+  }
+});
+
+test('ignores postbacks from Rich Menu tab switches', async () => {
+  const { simulator, lineClient } = setup();
+  try {
+    const res = await simulator.send(postbackEvent(`${ACTIONS.SWITCH_MENU}&menu=mars-settings`));
+    assert.equal(res.status, 200);
+    assert.deepEqual(lineClient.calls, []);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('replies with an error message when a postback action fails', async () => {
+  const { simulator, lineClient, store } = setup();
+  try {
+    const { get } = store;
+    store.get = async (key) => {
+      if (key.startsWith('kb:')) throw new Error('store offline');
+      return get.call(store, key);
+    };
+    await simulator.send(postbackEvent('action=delete_document&id=doc1'));
+    assert.deepEqual(lineClient.sentMessages(), [{ type: 'text', text: '對不起，處理操作時遇到錯誤，請稍後再試。' }]);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('does not reuse the reply token after a postback reply fails', async () => {
+  const lineClient = createRecordingLineClient({ failures: { replyMessage: new Error('quota exceeded') } });
+  const { simulator } = setup({ lineClient });
+  try {
+    const res = await simulator.send(postbackEvent(ACTIONS.HELP));
+    assert.equal(res.status, 200);
+    assert.deepEqual(lineClient.calls.map((c) => c.method), ['replyMessage']);
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('shows the loading animation only in one-on-one chats', async () => {
+  const { simulator, lineClient } = setup();
+  try {
+    await simulator.send(textEvent('你好', { source: userSource('Ualice') }));
+    await simulator.send(textEvent('/ai 你好', { source: groupSource('Cgroup', 'Ualice') }));
+    const loading = lineClient.calls.filter((c) => c.method === 'showLoadingAnimation');
+    assert.deepEqual(loading, [{ method: 'showLoadingAnimation', args: ['Ualice', 60] }]);
+  } finally {
+    await simulator.close();
+  }
+});
@@ -0,0 +1,132 @@
+/**
+ * Date/Time Tools — 目前時間與時區換算
+ *
+ * 模型不知道「現在」是幾點，詢問日期、倒數或跨時區會議時間時請使用這些工具。
+ * 時鐘可注入 (now)，方便離線測試。
+ */
+
+const { SchemaType } = require('@google/generative-ai');
+
+const DEFAULT_TIMEZONE = 'Asia/Taipei';
+
+function assertTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (err) {
+    throw new Error(`未知的時區：${timeZone}`);
+  }
+}
+
+/**
+ * 取得某個時區在指定時間點的各欄位
+ * @param {Date} date
+ * @param {string} timeZone - IANA 時區，例如 Asia/Taipei
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    weekday: 'long',
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map((p) => [p.type, p.value]));
+}
+
+/**
+ * 時區相對 UTC 的分鐘差 (例如 Asia/Taipei 為 480)
+ */
+function getTimezoneOffsetMinutes(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * 格式化為 "YYYY-MM-DD HH:mm:ss (weekday)"
+ */
+function formatZoned(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second} (${p.weekday})`;
+}
+
+/**
+ * 將某時區的當地時間轉為 Date
+ * @param {string} localDateTime - "YYYY-MM-DD HH:mm" 或 "YYYY-MM-DDTHH:mm:ss"
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToDate(localDateTime, timeZone) {
+  const match = localDateTime.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) throw new Error(`無法解析的時間格式：${localDateTime} (請使用 YYYY-MM-DD HH:mm)`);
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  const wallClockAsUtc = Date.UTC(y, mo - 1, d, h, mi, s || 0);
+  // Date.UTC 會把 2026-02-30 進位成 3 月 2 日，換算回來不一致就是不存在的日期
+  const parsed = new Date(wallClockAsUtc);
+  if (parsed.getUTCMonth() !== mo - 1 || parsed.getUTCDate() !== d || parsed.getUTCHours() !== h
+    || parsed.getUTCMinutes() !== mi || parsed.getUTCSeconds() !== (s || 0)) {
+    throw new Error(`不存在的日期或時間：${localDateTime}`);
+  }
+
+  // 先以 UTC 猜測，再用該時間點的時區偏移修正 (處理日光節約時間需再修正一次)
+  let guess = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(wallClockAsUtc), timeZone) * 60000;
+  guess = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(guess), timeZone) * 60000;
+  return new Date(guess);
+}
+
+/**
+ * @param {object} [options]
+ * @param {() => Date} [options.now] - 目前時間來源
+ */
+function createDateTimeTools({ now = () => new Date() } = {}) {
+  const currentTimeTool = {
+    name: 'get_current_time',
+    description: `取得目前的日期、時間與星期。未指定時區時使用 ${DEFAULT_TIMEZONE}。`,
+    parameters: {
+      type: SchemaType.OBJECT,
+      properties: {
+        timezone: { type: SchemaType.STRING, description: 'IANA 時區，例如 Asia/Taipei、America/New_York' },
+      },
+    },
+    async execute({ timezone = DEFAULT_TIMEZONE } = {}) {
+      assertTimezone(timezone);
+      const date = now();
+      return { timezone, localTime: formatZoned(date, timezone), iso: date.toISOString() };
+    },
+  };
+
+  const convertTimezoneTool = {
+    name: 'convert_timezone',
+    description: '把某個時區的當地時間換算成另一個時區的當地時間。',
+    parameters: {
+      type: SchemaType.OBJECT,
+      properties: {
+        datetime: { type: SchemaType.STRING, description: '當地時間，格式 YYYY-MM-DD HH:mm' },
+        fromTimezone: { type: SchemaType.STRING, description: '來源 IANA 時區' },
+        toTimezone: { type: SchemaType.STRING, description: '目標 IANA 時區' },
+      },
+      required: ['datetime', 'fromTimezone', 'toTimezone'],
+    },
+    async execute({ datetime, fromTimezone, toTimezone }) {
+      assertTimezone(fromTimezone);
+      assertTimezone(toTimezone);
+      const date = zonedTimeToDate(datetime, fromTimezone);
+      return {
+        from: { timezone: fromTimezone, localTime: formatZoned(date, fromTimezone) },
+        to: { timezone: toTimezone, localTime: formatZoned(date, toTimezone) },
+        iso: date.toISOString(),
+      };
+    },
+  };
+
+  return [currentTimeTool, convertTimezoneTool];
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  assertTimezone,
+  getZonedParts,
+  formatZoned,
+  zonedTimeToDate,
+  createDateTimeTools,
+};
@@ -0,0 +1,233 @@
+/**
+ * URL Fetch Tool — 讀取網頁內容
+ *
+ * HTTP 層 (httpGet) 與 DNS 解析 (resolveHost) 可替換，本地測試時可改用假的實作而不需連網。
+ * 只允許 http/https，並拒絕解析到 loopback、私有網段、link-local (含雲端 metadata) 等內部位址的網址，
+ * 避免被用來探測內部服務：
+ *   - 每次轉址都重新檢查 (HTTP 層不自動跟隨轉址)
+ *   - 預設 HTTP 層在連線時再檢查一次 DNS 結果，避免檢查後才換成內部位址 (DNS rebinding)
+ *   - 回應 body 超過 maxBytes 即停止讀取
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { SchemaType } = require('@google/generative-ai');
+
+const DEFAULT_MAX_CHARS = 4000;
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 8000;
+const MAX_REDIRECTS = 3;
+
+// IPv4 與 IPv6 分開：同一個 BlockList 中的 ::ffff:0:0/96 也會擋下所有 IPv4
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8], // 未指定位址
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // CGNAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local (169.254.169.254 為雲端 metadata)
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // 保留位址 (含 255.255.255.255)
+].forEach(([prefix, bits]) => BLOCKED_IPV4.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 96], // 未指定位址、loopback 與 IPv4-compatible
+  ['::ffff:0:0', 96], // IPv4-mapped (::ffff:127.0.0.1)
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['fec0::', 10], // site-local (已廢止)
+  ['ff00::', 8], // multicast
+].forEach(([prefix, bits]) => BLOCKED_IPV6.addSubnet(prefix, bits, 'ipv6'));
+
+// 不需解析就知道是內部主機的名稱 (例如 metadata.google.internal)
+const INTERNAL_HOSTNAME_PATTERN = /(^|\.)(localhost|internal|local)$/i;
+
+const BLOCKED_MESSAGE = '不允許讀取內部網路位址';
+
+/**
+ * @param {string} address - IP 位址
+ * @returns {boolean} 是否為內部 / 保留位址 (無法辨識的格式也視為內部)
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return family === 4 ? BLOCKED_IPV4.check(address, 'ipv4') : BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+/**
+ * 預設的 DNS 解析：回傳主機的所有位址
+ * @param {string} hostname
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ */
+function defaultResolveHost(hostname) {
+  return dns.promises.lookup(hostname, { all: true });
+}
+
+/**
+ * 檢查網址並解析主機，任一位址為內部位址即拒絕
+ * @param {string} rawUrl
+ * @param {(hostname: string) => Promise<Array<{address: string}>>} resolveHost
+ * @param {URL} [base] - 轉址的 Location 可能是相對網址
+ * @returns {Promise<URL>}
+ */
+async function assertPublicUrl(rawUrl, resolveHost, base) {
+  let url;
+  try {
+    url = new URL(rawUrl, base);
+  } catch (err) {
+    throw new Error(`無效的網址：${rawUrl}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('只支援 http / https 網址');
+  }
+
+  // URL 會把十進位、十六進位等寫法的 IPv4 正規化；IPv6 位址帶有中括號
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (INTERNAL_HOSTNAME_PATTERN.test(hostname)) throw new Error(BLOCKED_MESSAGE);
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await resolveHost(hostname)).map((entry) => entry.address);
+    } catch (err) {
+      throw new Error(`無法解析網址的主機：${hostname}`);
+    }
+  }
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) throw new Error(BLOCKED_MESSAGE);
+  return url;
+}
+
+/**
+ * http.request 的 lookup：連線時檢查實際使用的位址
+ * (Node 20 以 all: true 呼叫，以便在多個位址間自動選擇)
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    if (entries.some((entry) => isBlockedAddress(entry.address))) return callback(new Error(BLOCKED_MESSAGE));
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * 建立 HTTP 層：不跟隨轉址 (由呼叫端檢查 Location 後再請求)，body 超過 maxBytes 即停止讀取
+ * @param {object} [options]
+ * @param {Function} [options.lookup] - 連線時的 DNS 解析 (預設拒絕內部位址)
+ * @param {number} [options.maxBytes]
+ * @param {number} [options.timeoutMs] - 含讀取 body 的總時間
+ * @returns {(url: string) => Promise<{status: number, contentType: string, location: string|null, body: string, truncated: boolean}>}
+ */
+function createHttpGet({ lookup = safeLookup, maxBytes = DEFAULT_MAX_BYTES, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return (url) => new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, {
+      headers: { 'User-Agent': 'mars-line-bot/1.0' },
+      lookup,
+      signal: AbortSignal.timeout(timeoutMs),
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      const finish = (truncated) => resolve({
+        status: res.statusCode,
+        contentType: res.headers['content-type'] || '',
+        location: res.headers.location || null,
+        body: Buffer.concat(chunks).toString('utf8'),
+        truncated,
+      });
+
+      res.on('data', (chunk) => {
+        const room = maxBytes - size;
+        size += chunk.length;
+        if (size <= maxBytes) {
+          chunks.push(chunk);
+          return;
+        }
+        chunks.push(chunk.subarray(0, room));
+        res.destroy();
+        finish(true);
+      });
+      res.on('end', () => finish(false));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+  });
+}
+
+const defaultHttpGet = createHttpGet();
+
+/**
+ * 將 HTML 轉為純文字 (移除 script/style 與標籤)
+ */
+function htmlToText(html) {
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+  const text = html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+  return { title: title ? title.trim() : null, text };
+}
+
+/**
+ * @param {object} [options]
+ * @param {(url: string) => Promise<{status: number, contentType: string, location?: string|null, body: string, truncated?: boolean}>} [options.httpGet]
+ *   不可自動跟隨轉址 (3xx 回傳 location)
+ * @param {(hostname: string) => Promise<Array<{address: string}>>} [options.resolveHost]
+ * @param {number} [options.maxChars] - 回傳給模型的最大字數
+ */
+function createFetchUrlTool({ httpGet = defaultHttpGet, resolveHost = defaultResolveHost, maxChars = DEFAULT_MAX_CHARS } = {}) {
+  return {
+    name: 'fetch_url',
+    description: '讀取指定網址的內容 (HTML 會轉為純文字)，適合查證使用者提供的連結。',
+    parameters: {
+      type: SchemaType.OBJECT,
+      properties: {
+        url: { type: SchemaType.STRING, description: '完整網址，需以 http:// 或 https:// 開頭' },
+      },
+      required: ['url'],
+    },
+    async execute({ url }) {
+      let target = await assertPublicUrl(url, resolveHost);
+      let res = await httpGet(target.toString());
+      for (let redirects = 0; res.status >= 300 && res.status < 400 && res.location; redirects++) {
+        if (redirects === MAX_REDIRECTS) throw new Error(`轉址超過 ${MAX_REDIRECTS} 次`);
+        target = await assertPublicUrl(res.location, resolveHost, target);
+        res = await httpGet(target.toString());
+      }
+      if (res.status >= 400) throw new Error(`HTTP ${res.status}`);
+
+      const isHtml = /html/i.test(res.contentType) || /^\s*<(!doctype|html)/i.test(res.body);
+      const { title, text } = isHtml ? htmlToText(res.body) : { title: null, text: res.body };
+      return {
+        url: target.toString(),
+        title,
+        content: text.slice(0, maxChars),
+        truncated: Boolean(res.truncated) || text.length > maxChars,
+      };
+    },
+  };
+}
+
+module.exports = {
+  isBlockedAddress,
+  createHttpGet,
+  htmlToText,
+  createFetchUrlTool,
+};
@@ -0,0 +1,120 @@
+/**
+ * Tool Registry
+ *
+ * Sub-agent 透過 function calling 使用的工具集中在此註冊。
+ * 每個工具的格式：
+ *   {
+ *     name,         // function 名稱 (英數與底線)
+ *     description,  // 給模型看的用途說明
+ *     parameters,   // function declaration schema (SchemaType)
+ *     execute(args) // async，回傳可 JSON 序列化的結果；失敗時拋出錯誤
+ *   }
+ * Supervisor 會在計畫中指定每個任務可以使用哪些工具 (task.tools)。
+ */
+
+const { calculateTool, convertUnitsTool } = require('./math');
+const { createDateTimeTools } = require('./datetime');
+const { createFetchUrlTool } = require('./fetch-url');
+
+const DEFAULT_MAX_TOOL_STEPS = 5;
+
+function createToolRegistry() {
+  const tools = new Map();
+
+  return {
+    register(tool) {
+      if (tools.has(tool.name)) throw new Error(`Tool "${tool.name}" is already registered`);
+      tools.set(tool.name, tool);
+      return this;
+    },
+    get(name) {
+      return tools.get(name) || null;
+    },
+    has(name) {
+      return tools.has(name);
+    },
+    names() {
+      return [...tools.keys()];
+    },
+    /**
+     * 給 Supervisor prompt 的工具清單
+     * @returns {Array<{name: string, description: string}>}
+     */
+    catalog() {
+      return [...tools.values()].map(({ name, description }) => ({ name, description }));
+    },
+    /**
+     * 轉為 provider.generate() 的 tools 參數
+     * @param {string[]} names - 要開放的工具
+     * @returns {Array<{name: string, description: string, parameters: object}>}
+     */
+    declarations(names) {
+      return names
+        .filter((name) => tools.has(name))
+        .map((name) => {
+          const { description, parameters } = tools.get(name);
+          return { name, description, parameters };
+        });
+    },
+  };
+}
+
+/**
+ * 建立內建工具 (皆可離線執行)
+ * @param {object} [options]
+ * @param {() => Date} [options.now] - 時鐘
+ * @param {Function} [options.httpGet] - fetch_url 的 HTTP 層
+ * @param {Function} [options.resolveHost] - fetch_url 的 DNS 解析
+ */
+function createBuiltinToolRegistry({ now, httpGet, resolveHost } = {}) {
+  const registry = createToolRegistry();
+  [calculateTool, convertUnitsTool, ...createDateTimeTools({ now }), createFetchUrlTool({ httpGet, resolveHost })]
+    .forEach((tool) => registry.register(tool));
+  return registry;
+}
+
+/**
+ * 以 function calling 執行一次生成：模型要求呼叫工具時執行並回傳結果，直到模型給出文字回覆
+ * @param {object} provider - LLM provider (providers/index.js)
+ * @param {string|Array<object>} input - 使用者訊息 (純文字或含附件的 parts)
+ * @param {object} options
+ * @param {object} options.registry - createToolRegistry() 的結果
+ * @param {string[]} options.toolNames - 本次允許使用的工具
+ * @param {number} [options.maxSteps] - 最多幾輪工具呼叫
+ * @param {(record: object) => void} [options.onToolCall] - 每次工具呼叫後的紀錄 callback
+ * @returns {Promise<string>} 模型最終的文字回覆
+ */
+async function generateWithTools(provider, input, { registry, toolNames, maxSteps = DEFAULT_MAX_TOOL_STEPS, onToolCall = () => {} }) {
+  const tools = registry.declarations(toolNames);
+  const contents = [{ role: 'user', parts: typeof input === 'string' ? [{ text: input }] : input }];
+
+  for (let step = 0; step <= maxSteps; step++) {
+    // 最後一輪不再提供工具，強制模型以文字作答
+    const request = step < maxSteps && tools.length > 0 ? { contents, tools } : { contents };
+    const result = await provider.generate(request);
+    if (result.functionCalls.length === 0) return result.text;
+
+    contents.push(result.content);
+    const responses = await Promise.all(result.functionCalls.map(async ({ name, args }) => {
+      const startedAt = Date.now();
+      let response;
+      try {
+        if (!toolNames.includes(name) || !registry.has(name)) throw new Error(`工具 ${name} 未開放給此任務`);
+        response = { result: await registry.get(name).execute(args) };
+      } catch (err) {
+        response = { error: err.message };
+      }
+      onToolCall({ tool: name, args, ...response, durationMs: Date.now() - startedAt });
+      return { functionResponse: { name, response } };
+    }));
+    contents.push({ role: 'function', parts: responses });
+  }
+
+  throw new Error('Tool calling did not produce a text response');
+}
+
+module.exports = {
+  createToolRegistry,
+  createBuiltinToolRegistry,
+  generateWithTools,
+};
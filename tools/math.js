@@ -0,0 +1,216 @@
+/**
+ * Math Tools — 四則運算與單位換算
+ *
+ * 讓「計算專家」之類的 Agent 不必自己心算。運算式以遞迴下降解析，
+ * 不使用 eval，只支援數字、+ - * / % ^、括號、常數與少數函式。
+ */
+
+const { SchemaType } = require('@google/generative-ai');
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  ln: Math.log,
+  log: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|[-+*/%^(),])/giy;
+  while (pattern.lastIndex < expression.length) {
+    const position = pattern.lastIndex;
+    const match = pattern.exec(expression);
+    if (!match) {
+      // exec 失敗時 lastIndex 會被重設，因此以 position 判斷剩餘內容
+      const rest = expression.slice(position).trim();
+      if (rest === '') break;
+      throw new Error(`無法解析的字元：${rest[0]}`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * 計算數學運算式
+ * @param {string} expression - 例如 "(1200 * 1.05) ^ 2 / sqrt(16)"
+ * @returns {number}
+ */
+function evaluateExpression(expression) {
+  const tokens = tokenize(expression.replace(/,(?=\d{3}\b)/g, ''));
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`預期 "${token}"`);
+  };
+
+  // expression := term (('+' | '-') term)*
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  // term := unary (('*' | '/' | '%') unary)*
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const op = next();
+      const rhs = parseUnary();
+      if (op === '*') value *= rhs;
+      else if (op === '/') value /= rhs;
+      else value %= rhs;
+    }
+    return value;
+  }
+
+  // unary := ('-' | '+') unary | power  (因此 -2^2 = -4)
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // power := primary ('^' unary)?  (右結合)
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return base ** parseUnary();
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) throw new Error('運算式不完整');
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    if (name in CONSTANTS) return CONSTANTS[name];
+    if (name in FUNCTIONS) {
+      expect('(');
+      const arg = parseExpression();
+      expect(')');
+      return FUNCTIONS[name](arg);
+    }
+    throw new Error(`未知的符號：${token}`);
+  }
+
+  const result = parseExpression();
+  if (pos < tokens.length) throw new Error(`多餘的符號：${tokens[pos]}`);
+  if (!Number.isFinite(result)) throw new Error('計算結果不是有限數字');
+  return result;
+}
+
+// ===== Unit Conversion =====
+
+// 各類別以基準單位表示的倍率 (長度: 公尺, 重量: 公斤, 容量: 公升, 面積: 平方公尺, 時間: 秒, 資料量: byte)
+const UNIT_FACTORS = {
+  length: { mm: 0.001, cm: 0.01, m: 1, km: 1000, in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, 公分: 0.01, 公尺: 1, 公里: 1000, 台尺: 10 / 33 },
+  mass: { mg: 1e-6, g: 0.001, kg: 1, t: 1000, oz: 0.028349523125, lb: 0.45359237, 公克: 0.001, 公斤: 1, 台斤: 0.6, 兩: 0.0375 },
+  volume: { ml: 0.001, l: 1, 'm3': 1000, tsp: 0.00492892, tbsp: 0.0147868, cup: 0.24, 'fl oz': 0.0295735, gal: 3.785411784, 毫升: 0.001, 公升: 1 },
+  area: { 'm2': 1, 'km2': 1e6, ha: 1e4, acre: 4046.8564224, 'ft2': 0.09290304, 坪: 400 / 121, 平方公尺: 1 },
+  time: { ms: 0.001, s: 1, min: 60, h: 3600, day: 86400, week: 604800, 秒: 1, 分鐘: 60, 小時: 3600, 天: 86400 },
+  data: { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 },
+};
+
+const TEMPERATURE_UNITS = {
+  c: { toKelvin: (v) => v + 273.15, fromKelvin: (k) => k - 273.15 },
+  f: { toKelvin: (v) => (v - 32) * 5 / 9 + 273.15, fromKelvin: (k) => (k - 273.15) * 9 / 5 + 32 },
+  k: { toKelvin: (v) => v, fromKelvin: (k) => k },
+};
+
+function normalizeUnit(unit) {
+  return unit.trim().toLowerCase().replace(/²/g, '2').replace(/³/g, '3').replace(/^°/, '');
+}
+
+/**
+ * 單位換算
+ * @param {number} value
+ * @param {string} from - 來源單位
+ * @param {string} to - 目標單位
+ * @returns {{value: number, category: string}}
+ */
+function convertUnits(value, from, to) {
+  const fromUnit = normalizeUnit(from);
+  const toUnit = normalizeUnit(to);
+
+  if (fromUnit in TEMPERATURE_UNITS && toUnit in TEMPERATURE_UNITS) {
+    return { value: TEMPERATURE_UNITS[toUnit].fromKelvin(TEMPERATURE_UNITS[fromUnit].toKelvin(value)), category: 'temperature' };
+  }
+  for (const [category, factors] of Object.entries(UNIT_FACTORS)) {
+    if (fromUnit in factors && toUnit in factors) {
+      return { value: (value * factors[fromUnit]) / factors[toUnit], category };
+    }
+  }
+  throw new Error(`不支援的單位換算：${from} → ${to}`);
+}
+
+// 去除浮點誤差 (例如 0.30000000000000004)
+function tidy(number) {
+  return Number(number.toPrecision(12));
+}
+
+const calculateTool = {
+  name: 'calculate',
+  description: '計算數學運算式，支援 + - * / % ^、括號、sqrt/abs/round/floor/ceil/ln/log/sin/cos/tan 與常數 pi、e。',
+  parameters: {
+    type: SchemaType.OBJECT,
+    properties: {
+      expression: { type: SchemaType.STRING, description: '運算式，例如 "(1200 * 1.05) ^ 2"' },
+    },
+    required: ['expression'],
+  },
+  async execute({ expression }) {
+    return { expression, result: tidy(evaluateExpression(expression)) };
+  },
+};
+
+const convertUnitsTool = {
+  name: 'convert_units',
+  description: '單位換算：長度、重量、容量、面積 (含坪)、時間、資料量與溫度 (C/F/K)。',
+  parameters: {
+    type: SchemaType.OBJECT,
+    properties: {
+      value: { type: SchemaType.NUMBER, description: '數值' },
+      from: { type: SchemaType.STRING, description: '來源單位，例如 km、lb、C、坪' },
+      to: { type: SchemaType.STRING, description: '目標單位，例如 mi、kg、F、m2' },
+    },
+    required: ['value', 'from', 'to'],
+  },
+  async execute({ value, from, to }) {
+    const converted = convertUnits(Number(value), from, to);
+    return { value, from, to, result: tidy(converted.value), category: converted.category };
+  },
+};
+
+module.exports = {
+  evaluateExpression,
+  convertUnits,
+  calculateTool,
+  convertUnitsTool,
+};
@@ -0,0 +1,137 @@
+/**
+ * Message Delivery
+ *
+ * 背景工作完成時 reply token 可能已經過期，因此先嘗試 replyMessage，
+ * token 過期或無效時改用 pushMessage 傳給原本的使用者 / 群組 / 聊天室。
+ * 其他錯誤 (訊息格式錯誤、逾時等) 不改用 push：同樣的內容再送一次只會再失敗，
+ * 逾時的 reply 也可能已經送達，push 會讓使用者收到兩次。
+ * 每次 API 呼叫最多 5 則訊息，超過的部分以 push 依序補送。
+ * 另提供 LINE 聊天室的 loading 動畫 (SDK v8 尚未支援，直接呼叫 API)。
+ */
+
+const { getSourceId } = require('./history');
+const { createLogger } = require('./telemetry');
+
+// LINE reply token 約一分鐘後失效，保留一點緩衝
+const DEFAULT_REPLY_TOKEN_TTL_MS = 50 * 1000;
+
+// replyMessage / pushMessage 單次最多 5 則訊息
+const MAX_MESSAGES_PER_REQUEST = 5;
+
+/**
+ * reply token 過期、已使用或無效 — LINE 回應 400 "Invalid reply token"
+ * @param {Error} err - @line/bot-sdk 的 HTTPError (statusCode、originalError.response.data)
+ */
+function isInvalidReplyToken(err) {
+  if (err.statusCode && err.statusCode !== 400) return false;
+  const response = err.originalError && err.originalError.response;
+  const message = (response && response.data && response.data.message) || err.message || '';
+  return /invalid reply token/i.test(message);
+}
+
+function toBatches(messages) {
+  const list = Array.isArray(messages) ? messages : [messages];
+  const batches = [];
+  for (let i = 0; i < list.length; i += MAX_MESSAGES_PER_REQUEST) {
+    batches.push(list.slice(i, i + MAX_MESSAGES_PER_REQUEST));
+  }
+  return batches;
+}
+
+/**
+ * @param {object} lineClient - @line/bot-sdk Client
+ * @param {object} [options]
+ * @param {number} [options.replyTokenTtlMs] - 超過此時間 (由 event.timestamp 起算) 直接改用 push
+ * @param {(event: object, messageIds: string[]) => Promise} [options.onSent] - 送出後取得 Bot 訊息的 ID (失敗只記錄)
+ * @param {(method: 'reply'|'push', err: Error) => void} [options.onError] - API 呼叫失敗時通知
+ *   (reply token 無效時改用 push，其他失敗會拋出)
+ * @param {object} [options.logger] - utils/telemetry.js 的 logger
+ */
+function createDelivery(lineClient, {
+  replyTokenTtlMs = DEFAULT_REPLY_TOKEN_TTL_MS,
+  onSent,
+  logger = createLogger(),
+  onError = (method, err) => logger.warn(`${method}Message failed`, { err }),
+} = {}) {
+  /**
+   * 回覆訊息給事件的來源
+   * @param {object} event - LINE event (需有 replyToken、timestamp、source)
+   * @param {object|Array<object>} messages - LINE message 物件，數量不限
+   */
+  async function send(event, messages) {
+    const [first, ...overflow] = toBatches(messages);
+    const responses = [await sendFirstBatch(event, first)];
+    for (const batch of overflow) {
+      responses.push(await push(event, batch));
+    }
+    await notifySent(event, responses);
+    return responses[responses.length - 1];
+  }
+
+  // Messaging API 回應中的 sentMessages 含有 Bot 訊息的 ID (使用者引用時的 quotedMessageId)
+  async function notifySent(event, responses) {
+    if (!onSent) return;
+    const messageIds = responses
+      .flatMap((response) => (response && response.sentMessages) || [])
+      .map((sent) => sent.id);
+    try {
+      await onSent(event, messageIds);
+    } catch (err) {
+      logger.warn('onSent failed', { err });
+    }
+  }
+
+  async function sendFirstBatch(event, batch) {
+    const tokenFresh = !event.timestamp || Date.now() - event.timestamp < replyTokenTtlMs;
+    if (event.replyToken && tokenFresh) {
+      try {
+        return await lineClient.replyMessage(event.replyToken, batch);
+      } catch (err) {
+        onError('reply', err);
+        if (!isInvalidReplyToken(err)) throw err;
+      }
+    }
+    return push(event, batch);
+  }
+
+  async function push(event, batch) {
+    const to = getSourceId(event.source);
+    if (!to) throw new Error('Cannot push message: event has no source id');
+    try {
+      return await lineClient.pushMessage(to, batch);
+    } catch (err) {
+      onError('push', err);
+      throw err;
+    }
+  }
+
+  return { send };
+}
+
+/**
+ * 顯示 LINE 聊天室的 loading 動畫 (僅支援一對一聊天)，失敗時只記錄不拋出
+ * @param {string} channelAccessToken
+ * @param {string} chatId - 使用者 ID
+ * @param {object} [options]
+ * @param {number} [options.loadingSeconds] - 5 的倍數，最多 60 秒
+ * @param {object} [options.logger] - utils/telemetry.js 的 logger
+ */
+async function startLoadingAnimation(channelAccessToken, chatId, { loadingSeconds = 60, logger = createLogger() } = {}) {
+  try {
+    const res = await fetch('https://api.line.me/v2/bot/chat/loading/start', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${channelAccessToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chatId, loadingSeconds }),
+    });
+    if (!res.ok) {
+      logger.warn('Loading animation failed', { status: res.status, body: await res.text() });
+    }
+  } catch (err) {
+    logger.warn('Loading animation failed', { err });
+  }
+}
+
+module.exports = {
+  createDelivery,
+  startLoadingAnimation,
+};
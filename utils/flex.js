@@ -0,0 +1,346 @@
+/**
+ * LINE Flex Message Renderer
+ *
+ * 將 Gemini 的 Markdown 回覆排版為 Flex Message：
+ *   1. 條列、表格與程式碼區塊轉為對應的 Flex 元件 (一般段落維持文字訊息，方便複製)
+ *   2. 多 Agent 的結果以 carousel 呈現，第一張為統整回覆，其後每個角色一張
+ *   3. 功能列表 / 使用說明等卡片，按鈕直接觸發 postback 或指令
+ * 超過 Flex Message 的大小限制時，改用 utils/formatter.js 的純文字訊息。
+ */
+
+const {
+  EMPTY_REPLY_TEXT, markdownToPlainText, stripInlineMarkdown, buildTextMessages,
+} = require('./formatter');
+
+// LINE Flex Message 的限制 (JSON 大小以 byte 計)
+const MAX_BUBBLE_BYTES = 30 * 1024;
+const MAX_CAROUSEL_BYTES = 50 * 1024;
+const MAX_CAROUSEL_BUBBLES = 12;
+const ALT_TEXT_LIMIT = 1500;
+
+const FENCE_PATTERN = /^\s*```/;
+const TABLE_ROW_PATTERN = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HEADING_PATTERN = /^\s*#{1,6}\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+const MUTED_COLOR = '#888888';
+const CODE_BACKGROUND = '#F3F4F6';
+
+// ===== Markdown → Blocks =====
+
+/**
+ * 將 Markdown 切成區塊：heading / paragraph / list / table / code / rule
+ * @param {string} markdown
+ * @returns {Array<object>}
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  let code = null;
+  let table = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push({ kind: 'paragraph', text: paragraph.join('\n') });
+    paragraph = [];
+  };
+  const flushTable = () => {
+    if (table.length > 0) blocks.push({ kind: 'table', rows: table });
+    table = [];
+  };
+  const lastList = () => {
+    const last = blocks[blocks.length - 1];
+    return last && last.kind === 'list' ? last : null;
+  };
+
+  for (const line of (markdown || '').replace(/\r\n/g, '\n').split('\n')) {
+    if (code) {
+      if (FENCE_PATTERN.test(line)) {
+        blocks.push({ kind: 'code', text: code.join('\n') });
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+    if (FENCE_PATTERN.test(line)) {
+      flushParagraph();
+      flushTable();
+      code = [];
+      continue;
+    }
+    if (TABLE_ROW_PATTERN.test(line)) {
+      flushParagraph();
+      table.push(line);
+      continue;
+    }
+    flushTable();
+
+    const heading = line.match(HEADING_PATTERN);
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (line.trim() === '') {
+      flushParagraph();
+    } else if (heading) {
+      flushParagraph();
+      blocks.push({ kind: 'heading', text: heading[1] });
+    } else if (RULE_PATTERN.test(line)) {
+      flushParagraph();
+      blocks.push({ kind: 'rule' });
+    } else if (item) {
+      flushParagraph();
+      const entry = { marker: /\d/.test(item[2]) ? item[2] : '•', text: item[3], nested: item[1].length >= 2 };
+      if (lastList()) lastList().items.push(entry);
+      else blocks.push({ kind: 'list', items: [entry] });
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  // 沒有結尾 fence 的程式碼區塊照樣輸出
+  if (code) blocks.push({ kind: 'code', text: code.join('\n') });
+  flushParagraph();
+  flushTable();
+  return blocks;
+}
+
+/**
+ * 是否包含值得以 Flex 排版的結構 (條列、表格、程式碼)
+ * @param {string} markdown
+ * @returns {boolean}
+ */
+function hasStructuredContent(markdown) {
+  return parseBlocks(markdown).some((block) => ['list', 'table', 'code'].includes(block.kind));
+}
+
+// ===== Blocks → Flex Components =====
+
+// Flex 的 text 不可為空字串
+function textComponent(text, options = {}) {
+  const content = stripInlineMarkdown(text).trim();
+  return content ? { type: 'text', text: content, wrap: true, size: 'sm', ...options } : null;
+}
+
+function splitTableCells(row) {
+  return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim());
+}
+
+function tableComponent(rows) {
+  const hasHeader = rows.length > 1 && TABLE_SEPARATOR_PATTERN.test(rows[1]);
+  const bodyRows = rows.filter((row) => !TABLE_SEPARATOR_PATTERN.test(row));
+  const contents = [];
+  bodyRows.forEach((row, index) => {
+    const isHeader = hasHeader && index === 0;
+    contents.push({
+      type: 'box',
+      layout: 'horizontal',
+      spacing: 'sm',
+      contents: splitTableCells(row).map((cell) => textComponent(cell || '-', {
+        size: 'xs', flex: 1, ...(isHeader && { weight: 'bold' }),
+      }) || { type: 'text', text: '-', size: 'xs', flex: 1 }),
+    });
+    if (isHeader) contents.push({ type: 'separator' });
+  });
+  return { type: 'box', layout: 'vertical', spacing: 'sm', contents };
+}
+
+function listComponent(items) {
+  return {
+    type: 'box',
+    layout: 'vertical',
+    spacing: 'sm',
+    contents: items
+      .map(({ marker, text, nested }) => {
+        const content = textComponent(text, { flex: 1 });
+        if (!content) return null;
+        return {
+          type: 'box',
+          layout: 'horizontal',
+          spacing: 'sm',
+          ...(nested && { paddingStart: 'lg' }),
+          contents: [{ type: 'text', text: marker, size: 'sm', flex: 0 }, content],
+        };
+      })
+      .filter(Boolean),
+  };
+}
+
+// 程式碼保持原樣 (不去除 Markdown 符號)
+function codeComponent(code) {
+  if (!code.trim()) return null;
+  return {
+    type: 'box',
+    layout: 'vertical',
+    backgroundColor: CODE_BACKGROUND,
+    cornerRadius: 'md',
+    paddingAll: 'md',
+    contents: [{ type: 'text', text: code, wrap: true, size: 'xs' }],
+  };
+}
+
+/**
+ * 將 Markdown 轉為 Flex 元件陣列 (放進 bubble 的 body)
+ * @param {string} markdown
+ * @returns {Array<object>}
+ */
+function markdownToFlexComponents(markdown) {
+  return parseBlocks(markdown)
+    .map((block) => {
+      switch (block.kind) {
+        case 'heading': return textComponent(block.text, { weight: 'bold', size: 'md' });
+        case 'rule': return { type: 'separator' };
+        case 'list': return listComponent(block.items);
+        case 'table': return tableComponent(block.rows);
+        case 'code': return codeComponent(block.text);
+        default: return textComponent(block.text);
+      }
+    })
+    .filter((component) => component && (component.type !== 'box' || component.contents.length > 0));
+}
+
+// ===== Bubbles & Messages =====
+
+function headerBox(title) {
+  return {
+    type: 'box',
+    layout: 'vertical',
+    contents: [{ type: 'text', text: title, weight: 'bold', size: 'md', wrap: true }],
+  };
+}
+
+/**
+ * @param {string} markdown
+ * @param {object} [options]
+ * @param {string} [options.title] - 顯示在 header
+ * @param {boolean} [options.muted] - 以灰色顯示 (例如執行失敗的 Agent)
+ * @param {string} [options.size] - bubble 寬度 (mega / giga)
+ */
+function buildAnswerBubble(markdown, { title, muted = false, size = 'giga' } = {}) {
+  const components = markdownToFlexComponents(markdown);
+  const body = components.length > 0 ? components : [{ type: 'text', text: EMPTY_REPLY_TEXT, size: 'sm' }];
+  return {
+    type: 'bubble',
+    size,
+    ...(title && { header: headerBox(title) }),
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'md',
+      contents: muted
+        ? body.map((component) => (component.type === 'text' ? { ...component, color: MUTED_COLOR } : component))
+        : body,
+    },
+  };
+}
+
+function byteLength(value) {
+  return Buffer.byteLength(JSON.stringify(value));
+}
+
+/**
+ * 是否在 LINE 的 Flex Message 大小限制內
+ * @param {object} contents - bubble 或 carousel
+ * @returns {boolean}
+ */
+function fitsFlexLimits(contents) {
+  if (contents.type === 'carousel') {
+    return contents.contents.length <= MAX_CAROUSEL_BUBBLES
+      && byteLength(contents) <= MAX_CAROUSEL_BYTES
+      && contents.contents.every((bubble) => byteLength(bubble) <= MAX_BUBBLE_BYTES);
+  }
+  return byteLength(contents) <= MAX_BUBBLE_BYTES;
+}
+
+// 不支援 Flex 的裝置、通知與聊天列表只會顯示 altText
+function toAltText(text) {
+  const plain = text.replace(/\s+/g, ' ').trim() || EMPTY_REPLY_TEXT;
+  const chars = [...plain];
+  return chars.length > ALT_TEXT_LIMIT ? `${chars.slice(0, ALT_TEXT_LIMIT - 1).join('')}…` : plain;
+}
+
+function flexMessage(altText, contents) {
+  return { type: 'flex', altText: toAltText(altText), contents };
+}
+
+/**
+ * 將回答轉為 LINE 訊息：
+ * - 有 sections (多 Agent 的結果) → carousel：統整回覆 + 每個角色一張
+ * - 含條列 / 表格 / 程式碼 → 單一 bubble
+ * - 其他情況或超過大小限制 → buildTextMessages 的純文字訊息
+ * @param {string} markdown - 最終回答
+ * @param {object} [options]
+ * @param {Array<{title: string, text: string, failed?: boolean}>} [options.sections]
+ * @returns {Array<object>}
+ */
+function buildAnswerMessages(markdown, { sections = [] } = {}) {
+  const altText = markdownToPlainText(markdown || '');
+  let contents;
+  if (sections.length > 0) {
+    contents = {
+      type: 'carousel',
+      contents: [
+        buildAnswerBubble(markdown, { title: '📝 統整回覆', size: 'mega' }),
+        ...sections.map((section) => buildAnswerBubble(section.text, {
+          title: section.title, muted: section.failed, size: 'mega',
+        })),
+      ],
+    };
+  } else if (hasStructuredContent(markdown)) {
+    contents = buildAnswerBubble(markdown);
+  } else {
+    return buildTextMessages(markdown);
+  }
+  return fitsFlexLimits(contents) ? [flexMessage(altText, contents)] : buildTextMessages(markdown);
+}
+
+/**
+ * 卡片 (功能列表、使用說明)：每個段落可以附一個按鈕，footer 放共用按鈕
+ * @param {object} card
+ * @param {string} card.title - 同時作為 altText
+ * @param {Array<{title: string, text: string, action?: object}>} card.sections - action 為 LINE action 物件
+ * @param {Array<object>} [card.buttons] - footer 的 LINE action 物件
+ * @param {string} fallbackText - 超過大小限制時改送的文字
+ * @returns {object} LINE message
+ */
+function buildCardMessage({ title, sections, buttons = [] }, fallbackText) {
+  const body = [];
+  sections.forEach((section, index) => {
+    if (index > 0) body.push({ type: 'separator' });
+    body.push({
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'xs',
+      contents: [
+        { type: 'text', text: section.title, weight: 'bold', size: 'sm', wrap: true },
+        { type: 'text', text: section.text, size: 'xs', color: MUTED_COLOR, wrap: true },
+        ...(section.action ? [{ type: 'button', style: 'link', height: 'sm', action: section.action }] : []),
+      ],
+    });
+  });
+
+  const bubble = {
+    type: 'bubble',
+    size: 'giga',
+    header: headerBox(title),
+    body: { type: 'box', layout: 'vertical', spacing: 'md', contents: body },
+    ...(buttons.length > 0 && {
+      footer: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: buttons.map((action) => ({ type: 'button', style: 'secondary', height: 'sm', action })),
+      },
+    }),
+  };
+  return fitsFlexLimits(bubble) ? flexMessage(title, bubble) : { type: 'text', text: fallbackText };
+}
+
+module.exports = {
+  MAX_BUBBLE_BYTES,
+  parseBlocks,
+  hasStructuredContent,
+  markdownToFlexComponents,
+  buildAnswerBubble,
+  fitsFlexLimits,
+  buildAnswerMessages,
+  buildCardMessage,
+};
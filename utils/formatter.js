@@ -0,0 +1,318 @@
+/**
+ * LINE Message Formatter
+ *
+ * Gemini 的回覆是 Markdown，但 LINE 文字訊息不會渲染標題、粗體與表格，
+ * 且單則文字訊息上限 5000 字。此模組負責：
+ *   1. 將 Markdown 轉為易讀的純文字 (程式碼區塊保持原樣)
+ *   2. 依段落與程式碼區塊邊界切割成多則訊息
+ * 其他平台 (platforms/) 以 renderMarkdown() 轉成各自的格式 (Telegram HTML、Slack mrkdwn)。
+ */
+
+const LINE_TEXT_LIMIT = 5000;
+const EMPTY_REPLY_TEXT = '(沒有回覆內容)';
+
+const FENCE_PATTERN = /^\s*```/;
+const TABLE_ROW_PATTERN = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const HEADING_PATTERN = /^\s*#{1,6}\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const INLINE_TOKEN_PATTERN = /(`[^`\n]+`|!?\[[^\]]+\]\([^)\s]+\))/;
+
+// ===== Markdown → Plain Text =====
+
+function stripInlineMarkdown(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '$1 ($2)')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/__(.+?)__/g, '$1')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/(^|[^\w*])\*([^*\n]+?)\*(?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`\n]+)`/g, '$1');
+}
+
+function splitTableCells(row) {
+  return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => stripInlineMarkdown(cell.trim()));
+}
+
+/**
+ * 表格轉為條列：有表頭時每列寫成「• 欄位：值／欄位：值」
+ */
+function tableToLines(rows) {
+  const hasHeader = rows.length > 1 && TABLE_SEPARATOR_PATTERN.test(rows[1]);
+  const headers = hasHeader ? splitTableCells(rows[0]) : null;
+  const bodyRows = (hasHeader ? rows.slice(2) : rows).filter((row) => !TABLE_SEPARATOR_PATTERN.test(row));
+
+  return bodyRows.map((row) => {
+    const cells = splitTableCells(row);
+    if (!headers) return `• ${cells.join('｜')}`;
+    return `• ${cells.map((cell, i) => (headers[i] ? `${headers[i]}：${cell}` : cell)).join('／')}`;
+  });
+}
+
+/**
+ * 將 Markdown 轉為適合 LINE 顯示的純文字
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToPlainText(markdown) {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const output = [];
+  let inCode = false;
+  let tableRows = [];
+
+  const flushTable = () => {
+    if (tableRows.length > 0) output.push(...tableToLines(tableRows));
+    tableRows = [];
+  };
+
+  for (const line of lines) {
+    if (FENCE_PATTERN.test(line)) {
+      flushTable();
+      inCode = !inCode;
+      output.push(line);
+      continue;
+    }
+    if (inCode) {
+      output.push(line);
+      continue;
+    }
+    if (TABLE_ROW_PATTERN.test(line)) {
+      tableRows.push(line);
+      continue;
+    }
+    flushTable();
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      output.push(`【${stripInlineMarkdown(heading[1])}】`);
+    } else if (RULE_PATTERN.test(line)) {
+      output.push('──────────');
+    } else {
+      output.push(stripInlineMarkdown(line.replace(/^(\s*)[-*+]\s+/, '$1• ')));
+    }
+  }
+  flushTable();
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ===== Markdown → Other Markup =====
+
+// 行內程式碼與連結交給 renderer，其餘文字 (含粗體、斜體) 交給 renderer.text
+function renderInline(line, renderer) {
+  return line.split(INLINE_TOKEN_PATTERN).map((part, i) => {
+    if (i % 2 === 0) return part ? renderer.text(part) : '';
+    if (part.startsWith('`')) return renderer.code(part.slice(1, -1));
+    const [, label, url] = part.match(/\[([^\]]+)\]\(([^)\s]+)\)/);
+    return renderer.link(label, url);
+  }).join('');
+}
+
+/**
+ * 逐行轉換 Markdown；表格與分隔線的處理同 markdownToPlainText，格式由 renderer 決定
+ * @param {string} markdown
+ * @param {object} renderer
+ * @param {(text: string) => string} renderer.text - 一般文字 (負責跳脫與粗體 / 斜體 / 刪除線)
+ * @param {(code: string) => string} renderer.code - 行內程式碼
+ * @param {(label: string, url: string) => string} renderer.link
+ * @param {(html: string) => string} renderer.heading - 已轉換的標題文字
+ * @param {(code: string, lang: string) => string} renderer.codeBlock
+ * @returns {string}
+ */
+function renderMarkdown(markdown, renderer) {
+  const output = [];
+  let codeBlock = null;
+  let tableRows = [];
+
+  const flushTable = () => {
+    if (tableRows.length > 0) output.push(...tableToLines(tableRows).map(renderer.text));
+    tableRows = [];
+  };
+  const flushCode = () => {
+    output.push(renderer.codeBlock(codeBlock.lines.join('\n'), codeBlock.lang));
+    codeBlock = null;
+  };
+
+  for (const line of markdown.replace(/\r\n/g, '\n').split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      flushTable();
+      if (codeBlock) flushCode();
+      else codeBlock = { lang: line.trim().slice(3).trim(), lines: [] };
+      continue;
+    }
+    if (codeBlock) {
+      codeBlock.lines.push(line);
+      continue;
+    }
+    if (TABLE_ROW_PATTERN.test(line)) {
+      tableRows.push(line);
+      continue;
+    }
+    flushTable();
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      output.push(renderer.heading(renderInline(heading[1], renderer)));
+    } else if (RULE_PATTERN.test(line)) {
+      output.push('──────────');
+    } else {
+      output.push(renderInline(line.replace(/^(\s*)[-*+]\s+/, '$1• '), renderer));
+    }
+  }
+  flushTable();
+  // 沒有結尾 fence 的程式碼區塊
+  if (codeBlock) flushCode();
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ===== Splitting =====
+
+/**
+ * 切出段落區塊：以空行分隔，但程式碼區塊內的空行不切開
+ */
+function splitBlocks(text) {
+  const blocks = [];
+  let current = [];
+  let inCode = false;
+
+  for (const line of text.split('\n')) {
+    if (FENCE_PATTERN.test(line)) inCode = !inCode;
+    if (!inCode && line.trim() === '' && !FENCE_PATTERN.test(line)) {
+      if (current.length > 0) blocks.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    current.push(line);
+  }
+  if (current.length > 0) blocks.push(current.join('\n'));
+  return blocks;
+}
+
+// 硬切時不切斷 surrogate pair (emoji)
+function hardSplit(text, limit) {
+  const pieces = [];
+  let current = '';
+  for (const char of text) {
+    if (current.length + char.length > limit) {
+      pieces.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// 依行打包；單行超過上限時硬切
+function packLines(lines, limit) {
+  const pieces = [];
+  let current = '';
+  for (const line of lines) {
+    if (line.length > limit) {
+      if (current) pieces.push(current);
+      current = '';
+      pieces.push(...hardSplit(line, limit));
+      continue;
+    }
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length > limit) {
+      pieces.push(current);
+      current = line;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// 過長的區塊改以行為單位切割；程式碼區塊的每一段都補上 fence
+function splitOversizedBlock(block, limit) {
+  const lines = block.split('\n');
+  const isCode = FENCE_PATTERN.test(lines[0]);
+  if (!isCode) return packLines(lines, limit);
+
+  const openFence = lines[0].trim();
+  const body = FENCE_PATTERN.test(lines[lines.length - 1]) && lines.length > 1 ? lines.slice(1, -1) : lines.slice(1);
+  const overhead = openFence.length + '\n\n```'.length;
+  return packLines(body, limit - overhead).map((piece) => `${openFence}\n${piece}\n\`\`\``);
+}
+
+/**
+ * 依段落與程式碼區塊邊界切割文字，每段不超過 limit
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function splitText(text, limit = LINE_TEXT_LIMIT) {
+  const chunks = [];
+  let current = '';
+
+  for (const block of splitBlocks(text)) {
+    if (block.length > limit) {
+      if (current) chunks.push(current);
+      current = '';
+      chunks.push(...splitOversizedBlock(block, limit));
+      continue;
+    }
+    const candidate = current ? `${current}\n\n${block}` : block;
+    if (candidate.length > limit) {
+      chunks.push(current);
+      current = block;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// 重切時的最小長度，避免無法縮小的段落一直遞迴
+const MIN_RENDER_CHUNK = 100;
+
+/**
+ * 切割後轉換 (跳脫、加上標籤)，上限以轉換後的長度計算：
+ * 先以 chunkLimit 切割，轉換後仍超過 limit 的段落依膨脹比例縮小再切
+ * @param {string} text
+ * @param {(chunk: string) => string} render
+ * @param {object} options
+ * @param {number} options.limit - 轉換後的上限
+ * @param {number} [options.chunkLimit] - 第一次切割的長度 (預設同 limit)
+ * @returns {string[]}
+ */
+function splitRendered(text, render, { limit, chunkLimit = limit }) {
+  return splitText(text, Math.min(chunkLimit, limit)).flatMap((chunk) => {
+    const rendered = render(chunk);
+    if (rendered.length <= limit) return [rendered];
+    const smaller = Math.floor((chunk.length * limit) / rendered.length);
+    if (smaller < MIN_RENDER_CHUNK) return [rendered];
+    return splitRendered(chunk, render, { limit, chunkLimit: smaller });
+  });
+}
+
+/**
+ * 將 Gemini 回覆轉為 LINE 文字訊息陣列
+ * (超過 5 則的部分由 utils/delivery.js 以 push 補送)
+ * @param {string} markdown
+ * @param {object} [options]
+ * @param {number} [options.limit] - 單則訊息字數上限
+ * @returns {Array<{type: 'text', text: string}>}
+ */
+function buildTextMessages(markdown, { limit = LINE_TEXT_LIMIT } = {}) {
+  const chunks = splitText(markdownToPlainText(markdown || ''), limit);
+  if (chunks.length === 0) return [{ type: 'text', text: EMPTY_REPLY_TEXT }];
+  return chunks.map((text) => ({ type: 'text', text }));
+}
+
+module.exports = {
+  LINE_TEXT_LIMIT,
+  EMPTY_REPLY_TEXT,
+  stripInlineMarkdown,
+  markdownToPlainText,
+  renderMarkdown,
+  splitText,
+  splitRendered,
+  buildTextMessages,
+};
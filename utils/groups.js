@@ -0,0 +1,192 @@
+/**
+ * Group & Room Chats
+ *
+ * 群組 / 聊天室中不回應每一則訊息 (避免洗版、消耗額度)，只有被呼叫時才回覆：
+ *   mention — 訊息 @提及 Bot (message.mention 中 isSelf 為 true)
+ *   prefix  — 訊息以設定的前綴開頭 (預設 "/ai")
+ *   reply   — 訊息引用 Bot 先前送出的訊息 (quotedMessageId)
+ * 每個群組各自保存設定 (回覆模式、啟用的功能)，未設定時使用環境變數的預設值。
+ * 沒有儲存層時一律使用預設值，且無法辨識「引用 Bot 的訊息」。
+ */
+
+const { DEFAULT_PROMPTS } = require('../prompts/templates');
+
+const REPLY_MODES = {
+  MENTION: 'mention', // 只在被呼叫時回覆 (預設)
+  ALL: 'all', // 回覆每一則訊息 (同一對一聊天)
+  OFF: 'off', // 完全不回覆
+};
+
+// 可在群組中個別關閉的功能
+const GROUP_FEATURES = ['multiAgent', 'image', 'audio', 'files'];
+
+const DEFAULT_PREFIX = '/ai';
+
+// 記住 Bot 最近送出的訊息 ID，用來判斷使用者是否在回覆 Bot
+const MAX_SENT_IDS = 50;
+const SENT_IDS_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function isGroupSource(source) {
+  return Boolean(source) && (source.type === 'group' || source.type === 'room');
+}
+
+function getGroupId(source) {
+  return source.groupId || source.roomId;
+}
+
+/**
+ * 移除字串中指定的 UTF-16 區段 (LINE mention 的 index / length 以 UTF-16 計算)
+ */
+function removeRanges(text, ranges) {
+  return [...ranges]
+    .sort((a, b) => b.index - a.index)
+    .reduce((result, { index, length }) => result.slice(0, index) + result.slice(index + length), text);
+}
+
+/**
+ * 判斷群組中的文字訊息是否在呼叫 Bot，並取出實際的問題
+ * @param {object} message - LINE text message
+ * @param {object} options
+ * @param {string} options.prefix
+ * @param {boolean} [options.quotesBot] - 是否引用了 Bot 的訊息
+ * @returns {{trigger: 'mention'|'prefix'|'reply', text: string}|null} 沒有呼叫 Bot 時回傳 null
+ */
+function matchTrigger(message, { prefix, quotesBot = false }) {
+  const mentionees = (message.mention && message.mention.mentionees) || [];
+  const selfMentions = mentionees.filter((m) => m.isSelf);
+  if (selfMentions.length > 0) {
+    return { trigger: 'mention', text: removeRanges(message.text, selfMentions).trim() };
+  }
+
+  const text = message.text.trim();
+  if (prefix && text.toLowerCase().startsWith(prefix.toLowerCase())) {
+    return { trigger: 'prefix', text: text.slice(prefix.length).trim() };
+  }
+
+  if (quotesBot) {
+    return { trigger: 'reply', text };
+  }
+
+  return null;
+}
+
+/**
+ * @param {object} patch
+ * @param {object} [prompts] - 錯誤訊息的語系 (prompts/templates.js 的 select() 結果)
+ * @returns {string[]} 錯誤訊息
+ */
+function validateSettings(patch, prompts = DEFAULT_PROMPTS) {
+  const errors = [];
+  if (patch.replyMode !== undefined && !Object.values(REPLY_MODES).includes(patch.replyMode)) {
+    errors.push(prompts.text('group.error.replyMode', { modes: Object.values(REPLY_MODES).join(' / ') }));
+  }
+  if (patch.prefix !== undefined && (typeof patch.prefix !== 'string' || !patch.prefix.trim())) {
+    errors.push(prompts.text('group.error.prefix'));
+  }
+  if (patch.features !== undefined) {
+    Object.keys(patch.features).filter((name) => !GROUP_FEATURES.includes(name))
+      .forEach((name) => errors.push(prompts.text('group.error.feature', { name })));
+  }
+  return errors;
+}
+
+/**
+ * @param {object} options
+ * @param {object|null} options.store - utils/store.js 的 store
+ * @param {object} [options.defaults] - 預設設定 ({ replyMode, prefix, features })
+ */
+function createGroups({ store, defaults = {} }) {
+  const baseSettings = {
+    replyMode: REPLY_MODES.MENTION,
+    prefix: DEFAULT_PREFIX,
+    ...defaults,
+    features: Object.fromEntries(GROUP_FEATURES.map((name) => [name, true])),
+  };
+  Object.assign(baseSettings.features, defaults.features);
+
+  const settingsKey = (groupId) => `group:${groupId}`;
+  const sentKey = (groupId) => `group-sent:${groupId}`;
+
+  return {
+    /**
+     * 儲存層可用時才能修改設定
+     */
+    get writable() {
+      return Boolean(store);
+    },
+
+    /**
+     * 預設設定 (讀取失敗時使用)
+     */
+    defaults() {
+      return { ...baseSettings, features: { ...baseSettings.features } };
+    },
+
+    /**
+     * @returns {Promise<{replyMode: string, prefix: string, features: Object<string, boolean>}>}
+     */
+    async get(groupId) {
+      const saved = store ? (await store.get(settingsKey(groupId))) || {} : {};
+      return { ...baseSettings, ...saved, features: { ...baseSettings.features, ...saved.features } };
+    },
+
+    /**
+     * 更新部分設定，回傳更新後的完整設定
+     */
+    async update(groupId, patch) {
+      if (!store) throw new Error('Group settings require a store');
+      const errors = validateSettings(patch);
+      if (errors.length > 0) throw new Error(errors.join('; '));
+      const saved = (await store.get(settingsKey(groupId))) || {};
+      const next = { ...saved, ...patch, features: { ...saved.features, ...patch.features } };
+      await store.set(settingsKey(groupId), next);
+      return this.get(groupId);
+    },
+
+    /**
+     * Bot 離開群組時清除設定
+     */
+    async remove(groupId) {
+      if (!store) return;
+      await store.delete(settingsKey(groupId));
+      await store.delete(sentKey(groupId));
+    },
+
+    async rememberSent(groupId, messageIds) {
+      if (!store || messageIds.length === 0) return;
+      const ids = (await store.get(sentKey(groupId))) || [];
+      await store.set(sentKey(groupId), [...ids, ...messageIds].slice(-MAX_SENT_IDS), { ttlSeconds: SENT_IDS_TTL_SECONDS });
+    },
+
+    async isBotMessage(groupId, messageId) {
+      if (!store || !messageId) return false;
+      const ids = (await store.get(sentKey(groupId))) || [];
+      return ids.includes(messageId);
+    },
+  };
+}
+
+/**
+ * 依環境變數建立群組設定：
+ *   GROUP_REPLY_MODE     — mention (預設) | all | off
+ *   GROUP_TRIGGER_PREFIX — 呼叫 Bot 的前綴 (預設 "/ai")
+ */
+function createGroupsFromEnv(store, env = process.env) {
+  const defaults = {};
+  if (env.GROUP_REPLY_MODE) defaults.replyMode = env.GROUP_REPLY_MODE;
+  if (env.GROUP_TRIGGER_PREFIX) defaults.prefix = env.GROUP_TRIGGER_PREFIX;
+  const errors = validateSettings(defaults);
+  if (errors.length > 0) throw new Error(`Invalid group settings: ${errors.join('; ')}`);
+  return createGroups({ store, defaults });
+}
+
+module.exports = {
+  REPLY_MODES,
+  GROUP_FEATURES,
+  isGroupSource,
+  getGroupId,
+  matchTrigger,
+  validateSettings,
+  createGroups,
+  createGroupsFromEnv,
+};
@@ -0,0 +1,110 @@
+/**
+ * Conversation History
+ *
+ * 依 LINE 來源 (user / group / room) 保存最近的對話紀錄，
+ * 讓 Supervisor、Sub-agent 與 Synthesizer 能理解「再短一點」這類追問。
+ * 儲存層由 utils/store.js 提供；store 無法使用時呼叫端應退回無狀態模式。
+ */
+
+// 一輪 = 使用者訊息 + Bot 回覆
+const DEFAULT_MAX_TURNS = 5;
+const DEFAULT_MAX_TOKENS = 2000;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * 取得對話紀錄的 key：群組與聊天室以整個對話為單位，一對一則以使用者為單位
+ * @param {object} source - LINE event.source
+ * @returns {string|null}
+ */
+function getSourceId(source) {
+  if (!source) return null;
+  return source.groupId || source.roomId || source.userId || null;
+}
+
+/**
+ * 粗估 token 數：CJK 字元約 1 字 1 token，其餘約 4 字元 1 token
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  const cjkCount = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * 依輪數與 token 上限保留最新的對話；保留下來的紀錄一律從使用者訊息開始
+ * @param {Array<{role: string, text: string}>} turns - 由舊到新排列
+ * @param {object} limits
+ * @param {number} limits.maxTurns - 最多保留的輪數 (使用者訊息 + Bot 回覆為一輪)
+ * @param {number} limits.maxTokens - 最多保留的估計 token 數
+ * @returns {Array<{role: string, text: string}>}
+ */
+function trimHistory(turns, { maxTurns, maxTokens }) {
+  const recent = turns.slice(-maxTurns * 2);
+  let budget = maxTokens;
+  let start = recent.length;
+  while (start > 0) {
+    const cost = estimateTokens(recent[start - 1].text);
+    if (cost > budget) break;
+    budget -= cost;
+    start--;
+  }
+  // 切在一輪中間時，開頭的 Bot 回覆少了對應的提問，一併捨棄
+  while (start < recent.length && recent[start].role !== 'user') start++;
+  return recent.slice(start);
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.store - utils/store.js 的 store
+ * @param {number} [options.maxTurns]
+ * @param {number} [options.maxTokens]
+ * @param {number} [options.ttlSeconds] - 閒置多久後清除紀錄
+ */
+function createHistory({ store, maxTurns = DEFAULT_MAX_TURNS, maxTokens = DEFAULT_MAX_TOKENS, ttlSeconds = DEFAULT_TTL_SECONDS }) {
+  const keyOf = (sourceId) => `history:${sourceId}`;
+
+  return {
+    async load(sourceId) {
+      const turns = await store.get(keyOf(sourceId));
+      return Array.isArray(turns) ? trimHistory(turns, { maxTurns, maxTokens }) : [];
+    },
+
+    /**
+     * 新增一輪對話 (使用者訊息 + Bot 回覆)
+     */
+    async append(sourceId, userText, modelText) {
+      const turns = (await store.get(keyOf(sourceId))) || [];
+      const now = Date.now();
+      turns.push({ role: 'user', text: userText, ts: now }, { role: 'model', text: modelText, ts: now });
+      await store.set(keyOf(sourceId), trimHistory(turns, { maxTurns, maxTokens }), { ttlSeconds });
+    },
+
+    async clear(sourceId) {
+      await store.delete(keyOf(sourceId));
+    },
+  };
+}
+
+/**
+ * 依環境變數建立對話紀錄：
+ *   HISTORY_MAX_TURNS   — 保留的輪數 (一問一答，預設 5)
+ *   HISTORY_MAX_TOKENS  — 保留的估計 token 數 (預設 2000)
+ *   HISTORY_TTL_SECONDS — 閒置過期秒數 (預設 86400)
+ */
+function createHistoryFromEnv(store, env = process.env) {
+  return createHistory({
+    store,
+    maxTurns: Number(env.HISTORY_MAX_TURNS) || DEFAULT_MAX_TURNS,
+    maxTokens: Number(env.HISTORY_MAX_TOKENS) || DEFAULT_MAX_TOKENS,
+    ttlSeconds: Number(env.HISTORY_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+  });
+}
+
+module.exports = {
+  getSourceId,
+  estimateTokens,
+  trimHistory,
+  createHistory,
+  createHistoryFromEnv,
+};
@@ -0,0 +1,90 @@
+/**
+ * Webhook Idempotency
+ *
+ * Function 回應太慢時，LINE 會重送同一個 webhook event (deliveryContext.isRedelivery)。
+ * 以 webhookEventId 記錄每個 event 的處理狀態，重送的 event 若正在處理或已完成就略過，
+ * 避免整個 multi-agent 流程再跑一次、又以 push 重複回覆。
+ *
+ * 狀態：processing → done；處理中拋出錯誤時釋放，讓 LINE 的重送可以重試。
+ * processing 超過 staleSeconds (例如 instance 在背景工作途中被終止) 視為放棄，可重新處理。
+ */
+
+const { createMemoryStore } = require('./store');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// Vercel maxDuration 為 60 秒，保留緩衝
+const DEFAULT_STALE_SECONDS = 120;
+
+const EVENT_STATUS = {
+  PROCESSING: 'processing',
+  DONE: 'done',
+};
+
+/**
+ * @param {object} options
+ * @param {object} [options.store] - utils/store.js 的 store，預設為記憶體
+ * @param {number} [options.ttlSeconds] - 記錄保留時間
+ * @param {number} [options.staleSeconds] - 處理中的記錄多久後視為放棄
+ * @param {() => number} [options.now]
+ */
+function createEventLedger({
+  store = createMemoryStore(),
+  ttlSeconds = DEFAULT_TTL_SECONDS,
+  staleSeconds = DEFAULT_STALE_SECONDS,
+  now = Date.now,
+} = {}) {
+  const keyOf = (eventId) => `webhook-event:${eventId}`;
+  // 同一個 instance 同時收到重送時，store 的讀寫之間會交錯，先以記憶體擋下
+  const claiming = new Set();
+
+  return {
+    /**
+     * 取得處理權；已在處理中或已完成時回傳 false
+     * @param {string} eventId - webhookEventId
+     * @returns {Promise<boolean>}
+     */
+    async claim(eventId) {
+      if (claiming.has(eventId)) return false;
+      claiming.add(eventId);
+      try {
+        const record = await store.get(keyOf(eventId));
+        const stale = record && record.status === EVENT_STATUS.PROCESSING
+          && now() - record.startedAt > staleSeconds * 1000;
+        if (record && !stale) return false;
+        await store.set(keyOf(eventId), { status: EVENT_STATUS.PROCESSING, startedAt: now() }, { ttlSeconds });
+        return true;
+      } finally {
+        claiming.delete(eventId);
+      }
+    },
+
+    async complete(eventId) {
+      await store.set(keyOf(eventId), { status: EVENT_STATUS.DONE, finishedAt: now() }, { ttlSeconds });
+    },
+
+    async release(eventId) {
+      await store.delete(keyOf(eventId));
+    },
+  };
+}
+
+/**
+ * 依環境變數建立：
+ *   WEBHOOK_EVENT_TTL_SECONDS   — 記錄保留時間 (預設 86400)
+ *   WEBHOOK_EVENT_STALE_SECONDS — 處理中的記錄多久後可重新處理 (預設 120)
+ * @param {object} [store]
+ * @param {object} [env]
+ */
+function createEventLedgerFromEnv(store, env = process.env) {
+  return createEventLedger({
+    store: store || createMemoryStore(),
+    ttlSeconds: Number(env.WEBHOOK_EVENT_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+    staleSeconds: Number(env.WEBHOOK_EVENT_STALE_SECONDS) || DEFAULT_STALE_SECONDS,
+  });
+}
+
+module.exports = {
+  EVENT_STATUS,
+  createEventLedger,
+  createEventLedgerFromEnv,
+};
@@ -0,0 +1,22 @@
+/**
+ * Short IDs
+ *
+ * 使用者需要手動輸入的編號 (例如 /cancel <提醒編號>)：去除容易混淆的字元 (0/o、1/l/i)，
+ * 並一律使用小寫，比對前先轉小寫即可。
+ */
+
+const { randomBytes } = require('crypto');
+
+const ID_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * @param {number} [length]
+ * @returns {string}
+ */
+function createShortId(length = 6) {
+  return [...randomBytes(length)].map((byte) => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+}
+
+module.exports = {
+  createShortId,
+};
@@ -0,0 +1,108 @@
+/**
+ * Background Job Queue
+ *
+ * Webhook 收到訊息後立即回應 LINE，實際的 multi-agent 流程交給背景工作執行。
+ * 介面：
+ *   enqueue(name, task, { key }) → 立即返回，task 為 async function，在背景執行；
+ *                                  相同 key 的工作依加入順序逐一執行 (例如同一位使用者的訊息)
+ *   drain()                      → 等待目前所有工作完成 (本地測試用)
+ *
+ * 預設為單一 process 內的佇列；在 Vercel 上傳入 waitUntil，
+ * 讓 function 在回應送出後仍持續執行到工作完成 (最長 maxDuration)。
+ */
+
+const { createLogger } = require('./telemetry');
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - 同時執行的工作數上限
+ * @param {(promise: Promise) => void} [options.waitUntil] - 延長 serverless function 生命週期 (例如 @vercel/functions)
+ * @param {object} [options.logger] - utils/telemetry.js 的 logger (記錄失敗的工作)
+ */
+function createJobQueue({ concurrency = Infinity, waitUntil, logger = createLogger() } = {}) {
+  const waiting = [];
+  const running = new Set();
+  const activeKeys = new Set();
+  let idleWaiters = [];
+
+  function settleIdle() {
+    if (running.size > 0 || waiting.length > 0) return;
+    idleWaiters.forEach((resolve) => resolve());
+    idleWaiters = [];
+  }
+
+  // 第一個 key 沒有在執行中的工作
+  function takeRunnable() {
+    const index = waiting.findIndex((job) => !job.key || !activeKeys.has(job.key));
+    return index === -1 ? null : waiting.splice(index, 1)[0];
+  }
+
+  function startNext() {
+    while (running.size < concurrency && waiting.length > 0) {
+      const job = takeRunnable();
+      if (!job) return;
+      const { name, task, key, resolve } = job;
+      if (key) activeKeys.add(key);
+      const promise = Promise.resolve()
+        .then(task)
+        .catch((err) => logger.error('Background job failed', { job: name, err }))
+        .finally(() => {
+          running.delete(promise);
+          if (key) activeKeys.delete(key);
+          resolve();
+          startNext();
+          settleIdle();
+        });
+      running.add(promise);
+    }
+  }
+
+  return {
+    /**
+     * @param {string} name - 工作名稱 (記錄用)
+     * @param {() => Promise} task
+     * @param {object} [options]
+     * @param {string} [options.key] - 相同 key 的工作不會同時執行
+     */
+    enqueue(name, task, { key } = {}) {
+      const done = new Promise((resolve) => waiting.push({ name, task, key, resolve }));
+      if (waitUntil) waitUntil(done);
+      startNext();
+    },
+
+    drain() {
+      if (running.size === 0 && waiting.length === 0) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+  };
+}
+
+/**
+ * 依 key 依序執行 async 工作：相同 key 等前一個完成 (不論成功或失敗) 才開始，不同 key 互不影響。
+ * 用於 webhook 處理階段，讓同一位使用者的 event 依序進入背景佇列。
+ */
+function createKeyedSequencer() {
+  const tails = new Map();
+
+  return {
+    /**
+     * @param {string|undefined} key - 沒有 key 時直接執行
+     * @param {() => Promise} task
+     */
+    run(key, task) {
+      if (!key) return task();
+      const result = (tails.get(key) || Promise.resolve()).then(task);
+      const tail = result.catch(() => {});
+      tails.set(key, tail);
+      tail.then(() => {
+        if (tails.get(key) === tail) tails.delete(key);
+      });
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  createKeyedSequencer,
+};
@@ -0,0 +1,347 @@
+/**
+ * Knowledge Base
+ *
+ * 使用者 (或群組) 上傳的檔案切成段落後保存，提問時檢索相關段落，交給各 Agent 與 Synthesizer 引用：
+ *   - 切段：chunkText 依空行分段，合併成約 chunkSize 字的段落；過長的段落以重疊的視窗切開
+ *   - 檢索：BM25 關鍵字排序 (中日韓文字以 bigram 斷詞，不需要字典)；
+ *           有 embedder 時再加上向量相似度，兩種排名以 Reciprocal Rank Fusion 合併
+ *   - 儲存：建立在 utils/store.js 介面上，與對話紀錄相同依 LINE 來源分開
+ *       kb:<sourceId>           — 文件清單 (編號、檔名、段落數 …)
+ *       kb:<sourceId>:<docId>   — 文件的段落 (與向量)
+ * 檢索時讀出該來源所有段落計算分數；文件數與段落數都有上限，因此不需要另外的索引服務。
+ */
+
+const { createShortId } = require('./ids');
+
+const DEFAULT_CHUNK_SIZE = 800;
+const CHUNK_OVERLAP = 100;
+const DEFAULT_MAX_DOCUMENTS = 20;
+const DEFAULT_MAX_CHUNKS = 100;
+const DEFAULT_TOP_K = 4;
+// 單次 embed 的文字數 (Gemini batchEmbedContents 上限 100)
+const EMBED_BATCH_SIZE = 100;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RRF_K = 60;
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'log', 'xml', 'html', 'htm', 'yaml', 'yml'];
+
+class KnowledgeError extends Error {
+  /**
+   * @param {'unsupported'|'empty'|'limit'|'too_large'} code - too_large：檔案超過下載上限
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'KnowledgeError';
+    this.code = code;
+  }
+}
+
+/**
+ * 依副檔名判斷檔案類型
+ * @param {string} fileName
+ * @returns {'text'|'pdf'|null} null 代表不支援
+ */
+function getDocumentType(fileName) {
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  if (extension === 'pdf') return 'pdf';
+  return TEXT_EXTENSIONS.includes(extension) ? 'text' : null;
+}
+
+/**
+ * 以 UTF-8 解碼文字檔
+ * @param {Buffer} buffer
+ * @returns {string|null} 看起來是二進位檔 (或不是 UTF-8) 時為 null
+ */
+function decodeText(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const invalid = (text.match(/\uFFFD/g) || []).length;
+  if (text.includes('\u0000') || invalid > text.length * 0.01) return null;
+  return text;
+}
+
+const CJK_RUN = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}\p{N}]+/gu;
+
+/**
+ * 斷詞：拉丁字母與數字以單字為單位，中日韓文字切成相鄰兩字 (bigram)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const [word] of text.toLowerCase().matchAll(TOKEN_PATTERN)) {
+    if (!CJK_RUN.test(word)) {
+      tokens.push(word);
+      continue;
+    }
+    const chars = [...word];
+    if (chars.length === 1) tokens.push(word);
+    for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+  }
+  return tokens;
+}
+
+/**
+ * 切成段落：盡量在空行處切開，單一段落過長時以重疊的視窗切開
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.size] - 每段的字數上限
+ * @param {number} [options.overlap] - 過長段落切開時重疊的字數
+ * @returns {string[]}
+ */
+function chunkText(text, { size = DEFAULT_CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const paragraphs = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+  const chunks = [];
+  let current = '';
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = '';
+  };
+
+  paragraphs.forEach((paragraph) => {
+    // 以字元 (code point) 計算，避免切斷 emoji 等 surrogate pair
+    const chars = [...paragraph];
+    if (chars.length > size) {
+      flush();
+      for (let start = 0; start < chars.length; start += size - overlap) {
+        chunks.push(chars.slice(start, start + size).join(''));
+        if (start + size >= chars.length) break;
+      }
+      return;
+    }
+    if (current && [...current].length + chars.length + 2 > size) flush();
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  });
+  flush();
+  return chunks;
+}
+
+/**
+ * BM25 分數
+ * @param {string[]} queryTerms
+ * @param {string[][]} chunkTerms - 每個段落的詞
+ * @returns {number[]}
+ */
+function bm25Scores(queryTerms, chunkTerms) {
+  const count = chunkTerms.length;
+  const averageLength = chunkTerms.reduce((sum, terms) => sum + terms.length, 0) / count || 1;
+  const frequencies = chunkTerms.map((terms) => terms.reduce((map, term) => map.set(term, (map.get(term) || 0) + 1), new Map()));
+  const idf = new Map([...new Set(queryTerms)].map((term) => {
+    const documentFrequency = frequencies.filter((frequency) => frequency.has(term)).length;
+    return [term, Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5))];
+  }));
+
+  return frequencies.map((frequency, i) => {
+    const lengthRatio = chunkTerms[i].length / averageLength;
+    let score = 0;
+    idf.forEach((weight, term) => {
+      const tf = frequency.get(term);
+      if (tf) score += weight * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+    });
+    return score;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// 依分數由高到低排列索引
+function rankBy(indices, score) {
+  return [...indices].sort((a, b) => score(b) - score(a));
+}
+
+/**
+ * Reciprocal Rank Fusion：合併多個排名 (不需要把不同尺度的分數正規化)
+ * @param {number[][]} rankings
+ * @returns {number[]}
+ */
+function fuseRankings(rankings) {
+  const scores = new Map();
+  rankings.forEach((ranking) => ranking.forEach((index, rank) => {
+    scores.set(index, (scores.get(index) || 0) + 1 / (RRF_K + rank + 1));
+  }));
+  return rankBy(scores.keys(), (index) => scores.get(index));
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.store - utils/store.js 的 store
+ * @param {object|null} [options.embedder] - 具有 embed(texts) 的 provider；null 時只用 BM25
+ * @param {number} [options.maxDocuments] - 每個來源的文件上限
+ * @param {number} [options.maxChunks] - 每份文件保存的段落上限 (超過的部分捨棄)
+ * @param {number} [options.chunkSize]
+ * @param {number} [options.topK] - 每次提問提供給模型的段落數
+ * @param {() => number} [options.now]
+ */
+function createKnowledgeBase({
+  store,
+  embedder = null,
+  maxDocuments = DEFAULT_MAX_DOCUMENTS,
+  maxChunks = DEFAULT_MAX_CHUNKS,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  topK = DEFAULT_TOP_K,
+  now = Date.now,
+}) {
+  const indexKey = (sourceId) => `kb:${sourceId}`;
+  const documentKey = (sourceId, id) => `kb:${sourceId}:${id}`;
+
+  async function list(sourceId) {
+    return (await store.get(indexKey(sourceId))) || [];
+  }
+
+  async function embedAll(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+      vectors.push(...await embedder.embed(texts.slice(start, start + EMBED_BATCH_SIZE)));
+    }
+    return vectors;
+  }
+
+  return {
+    maxDocuments,
+
+    /**
+     * 加入文件
+     * @param {string} sourceId - LINE 來源 (使用者 / 群組 / 聊天室)
+     * @param {object} input
+     * @param {string} input.name - 檔名
+     * @param {string} input.text - 文件的文字內容
+     * @param {string} [input.addedBy] - 上傳的使用者
+     * @returns {Promise<{id: string, name: string, chunks: number, truncated: boolean, createdAt: number}>}
+     * @throws {KnowledgeError}
+     */
+    async add(sourceId, { name, text, addedBy }) {
+      const chunks = chunkText(text, { size: chunkSize });
+      if (chunks.length === 0) throw new KnowledgeError('empty', `No text in ${name}`);
+      const documents = await list(sourceId);
+      if (documents.length >= maxDocuments) throw new KnowledgeError('limit', `Document limit reached: ${maxDocuments}`);
+
+      const kept = chunks.slice(0, maxChunks);
+      const vectors = embedder ? await embedAll(kept) : null;
+      const document = {
+        id: createShortId(),
+        name,
+        chunks: kept.length,
+        truncated: chunks.length > kept.length,
+        addedBy,
+        createdAt: now(),
+      };
+      await store.set(documentKey(sourceId, document.id), {
+        chunks: kept.map((chunk, i) => ({ text: chunk, ...(vectors && { vector: vectors[i] }) })),
+      });
+      await store.set(indexKey(sourceId), [...documents, document]);
+      return document;
+    },
+
+    /**
+     * @param {string} sourceId
+     * @returns {Promise<Array<object>>} 依加入時間排序
+     */
+    list,
+
+    /**
+     * 刪除文件
+     * @param {string} sourceId
+     * @param {string} id
+     * @returns {Promise<object|null>} 被刪除的文件；不存在時為 null
+     */
+    async remove(sourceId, id) {
+      const documents = await list(sourceId);
+      const document = documents.find((doc) => doc.id === (id || '').toLowerCase());
+      if (!document) return null;
+      await store.delete(documentKey(sourceId, document.id));
+      await store.set(indexKey(sourceId), documents.filter((doc) => doc !== document));
+      return document;
+    },
+
+    /**
+     * 刪除來源的所有文件 (例如 Bot 離開群組)
+     * @param {string} sourceId
+     * @returns {Promise<number>} 刪除的文件數
+     */
+    async clear(sourceId) {
+      const documents = await list(sourceId);
+      await Promise.all(documents.map((doc) => store.delete(documentKey(sourceId, doc.id))));
+      await store.delete(indexKey(sourceId));
+      return documents.length;
+    },
+
+    /**
+     * 檢索與提問相關的段落
+     * @param {string} sourceId
+     * @param {string} query
+     * @param {object} [options]
+     * @param {number} [options.limit]
+     * @returns {Promise<Array<{documentId: string, name: string, chunk: number, text: string}>>} chunk 從 1 開始
+     */
+    async search(sourceId, query, { limit = topK } = {}) {
+      const documents = await list(sourceId);
+      if (documents.length === 0 || !query.trim()) return [];
+      const stored = await Promise.all(documents.map((doc) => store.get(documentKey(sourceId, doc.id))));
+      const candidates = documents.flatMap((doc, i) => (stored[i]
+        ? stored[i].chunks.map((chunk, index) => ({ doc, index, chunk }))
+        : []));
+      if (candidates.length === 0) return [];
+
+      const scores = bm25Scores(tokenize(query), candidates.map(({ chunk }) => tokenize(chunk.text)));
+      let ranking = rankBy(candidates.keys(), (i) => scores[i]).filter((i) => scores[i] > 0);
+
+      if (embedder && candidates.some(({ chunk }) => chunk.vector)) {
+        const [queryVector] = await embedder.embed([query]);
+        const withVectors = [...candidates.keys()].filter((i) => candidates[i].chunk.vector);
+        const similarity = (i) => cosineSimilarity(queryVector, candidates[i].chunk.vector);
+        ranking = fuseRankings([ranking, rankBy(withVectors, similarity)]);
+      }
+
+      return ranking.slice(0, limit).map((i) => ({
+        documentId: candidates[i].doc.id,
+        name: candidates[i].doc.name,
+        chunk: candidates[i].index + 1,
+        text: candidates[i].chunk.text,
+      }));
+    },
+  };
+}
+
+/**
+ * 依環境變數建立：
+ *   KNOWLEDGE_MAX_DOCUMENTS — 每位使用者 / 每個群組的文件上限 (預設 20)
+ *   KNOWLEDGE_MAX_CHUNKS    — 每份文件保存的段落上限 (預設 100，約 8 萬字)
+ *   KNOWLEDGE_TOP_K         — 每次提問提供給模型的段落數 (預設 4)
+ * @param {object} store
+ * @param {object} [options]
+ * @param {object|null} [options.embedder] - providers/index.js 的 createEmbedderFromEnv()
+ * @param {object} [env]
+ */
+function createKnowledgeBaseFromEnv(store, { embedder = null } = {}, env = process.env) {
+  return createKnowledgeBase({
+    store,
+    embedder,
+    maxDocuments: Number(env.KNOWLEDGE_MAX_DOCUMENTS) || DEFAULT_MAX_DOCUMENTS,
+    maxChunks: Number(env.KNOWLEDGE_MAX_CHUNKS) || DEFAULT_MAX_CHUNKS,
+    topK: Number(env.KNOWLEDGE_TOP_K) || DEFAULT_TOP_K,
+  });
+}
+
+module.exports = {
+  KnowledgeError,
+  getDocumentType,
+  decodeText,
+  tokenize,
+  chunkText,
+  bm25Scores,
+  createKnowledgeBase,
+  createKnowledgeBaseFromEnv,
+};
@@ -0,0 +1,163 @@
+/**
+ * Media Helpers
+ *
+ * 下載 LINE 訊息內容 (圖片等)，並轉換為 Gemini 可接受的 inline data part。
+ * LINE 的圖片訊息沒有說明文字，因此圖片會先暫存，等使用者下一則文字訊息作為提問。
+ * 暫存只保存訊息 ID (圖片本體可能超過 KV 單一值的上限)，提問時才下載。
+ */
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+// 回應沒有 Content-Type 時的預設值 (LINE 的圖片訊息為 JPEG)
+const DEFAULT_IMAGE_MIME_TYPE = 'image/jpeg';
+const DEFAULT_PENDING_TTL_SECONDS = 10 * 60;
+const DEFAULT_MAX_PENDING = 4;
+
+class MediaTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`Media content exceeds ${maxBytes} bytes`);
+    this.name = 'MediaTooLargeError';
+    this.maxBytes = maxBytes;
+  }
+}
+
+/**
+ * 將 Readable stream 讀成 Buffer，超過上限時中止
+ * @param {import('stream').Readable} stream
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+async function streamToBuffer(stream, maxBytes = DEFAULT_MAX_BYTES) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      throw new MediaTooLargeError(maxBytes);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 透過 LINE content API 下載訊息內容
+ * @param {object} lineClient - @line/bot-sdk Client
+ * @param {string} messageId
+ * @param {object} [options]
+ * @param {number} [options.maxBytes]
+ * @returns {Promise<Buffer>}
+ */
+async function downloadMessageContent(lineClient, messageId, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const stream = await lineClient.getMessageContent(messageId);
+  return streamToBuffer(stream, maxBytes);
+}
+
+// @line/bot-sdk 回傳的是 HTTP response stream，header 在 stream.headers
+function getContentType(stream) {
+  const header = stream.headers && stream.headers['content-type'];
+  return header ? String(header).split(';')[0].trim().toLowerCase() : null;
+}
+
+/**
+ * 下載圖片並建立附件，MIME type 取自回應的 Content-Type
+ * @param {object} lineClient - @line/bot-sdk Client
+ * @param {string} messageId
+ * @param {object} [options]
+ * @param {number} [options.maxBytes]
+ * @returns {Promise<{mimeType: string, data: string}>}
+ */
+async function downloadImage(lineClient, messageId, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const stream = await lineClient.getMessageContent(messageId);
+  const buffer = await streamToBuffer(stream, maxBytes);
+  return toAttachment(buffer, getContentType(stream) || DEFAULT_IMAGE_MIME_TYPE);
+}
+
+/**
+ * 檢查是否為 MP4 容器 (LINE 語音訊息為 m4a)：第 4~8 byte 為 "ftyp"
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isMp4Container(buffer) {
+  return buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp';
+}
+
+/**
+ * 建立附件物件 (以 base64 保存，可直接寫入 store)
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {{mimeType: string, data: string}}
+ */
+function toAttachment(buffer, mimeType) {
+  return { mimeType, data: buffer.toString('base64') };
+}
+
+/**
+ * 將 prompt 與附件組成 provider 的輸入 (parts)；沒有附件時維持純文字
+ * @param {string} prompt
+ * @param {Array<{mimeType: string, data: string}>} [attachments]
+ * @returns {string|Array<object>}
+ */
+function withAttachments(prompt, attachments) {
+  if (!attachments || attachments.length === 0) return prompt;
+  return [
+    { text: prompt },
+    ...attachments.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } })),
+  ];
+}
+
+/**
+ * 暫存尚未提問的圖片 (訊息 ID)，依 LINE 來源分開保存
+ * @param {object} options
+ * @param {object} options.store - utils/store.js 的 store
+ * @param {number} [options.ttlSeconds] - 圖片等待提問的時間
+ * @param {number} [options.maxPending] - 每個來源最多暫存幾張
+ */
+function createPendingMedia({ store, ttlSeconds = DEFAULT_PENDING_TTL_SECONDS, maxPending = DEFAULT_MAX_PENDING }) {
+  const keyOf = (sourceId) => `pending-media:${sourceId}`;
+
+  return {
+    /**
+     * @param {string} sourceId
+     * @param {string} messageId - 圖片訊息的 ID
+     * @returns {Promise<number>} 目前暫存的數量
+     */
+    async add(sourceId, messageId) {
+      const pending = (await store.get(keyOf(sourceId))) || [];
+      pending.push({ messageId });
+      const kept = pending.slice(-maxPending);
+      await store.set(keyOf(sourceId), kept, { ttlSeconds });
+      return kept.length;
+    },
+
+    /**
+     * 目前暫存的數量 (不取出)
+     */
+    async count(sourceId) {
+      const pending = await store.get(keyOf(sourceId));
+      return pending ? pending.length : 0;
+    },
+
+    /**
+     * 取出並清除暫存的圖片
+     * @returns {Promise<Array<{messageId: string}>>}
+     */
+    async take(sourceId) {
+      const pending = await store.get(keyOf(sourceId));
+      if (!pending || pending.length === 0) return [];
+      await store.delete(keyOf(sourceId));
+      return pending;
+    },
+  };
+}
+
+module.exports = {
+  MediaTooLargeError,
+  streamToBuffer,
+  downloadMessageContent,
+  downloadImage,
+  isMp4Container,
+  toAttachment,
+  withAttachments,
+  createPendingMedia,
+};
@@ -0,0 +1,164 @@
+/**
+ * Prometheus Metrics
+ *
+ * 不依賴 prom-client 的最小實作：counter 與 histogram，render() 輸出 Prometheus text format (0.0.4)。
+ * 數值存放在記憶體，每個 serverless instance 各自計數 (由 Prometheus 以 instance 區分後加總)。
+ * label 只放有限的值 (stage、reason …)，不要放使用者 ID 或模型輸出等無上限的內容。
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 適用於模型呼叫與 LINE API 的秒數 (Vercel maxDuration 為 60 秒)
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * 依宣告的 label 名稱整理 label 值 (缺少的 label 為空字串，多餘的 label 視為程式錯誤)
+ * @returns {{key: string, labels: object}}
+ */
+function normalizeLabels(name, labelNames, labels = {}) {
+  const unknown = Object.keys(labels).filter((label) => !labelNames.includes(label));
+  if (unknown.length > 0) throw new Error(`Unknown label(s) for ${name}: ${unknown.join(', ')}`);
+  const normalized = Object.fromEntries(labelNames.map((label) => [label, labels[label] === undefined ? '' : String(labels[label])]));
+  return { key: JSON.stringify(labelNames.map((label) => normalized[label])), labels: normalized };
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  return {
+    name,
+    help,
+    type: 'counter',
+
+    /**
+     * @param {object} [labels]
+     * @param {number} [value] - 不可為負數
+     */
+    inc(labels, value = 1) {
+      if (value < 0) throw new Error(`Counter ${name} cannot be decreased`);
+      const { key, labels: normalized } = normalizeLabels(name, labelNames, labels);
+      const entry = series.get(key) || { labels: normalized, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+
+    get(labels) {
+      const entry = series.get(normalizeLabels(name, labelNames, labels).key);
+      return entry ? entry.value : 0;
+    },
+
+    lines() {
+      return [...series.values()].map((entry) => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+    },
+  };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  if (labelNames.includes('le')) throw new Error(`Histogram ${name} cannot use the "le" label`);
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+
+  return {
+    name,
+    help,
+    type: 'histogram',
+
+    /**
+     * @param {object} [labels]
+     * @param {number} value - 觀測值 (秒)
+     */
+    observe(labels, value) {
+      const { key, labels: normalized } = normalizeLabels(name, labelNames, labels);
+      const entry = series.get(key) || { labels: normalized, counts: bounds.map(() => 0), sum: 0, count: 0 };
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+
+    get(labels) {
+      const entry = series.get(normalizeLabels(name, labelNames, labels).key);
+      return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+    },
+
+    lines() {
+      return [...series.values()].flatMap((entry) => [
+        // bucket 為累計值：le 以下的觀測數
+        ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`),
+        `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+        `${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`,
+        `${name}_count${formatLabels(entry.labels)} ${entry.count}`,
+      ]);
+    },
+  };
+}
+
+/**
+ * 建立 metrics registry
+ * @returns {{counter: Function, histogram: Function, render: () => string, contentType: string}}
+ */
+function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function register(metric) {
+    if (!METRIC_NAME_PATTERN.test(metric.name)) throw new Error(`Invalid metric name: ${metric.name}`);
+    if (metrics.has(metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+    metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  return {
+    contentType: CONTENT_TYPE,
+
+    /**
+     * @param {{name: string, help: string, labelNames?: string[]}} options
+     */
+    counter(options) {
+      return register(createCounter(options));
+    },
+
+    /**
+     * @param {{name: string, help: string, labelNames?: string[], buckets?: number[]}} options
+     */
+    histogram(options) {
+      return register(createHistogram(options));
+    },
+
+    /**
+     * @returns {string} Prometheus text format
+     */
+    render() {
+      const blocks = [...metrics.values()].map((metric) => [
+        `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines(),
+      ].join('\n'));
+      return `${blocks.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+};
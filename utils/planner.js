@@ -0,0 +1,210 @@
+/**
+ * Supervisor Planner
+ *
+ * 以 structured output (responseSchema) 產生子任務計畫，並逐項驗證
+ * (包含 id / dependsOn 依賴關係，見 utils/task-graph.js)。
+ * 驗證失敗時把錯誤回饋給 Supervisor 重試；重試用完仍失敗才退回單一對話模式，
+ * 並回傳 fallbackReason 方便從 log 看出原因。
+ */
+
+const { SchemaType } = require('@google/generative-ai');
+const { buildSupervisorRetryPrompt } = require('../prompts');
+const { findGraphErrors } = require('./task-graph');
+const { createLogger } = require('./telemetry');
+
+const DEFAULT_MAX_TASKS = 5;
+const DEFAULT_MAX_INSTRUCTION_LENGTH = 500;
+const DEFAULT_MAX_ATTEMPTS = 2;
+const MAX_ROLE_LENGTH = 50;
+
+/**
+ * @param {number} maxTasks
+ * @param {string[]} [toolNames] - 可指派給任務的工具
+ * @returns {object} responseSchema
+ */
+function buildPlanSchema(maxTasks, toolNames = []) {
+  const toolsProperty = toolNames.length > 0
+    ? {
+      tools: {
+        type: SchemaType.ARRAY,
+        description: '此任務可使用的工具名稱；不需要工具時留空',
+        items: { type: SchemaType.STRING, format: 'enum', enum: toolNames },
+      },
+    }
+    : {};
+
+  return {
+    type: SchemaType.ARRAY,
+    maxItems: maxTasks,
+    items: {
+      type: SchemaType.OBJECT,
+      properties: {
+        id: { type: SchemaType.STRING, description: '任務代號，例如：t1' },
+        role: { type: SchemaType.STRING, description: '專業角色名稱，例如：翻譯員' },
+        instruction: { type: SchemaType.STRING, description: '交給該角色的具體指令' },
+        dependsOn: {
+          type: SchemaType.ARRAY,
+          description: '必須先完成的任務 id；可以並行的任務留空',
+          items: { type: SchemaType.STRING },
+        },
+        ...toolsProperty,
+      },
+      required: ['id', 'role', 'instruction', 'dependsOn'],
+    },
+  };
+}
+
+/**
+ * 解析 Supervisor 輸出 (容許殘留的 ```json fence)
+ * @param {string} text
+ * @returns {*} 解析後的值
+ */
+function parsePlanText(text) {
+  return JSON.parse(text.replace(/```json\n?|```/gi, '').trim());
+}
+
+/**
+ * 驗證計畫內容
+ * @param {*} plan - 解析後的 Supervisor 輸出
+ * @param {object} limits
+ * @param {number} limits.maxTasks
+ * @param {number} limits.maxInstructionLength
+ * @param {string[]} [limits.toolNames] - 已註冊的工具
+ * @returns {string[]} 錯誤訊息 (空陣列代表通過)
+ */
+function validatePlan(plan, { maxTasks, maxInstructionLength, toolNames = [] }) {
+  if (!Array.isArray(plan)) return ['輸出必須是 JSON 陣列'];
+
+  const errors = [];
+  if (plan.length > maxTasks) {
+    errors.push(`子任務最多 ${maxTasks} 個，目前有 ${plan.length} 個，請合併相近的任務`);
+  }
+  plan.forEach((task, index) => {
+    const label = `第 ${index + 1} 個任務`;
+    if (!task || typeof task !== 'object') {
+      errors.push(`${label}必須是物件`);
+      return;
+    }
+    if (typeof task.id !== 'string' || task.id.trim() === '') {
+      errors.push(`${label}缺少 id`);
+    }
+    if (task.dependsOn !== undefined && (!Array.isArray(task.dependsOn) || task.dependsOn.some((dep) => typeof dep !== 'string'))) {
+      errors.push(`${label}的 dependsOn 必須是任務 id 陣列`);
+    }
+    if (task.tools !== undefined) {
+      if (!Array.isArray(task.tools)) {
+        errors.push(`${label}的 tools 必須是陣列`);
+      } else {
+        task.tools.filter((tool) => !toolNames.includes(tool)).forEach((tool) => {
+          errors.push(`${label}使用了不存在的工具 "${tool}"`);
+        });
+      }
+    }
+    if (typeof task.role !== 'string' || task.role.trim() === '') {
+      errors.push(`${label}缺少 role`);
+    } else if (task.role.length > MAX_ROLE_LENGTH) {
+      errors.push(`${label}的 role 超過 ${MAX_ROLE_LENGTH} 字`);
+    }
+    if (typeof task.instruction !== 'string' || task.instruction.trim() === '') {
+      errors.push(`${label}缺少 instruction`);
+    } else if (task.instruction.length > maxInstructionLength) {
+      errors.push(`${label}的 instruction 超過 ${maxInstructionLength} 字，請精簡`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  return findGraphErrors(plan);
+}
+
+function toParts(input) {
+  return typeof input === 'string' ? [{ text: input }] : input;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.provider - LLM provider (providers/index.js)
+ * @param {number} [options.maxTasks]
+ * @param {number} [options.maxInstructionLength]
+ * @param {number} [options.maxAttempts] - 含第一次呼叫的總嘗試次數
+ * @param {string[]} [options.toolNames] - 可指派給任務的工具
+ * @param {object} [options.logger] - utils/telemetry.js 的 logger
+ */
+function createPlanner({
+  provider,
+  maxTasks = DEFAULT_MAX_TASKS,
+  maxInstructionLength = DEFAULT_MAX_INSTRUCTION_LENGTH,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  toolNames = [],
+  logger = createLogger(),
+}) {
+  const responseSchema = buildPlanSchema(maxTasks, toolNames);
+
+  /**
+   * 產生並驗證計畫
+   * @param {string|Array<object>} input - Supervisor prompt (可含附件 parts)
+   * @param {object} [options]
+   * @param {object} [options.prompts] - 使用者的 prompt 組合 (重試 prompt 使用相同語系與版本)
+   * @returns {Promise<{tasks: Array<{id: string, role: string, instruction: string, dependsOn: string[], tools: string[]}>, attempts: number, fallbackReason: string|null}>}
+   *   tasks 為空陣列時代表使用單一對話模式；fallbackReason 為 null 代表 Supervisor 判定為簡單任務
+   */
+  async function plan(input, { prompts } = {}) {
+    const contents = [{ role: 'user', parts: toParts(input) }];
+    let fallbackReason = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const result = await provider.generate({ contents, responseSchema });
+      const responseText = result.text;
+
+      let errors;
+      let parsed;
+      try {
+        parsed = parsePlanText(responseText);
+        errors = validatePlan(parsed, { maxTasks, maxInstructionLength, toolNames });
+      } catch (parseError) {
+        errors = [`JSON 解析失敗：${parseError.message}`];
+      }
+
+      if (errors.length === 0) {
+        const tasks = parsed.map((task) => ({ ...task, dependsOn: task.dependsOn || [], tools: task.tools || [] }));
+        logger.info('Supervisor plan', { attempt, tasks });
+        return { tasks, attempts: attempt, fallbackReason: null };
+      }
+
+      fallbackReason = errors.join('；');
+      logger.warn('Supervisor plan rejected', { attempt, errors, response: responseText });
+      contents.push(
+        { role: 'model', parts: [{ text: responseText }] },
+        { role: 'user', parts: [{ text: buildSupervisorRetryPrompt(errors, prompts) }] },
+      );
+    }
+
+    return { tasks: [], attempts: maxAttempts, fallbackReason };
+  }
+
+  return { plan };
+}
+
+/**
+ * 依環境變數建立 planner：
+ *   SUPERVISOR_MAX_TASKS              — 子任務數上限 (預設 5)
+ *   SUPERVISOR_MAX_INSTRUCTION_LENGTH — 單一指令字數上限 (預設 500)
+ *   SUPERVISOR_MAX_ATTEMPTS           — 含重試的總嘗試次數 (預設 2)
+ */
+function createPlannerFromEnv(provider, { toolNames, logger } = {}, env = process.env) {
+  return createPlanner({
+    provider,
+    toolNames,
+    logger,
+    maxTasks: Number(env.SUPERVISOR_MAX_TASKS) || DEFAULT_MAX_TASKS,
+    maxInstructionLength: Number(env.SUPERVISOR_MAX_INSTRUCTION_LENGTH) || DEFAULT_MAX_INSTRUCTION_LENGTH,
+    maxAttempts: Number(env.SUPERVISOR_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  });
+}
+
+module.exports = {
+  buildPlanSchema,
+  parsePlanText,
+  validatePlan,
+  createPlanner,
+  createPlannerFromEnv,
+};
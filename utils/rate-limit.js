@@ -0,0 +1,320 @@
+/**
+ * Rate Limiting, Quotas & Circuit Breaker
+ *
+ * 一則複雜訊息會呼叫 Supervisor、N 個 Agent 與 Synthesizer，因此在進入背景工作前檢查：
+ *   1. Token bucket — 每位使用者、每個群組 / 聊天室各一個，限制短時間內的訊息數
+ *   2. 每日額度 — 依每則訊息實際呼叫模型的次數累計 (以 AsyncLocalStorage 對應到該則訊息)
+ *   3. Circuit breaker — 模型在重試後仍回傳 429 時暫停所有請求一段時間，避免持續打滿配額
+ * 狀態存放在 utils/store.js 介面的儲存層 (預設為記憶體)；多個 instance 共用 KV 時，
+ * 讀取-修改-寫入並非原子操作，極少數同時到達的訊息可能多放行一次。
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { createMemoryStore } = require('./store');
+const { createLogger } = require('./telemetry');
+
+const DEFAULT_USER_BURST = 5;
+const DEFAULT_USER_PER_MINUTE = 5;
+const DEFAULT_GROUP_BURST = 10;
+const DEFAULT_GROUP_PER_MINUTE = 20;
+const DEFAULT_DAILY_MODEL_CALLS = 300;
+const DEFAULT_BREAKER_COOLDOWN_SECONDS = 60;
+const QUOTA_TIMEZONE = 'Asia/Taipei';
+
+const THROTTLE_REASONS = {
+  RATE: 'rate',
+  QUOTA: 'quota',
+  BUSY: 'busy',
+};
+
+// ===== Token Bucket =====
+
+/**
+ * @param {object} options
+ * @param {object} options.store - utils/store.js 的 store
+ * @param {string} options.prefix - key 前綴 (例如 "ratelimit:user")
+ * @param {number} options.burst - bucket 容量 (可連續送出的訊息數)；0 代表不限制
+ * @param {number} options.perMinute - 每分鐘補充的 token 數；0 代表不限制 (永不補充的 bucket 用完後會永久擋住使用者)
+ * @param {() => number} [options.now]
+ */
+function createTokenBucket({ store, prefix, burst, perMinute, now = Date.now }) {
+  const enabled = burst > 0 && perMinute > 0;
+  const refillPerMs = perMinute / 60000;
+  // bucket 補滿後即可刪除，TTL 設為補滿所需時間
+  const ttlSeconds = enabled ? Math.ceil((burst / perMinute) * 60) + 1 : undefined;
+
+  const keyOf = (id) => `${prefix}:${id}`;
+
+  // 依經過的時間補充 token 後的數量
+  async function available(id, current) {
+    const saved = await store.get(keyOf(id));
+    return saved ? Math.min(burst, saved.tokens + (current - saved.updatedAt) * refillPerMs) : burst;
+  }
+
+  function toResult(tokens) {
+    if (tokens >= 1) return { allowed: true, retryAfterSeconds: 0 };
+    return { allowed: false, retryAfterSeconds: Math.ceil((1 - tokens) / refillPerMs / 1000) };
+  }
+
+  return {
+    /**
+     * 是否還有 token (不取用)
+     * @param {string} id
+     * @returns {Promise<{allowed: boolean, retryAfterSeconds: number}>}
+     */
+    async peek(id) {
+      if (!enabled || !id) return { allowed: true, retryAfterSeconds: 0 };
+      return toResult(await available(id, now()));
+    },
+
+    /**
+     * 取用一個 token
+     * @param {string} id
+     * @returns {Promise<{allowed: boolean, retryAfterSeconds: number}>}
+     */
+    async take(id) {
+      if (!enabled || !id) return { allowed: true, retryAfterSeconds: 0 };
+      const current = now();
+      const tokens = await available(id, current);
+      const result = toResult(tokens);
+      if (result.allowed) await store.set(keyOf(id), { tokens: tokens - 1, updatedAt: current }, { ttlSeconds });
+      return result;
+    },
+  };
+}
+
+// ===== Daily Quota =====
+
+function formatDate(date, timeZone) {
+  // en-CA 的日期格式為 YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * 每日模型呼叫次數 (以 Asia/Taipei 的日期分日)
+ * @param {object} options
+ * @param {object} options.store
+ * @param {number} options.limit - 每日上限；0 代表不限制
+ * @param {() => number} [options.now]
+ */
+function createDailyQuota({ store, limit, timeZone = QUOTA_TIMEZONE, now = Date.now }) {
+  const keyOf = (id) => `quota:${formatDate(new Date(now()), timeZone)}:${id}`;
+  const ttlSeconds = 2 * 24 * 60 * 60;
+
+  async function used(id) {
+    return (await store.get(keyOf(id))) || 0;
+  }
+
+  return {
+    limit,
+    used,
+
+    /**
+     * 是否還有額度 (用量在訊息處理完才知道，因此最後一則訊息可能略為超過上限)
+     */
+    async allows(id) {
+      if (!limit || !id) return true;
+      return (await used(id)) < limit;
+    },
+
+    async charge(id, calls) {
+      if (!limit || !id || calls <= 0) return;
+      const key = keyOf(id);
+      await store.set(key, ((await store.get(key)) || 0) + calls, { ttlSeconds });
+    },
+  };
+}
+
+// ===== Circuit Breaker =====
+
+/**
+ * @param {object} options
+ * @param {object} options.store
+ * @param {number} options.cooldownSeconds - 重試後仍收到 429 時暫停的秒數；0 代表停用
+ * @param {() => number} [options.now]
+ */
+function createCircuitBreaker({ store, cooldownSeconds, now = Date.now }) {
+  const key = 'ratelimit:breaker';
+
+  return {
+    /**
+     * @returns {Promise<number>} 還要等待的秒數，0 代表可以呼叫模型
+     */
+    async remainingSeconds() {
+      if (!cooldownSeconds) return 0;
+      const openUntil = await store.get(key);
+      return openUntil && openUntil > now() ? Math.ceil((openUntil - now()) / 1000) : 0;
+    },
+
+    async trip() {
+      if (!cooldownSeconds) return;
+      await store.set(key, now() + cooldownSeconds * 1000, { ttlSeconds: cooldownSeconds });
+    },
+  };
+}
+
+// ===== Rate Limiter =====
+
+function isRateLimitError(err) {
+  return Boolean(err) && (err.status === 429 || /\b429\b|RESOURCE_EXHAUSTED/.test(err.message || ''));
+}
+
+/**
+ * @param {object} options
+ * @param {object} [options.store] - 預設為記憶體 store
+ * @param {{burst: number, perMinute: number}} [options.user]
+ * @param {{burst: number, perMinute: number}} [options.group]
+ * @param {number} [options.dailyModelCalls]
+ * @param {number} [options.breakerCooldownSeconds]
+ * @param {() => number} [options.now]
+ * @param {object} [options.logger] - utils/telemetry.js 的 logger
+ */
+function createRateLimiter({
+  store = createMemoryStore(),
+  user = { burst: DEFAULT_USER_BURST, perMinute: DEFAULT_USER_PER_MINUTE },
+  group = { burst: DEFAULT_GROUP_BURST, perMinute: DEFAULT_GROUP_PER_MINUTE },
+  dailyModelCalls = DEFAULT_DAILY_MODEL_CALLS,
+  breakerCooldownSeconds = DEFAULT_BREAKER_COOLDOWN_SECONDS,
+  now = Date.now,
+  logger = createLogger(),
+} = {}) {
+  const userBucket = createTokenBucket({ store, prefix: 'ratelimit:user', ...user, now });
+  const groupBucket = createTokenBucket({ store, prefix: 'ratelimit:group', ...group, now });
+  const quota = createDailyQuota({ store, limit: dailyModelCalls, now });
+  const breaker = createCircuitBreaker({ store, cooldownSeconds: breakerCooldownSeconds, now });
+  const usage = new AsyncLocalStorage();
+
+  /**
+   * 以 wrapGenerate 包裝每個 provider 的 generate (多個 stage 共用同一個 provider 時只包裝一次)
+   */
+  function wrapProviders(providers, wrapGenerate) {
+    const wrapped = new Map();
+    const wrap = (provider) => {
+      if (!wrapped.has(provider)) {
+        wrapped.set(provider, { ...provider, generate: wrapGenerate(provider) });
+      }
+      return wrapped.get(provider);
+    };
+    return Object.fromEntries(Object.entries(providers).map(([stage, provider]) => [stage, wrap(provider)]));
+  }
+
+  /**
+   * 包裝 provider：計算目前訊息的模型呼叫次數 (包在重試內側，每次重試都計入)
+   * @param {object} providers - createProvidersFromEnv() 的結果
+   * @returns {object} 相同結構的 providers
+   */
+  function instrument(providers) {
+    return wrapProviders(providers, (provider) => (request, options) => {
+      const counter = usage.getStore();
+      if (counter) counter.calls++;
+      return provider.generate(request, options);
+    });
+  }
+
+  /**
+   * 包裝 provider：重試用盡後仍是 429 時打開 circuit breaker (包在重試外側，重試成功的 429 不算)
+   * @param {object} providers - resilience.instrument() 的結果
+   * @returns {object} 相同結構的 providers
+   */
+  function protect(providers) {
+    return wrapProviders(providers, (provider) => async (request, options) => {
+      try {
+        return await provider.generate(request, options);
+      } catch (err) {
+        if (isRateLimitError(err)) {
+          logger.warn('Model rate limited, opening circuit breaker', { err });
+          await breaker.trip().catch((tripErr) => logger.error('Failed to open circuit breaker', { err: tripErr }));
+        }
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * 檢查這則訊息是否可以交給模型處理 (會消耗 token bucket)
+   * @param {{userId?: string, groupId?: string}} subject
+   * @returns {Promise<{reason: string, retryAfterSeconds: number}|null>} null 代表放行
+   */
+  async function check({ userId, groupId }) {
+    const busySeconds = await breaker.remainingSeconds();
+    if (busySeconds > 0) return { reason: THROTTLE_REASONS.BUSY, retryAfterSeconds: busySeconds };
+
+    if (!(await quota.allows(userId || groupId))) return { reason: THROTTLE_REASONS.QUOTA, retryAfterSeconds: 0 };
+
+    // 兩個 bucket 都有 token 才取用，群組被限制時不消耗使用者的 token
+    const buckets = [[userBucket, userId], [groupBucket, groupId]];
+    for (const [bucket, id] of buckets) {
+      const { allowed, retryAfterSeconds } = await bucket.peek(id);
+      if (!allowed) return { reason: THROTTLE_REASONS.RATE, retryAfterSeconds };
+    }
+    for (const [bucket, id] of buckets) {
+      const { allowed, retryAfterSeconds } = await bucket.take(id);
+      if (!allowed) return { reason: THROTTLE_REASONS.RATE, retryAfterSeconds };
+    }
+    return null;
+  }
+
+  /**
+   * 執行工作並把期間的模型呼叫次數記入每日額度
+   * @param {{userId?: string, groupId?: string}} subject
+   * @param {() => Promise} task
+   */
+  async function track({ userId, groupId }, task) {
+    const counter = { calls: 0 };
+    try {
+      return await usage.run(counter, task);
+    } finally {
+      await quota.charge(userId || groupId, counter.calls)
+        .catch((err) => logger.error('Failed to record model usage', { err }));
+    }
+  }
+
+  return {
+    instrument, protect, check, track, quota,
+  };
+}
+
+function readLimit(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`${name} must be a non-negative number`);
+  return value;
+}
+
+/**
+ * 依環境變數建立 (數值設為 0 代表停用該項限制)：
+ *   RATE_LIMIT_USER_BURST / RATE_LIMIT_USER_PER_MINUTE   — 每位使用者的 token bucket
+ *   RATE_LIMIT_GROUP_BURST / RATE_LIMIT_GROUP_PER_MINUTE — 每個群組 / 聊天室的 token bucket
+ *   DAILY_MODEL_CALL_QUOTA                               — 每位使用者每日的模型呼叫次數
+ *   CIRCUIT_BREAKER_COOLDOWN_SECONDS                     — 重試後仍收到 429 時暫停的秒數
+ * @param {object} [store]
+ * @param {object} [env]
+ * @param {object} [options]
+ * @param {object} [options.logger]
+ */
+function createRateLimiterFromEnv(store, env = process.env, { logger } = {}) {
+  return createRateLimiter({
+    logger,
+    store: store || createMemoryStore(),
+    user: {
+      burst: readLimit(env, 'RATE_LIMIT_USER_BURST', DEFAULT_USER_BURST),
+      perMinute: readLimit(env, 'RATE_LIMIT_USER_PER_MINUTE', DEFAULT_USER_PER_MINUTE),
+    },
+    group: {
+      burst: readLimit(env, 'RATE_LIMIT_GROUP_BURST', DEFAULT_GROUP_BURST),
+      perMinute: readLimit(env, 'RATE_LIMIT_GROUP_PER_MINUTE', DEFAULT_GROUP_PER_MINUTE),
+    },
+    dailyModelCalls: readLimit(env, 'DAILY_MODEL_CALL_QUOTA', DEFAULT_DAILY_MODEL_CALLS),
+    breakerCooldownSeconds: readLimit(env, 'CIRCUIT_BREAKER_COOLDOWN_SECONDS', DEFAULT_BREAKER_COOLDOWN_SECONDS),
+  });
+}
+
+module.exports = {
+  THROTTLE_REASONS,
+  isRateLimitError,
+  createTokenBucket,
+  createDailyQuota,
+  createCircuitBreaker,
+  createRateLimiter,
+  createRateLimiterFromEnv,
+};
@@ -0,0 +1,311 @@
+/**
+ * Reminders
+ *
+ * 使用者以自然語言設定的提醒 (「明天早上8點提醒我開會」)：
+ *   - 解析：createReminderParser 以 structured output 請模型取出當地時間、重複規則與提醒內容
+ *   - 儲存：建立在 utils/store.js 介面上
+ *       reminder:<id>              — 提醒內容
+ *       reminders:user:<userId>    — 使用者的提醒 id
+ *       reminders:schedule         — 所有提醒的下次時間 (store 沒有範圍查詢，以單一 hash 索引代替，
+ *                                    每個提醒一個欄位，以 setField / deleteField 各自更新)
+ *   - 發送：/api/cron 以 takeDue() 取出到期的提醒，先 complete() 再 push (儲存失敗時不會送出，不會重複提醒)，
+ *           push 失敗時 fail() 把這一次排回去稍後重試
+ * 多個 instance 同時執行 cron 時，極少數提醒可能重複送出。
+ */
+
+const { SchemaType } = require('@google/generative-ai');
+const { buildReminderParsePrompt } = require('../prompts');
+const { DEFAULT_TIMEZONE, assertTimezone, zonedTimeToDate } = require('../tools/datetime');
+const { RECURRENCES, toLocal, firstOccurrence } = require('./schedule');
+const { createShortId } = require('./ids');
+
+const DEFAULT_MAX_PER_USER = 20;
+const MAX_MESSAGE_LENGTH = 200;
+// 取出後尚未回報結果的提醒，超過此時間視為中斷，下次 cron 重新發送
+const LEASE_MS = 5 * 60 * 1000;
+const RETRY_DELAY_MS = 60 * 1000;
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+const SCHEDULE_KEY = 'reminders:schedule';
+
+class ReminderError extends Error {
+  /**
+   * @param {'invalid'|'past'|'limit'} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ReminderError';
+    this.code = code;
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.store - utils/store.js 的 store
+ * @param {string} [options.timeZone] - 預設時區
+ * @param {number} [options.maxPerUser] - 每位使用者的提醒上限
+ * @param {() => number} [options.now]
+ */
+function createReminders({
+  store,
+  timeZone: defaultTimeZone = DEFAULT_TIMEZONE,
+  maxPerUser = DEFAULT_MAX_PER_USER,
+  now = Date.now,
+}) {
+  const reminderKey = (id) => `reminder:${id}`;
+  const userKey = (ownerId) => `reminders:user:${ownerId}`;
+
+  async function loadSchedule() {
+    return (await store.getFields(SCHEDULE_KEY)) || {};
+  }
+
+  /**
+   * @param {string} id
+   * @param {number|null} at - 下次發送時間；null 代表移出排程
+   */
+  async function schedule(id, at) {
+    if (at === null) await store.deleteField(SCHEDULE_KEY, id);
+    else await store.setField(SCHEDULE_KEY, id, at);
+  }
+
+  async function listIds(ownerId) {
+    return (await store.get(userKey(ownerId))) || [];
+  }
+
+  async function remove(reminder) {
+    await store.delete(reminderKey(reminder.id));
+    const ids = await listIds(reminder.ownerId);
+    await store.set(userKey(reminder.ownerId), ids.filter((id) => id !== reminder.id));
+    await schedule(reminder.id, null);
+  }
+
+  /**
+   * 更新提醒並排入 schedule
+   * @param {object} reminder
+   * @param {object} fields - 要更新的欄位
+   * @param {number} [sendAt] - 實際發送時間 (重試時晚於 nextAt)，預設為 nextAt
+   * @returns {Promise<object|null>} 已被取消時為 null
+   */
+  async function save(reminder, fields, sendAt) {
+    // 發送期間被使用者取消
+    if (!(await store.get(reminderKey(reminder.id)))) return null;
+    const updated = { ...reminder, ...fields };
+    await store.set(reminderKey(reminder.id), updated);
+    await schedule(reminder.id, sendAt || updated.nextAt);
+    return updated;
+  }
+
+  /**
+   * 這一次已處理完畢：重複的提醒排到下一次，單次提醒刪除
+   */
+  async function advance(reminder) {
+    if (reminder.recurrence === 'none') {
+      await remove(reminder);
+      return null;
+    }
+    const { recurrence, timeZone, dayOfMonth } = reminder;
+    const nextAt = firstOccurrence(reminder.nextAt, recurrence, { now: now(), timeZone, dayOfMonth });
+    return save(reminder, { nextAt, attempts: 0 });
+  }
+
+  return {
+    timeZone: defaultTimeZone,
+    maxPerUser,
+
+    /**
+     * 新增提醒
+     * @param {object} input
+     * @param {string} input.ownerId - 設定提醒的使用者
+     * @param {string} input.targetId - push 的對象 (使用者 / 群組 / 聊天室)
+     * @param {string} input.message
+     * @param {string} input.localTime - 當地時間 "YYYY-MM-DD HH:mm"
+     * @param {string} [input.recurrence] - RECURRENCES 之一
+     * @param {string} [input.timeZone]
+     * @returns {Promise<object>} 新的提醒
+     * @throws {ReminderError}
+     */
+    async create({ ownerId, targetId, message, localTime, recurrence = 'none', timeZone = defaultTimeZone }) {
+      if (!RECURRENCES.includes(recurrence)) throw new ReminderError('invalid', `Unknown recurrence: ${recurrence}`);
+      const text = (message || '').trim().slice(0, MAX_MESSAGE_LENGTH);
+      if (!text) throw new ReminderError('invalid', 'Reminder message is empty');
+
+      let at;
+      try {
+        assertTimezone(timeZone);
+        at = zonedTimeToDate(localTime, timeZone).getTime();
+      } catch (err) {
+        throw new ReminderError('invalid', err.message);
+      }
+      const dayOfMonth = toLocal(at, timeZone).day;
+      const nextAt = firstOccurrence(at, recurrence, { now: now(), timeZone, dayOfMonth });
+      if (nextAt <= now()) throw new ReminderError('past', `Reminder time has passed: ${localTime}`);
+
+      const ids = await listIds(ownerId);
+      if (ids.length >= maxPerUser) throw new ReminderError('limit', `Reminder limit reached: ${maxPerUser}`);
+
+      const reminder = {
+        id: createShortId(),
+        ownerId,
+        targetId,
+        message: text,
+        recurrence,
+        timeZone,
+        dayOfMonth,
+        nextAt,
+        attempts: 0,
+        createdAt: now(),
+      };
+      await store.set(reminderKey(reminder.id), reminder);
+      await store.set(userKey(ownerId), [...ids, reminder.id]);
+      await schedule(reminder.id, nextAt);
+      return reminder;
+    },
+
+    /**
+     * @param {string} ownerId
+     * @returns {Promise<Array<object>>} 依下次時間排序
+     */
+    async list(ownerId) {
+      const reminders = await Promise.all((await listIds(ownerId)).map((id) => store.get(reminderKey(id))));
+      return reminders.filter(Boolean).sort((a, b) => a.nextAt - b.nextAt);
+    },
+
+    /**
+     * 取消使用者自己的提醒
+     * @param {string} ownerId
+     * @param {string} id
+     * @returns {Promise<object|null>} 被取消的提醒；不存在或不屬於該使用者時為 null
+     */
+    async cancel(ownerId, id) {
+      const reminder = await store.get(reminderKey((id || '').toLowerCase()));
+      if (!reminder || reminder.ownerId !== ownerId) return null;
+      await remove(reminder);
+      return reminder;
+    },
+
+    /**
+     * 取出到期的提醒，並暫時延後 (lease) 避免下一次 cron 重複取出
+     * @param {number} [limit] - 單次最多取出的數量
+     * @returns {Promise<Array<object>>}
+     */
+    async takeDue(limit = 50) {
+      const current = now();
+      const dueIds = Object.entries(await loadSchedule())
+        .filter(([, at]) => at <= current)
+        .sort(([, a], [, b]) => a - b)
+        .slice(0, limit)
+        .map(([id]) => id);
+      if (dueIds.length === 0) return [];
+
+      const reminders = (await Promise.all(dueIds.map((id) => store.get(reminderKey(id))))).filter(Boolean);
+      // 索引中殘留、內容已不存在的 id 一併清除
+      await Promise.all(dueIds.map((id) => schedule(
+        id, reminders.some((reminder) => reminder.id === id) ? current + LEASE_MS : null,
+      )));
+      return reminders;
+    },
+
+    /**
+     * 這一次要送出了：重複的提醒排到下一次，單次提醒刪除 (以取出時的 nextAt 推算，重複呼叫結果相同)
+     * @param {object} reminder - takeDue() 取出的提醒
+     * @returns {Promise<object|null>} 更新後的提醒；已刪除時為 null
+     */
+    complete: advance,
+
+    /**
+     * 送出失敗：把 complete() 前的提醒放回去稍後重試 (nextAt 不變，重複規則仍以原本的時間推算)；
+     * 超過重試次數則略過這一次
+     * @param {object} reminder - takeDue() 取出的提醒
+     * @returns {Promise<object|null>}
+     */
+    async fail(reminder) {
+      const attempts = (reminder.attempts || 0) + 1;
+      if (attempts >= MAX_DELIVERY_ATTEMPTS) return advance(reminder);
+      const restored = { ...reminder, attempts };
+      await store.set(reminderKey(reminder.id), restored);
+      const ids = await listIds(reminder.ownerId);
+      if (!ids.includes(reminder.id)) await store.set(userKey(reminder.ownerId), [...ids, reminder.id]);
+      await schedule(reminder.id, now() + RETRY_DELAY_MS);
+      return restored;
+    },
+  };
+}
+
+/**
+ * 依環境變數建立：
+ *   REMINDER_TIME_ZONE     — 預設時區 (預設 Asia/Taipei)
+ *   REMINDER_MAX_PER_USER  — 每位使用者的提醒上限 (預設 20)
+ * @param {object} store
+ * @param {object} [env]
+ */
+function createRemindersFromEnv(store, env = process.env) {
+  const timeZone = env.REMINDER_TIME_ZONE || DEFAULT_TIMEZONE;
+  assertTimezone(timeZone);
+  return createReminders({
+    store,
+    timeZone,
+    maxPerUser: Number(env.REMINDER_MAX_PER_USER) || DEFAULT_MAX_PER_USER,
+  });
+}
+
+// ===== 自然語言解析 =====
+
+const REMINDER_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    isReminder: { type: SchemaType.BOOLEAN, description: '使用者是否要求在某個時間提醒他' },
+    datetime: { type: SchemaType.STRING, description: '第一次提醒的當地時間，格式 YYYY-MM-DD HH:mm' },
+    recurrence: { type: SchemaType.STRING, format: 'enum', enum: RECURRENCES, description: '重複規則，不重複為 none' },
+    message: { type: SchemaType.STRING, description: '提醒內容，例如：開會' },
+    timeZone: { type: SchemaType.STRING, description: '使用者明確指定的 IANA 時區；未指定時留空' },
+  },
+  required: ['isReminder'],
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.provider - LLM provider (providers/index.js)
+ * @param {string} [options.timeZone] - 未指定時區時使用
+ * @param {object} [options.prompts] - promptLibrary.select() 的結果 (預設為內建模板)
+ * @param {() => number} [options.now]
+ */
+function createReminderParser({
+  provider, timeZone = DEFAULT_TIMEZONE, prompts, now = Date.now,
+}) {
+  /**
+   * @param {string} text - 使用者訊息
+   * @param {object} [options]
+   * @param {object} [options.prompts] - 使用者語言的 prompt 組合 (預設為建立時的 prompts)
+   * @returns {Promise<{localTime: string, recurrence: string, message: string, timeZone: string}|null>}
+   *   不是提醒 (或無法解析) 時為 null
+   */
+  async function parse(text, options = {}) {
+    const local = toLocal(now(), timeZone);
+    const prompt = buildReminderParsePrompt(text, { now: local, timeZone }, options.prompts || prompts);
+    const result = await provider.generate({ contents: [{ role: 'user', parts: [{ text: prompt }] }], responseSchema: REMINDER_SCHEMA });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(result.text.replace(/```json\n?|```/gi, '').trim());
+    } catch (err) {
+      return null;
+    }
+    if (!parsed || parsed.isReminder !== true || typeof parsed.datetime !== 'string') return null;
+    return {
+      localTime: parsed.datetime,
+      recurrence: RECURRENCES.includes(parsed.recurrence) ? parsed.recurrence : 'none',
+      message: typeof parsed.message === 'string' ? parsed.message : '',
+      timeZone: parsed.timeZone || timeZone,
+    };
+  }
+
+  return { parse };
+}
+
+module.exports = {
+  ReminderError,
+  createReminders,
+  createRemindersFromEnv,
+  createReminderParser,
+};
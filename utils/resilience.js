@@ -0,0 +1,228 @@
+/**
+ * Resilience — 模型呼叫的逾時、重試與整體期限
+ *
+ *   1. 逾時   — 每次模型呼叫最多等待 timeoutMs，逾時以 AbortSignal 取消 HTTP 請求
+ *   2. 重試   — 429 / 5xx / 網路錯誤 / 逾時以 exponential backoff + full jitter 重試
+ *   3. 期限   — 背景工作開始時設定期限 (Vercel maxDuration 60 秒，預設保留 10 秒給回覆)，
+ *               期間內所有模型呼叫共用剩餘時間；超過期限的呼叫直接取消，不再重試
+ *
+ * 期限以 AsyncLocalStorage 傳遞 (與 utils/rate-limit.js 的用量計算相同)，
+ * handler 與工具不需要層層傳參數。
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_TIMEOUT_SECONDS = 25;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+const DEFAULT_DEADLINE_SECONDS = 50;
+const DEFAULT_SYNTHESIZER_RESERVE_SECONDS = 12;
+
+class TimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Model call timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class DeadlineExceededError extends Error {
+  constructor() {
+    super('Request deadline exceeded');
+    this.name = 'DeadlineExceededError';
+  }
+}
+
+/**
+ * 可以重試的錯誤：429、5xx、網路錯誤與單次呼叫逾時 (整體期限到了則不重試)
+ * @param {Error} err
+ */
+function isRetriableError(err) {
+  if (!err || err instanceof DeadlineExceededError) return false;
+  if (err instanceof TimeoutError) return true;
+  if (err.status) return err.status === 429 || err.status >= 500;
+  return /\b(429|500|502|503|504)\b|RESOURCE_EXHAUSTED|UNAVAILABLE|overloaded|fetch failed|ECONNRESET|ETIMEDOUT/i.test(err.message || '');
+}
+
+/**
+ * 第 attempt 次重試前的等待時間 (full jitter：0 ~ base × 2^(attempt-1) 之間的隨機值)
+ * @param {number} attempt - 從 1 開始
+ * @param {number} baseDelayMs
+ * @param {() => number} [random]
+ */
+function backoffDelay(attempt, baseDelayMs, random = Math.random) {
+  return Math.round(random() * Math.min(MAX_RETRY_DELAY_MS, baseDelayMs * 2 ** (attempt - 1)));
+}
+
+/**
+ * 執行 fn(signal)，超過 ms 時取消並以 onTimeout() 的錯誤拒絕
+ * @param {(signal: AbortSignal) => Promise} fn
+ * @param {number} ms
+ * @param {() => Error} onTimeout
+ */
+function runWithTimeout(fn, ms, onTimeout) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = onTimeout();
+      controller.abort(err);
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([Promise.resolve().then(() => fn(controller.signal)), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - 單次模型呼叫的逾時；0 代表不限
+ * @param {number} [options.maxRetries] - 失敗後最多重試幾次
+ * @param {number} [options.baseDelayMs] - 第一次重試前的最長等待
+ * @param {number} [options.deadlineMs] - 背景工作的整體期限；0 代表不限
+ * @param {number} [options.synthesizerReserveMs] - Sub-agent 必須在期限前多久結束，留給 Synthesizer
+ * @param {(info: {stage: string, attempt: number, delayMs: number, err: Error}) => void} [options.onRetry]
+ * @param {() => number} [options.random]
+ * @param {() => number} [options.now]
+ */
+function createResilience({
+  timeoutMs = DEFAULT_TIMEOUT_SECONDS * 1000,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+  deadlineMs = DEFAULT_DEADLINE_SECONDS * 1000,
+  synthesizerReserveMs = DEFAULT_SYNTHESIZER_RESERVE_SECONDS * 1000,
+  onRetry = () => {},
+  random = Math.random,
+  now = Date.now,
+} = {}) {
+  const deadlines = new AsyncLocalStorage();
+
+  /**
+   * 目前 context 的期限 (epoch 毫秒)；沒有設定時為 Infinity
+   */
+  function deadlineAt() {
+    const deadline = deadlines.getStore();
+    return deadline === undefined ? Infinity : deadline;
+  }
+
+  /**
+   * 以新的期限執行 fn；外層已有更早的期限時沿用外層的
+   * @param {number} at - epoch 毫秒
+   * @param {() => Promise} fn
+   */
+  function withDeadline(at, fn) {
+    return deadlines.run(Math.min(at, deadlineAt()), fn);
+  }
+
+  /**
+   * 從現在起算的新期限 (收到訊息時呼叫；deadlineMs 為 0 時為 Infinity)
+   * @returns {number}
+   */
+  function startDeadline() {
+    return deadlineMs ? now() + deadlineMs : Infinity;
+  }
+
+  /**
+   * 與 withDeadline 相同，但期限一到就以 DeadlineExceededError 拒絕，不等 fn 結束
+   * (fn 之後的模型呼叫也會因期限而取消)。用於結果可以捨棄的工作，例如 Sub-agent。
+   * @param {number} at
+   * @param {() => Promise} fn
+   */
+  function race(at, fn) {
+    return withDeadline(at, () => {
+      const remaining = deadlineAt() - now();
+      if (remaining === Infinity) return fn();
+      if (remaining <= 0) return Promise.reject(new DeadlineExceededError());
+      return runWithTimeout(fn, remaining, () => new DeadlineExceededError());
+    });
+  }
+
+  /**
+   * 以逾時與重試呼叫模型
+   * @param {string} stage - 記錄用
+   * @param {(signal: AbortSignal) => Promise} call
+   */
+  async function callModel(stage, call) {
+    for (let attempt = 0; ; attempt++) {
+      const remaining = deadlineAt() - now();
+      if (remaining <= 0) throw new DeadlineExceededError();
+      const limitedByDeadline = !timeoutMs || remaining < timeoutMs;
+      const limit = limitedByDeadline ? remaining : timeoutMs;
+      try {
+        return await (limit === Infinity
+          ? call(undefined)
+          : runWithTimeout(call, limit, () => (limitedByDeadline ? new DeadlineExceededError() : new TimeoutError(limit))));
+      } catch (err) {
+        if (attempt >= maxRetries || !isRetriableError(err)) throw err;
+        const delayMs = backoffDelay(attempt + 1, baseDelayMs, random);
+        // 等待後就沒有時間再呼叫一次：直接回報這次的錯誤
+        if (now() + delayMs >= deadlineAt()) throw err;
+        onRetry({ stage, attempt: attempt + 1, delayMs, err });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * 包裝 provider：每次 generate 套用逾時、重試與目前的期限
+   * @param {object} providers - createProvidersFromEnv() 的結果
+   * @returns {object} 相同結構的 providers
+   */
+  function instrument(providers) {
+    return Object.fromEntries(Object.entries(providers).map(([stage, provider]) => [stage, {
+      ...provider,
+      generate(request) {
+        return callModel(stage, (signal) => provider.generate(request, { signal }));
+      },
+    }]));
+  }
+
+  return {
+    synthesizerReserveMs,
+    deadlineAt,
+    startDeadline,
+    withDeadline,
+    race,
+    instrument,
+  };
+}
+
+function readNumber(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`${name} must be a non-negative number`);
+  return value;
+}
+
+/**
+ * 依環境變數建立：
+ *   MODEL_TIMEOUT_SECONDS       — 單次模型呼叫的逾時 (預設 25；0 代表不限)
+ *   MODEL_MAX_RETRIES           — 429 / 5xx / 逾時的重試次數 (預設 2)
+ *   MODEL_RETRY_BASE_DELAY_MS   — 第一次重試前的最長等待，之後每次加倍 (預設 500)
+ *   REQUEST_DEADLINE_SECONDS    — 每則訊息的處理期限 (預設 50，低於 Vercel 的 60 秒上限；0 代表不限)
+ *   SYNTHESIZER_RESERVE_SECONDS — 保留給 Synthesizer 的時間，Sub-agent 須在此之前結束 (預設 12)
+ * @param {object} [env]
+ * @param {object} [options] - 其他 createResilience 參數 (例如 onRetry)
+ */
+function createResilienceFromEnv(env = process.env, options = {}) {
+  return createResilience({
+    ...options,
+    timeoutMs: readNumber(env, 'MODEL_TIMEOUT_SECONDS', DEFAULT_TIMEOUT_SECONDS) * 1000,
+    maxRetries: readNumber(env, 'MODEL_MAX_RETRIES', DEFAULT_MAX_RETRIES),
+    baseDelayMs: readNumber(env, 'MODEL_RETRY_BASE_DELAY_MS', DEFAULT_RETRY_BASE_DELAY_MS),
+    deadlineMs: readNumber(env, 'REQUEST_DEADLINE_SECONDS', DEFAULT_DEADLINE_SECONDS) * 1000,
+    synthesizerReserveMs: readNumber(env, 'SYNTHESIZER_RESERVE_SECONDS', DEFAULT_SYNTHESIZER_RESERVE_SECONDS) * 1000,
+  });
+}
+
+module.exports = {
+  TimeoutError,
+  DeadlineExceededError,
+  isRetriableError,
+  backoffDelay,
+  createResilience,
+  createResilienceFromEnv,
+};
@@ -0,0 +1,266 @@
+/**
+ * Safety — 模型呼叫前後的安全檢查
+ *
+ *   1. 個資遮蔽 — 送出前把使用者訊息中的電話、身分證字號、Email 與信用卡號換成 [PHONE] 等標記
+ *   2. 拒答清單 — 使用者訊息符合 SAFETY_DENY_LIST 時不呼叫模型，直接拒絕
+ *   3. 安全封鎖 — 模型以 blockReason / finishReason 表示 prompt 或回覆被安全機制擋下時，
+ *                 拋出 SafetyBlockedError，由 handler 回覆對應的說明 (而不是一般的系統錯誤)
+ *   4. 輸出過濾 — 回覆中符合 SAFETY_OUTPUT_FILTER 的文字換成 ■■■
+ * 1、2 只檢查使用者傳來的文字：guard(text, task) 以 AsyncLocalStorage 標記這則訊息，期間的模型呼叫
+ * 只遮蔽 prompt 中出現的該則訊息的個資；模板、Agent 的結果與工具內容不受影響，guard 之外的呼叫不檢查。
+ * 每個決定都交給 onDecision 記錄 (只記錄類型與數量，不記錄個資本身)。
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 依序比對：先比對較長、較明確的格式，避免信用卡號被當成電話
+const PII_PATTERNS = [
+  { type: 'email', mask: '[EMAIL]', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+  { type: 'credit_card', mask: '[CREDIT_CARD]', pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g, validate: isLuhnValid },
+  // 國民身分證 (A123456789) 與居留證 (新式 A800000000、舊式 AB12345678)
+  { type: 'national_id', mask: '[NATIONAL_ID]', pattern: /\b[A-Z](?:[1289]\d|[A-D]\d)\d{7}\b/gi },
+  {
+    type: 'phone',
+    mask: '[PHONE]',
+    pattern: /(?<![\d+])(?:(?:\+?886[ -]?|0)(?:9\d{2}[ -]?\d{3}[ -]?\d{3}|[2-8]\d?[ -]?\d{3,4}[ -]?\d{4})|\+\d{1,3}[ -]?\d{2,4}(?:[ -]?\d{3,4}){2})(?!\d)/g,
+  },
+];
+
+const MASK_PATTERN = new RegExp(PII_PATTERNS.map(({ mask }) => mask.replace(/[[\]]/g, '\\$&')).join('|'), 'g');
+
+// 代表 prompt 或回覆被安全機制擋下的 finishReason (Gemini；OpenAI 的 content_filter 轉為 SAFETY)
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+const RECITATION_FINISH_REASONS = ['RECITATION'];
+
+// 不使用 *** 之類的符號：回覆會經過 Markdown 排版 (utils/flex.js)
+const OUTPUT_FILTER_MASK = '■■■';
+
+class SafetyBlockedError extends Error {
+  /**
+   * @param {'denied'|'blocked'|'recitation'} code - denied：符合拒答清單；blocked：模型的安全機制；recitation：引用受保護內容
+   * @param {string} reason - blockReason、finishReason 或符合的規則
+   */
+  constructor(code, reason) {
+    super(`Model call blocked (${code}: ${reason})`);
+    this.name = 'SafetyBlockedError';
+    this.code = code;
+    this.reason = reason;
+  }
+}
+
+function isLuhnValid(text) {
+  const digits = text.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function scanPii(text) {
+  const found = {};
+  const matches = [];
+  const redacted = PII_PATTERNS.reduce((current, { type, mask, pattern, validate }) => current.replace(pattern, (match) => {
+    if (validate && !validate(match)) return match;
+    found[type] = (found[type] || 0) + 1;
+    matches.push({ type, mask, value: match });
+    return mask;
+  }), text);
+  return { text: redacted, found, matches };
+}
+
+/**
+ * 遮蔽文字中的個資
+ * @param {string} text
+ * @returns {{text: string, found: object}} found 為各類型的數量，例如 { phone: 1 }
+ */
+function redactPii(text) {
+  const { text: redacted, found } = scanPii(text);
+  return { text: redacted, found };
+}
+
+/**
+ * 把模型回覆中的 [PHONE] 等標記依出現順序換回原本的值 (例如提醒的內容)
+ * @param {Array<{mask: string, value: string}>} matches
+ * @returns {(text: string) => string}
+ */
+function createRestore(matches) {
+  return (text) => {
+    const used = {};
+    return text.replace(MASK_PATTERN, (mask) => {
+      const values = matches.filter((match) => match.mask === mask);
+      if (values.length === 0) return mask;
+      const index = Math.min(used[mask] || 0, values.length - 1);
+      used[mask] = index + 1;
+      return values[index].value;
+    });
+  };
+}
+
+/**
+ * 解析規則清單：以逗號或換行分隔；一般文字不分大小寫比對，/pattern/flags 為正規表示式
+ * @param {string} text
+ * @param {string} name - 錯誤訊息中的設定名稱
+ * @returns {Array<{source: string, pattern: RegExp}>}
+ */
+function parseRules(text, name = 'rules') {
+  return (text || '').split(/[,\n]/).map((item) => item.trim()).filter(Boolean).map((source) => {
+    const regex = source.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      const pattern = regex
+        ? new RegExp(regex[1], regex[2].includes('g') ? regex[2] : `${regex[2]}g`)
+        : new RegExp(source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+      return { source, pattern };
+    } catch (err) {
+      throw new Error(`${name} has an invalid pattern ${source}: ${err.message}`);
+    }
+  });
+}
+
+function findRule(rules, text) {
+  return rules.find(({ pattern }) => {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  });
+}
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.redact] - 是否遮蔽個資
+ * @param {Array<{source: string, pattern: RegExp}>} [options.denyList] - 輸入符合時拒絕 (parseRules)
+ * @param {Array<{source: string, pattern: RegExp}>} [options.outputFilter] - 回覆中符合的文字換成 ■■■
+ * @param {(decision: {stage: string, action: string}) => void} [options.onDecision]
+ *   action：redacted (含 found)、denied (含 rule)、blocked / recitation (含 reason、ratings)、
+ *   filtered (含 rules)、truncated (回覆達到長度上限)
+ */
+function createSafety({
+  redact = true, denyList = [], outputFilter = [], onDecision = () => {},
+} = {}) {
+  // 目前處理中的使用者訊息：{ text, matches }
+  const userInput = new AsyncLocalStorage();
+
+  /**
+   * 送出前的檢查：使用者訊息符合拒答清單時拋出 SafetyBlockedError，否則回傳遮蔽該則訊息個資後的 request
+   */
+  function checkRequest(stage, request) {
+    const input = userInput.getStore();
+    if (!input) return request;
+    const rule = findRule(denyList, input.text);
+    if (rule) {
+      onDecision({ stage, action: 'denied', rule: rule.source });
+      throw new SafetyBlockedError('denied', rule.source);
+    }
+    if (input.matches.length === 0) return request;
+
+    const found = {};
+    const contents = request.contents.map((content) => ({
+      ...content,
+      parts: content.parts.map((part) => {
+        if (typeof part.text !== 'string') return part;
+        const text = input.matches.reduce((current, { type, mask, value }) => {
+          const pieces = current.split(value);
+          if (pieces.length > 1) found[type] = (found[type] || 0) + pieces.length - 1;
+          return pieces.join(mask);
+        }, part.text);
+        return { ...part, text };
+      }),
+    }));
+    if (Object.keys(found).length > 0) onDecision({ stage, action: 'redacted', found });
+    return { ...request, contents };
+  }
+
+  /**
+   * 回覆的檢查：被安全機制擋下時拋出 SafetyBlockedError，否則回傳過濾後的結果
+   */
+  function checkResult(stage, result) {
+    const { blockReason, finishReason, safetyRatings } = result;
+    if (blockReason || BLOCKED_FINISH_REASONS.includes(finishReason)) {
+      const reason = blockReason || finishReason;
+      onDecision({ stage, action: 'blocked', reason, ratings: safetyRatings });
+      throw new SafetyBlockedError('blocked', reason);
+    }
+    if (RECITATION_FINISH_REASONS.includes(finishReason)) {
+      onDecision({ stage, action: 'recitation', reason: finishReason });
+      throw new SafetyBlockedError('recitation', finishReason);
+    }
+    if (finishReason === 'MAX_TOKENS') onDecision({ stage, action: 'truncated' });
+
+    const matched = result.text ? outputFilter.filter(({ pattern }) => {
+      pattern.lastIndex = 0;
+      return pattern.test(result.text);
+    }) : [];
+    if (matched.length === 0) return result;
+    onDecision({ stage, action: 'filtered', rules: matched.map(({ source }) => source) });
+    const text = matched.reduce((current, { pattern }) => current.replace(pattern, OUTPUT_FILTER_MASK), result.text);
+    return {
+      ...result,
+      text,
+      content: { ...result.content, parts: result.content.parts.map((part) => (part.text !== undefined ? { ...part, text } : part)) },
+    };
+  }
+
+  /**
+   * 包裝 provider：每次 generate 前後都做安全檢查
+   * @param {object} providers - createProvidersFromEnv() 的結果
+   * @returns {object} 相同結構的 providers
+   */
+  function instrument(providers) {
+    return Object.fromEntries(Object.entries(providers).map(([stage, provider]) => [stage, {
+      ...provider,
+      async generate(request, options) {
+        const result = await provider.generate(checkRequest(stage, request), options);
+        return checkResult(stage, result);
+      },
+    }]));
+  }
+
+  /**
+   * 處理一則使用者訊息：task 期間的模型呼叫以這段文字檢查拒答清單、遮蔽其中的個資
+   * @param {string} text - 使用者傳來的文字
+   * @param {(restore: (text: string) => string) => Promise} task - restore 把回覆中的遮蔽標記換回原本的值
+   */
+  function guard(text, task) {
+    const matches = redact ? scanPii(text).matches : [];
+    return userInput.run({ text, matches }, () => task(createRestore(matches)));
+  }
+
+  /**
+   * 遮蔽要保存的使用者文字 (對話紀錄)，之後的 prompt 不會再帶出個資
+   * @param {string} text
+   */
+  function redactText(text) {
+    return redact ? redactPii(text).text : text;
+  }
+
+  return { instrument, guard, redactText };
+}
+
+/**
+ * 依環境變數建立：
+ *   SAFETY_REDACT_PII    — 設為 false 時不遮蔽個資 (預設遮蔽)
+ *   SAFETY_DENY_LIST     — 拒答清單，以逗號或換行分隔；/pattern/flags 為正規表示式
+ *   SAFETY_OUTPUT_FILTER — 回覆中要遮蔽的文字，格式同上
+ * @param {object} [env]
+ * @param {object} [options] - 其他 createSafety 參數 (例如 onDecision)
+ */
+function createSafetyFromEnv(env = process.env, options = {}) {
+  return createSafety({
+    ...options,
+    redact: !['false', '0', 'off'].includes(String(env.SAFETY_REDACT_PII || '').toLowerCase()),
+    denyList: parseRules(env.SAFETY_DENY_LIST, 'SAFETY_DENY_LIST'),
+    outputFilter: parseRules(env.SAFETY_OUTPUT_FILTER, 'SAFETY_OUTPUT_FILTER'),
+  });
+}
+
+module.exports = {
+  SafetyBlockedError,
+  redactPii,
+  parseRules,
+  createSafety,
+  createSafetyFromEnv,
+};
@@ -0,0 +1,114 @@
+/**
+ * Schedule Helpers
+ *
+ * 提醒的時間計算：以當地時間 (預設 Asia/Taipei) 推算重複規則的下一次時間，
+ * 因此「每天 08:00」在日光節約時間切換後仍是當地 08:00。
+ */
+
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToDate } = require('../tools/datetime');
+
+const RECURRENCES = ['none', 'daily', 'weekdays', 'weekly', 'monthly'];
+
+const WEEKDAY_INDEX = {
+  Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5, Saturday: 6,
+};
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * 某個時間點在時區中的日期、時間與星期
+ * @param {number} at - epoch milliseconds
+ * @param {string} [timeZone]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}} weekday 0 為星期日
+ */
+function toLocal(at, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(new Date(at), timeZone);
+  return {
+    year: Number(p.year),
+    month: Number(p.month),
+    day: Number(p.day),
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    weekday: WEEKDAY_INDEX[p.weekday],
+  };
+}
+
+function fromLocal({ year, month, day, hour, minute }, timeZone) {
+  return zonedTimeToDate(`${year}-${month}-${day} ${hour}:${String(minute).padStart(2, '0')}`, timeZone).getTime();
+}
+
+// 以 UTC 日期做日期加減，避免受時區影響
+function addDays(local, days) {
+  const date = new Date(Date.UTC(local.year, local.month - 1, local.day + days));
+  return {
+    ...local,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+/**
+ * 重複規則的下一次時間
+ * @param {number} at - 這一次的時間 (epoch ms)
+ * @param {string} recurrence - RECURRENCES 之一；none 回傳 null
+ * @param {object} [options]
+ * @param {string} [options.timeZone]
+ * @param {number} [options.dayOfMonth] - monthly 的日期 (例如 31 日在小月改為月底，之後仍回到 31 日)
+ * @returns {number|null}
+ */
+function nextOccurrence(at, recurrence, { timeZone = DEFAULT_TIMEZONE, dayOfMonth } = {}) {
+  const local = toLocal(at, timeZone);
+  let next;
+  switch (recurrence) {
+    case 'daily':
+      next = addDays(local, 1);
+      break;
+    case 'weekly':
+      next = addDays(local, 7);
+      break;
+    case 'weekdays':
+      next = addDays(local, 1);
+      while (next.weekday === 0 || next.weekday === 6) next = addDays(next, 1);
+      break;
+    case 'monthly': {
+      const year = local.month === 12 ? local.year + 1 : local.year;
+      const month = local.month === 12 ? 1 : local.month + 1;
+      next = { ...local, year, month, day: Math.min(dayOfMonth || local.day, daysInMonth(year, month)) };
+      break;
+    }
+    default:
+      return null;
+  }
+  return fromLocal(next, timeZone);
+}
+
+/**
+ * 第一次提醒的時間：重複的提醒若指定時間已過 (或 weekdays 落在週末)，順延到下一次
+ * @param {number} at - 使用者指定的時間
+ * @param {string} recurrence
+ * @param {object} options
+ * @param {number} options.now
+ * @param {string} [options.timeZone]
+ * @param {number} [options.dayOfMonth]
+ * @returns {number}
+ */
+function firstOccurrence(at, recurrence, { now, timeZone = DEFAULT_TIMEZONE, dayOfMonth } = {}) {
+  if (recurrence === 'none') return at;
+  let first = at;
+  const isWeekend = (time) => [0, 6].includes(toLocal(time, timeZone).weekday);
+  while (first <= now || (recurrence === 'weekdays' && isWeekend(first))) {
+    first = nextOccurrence(first, recurrence, { timeZone, dayOfMonth });
+  }
+  return first;
+}
+
+module.exports = {
+  RECURRENCES,
+  toLocal,
+  nextOccurrence,
+  firstOccurrence,
+};
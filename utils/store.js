@@ -0,0 +1,270 @@
+/**
+ * Key-Value Storage Backends
+ *
+ * 提供統一的非同步 key-value 儲存介面，供對話紀錄等需要狀態的功能使用。
+ * 所有 backend 皆實作：
+ *   get(key)                          → 取得值 (不存在或已過期回傳 null)
+ *   set(key, value, { ttlSeconds })   → 寫入值 (可選擇過期秒數)
+ *   delete(key)                       → 刪除值
+ *   getFields(key)                    → 取得 hash 的所有欄位 (不存在回傳 null)
+ *   setField(key, field, value)       → 寫入 hash 的單一欄位
+ *   deleteField(key, field)           → 刪除 hash 的單一欄位
+ * 多個寫入者共用的索引以欄位操作更新，各欄位獨立寫入，不會因讀取-修改-寫入而蓋掉彼此的變更；
+ * hash 的 key 只能以欄位操作讀寫。
+ *
+ * Backend:
+ *   memory — 單一 process 內的 Map，重啟即消失 (預設)
+ *   file   — 每個 key 一個 JSON 檔案，適合本地開發與單機部署 (Vercel 上只能寫 /tmp)
+ *   kv     — KV-style adapter，包裝任何具有 get/set/del 的 client
+ *            (例如 Vercel KV / Upstash REST，或本地替代品)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+function isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+}
+
+function toEntry(value, ttlSeconds) {
+  return { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+}
+
+// ===== Memory Backend =====
+
+// 每寫入這麼多次清除一次過期資料 (只有讀取時才會刪除的話，不再讀取的 key 會一直留著)
+const MEMORY_SWEEP_INTERVAL = 500;
+
+function createMemoryStore() {
+  const entries = new Map();
+  let writes = 0;
+
+  function sweep() {
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      entries.set(key, toEntry(value, ttlSeconds));
+      writes += 1;
+      if (writes % MEMORY_SWEEP_INTERVAL === 0) sweep();
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    // 同一個 process 內的欄位操作是同步完成的，不會交錯
+    async getFields(key) {
+      const value = await this.get(key);
+      return value ? { ...value } : null;
+    },
+    async setField(key, field, value) {
+      const entry = entries.get(key);
+      if (entry && !isExpired(entry)) entry.value[field] = value;
+      else entries.set(key, toEntry({ [field]: value }));
+    },
+    async deleteField(key, field) {
+      const entry = entries.get(key);
+      if (entry) delete entry.value[field];
+    },
+  };
+}
+
+// ===== File Backend =====
+
+// 檔名使用 key 的雜湊，key 中的 ":"、"/" 等字元不會影響路徑
+function toFileName(name) {
+  return crypto.createHash('sha1').update(name).digest('hex');
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// 先寫入暫存檔再 rename，其他 process 只會讀到完整的舊檔或新檔
+async function writeJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data));
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * 每個 key 一個 JSON 檔案 (<dir>/<hash>.json)，hash 的每個欄位也各自一個檔案 (<dir>/<hash>.fields/<hash>.json)。
+ * 讀寫只碰到該 key 的檔案，與資料總量無關；多個 process 同時寫入同一個 key 時以最後寫入者為準，
+ * 不同的 key 與欄位互不影響。
+ * @param {string} dir - 資料目錄
+ */
+function createFileStore(dir) {
+  const entryPath = (key) => path.join(dir, `${toFileName(key)}.json`);
+  const fieldsDir = (key) => path.join(dir, `${toFileName(key)}.fields`);
+
+  return {
+    async get(key) {
+      const entry = await readJson(entryPath(key));
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        await fs.rm(entryPath(key), { force: true });
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      await writeJson(entryPath(key), { key, ...toEntry(value, ttlSeconds) });
+    },
+    async delete(key) {
+      await fs.rm(entryPath(key), { force: true });
+      await fs.rm(fieldsDir(key), { recursive: true, force: true });
+    },
+    async getFields(key) {
+      let files;
+      try {
+        files = await fs.readdir(fieldsDir(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      const entries = await Promise.all(files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => readJson(path.join(fieldsDir(key), file))));
+      const present = entries.filter(Boolean);
+      return present.length > 0 ? Object.fromEntries(present.map(({ field, value }) => [field, value])) : null;
+    },
+    async setField(key, field, value) {
+      await writeJson(path.join(fieldsDir(key), `${toFileName(field)}.json`), { field, value });
+    },
+    async deleteField(key, field) {
+      await fs.rm(path.join(fieldsDir(key), `${toFileName(field)}.json`), { force: true });
+    },
+  };
+}
+
+// ===== KV Adapter =====
+
+/**
+ * 包裝 KV-style client。client 需實作：
+ *   get(key) → 字串或 null
+ *   set(key, value, { ex }) → ex 為過期秒數
+ *   del(key)
+ *   hgetall(key) → { field: 字串 } 或 null
+ *   hset(key, { field: value })
+ *   hdel(key, field)
+ * 值一律以 JSON 字串保存，因此任何只懂字串的 KV 服務都能使用。
+ * @param {object} client - KV client
+ */
+function createKvStore(client) {
+  return {
+    async get(key) {
+      const raw = await client.get(key);
+      return raw === null || raw === undefined ? null : JSON.parse(raw);
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      await client.set(key, JSON.stringify(value), ttlSeconds ? { ex: ttlSeconds } : {});
+    },
+    async delete(key) {
+      await client.del(key);
+    },
+    async getFields(key) {
+      const raw = await client.hgetall(key);
+      if (!raw || Object.keys(raw).length === 0) return null;
+      return Object.fromEntries(Object.entries(raw).map(([field, value]) => [field, JSON.parse(value)]));
+    },
+    async setField(key, field, value) {
+      await client.hset(key, { [field]: JSON.stringify(value) });
+    },
+    async deleteField(key, field) {
+      await client.hdel(key, field);
+    },
+  };
+}
+
+/**
+ * 以 fetch 呼叫 Vercel KV / Upstash REST API 的最小 client，不需額外依賴。
+ * @param {object} options
+ * @param {string} options.url - REST API URL (KV_REST_API_URL)
+ * @param {string} options.token - REST API token (KV_REST_API_TOKEN)
+ */
+function createRestKvClient({ url, token }) {
+  async function command(args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    if (!res.ok) {
+      const body = await res.text();
+      throw new Error(`KV ${res.status}: ${body}`);
+    }
+    const data = await res.json();
+    return data.result;
+  }
+
+  return {
+    get: (key) => command(['GET', key]),
+    set: (key, value, { ex } = {}) => command(ex ? ['SET', key, value, 'EX', ex] : ['SET', key, value]),
+    del: (key) => command(['DEL', key]),
+    // REST API 的 HGETALL 回傳 [field, value, field, value …]
+    hgetall: async (key) => {
+      const flat = (await command(['HGETALL', key])) || [];
+      const pairs = [];
+      for (let i = 0; i < flat.length; i += 2) pairs.push([flat[i], flat[i + 1]]);
+      return pairs.length > 0 ? Object.fromEntries(pairs) : null;
+    },
+    hset: (key, fields) => command(['HSET', key, ...Object.entries(fields).flat()]),
+    hdel: (key, field) => command(['HDEL', key, field]),
+  };
+}
+
+// ===== Factory =====
+
+/**
+ * 依環境變數建立 store：
+ *   STORAGE_BACKEND   — memory (預設) | file | kv
+ *   STORAGE_FILE_DIR  — file backend 的資料目錄 (預設 /tmp/mars-line-bot-store)
+ *   KV_REST_API_URL / KV_REST_API_TOKEN — kv backend 的連線資訊
+ * 設定不完整時會拋出錯誤，由呼叫端決定是否退回無狀態模式。
+ */
+function createStoreFromEnv(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+
+    case 'file':
+      return createFileStore(env.STORAGE_FILE_DIR || '/tmp/mars-line-bot-store');
+
+    case 'kv':
+      if (!env.KV_REST_API_URL || !env.KV_REST_API_TOKEN) {
+        throw new Error('STORAGE_BACKEND=kv requires KV_REST_API_URL and KV_REST_API_TOKEN');
+      }
+      return createKvStore(createRestKvClient({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN }));
+
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createKvStore,
+  createRestKvClient,
+  createStoreFromEnv,
+};
@@ -0,0 +1,76 @@
+/**
+ * Task Graph
+ *
+ * Supervisor 計畫中的任務可以用 dependsOn 指定前置任務 (例如「先研究 X，再根據結果寫信」)。
+ * 此模組負責檢查依賴關係是否合法，並以 DAG 方式執行：
+ * 沒有相依的任務並行，前置任務完成後才啟動下游任務。
+ */
+
+/**
+ * 檢查任務 id 與依賴關係
+ * @param {Array<{id: string, dependsOn?: string[]}>} tasks
+ * @returns {string[]} 錯誤訊息 (空陣列代表通過)
+ */
+function findGraphErrors(tasks) {
+  const errors = [];
+  const ids = new Set();
+
+  tasks.forEach((task) => {
+    if (ids.has(task.id)) errors.push(`任務 id "${task.id}" 重複`);
+    ids.add(task.id);
+  });
+
+  tasks.forEach((task) => {
+    (task.dependsOn || []).forEach((dep) => {
+      if (dep === task.id) errors.push(`任務 "${task.id}" 不能依賴自己`);
+      else if (!ids.has(dep)) errors.push(`任務 "${task.id}" 依賴不存在的任務 "${dep}"`);
+    });
+  });
+  if (errors.length > 0) return errors;
+
+  // Kahn's algorithm：無法排序的任務即位於循環中
+  const remaining = new Map(tasks.map((task) => [task.id, new Set(task.dependsOn || [])]));
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    for (const [id, deps] of remaining) {
+      if (deps.size === 0) {
+        remaining.delete(id);
+        remaining.forEach((otherDeps) => otherDeps.delete(id));
+        progressed = true;
+      }
+    }
+  }
+  if (remaining.size > 0) {
+    errors.push(`任務之間有循環依賴：${[...remaining.keys()].join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * 依 DAG 執行任務 (呼叫前須先通過 findGraphErrors)
+ * @param {Array<{id: string, dependsOn?: string[]}>} tasks
+ * @param {(task: object, upstream: Array<{task: object, output: *}>) => Promise<*>} runTask
+ *   執行單一任務，upstream 為其前置任務的結果；不應拋出錯誤 (失敗請以回傳值表示)
+ * @returns {Promise<Array<*>>} 依 tasks 原始順序排列的結果
+ */
+async function runTaskGraph(tasks, runTask) {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const started = new Map();
+
+  // 每個任務只啟動一次；先等前置任務完成，再把結果交給 runTask
+  function start(task) {
+    if (!started.has(task.id)) {
+      const upstream = (task.dependsOn || []).map((dep) => start(byId.get(dep)).then((output) => ({ task: byId.get(dep), output })));
+      started.set(task.id, Promise.all(upstream).then((results) => runTask(task, results)));
+    }
+    return started.get(task.id);
+  }
+
+  return Promise.all(tasks.map(start));
+}
+
+module.exports = {
+  findGraphErrors,
+  runTaskGraph,
+};
@@ -0,0 +1,284 @@
+/**
+ * Tracing, Structured Logs & Metrics
+ *
+ * 每個 webhook 請求產生一個 requestId，以 AsyncLocalStorage 帶到 event → 背景工作 →
+ * Supervisor → 各 Sub-agent → Synthesizer → LINE 回覆，期間的 log 都自動附上。
+ *   - logger：一行一個 JSON (time、level、msg、requestId、eventId、stage …)，Vercel 的 log 可直接搜尋
+ *   - span(stage, fields, fn)：記錄階段耗時與成功 / 失敗，並寫入 stage duration histogram
+ *   - instrument(providers)：每次模型呼叫記錄耗時與 token 用量 (Gemini usageMetadata)
+ *   - metrics：Prometheus counter / histogram，由 app.js 的 GET /metrics 輸出
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+const { createMetricsRegistry } = require('./metrics');
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+const DEFAULT_LOG_LEVEL = 'info';
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.status !== undefined ? { status: err.status } : {}),
+    stack: err.stack,
+  };
+}
+
+function serializeFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serializeError(value)]));
+}
+
+/**
+ * JSON logger
+ * @param {object} [options]
+ * @param {string} [options.level] - 低於此等級的 log 不輸出
+ * @param {(line: string) => void} [options.write] - 預設為 console.log (Vercel 收集 stdout)
+ * @param {() => object} [options.context] - 每一行都附上的欄位 (例如目前的 requestId)
+ * @param {() => number} [options.now]
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} 皆為 (msg, fields) => void
+ */
+function createLogger({
+  level = DEFAULT_LOG_LEVEL,
+  write = (line) => console.log(line),
+  context = () => ({}),
+  now = Date.now,
+} = {}) {
+  if (!LOG_LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+  const threshold = LOG_LEVELS[level];
+
+  function log(entryLevel, msg, fields = {}) {
+    if (LOG_LEVELS[entryLevel] < threshold) return;
+    const entry = { time: new Date(now()).toISOString(), level: entryLevel, msg, ...context(), ...serializeFields(fields) };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (err) {
+      // 例如循環參照：至少保留訊息本身
+      line = JSON.stringify({ time: entry.time, level: entryLevel, msg, ...context(), logError: err.message });
+    }
+    write(line);
+  }
+
+  return Object.fromEntries(Object.keys(LOG_LEVELS).map((name) => [name, (msg, fields) => log(name, msg, fields)]));
+}
+
+/**
+ * 統一的 metric 定義 (label 值皆為有限集合)
+ * @param {object} registry - utils/metrics.js 的 registry
+ */
+function defineMetrics(registry) {
+  return {
+    events: registry.counter({
+      name: 'line_bot_events_total',
+      help: 'LINE webhook events by event type and outcome (handled, queued, duplicate, ignored, error).',
+      labelNames: ['type', 'outcome'],
+    }),
+    stageDuration: registry.histogram({
+      name: 'line_bot_stage_duration_seconds',
+      help: 'Duration of pipeline stages (webhook, job, supervisor, agent, synthesizer, simple, transcription, reminder, ingest, retrieval, reply, cron).',
+      labelNames: ['stage', 'status'],
+    }),
+    modelCalls: registry.counter({
+      name: 'line_bot_model_calls_total',
+      help: 'Model generate calls by provider stage and status.',
+      labelNames: ['stage', 'status'],
+    }),
+    modelCallDuration: registry.histogram({
+      name: 'line_bot_model_call_duration_seconds',
+      help: 'Duration of model generate calls by provider stage.',
+      labelNames: ['stage'],
+    }),
+    modelTokens: registry.counter({
+      name: 'line_bot_model_tokens_total',
+      help: 'Tokens reported by the model (usageMetadata) by provider stage and type (prompt, output).',
+      labelNames: ['stage', 'type'],
+    }),
+    fallbacks: registry.counter({
+      name: 'line_bot_fallbacks_total',
+      help: 'Messages answered in single-call mode, by reason (simple_request, simple_mode, multi_agent_disabled, invalid_plan).',
+      labelNames: ['reason'],
+    }),
+    agentFailures: registry.counter({
+      name: 'line_bot_agent_failures_total',
+      help: 'Sub-agent tasks that failed or missed the deadline and were reported to the Synthesizer as failed.',
+    }),
+    modelRetries: registry.counter({
+      name: 'line_bot_model_retries_total',
+      help: 'Model calls retried after a 429, 5xx, network error or timeout, by provider stage.',
+      labelNames: ['stage'],
+    }),
+    safetyDecisions: registry.counter({
+      name: 'line_bot_safety_decisions_total',
+      help: 'Safety decisions around model calls (redacted, denied, blocked, recitation, filtered, truncated), by provider stage.',
+      labelNames: ['stage', 'action'],
+    }),
+    answers: registry.counter({
+      name: 'line_bot_answers_total',
+      help: 'Replies sent by the agent pipeline, by prompt variant and outcome (answered, degraded, blocked, error).',
+      labelNames: ['variant', 'outcome'],
+    }),
+    degradedAnswers: registry.counter({
+      name: 'line_bot_degraded_answers_total',
+      help: 'Answers built from sub-agent results because the Synthesizer failed.',
+    }),
+    replyErrors: registry.counter({
+      name: 'line_bot_reply_errors_total',
+      help: 'Failed LINE Messaging API calls by method (reply falls back to push; push failures lose the answer).',
+      labelNames: ['method'],
+    }),
+    reminders: registry.counter({
+      name: 'line_bot_reminders_total',
+      help: 'Reminders by outcome (created, rejected, sent, failed).',
+      labelNames: ['outcome'],
+    }),
+    documents: registry.counter({
+      name: 'line_bot_documents_total',
+      help: 'Uploaded files by outcome (added, rejected, failed).',
+      labelNames: ['outcome'],
+    }),
+    throttled: registry.counter({
+      name: 'line_bot_throttled_total',
+      help: 'Messages rejected by rate limits by reason (rate, quota, busy).',
+      labelNames: ['reason'],
+    }),
+  };
+}
+
+// usageMetadata 可能缺少欄位 (例如被安全機制擋下時)
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.promptTokenCount || 0,
+    outputTokens: usage.candidatesTokenCount || 0,
+    totalTokens: usage.totalTokenCount || 0,
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.level] - log 等級
+ * @param {(line: string) => void} [options.write] - log 輸出 (測試可收集)
+ * @param {object} [options.registry] - 預設為新的 metrics registry
+ * @param {() => number} [options.now]
+ */
+function createTelemetry({ level, write, registry = createMetricsRegistry(), now = Date.now } = {}) {
+  const storage = new AsyncLocalStorage();
+  const currentContext = () => storage.getStore() || {};
+  const logger = createLogger({ level, write, now, context: currentContext });
+  const metrics = defineMetrics(registry);
+
+  /**
+   * 在目前的 context 加上欄位後執行 fn；還沒有 requestId 時產生一個
+   * @param {object} fields - 之後每一行 log 都會附上
+   * @param {() => *} fn
+   */
+  function run(fields, fn) {
+    const context = { ...currentContext(), ...fields };
+    if (!context.requestId) context.requestId = randomUUID();
+    return storage.run(context, fn);
+  }
+
+  /**
+   * 綁定目前的 context，供稍後才執行的 callback 使用 (例如背景佇列中的工作)
+   * @param {Function} fn
+   */
+  function bind(fn) {
+    const context = storage.getStore();
+    return context ? (...args) => storage.run(context, fn, ...args) : fn;
+  }
+
+  /**
+   * 執行一個階段並記錄耗時；失敗時記錄錯誤後照常拋出
+   * @param {string} stage
+   * @param {object} fields - 加入 context 的欄位 (例如 role、taskId)
+   * @param {() => Promise} fn
+   */
+  function span(stage, fields, fn) {
+    const startedAt = now();
+    return run({ ...fields, stage }, async () => {
+      const finish = (status, err) => {
+        const durationMs = now() - startedAt;
+        metrics.stageDuration.observe({ stage, status }, durationMs / 1000);
+        if (err) logger.warn('stage failed', { durationMs, status, err });
+        else logger.info('stage finished', { durationMs, status });
+      };
+      try {
+        const result = await fn();
+        finish('ok');
+        return result;
+      } catch (err) {
+        finish('error', err);
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * 包裝 provider：記錄每次模型呼叫的耗時、token 用量與錯誤
+   * @param {object} providers - createProvidersFromEnv() 的結果
+   * @returns {object} 相同結構的 providers
+   */
+  function instrument(providers) {
+    return Object.fromEntries(Object.entries(providers).map(([stage, provider]) => [stage, {
+      ...provider,
+      async generate(request, options) {
+        const startedAt = now();
+        const elapsed = () => now() - startedAt;
+        try {
+          const result = await provider.generate(request, options);
+          const durationMs = elapsed();
+          const usage = normalizeUsage(result.usage);
+          metrics.modelCalls.inc({ stage, status: 'ok' });
+          metrics.modelCallDuration.observe({ stage }, durationMs / 1000);
+          if (usage) {
+            metrics.modelTokens.inc({ stage, type: 'prompt' }, usage.promptTokens);
+            metrics.modelTokens.inc({ stage, type: 'output' }, usage.outputTokens);
+          }
+          logger.info('model call', { stage, model: provider.name, durationMs, usage });
+          return result;
+        } catch (err) {
+          const durationMs = elapsed();
+          metrics.modelCalls.inc({ stage, status: 'error' });
+          metrics.modelCallDuration.observe({ stage }, durationMs / 1000);
+          logger.warn('model call failed', { stage, model: provider.name, durationMs, err });
+          throw err;
+        }
+      },
+    }]));
+  }
+
+  return {
+    logger,
+    metrics,
+    registry,
+    run,
+    bind,
+    span,
+    instrument,
+    context: currentContext,
+  };
+}
+
+/**
+ * 依環境變數建立：
+ *   LOG_LEVEL — debug / info (預設) / warn / error
+ * @param {object} [env]
+ */
+function createTelemetryFromEnv(env = process.env) {
+  return createTelemetry({ level: env.LOG_LEVEL || DEFAULT_LOG_LEVEL });
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  createTelemetry,
+  createTelemetryFromEnv,
+};
@@ -0,0 +1,79 @@
+/**
+ * Per-user Settings
+ *
+ * 以 LINE userId 保存使用者以指令設定的偏好 (回答模式、語言、語氣)，
+ * 群組中也套用發言者自己的設定。沒有儲存層時一律使用預設值。
+ * 加入好友時登錄的個人檔案 (utils/users.js) 提供名字 (name) 與預設語言；以 /lang 設定的語言優先。
+ */
+
+const { MODES, LANGUAGES, PERSONAS, DEFAULT_PREFERENCES } = require('../prompts/commands');
+const { resolveLanguage } = require('./users');
+
+const ALLOWED_VALUES = {
+  mode: Object.keys(MODES),
+  lang: Object.keys(LANGUAGES),
+  persona: Object.keys(PERSONAS),
+};
+
+/**
+ * @param {object} patch
+ * @returns {string[]} 錯誤訊息
+ */
+function validatePreferences(patch) {
+  return Object.entries(patch)
+    .filter(([key, value]) => !ALLOWED_VALUES[key] || !ALLOWED_VALUES[key].includes(value))
+    .map(([key, value]) => (ALLOWED_VALUES[key] ? `${key} 不支援 ${value}` : `未知的設定：${key}`));
+}
+
+// 封鎖 Bot 的使用者不再套用個人檔案
+function fromProfile(user) {
+  if (!user || !user.active) return {};
+  const lang = resolveLanguage(user.language);
+  return { ...(lang && { lang }), ...(user.displayName && { name: user.displayName }) };
+}
+
+/**
+ * @param {object} options
+ * @param {object|null} options.store - utils/store.js 的 store
+ * @param {{get: Function}|null} [options.users] - utils/users.js 的 user registry
+ */
+function createUserSettings({ store, users = null }) {
+  const keyOf = (userId) => `settings:${userId}`;
+
+  return {
+    /**
+     * 儲存層可用時才能修改設定
+     */
+    get writable() {
+      return Boolean(store);
+    },
+
+    /**
+     * @returns {Promise<{mode: string, lang: string, persona: string, name?: string}>} name 來自個人檔案，不能以指令修改
+     */
+    async get(userId) {
+      if (!store || !userId) return { ...DEFAULT_PREFERENCES };
+      const [saved, user] = await Promise.all([store.get(keyOf(userId)), users ? users.get(userId) : null]);
+      // 移除已不存在的選項 (例如改名的語氣)
+      const valid = Object.fromEntries(Object.entries(saved || {}).filter(([key, value]) => validatePreferences({ [key]: value }).length === 0));
+      return { ...DEFAULT_PREFERENCES, ...fromProfile(user), ...valid };
+    },
+
+    /**
+     * 更新部分設定，回傳更新後的完整設定
+     */
+    async update(userId, patch) {
+      if (!store) throw new Error('User settings require a store');
+      const errors = validatePreferences(patch);
+      if (errors.length > 0) throw new Error(errors.join('；'));
+      const saved = (await store.get(keyOf(userId))) || {};
+      await store.set(keyOf(userId), { ...saved, ...patch });
+      return this.get(userId);
+    },
+  };
+}
+
+module.exports = {
+  validatePreferences,
+  createUserSettings,
+};
@@ -0,0 +1,96 @@
+/**
+ * User Registry
+ *
+ * 加入好友 (follow) 時以 getProfile 取得的名稱與語言保存在 user:<userId>，封鎖 (unfollow) 時標記為 inactive。
+ * 個人檔案用於個人化：prompt 中稱呼使用者的名字，沒有以 /lang 設定語言時使用 LINE 的語言 (見 utils/user-settings.js)。
+ * 沒有儲存層時不保存，一律視為未登錄。
+ */
+
+const { LANGUAGES } = require('../prompts/commands');
+
+// 名稱由使用者自訂，放進 prompt 前去掉換行並限制長度
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * LINE 的語言 (BCP 47，例如 "en"、"ja"、"zh-TW"、"zh-Hant") 對應到支援的回覆語言
+ * @param {string} [language]
+ * @returns {string|null} LANGUAGES 的 key；不支援時為 null
+ */
+function resolveLanguage(language) {
+  if (!language) return null;
+  const exact = Object.keys(LANGUAGES).find((key) => key.toLowerCase() === language.toLowerCase());
+  if (exact) return exact;
+  const [primary] = language.toLowerCase().split(/[-_]/);
+  // 簡體中文不套用繁體中文
+  if (primary === 'zh') return /hans|cn|sg/i.test(language) ? null : 'zh-TW';
+  return LANGUAGES[primary] ? primary : null;
+}
+
+/**
+ * @param {string} [name]
+ * @returns {string|undefined}
+ */
+function sanitizeName(name) {
+  const clean = [...String(name || '').replace(/\s+/g, ' ').trim()].slice(0, MAX_NAME_LENGTH).join('');
+  return clean || undefined;
+}
+
+/**
+ * @param {object} options
+ * @param {object|null} options.store - utils/store.js 的 store
+ * @param {() => number} [options.now]
+ */
+function createUserRegistry({ store, now = Date.now }) {
+  const keyOf = (userId) => `user:${userId}`;
+
+  return {
+    /**
+     * @returns {Promise<{userId: string, displayName?: string, language?: string, active: boolean,
+     *   followedAt: number, unfollowedAt?: number}|null>} 未登錄時為 null
+     */
+    async get(userId) {
+      if (!store || !userId) return null;
+      return (await store.get(keyOf(userId))) || null;
+    },
+
+    /**
+     * 加入好友 (或解除封鎖)：保存個人檔案並標記為 active
+     * 與既有紀錄合併：getProfile 失敗 (profile 為空) 時保留之前的名稱與語言
+     * @param {string} userId
+     * @param {{displayName?: string, language?: string}} profile - getProfile 的結果
+     */
+    async register(userId, { displayName, language } = {}) {
+      if (!store || !userId) return null;
+      const saved = (await store.get(keyOf(userId))) || {};
+      const user = {
+        ...saved,
+        userId,
+        displayName: sanitizeName(displayName) || saved.displayName,
+        language: language || saved.language,
+        active: true,
+        followedAt: now(),
+      };
+      delete user.unfollowedAt;
+      await store.set(keyOf(userId), user);
+      return user;
+    },
+
+    /**
+     * 封鎖：保留紀錄並標記為 inactive
+     * @param {string} userId
+     */
+    async deactivate(userId) {
+      if (!store || !userId) return null;
+      const saved = await store.get(keyOf(userId));
+      const user = { ...saved, userId, active: false, unfollowedAt: now() };
+      await store.set(keyOf(userId), user);
+      return user;
+    },
+  };
+}
+
+module.exports = {
+  resolveLanguage,
+  sanitizeName,
+  createUserRegistry,
+};